@@ -0,0 +1,81 @@
+/*
+ * BarcodePanel draws persistence barcodes (H0, H1, H2, ...) on a 2D canvas
+ * overlaid next to the 3D view, with the estimated Betti numbers above
+ * each dimension's bars.
+ */
+const DIM_COLORS = ['#4fc3f7', '#ffb74d', '#e57373', '#81c784'];
+
+export class BarcodePanel {
+  constructor(options = {}) {
+    this.maxBars = options.maxBars || 20;   // per dimension
+    this.canvas = document.createElement('canvas');
+    this.canvas.width  = options.width  || 280;
+    this.canvas.height = options.height || 320;
+    Object.assign(this.canvas.style, {
+      position: 'absolute',
+      bottom: '10px',
+      right: '10px',
+      zIndex: 1,
+      background: 'rgba(0,0,0,0.6)'
+    });
+    (options.parent || document.body).appendChild(this.canvas);
+    this.setVisibility(false);
+  }
+
+  /** Show or hide the panel */
+  setVisibility(visible) {
+    this.canvas.style.display = visible ? 'block' : 'none';
+    this.visible = visible;
+  }
+
+  /** Draw a status message instead of barcodes */
+  message(text) {
+    const ctx = this.canvas.getContext('2d');
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.fillStyle = '#fff';
+    ctx.font = '12px system-ui, sans-serif';
+    ctx.fillText(text, 10, 20);
+  }
+
+  /**
+   * Draw barcodes.
+   * @param {Array<Array<[number,number]>>} barcodes  Output of ripsPersistence().
+   * @param {number}   maxEdge  Filtration cut-off (right edge of the axis).
+   * @param {number[]} betti    Betti numbers to annotate.
+   * @param {string}   [title]
+   */
+  draw(barcodes, maxEdge, betti, title = '') {
+    const { width, height } = this.canvas;
+    const ctx = this.canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '12px system-ui, sans-serif';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(`${title} Betti = (${betti.join(', ')})`, 10, 16);
+
+    const left = 34, right = width - 10, top = 26, bottom = height - 18;
+    const x = v => left + (right - left) * Math.min(v, maxEdge) / maxEdge;
+    const bandH = (bottom - top) / barcodes.length;
+
+    barcodes.forEach((bars, k) => {
+      const shown = bars.slice(0, this.maxBars);
+      const y0 = top + k * bandH;
+      const step = Math.min(8, (bandH - 6) / Math.max(1, shown.length));
+      ctx.fillStyle = '#fff';
+      ctx.fillText(`H${k}`, 6, y0 + 12);
+      ctx.strokeStyle = DIM_COLORS[k % DIM_COLORS.length];
+      ctx.lineWidth = Math.max(1, step - 2);
+      shown.forEach(([b, d], i) => {
+        const y = y0 + 4 + i * step;
+        ctx.beginPath();
+        ctx.moveTo(x(b), y);
+        ctx.lineTo(d === Infinity ? right : x(d), y);
+        ctx.stroke();
+      });
+    });
+
+    // filtration axis
+    ctx.fillStyle = '#aaa';
+    ctx.fillText('0', left, height - 4);
+    ctx.fillText(maxEdge.toFixed(2), right - 28, height - 4);
+  }
+}
@@ -0,0 +1,66 @@
+import * as THREE from 'three';
+
+/*
+ * EmbeddingCloud renders a low-dimensional embedding of population activity
+ * (see embedding.js) as a point cloud. Coordinates are centred and scaled to
+ * a fixed radius, and the cloud can share a GridTile's color buffer so that
+ * each point is coloured like the tile vertex it was computed from.
+ */
+export class EmbeddingCloud {
+  constructor(options = {}) {
+    this.radius = options.radius || 1;
+    this.geom = new THREE.BufferGeometry();
+    this.mat  = new THREE.PointsMaterial({
+      size: options.pointSize || 4,
+      sizeAttenuation: false,
+      vertexColors: true,
+      transparent: true
+    });
+    this.mesh = new THREE.Points(this.geom, this.mat);
+    this.mesh.frustumCulled = false;
+    this.mesh.position.set(...(options.position || [0, 0, 0]));
+    this.setCoords([]);
+  }
+
+  /**
+   * Replace the embedded coordinates.
+   * @param {number[][]} coords  One [x,y,z] per point (missing axes are 0).
+   */
+  setCoords(coords) {
+    const n = coords.length;
+    const center = [0, 0, 0];
+    coords.forEach(c => { for (let k = 0; k < 3; k++) center[k] += (c[k] || 0) / n; });
+    let maxR = 0;
+    coords.forEach(c => {
+      maxR = Math.max(maxR, Math.hypot(...center.map((m, k) => (c[k] || 0) - m)));
+    });
+    const s = maxR > 0 ? this.radius / maxR : 1;
+
+    const pos = new Float32Array(3 * n);
+    coords.forEach((c, i) => {
+      for (let k = 0; k < 3; k++) pos[3*i + k] = ((c[k] || 0) - center[k]) * s;
+    });
+    this.geom.setAttribute('position', new THREE.BufferAttribute(pos, 3));
+    this.setColors(this.colorAttr);
+  }
+
+  /**
+   * Color points from a shared per-vertex color attribute (e.g. a GridTile's
+   * faceGeom color). Points are drawn gray when the counts do not match.
+   * @param {THREE.BufferAttribute} [colorAttr]
+   */
+  setColors(colorAttr) {
+    this.colorAttr = colorAttr;
+    const n = this.geom.getAttribute('position').count;
+    if (colorAttr && colorAttr.count === n) {
+      this.geom.setAttribute('color', colorAttr);
+    } else {
+      this.geom.setAttribute('color', new THREE.BufferAttribute(new Float32Array(3 * n).fill(0.5333333333333333), 3));
+    }
+  }
+
+  /** Show or hide the cloud */
+  setVisibility(visible) {
+    this.mesh.visible = visible;
+  }
+}
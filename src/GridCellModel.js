@@ -0,0 +1,230 @@
+// GridCellModel.js
+// Parameterised artificial grid cell: spacing, orientation, elliptical
+// distortion, per-field rate jitter and a choice of firing-field profile.
+
+import { gridNodes, euclidean2torus, latticeOffset, checkBatchBuffer } from './torusUtils.js';
+
+const SQRT3 = Math.sqrt(3);
+
+// Integer hash of a lattice node (and seed) to a number in [0,1)
+function hashNode(n1, n2, seed) {
+  let h = Math.imul(n1 | 0, 0x27d4eb2d) ^ Math.imul(n2 | 0, 0x165667b1) ^ Math.imul(seed | 0, 0x9e3779b1);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  h ^= h >>> 16;
+  return (h >>> 0) / 4294967296;
+}
+
+/*
+ * GridCellModel describes one grid cell as a hexagonal lattice of firing
+ * fields. Positions are mapped into the unit lattice frame (spacing 1, zero
+ * orientation, circular fields, as used by gridCellPdf) by undoing the
+ * cell's phase offset, elliptical stretch, orientation and spacing:
+ *
+ *   world = phase + S(ellipticity, ellipseAngle) · R(orientation) · spacing · unit
+ *
+ * where S stretches by `ellipticity` along the axis at `ellipseAngle`.
+ *
+ * Field profiles ('profile' option):
+ *   'gaussian'  sum of Gaussians of width sigma over nearby lattice images
+ *   'vonMises'  exp(κ(Σcos − 3)) over the three lattice phases, with κ chosen
+ *               so the peak curvature matches a Gaussian of width sigma
+ *   'cosine'    sum of three cosines, thresholded at `threshold` and rescaled
+ */
+export class GridCellModel {
+  constructor(options = {}) {
+    this.spacing      = options.spacing      ?? 1;
+    this.orientation  = options.orientation  ?? 0;           // radians
+    this.phase        = options.phase        ?? [0, 0];      // [x,y] world offset
+    this.sigma        = options.sigma        ?? 0.1;         // field width (world units)
+    this.ellipticity  = options.ellipticity  ?? 1;           // major/minor axis ratio
+    this.ellipseAngle = options.ellipseAngle ?? 0;           // radians
+    this.rateJitter   = options.rateJitter   ?? 0;           // relative peak-rate spread
+    this.peakRate     = options.peakRate     ?? 1;
+    this.profile      = options.profile      ?? 'gaussian';  // 'gaussian'|'vonMises'|'cosine'
+    this.threshold    = options.threshold    ?? 0;           // for the 'cosine' profile
+    this.seed         = options.seed         ?? 0;           // field-jitter seed
+    this.nRings       = options.nRings;                      // lattice images (gaussian)
+
+    if (!['gaussian', 'vonMises', 'cosine'].includes(this.profile)) {
+      throw new Error(`Unknown grid-cell profile '${this.profile}'`);
+    }
+    // the cosine profile is rescaled by 3 - threshold (its peak above the threshold)
+    if (!(this.threshold < 3)) {
+      throw new Error(`Grid-cell threshold must be below 3, got ${this.threshold}`);
+    }
+  }
+
+  /**
+   * Map a world [x,y] point into the unit lattice frame.
+   * @param {[number,number]} pt
+   * @returns {[number,number]}
+   */
+  toLattice([x, y]) {
+    const out = [0, 0];
+    this._toLattice(x, y, out);
+    return out;
+  }
+
+  /**
+   * Map a unit-lattice [x,y] point back into world coordinates.
+   * @param {[number,number]} pt
+   * @returns {[number,number]}
+   */
+  fromLattice([u, v]) {
+    // rotate and scale
+    const c = Math.cos(this.orientation), s = Math.sin(this.orientation);
+    let x = this.spacing * (c * u - s * v);
+    let y = this.spacing * (s * u + c * v);
+    // stretch along the ellipse axis
+    const ca = Math.cos(this.ellipseAngle), sa = Math.sin(this.ellipseAngle);
+    const a = (ca * x + sa * y) * this.ellipticity;
+    const b = -sa * x + ca * y;
+    x = ca * a - sa * b;
+    y = sa * a + ca * b;
+    return [x + this.phase[0], y + this.phase[1]];
+  }
+
+  /**
+   * Phase of the cell in toroidal coordinates [t1,t2,t3] (radians), i.e. the
+   * position of its reference field relative to a lattice of the same
+   * spacing, orientation and ellipticity anchored at the origin.
+   * @returns {[number,number,number]}
+   */
+  torusPhase() {
+    const [u, v] = this._phaseInLattice();
+    return euclidean2torus([[u, v]])[0];
+  }
+
+  /**
+   * Tuning curve on the torus: the rate when the animal's position has
+   * toroidal phase [t1,t2] relative to an origin-anchored lattice of this
+   * cell's spacing, orientation and ellipticity.
+   * @param {number[][]} phases  Array of [t1,t2] (radians).
+   * @returns {number[]} Rate per phase.
+   */
+  torusRate(phases) {
+    const ctx = this._context();
+    const twoPi = 2 * Math.PI;
+    return phases.map(([t1, t2]) => {
+      const u2 = t2 / twoPi;
+      const [x, y] = this.fromLattice([t1 / twoPi + 0.5 * u2, (SQRT3 / 2) * u2]);
+      return this._rateAt(x - this.phase[0], y - this.phase[1], ctx);
+    });
+  }
+
+  /**
+   * Relative peak rate of the field at lattice node [n1,n2] (1 without jitter).
+   * @param {number} n1
+   * @param {number} n2
+   * @returns {number}
+   */
+  fieldRate(n1, n2) {
+    if (!this.rateJitter) return 1;
+    const u = hashNode(n1, n2, this.seed);
+    return Math.max(0, 1 + this.rateJitter * (2 * u - 1));
+  }
+
+  /**
+   * Firing rate at a set of points.
+   * @param {Array<[number,number]>} points  Array of [x,y] world coordinates.
+   * @returns {number[]} Rate per point.
+   */
+  rate(points) {
+    const ctx = this._context();
+    return points.map(([x, y]) => this._rateAt(x, y, ctx));
+  }
+
+  /**
+   * Batch form of rate() over an interleaved [x,y,...] buffer.
+   * @param {Float32Array|Float64Array} points  Interleaved world coordinates.
+   * @param {Float32Array|Float64Array} [out]   Output buffer of length N.
+   * @returns {Float32Array|Float64Array} out
+   */
+  rateBatch(points, out) {
+    const n = points.length >> 1;
+    out = out ? checkBatchBuffer(out, n) : new Float64Array(n);
+    const ctx = this._context();
+    for (let i = 0; i < n; i++) {
+      out[i] = this._rateAt(points[2 * i], points[2 * i + 1], ctx);
+    }
+    return out;
+  }
+
+  /** Copy of this model with some options overridden */
+  with(options = {}) {
+    return new GridCellModel({ ...this, ...options });
+  }
+
+  // Phase offset expressed in the unit lattice frame of an origin-anchored lattice
+  _phaseInLattice() {
+    const out = [0, 0];
+    this._unwarp(this.phase[0], this.phase[1], out);
+    return out;
+  }
+
+  _toLattice(x, y, out) {
+    this._unwarp(x - this.phase[0], y - this.phase[1], out);
+  }
+
+  // Undo ellipse stretch, rotation and spacing of a phase-relative offset
+  _unwarp(x, y, out) {
+    const ca = Math.cos(this.ellipseAngle), sa = Math.sin(this.ellipseAngle);
+    const a = (ca * x + sa * y) / this.ellipticity;
+    const b = -sa * x + ca * y;
+    x = ca * a - sa * b;
+    y = sa * a + ca * b;
+    const c = Math.cos(this.orientation), s = Math.sin(this.orientation);
+    out[0] = ( c * x + s * y) / this.spacing;
+    out[1] = (-s * x + c * y) / this.spacing;
+  }
+
+  // Per-call constants shared by every point
+  _context() {
+    const sigmaU = this.sigma / this.spacing;
+    const nRings = this.nRings ?? Math.ceil(5 * sigmaU) + 1;
+    return {
+      sigmaU,
+      // lattice images as [dx, dy, m1, m2] (offset and its lattice indices)
+      images: this.profile === 'gaussian'
+        ? gridNodes(nRings).map(([dx, dy]) => [
+            dx, dy, Math.round(dx - dy / SQRT3), Math.round(2 * dy / SQRT3)
+          ])
+        : null,
+      kappa:  1 / (2 * sigmaU * sigmaU * (2 * Math.PI) ** 2),
+      uv:     [0, 0]
+    };
+  }
+
+  _rateAt(x, y, ctx) {
+    const uv = ctx.uv;
+    this._toLattice(x, y, uv);
+    const [n1, n2] = latticeOffset(uv);
+    // offset from the nearest field centre
+    const ex = uv[0] - n1 - 0.5 * n2;
+    const ey = uv[1] - (SQRT3 / 2) * n2;
+
+    if (this.profile === 'gaussian') {
+      const k = -0.5 / (ctx.sigmaU * ctx.sigmaU);
+      let z = 0;
+      for (const [dx, dy, m1, m2] of ctx.images) {
+        const ix = ex - dx, iy = ey - dy;
+        const w = this.fieldRate(n1 + m1, n2 + m2);
+        z += w * Math.exp(k * (ix * ix + iy * iy));
+      }
+      return this.peakRate * z;
+    }
+
+    // sum of cosines over the three lattice phases (3 at field centres)
+    const t1 = 2 * Math.PI * (ex - ey / SQRT3);
+    const t2 = 2 * Math.PI * (2 * ey / SQRT3);
+    const g  = Math.cos(t1) + Math.cos(t2) + Math.cos(t1 + t2);
+    const w  = this.fieldRate(n1, n2);
+
+    if (this.profile === 'vonMises') {
+      return this.peakRate * w * Math.exp(ctx.kappa * (g - 3));
+    }
+    // thresholded cosine, rescaled to peak at 1
+    return this.peakRate * w * Math.max(0, g - this.threshold) / (3 - this.threshold);
+  }
+}
@@ -1,16 +1,34 @@
 import * as THREE from 'three';
 import { hexPhaseTile, buildRhombusMeshGrid} from './torusUtils.js';
-import { gridNodes, rotate2d, constrainedDelaunay, euclidean2torus } from './torusUtils.js';
-
-const HEX_SIDE = 1 / Math.sqrt(3);
+import { gridNodes, constrainedDelaunay, euclidean2torus, normalsFromDerivatives } from './torusUtils.js';
+import { HEX_LATTICE } from './Lattice.js';
+import { identifySeams, checkTorusTopology } from './torusMesh.js';
+
+// Geometry sharing geom's attributes and index, but with the given color
+// attribute
+function withColorAttribute(geom, color) {
+  const g = new THREE.BufferGeometry();
+  Object.entries(geom.attributes).forEach(([name, attr]) => {
+    g.setAttribute(name, name === 'color' ? color : attr);
+  });
+  g.setIndex(geom.index);
+  return g;
+}
 
 /*
  * GridTile encapsulates the mesh elements for one hexagonal tile,
- * including face mesh, wireframe, and boundary edges. You can apply
+ * including face mesh, wireframe, and boundary edges. The tile belongs to
+ * a lattice (option 'lattice', default hexagonal): 'hexagon' tiles are its
+ * Wigner–Seitz cell and 'rhombus' tiles its fundamental parallelogram. You can apply
  * any transform function that maps a toroidal [t1,t2] to [x,y,z],
  * and any color mapping function that maps [t1,t2] (and optionally index)
  * to [r,g,b].
  * 
+ * With seamType 'closed' the tile edges meet exactly as with 'exact', and
+ * the tile also keeps the quotient mesh in which vertices on opposite edges
+ * are identified (see closedGeometry()). The open sheet is still what the
+ * tile draws, so the unfolded stages are unaffected.
+ *
  * Supports two constructor modes:
  * - Grid resolution (numRings) as a number to generate a standard tile.
  * - Legacy object form with torusCoords and baseGeom.
@@ -21,8 +39,9 @@ export class GridTile {
     * Suggested change:
     *
     * If using the 'hexagon' tile shape, we build the final coordinate grid
-    * using gridNodes(), which returns the ready-made hexagon tile. We
-    * then derive the toroidal coords from the Euclidean coords.
+    * using lattice.wignerSeitzMesh(), which returns the ready-made
+    * triangulated cell. We then derive the toroidal coords from the
+    * Euclidean coords.
     * 
     * If using the 'rhombus' tile shape, we instead *begin* by creating a
     * (square) grid of toroidal coords first, and then transform it to
@@ -30,7 +49,8 @@ export class GridTile {
     */
 
     this.shape = options.shape || 'hexagon';
-    this.seamType = options.seamType || 'overlapping'; // 'exact' or 'overlapping'
+    this.lattice = options.lattice || HEX_LATTICE;
+    this.seamType = options.seamType || 'overlapping'; // 'exact', 'overlapping' or 'closed'
     let Pv;
     let spacing;
     let tri;
@@ -43,9 +63,7 @@ export class GridTile {
     // The latter is useful when tessellating tiles, because the amount of overlap
     // ensures that the border width remains the same when tiles are placed side
     // by side. 
-    console.log('this.seamType = ', this.seamType);
     if (this.seamType === 'overlapping'){
-      console.log('Overlapping seams...');
       scaleFactor = 1 + (1/nGrid);
       // const a = 1.2;
       // Pv = Pv.map(([x, y]) => [x*a, y*a]);
@@ -54,24 +72,20 @@ export class GridTile {
     }
 
     if (this.shape === 'hexagon') {
-    // build Euclidean vertices for unit tile
+      // Triangulated Wigner–Seitz cell (corner-up hexagon by default),
+      // with nGrid/2 subdivisions from the centre to each corner
       nGrid = Math.ceil(nGrid / 2); 
-      Pv = gridNodes(nGrid);
+      const mesh = this.lattice.wignerSeitzMesh(nGrid);
 
       // scale into world units
-      Pv = Pv.map(([x, y]) => [
-        (x / nGrid) * HEX_SIDE * scaleFactor,
-        (y / nGrid) * HEX_SIDE * scaleFactor
-      ]);
+      Pv = mesh.points.map(([x, y]) => [x * scaleFactor, y * scaleFactor]);
+      tri = mesh.triangles;
 
-        // default hexagon: rotate to point-up
-      Pv = rotate2d(Pv, Math.PI/6);
-      const Tv3 = euclidean2torus(Pv);
+      const Tv3 = euclidean2torus(Pv, this.lattice);
       this.torusCoords = Tv3.map(([t1,t2]) => [t1, t2]);
-      spacing = scaleFactor * HEX_SIDE / (nGrid);
     } else if (this.shape === 'rhombus') {
       // Generate rhombus meshgrid in phase and Euclidean coords
-      let { phaseCoords, euclidCoords } = buildRhombusMeshGrid(nGrid);
+      let { phaseCoords, euclidCoords } = buildRhombusMeshGrid(nGrid, this.lattice);
 
       this.torusCoords = phaseCoords.map(([t1, t2]) => [
         t1 * scaleFactor,
@@ -83,14 +97,35 @@ export class GridTile {
         y * scaleFactor
       ]);
 
-      spacing = scaleFactor / nGrid;
+      // longest edge of a grid cell after triangulating along its short diagonal
+      const [e1, e2] = [this.lattice.e1, this.lattice.e2];
+      spacing = scaleFactor / nGrid * Math.max(
+        Math.hypot(...e1), Math.hypot(...e2),
+        Math.min(Math.hypot(e1[0] + e2[0], e1[1] + e2[1]), Math.hypot(e1[0] - e2[0], e1[1] - e2[1]))
+      );
+      // convert 1-based Delaunay output to 0-based indices
+      tri = constrainedDelaunay(Pv, spacing).map(([i, j, k]) => [i - 1, j - 1, k - 1]);
     }
 
-    tri = constrainedDelaunay(Pv, spacing);
-
     // Store base euclidean coords before any transform applied
     this.euclidCoords = Pv;
 
+    if (this.seamType === 'closed') {
+      this.quotient = identifySeams(this.torusCoords, tri);
+      const topology = checkTorusTopology(this.quotient.index, this.quotient.representatives.length);
+      if (!topology.isTorus) {
+        throw new Error(`Closed tile mesh is not a torus (Euler characteristic ${topology.chi}, `
+          + `${topology.boundaryEdges} boundary edges, ${topology.nonManifoldEdges} non-manifold edges)`);
+      }
+    }
+
+    // Interleaved [t1,t2,...] copy of torusCoords for the batch morphs
+    this.torusCoordsFlat = new Float64Array(2 * this.torusCoords.length);
+    this.torusCoords.forEach(([t1, t2], i) => {
+      this.torusCoordsFlat[2*i]   = t1;
+      this.torusCoordsFlat[2*i+1] = t2;
+    });
+
     // build BufferGeometry
     const geom = new THREE.BufferGeometry();
     const verts = [];
@@ -98,8 +133,7 @@ export class GridTile {
     geom.setAttribute('position', new THREE.Float32BufferAttribute(verts, 3));
     const indices = [];
     tri.forEach(([i, j, k]) => {
-      // Convert 1-based Delaunay output to 0-based indices
-      indices.push(i - 1, j - 1, k - 1);
+      indices.push(i, j, k);
     });
     geom.setIndex(indices);
     geom.computeVertexNormals();
@@ -140,17 +174,19 @@ export class GridTile {
     this.interiorGeom = new THREE.BufferGeometry();
     this.interiorGeom.setAttribute('position', geom.getAttribute('position'));
     this.interiorGeom.setAttribute('color',    geom.getAttribute('color'));
+    this.interiorGeom.setAttribute('normal',   geom.getAttribute('normal'));
     this.interiorGeom.setIndex(interiorIdx);
-    this.interiorGeom.computeVertexNormals();
 
     this.borderGeom = new THREE.BufferGeometry();
     this.borderGeom.setAttribute('position', geom.getAttribute('position'));
     this.borderGeom.setAttribute('color',    geom.getAttribute('color'));
+    this.borderGeom.setAttribute('normal',   geom.getAttribute('normal'));
     this.borderGeom.setIndex(borderIdx);
-    this.borderGeom.computeVertexNormals();
 
     this.scaleFactor    = options.scale    || (2 * Math.PI);
     this.positionOffset = options.position || [0, 0, 0];
+    // Lattice node the tile is centred on (tile units), set by GridTile.tile
+    this.center = [0, 0];
 
     // Material for data‐colored triangles
     this.faceMat = new THREE.MeshPhongMaterial({
@@ -290,6 +326,72 @@ export class GridTile {
     // this.edgeGeom.attributes.position.needsUpdate = true;
   }
 
+  /**
+   * Applies a batch transform function that writes all vertex positions
+   * in place, e.g. (tp, out) => F01_morphBatch(tp, p, out).
+   *
+   * With withDerivatives, fn also receives a derivative buffer to fill with
+   * the partial derivatives ∂/∂t1, ∂/∂t2 of each vertex (as written by the
+   * *_morphDerivBatch functions), and the normals are taken from their
+   * cross product instead of being averaged over faces.
+   * @param {function(Float64Array, Float32Array, Float64Array=): void} fn
+   *   Receives the interleaved [t1,t2,...] torus coords and the
+   *   interleaved [x,y,z,...] position array to fill.
+   * @param {boolean} [withDerivatives=false]
+   */
+  setTransformBatch(fn, withDerivatives = false) {
+    const posAttr = this.faceGeom.getAttribute('position');
+    if (!withDerivatives) {
+      fn(this.torusCoordsFlat, posAttr.array);
+      posAttr.needsUpdate = true;
+      this.faceGeom.computeVertexNormals();
+      return;
+    }
+    if (!this._derivs || this._derivs.length !== 2 * posAttr.array.length) {
+      this._derivs = new Float64Array(2 * posAttr.array.length);
+    }
+    fn(this.torusCoordsFlat, posAttr.array, this._derivs);
+    posAttr.needsUpdate = true;
+    const normalAttr = this.faceGeom.getAttribute('normal');
+    normalsFromDerivatives(this._derivs, normalAttr.array);
+    normalAttr.needsUpdate = true;
+  }
+
+  /**
+   * Closed torus geometry of a tile built with seamType 'closed': the
+   * sheet's current positions, normals and colors gathered onto the
+   * identified vertices, over the genus-1 index buffer. The result is only
+   * watertight in space where the morph closes the seams (F23 at p=1, the
+   * Clifford torus). The geometry is cached and refreshed on each call.
+   * @returns {THREE.BufferGeometry}
+   */
+  closedGeometry() {
+    if (!this.quotient) {
+      throw new Error("closedGeometry() needs a tile built with seamType 'closed'");
+    }
+    const { representatives, index } = this.quotient;
+    const n = representatives.length;
+    if (!this._closedGeom) {
+      this._closedGeom = new THREE.BufferGeometry();
+      ['position', 'normal', 'color'].forEach(name => {
+        this._closedGeom.setAttribute(name, new THREE.Float32BufferAttribute(new Float32Array(3 * n), 3));
+      });
+      this._closedGeom.setIndex(new THREE.BufferAttribute(index, 1));
+    }
+    ['position', 'normal', 'color'].forEach(name => {
+      const src = this.faceGeom.getAttribute(name).array;
+      const attr = this._closedGeom.getAttribute(name);
+      for (let i = 0; i < n; i++) {
+        const r = representatives[i];
+        attr.array[3*i]   = src[3*r];
+        attr.array[3*i+1] = src[3*r+1];
+        attr.array[3*i+2] = src[3*r+2];
+      }
+      attr.needsUpdate = true;
+    });
+    return this._closedGeom;
+  }
+
   /**
    * Applies a color mapping function to update vertex colors.
    * 
@@ -311,13 +413,22 @@ export class GridTile {
 
   /**
    * Create a new GridTile sharing geometry and torusCoords.
+   * @param {boolean} [deepCopy=false]   Copy all geometry.
+   * @param {boolean} [ownColors=false]  Share positions, normals and indices
+   *   but give the clone its own color buffer, so that it can show
+   *   different data.
    */
-  clone(deepCopy = false) {
+  clone(deepCopy = false, ownColors = false) {
     const c = Object.create(GridTile.prototype);
 
     // share coords and geom
     c.torusCoords = this.torusCoords;
+    c.torusCoordsFlat = this.torusCoordsFlat;
     c.euclidCoords = this.euclidCoords;
+    c.shape       = this.shape;
+    c.lattice     = this.lattice;
+    c.seamType    = this.seamType;
+    c.quotient    = this.quotient;
     c.faceGeom    = this.faceGeom;
     c.wireGeom    = this.wireGeom;
     c.edgeGeom    = this.edgeGeom;
@@ -334,6 +445,12 @@ export class GridTile {
       c.interiorGeom = c.interiorGeom.clone();
       c.borderGeom = c.borderGeom.clone();
     }
+    if (ownColors) {
+      const color = c.faceGeom.getAttribute('color').clone();
+      ['faceGeom', 'interiorGeom', 'borderGeom', 'pointsGeom'].forEach(k => {
+        c[k] = withColorAttribute(c[k], color);
+      });
+    }
 
     // share boundary coordinates and edge positions
     // c.boundaryTP = this.boundaryTP;
@@ -361,6 +478,7 @@ export class GridTile {
     // copy transforms
     c.scaleFactor    = this.scaleFactor;
     c.positionOffset = [...this.positionOffset];
+    c.center = [...this.center];
     c.setScale(c.scaleFactor);
     c.setPosition(c.positionOffset);
     c.setOpacity(this.opacity);
@@ -376,14 +494,19 @@ export class GridTile {
   }
 
   /**
-   * Create a grid of cloned tiles at centers from gridNodes(numRings).
+   * Create a grid of cloned tiles at the template lattice's nodes,
+   * gridNodes(numRings, template.lattice), the central tile first.
    * @param {GridTile}  template    A tile to clone.
    * @param {number}    numRings    Number of rings for tiling.
+   * @param {object}    [options]
+   * @param {boolean}   [options.ownColors=false]  Give every tile its own
+   *   color buffer (see clone()).
    */
-  static tile(template, numRings) {
-    const centers = gridNodes(numRings);
+  static tile(template, numRings, { ownColors = false } = {}) {
+    const centers = gridNodes(numRings, template.lattice);
     return centers.map(([cx, cy]) => {
-      const t = template.clone();
+      const t = template.clone(false, ownColors);
+      t.center = [cx, cy];
       t.setPosition([cx * template.scaleFactor, 0, cy * template.scaleFactor]);
       return t;
     });
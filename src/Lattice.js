@@ -0,0 +1,361 @@
+// Lattice.js
+// A 2-D Bravais lattice given by two basis vectors, with the geometry that
+// the tile/torus pipeline needs: lattice nodes, the Wigner–Seitz cell
+// (general form of the hexagonal phase tile), the fundamental parallelogram
+// (general form of the rhombus tile) and the forward/inverse phase maps.
+//
+// Phases are lattice coordinates scaled by 2π: a point u1·e1 + u2·e2 has
+// toroidal coordinates [t1,t2] = 2π[u1,u2] (and t3 = -(t1+t2)).
+
+const TWO_PI = 2 * Math.PI;
+
+// Positive modulo helper
+function mod(a, m) {
+  return ((a % m) + m) % m;
+}
+
+const dot = (a, b) => a[0] * b[0] + a[1] * b[1];
+
+// Clip a convex polygon to the half-plane p·v <= c (Sutherland–Hodgman)
+function clipHalfPlane(poly, v, c) {
+  const out = [];
+  for (let i = 0; i < poly.length; i++) {
+    const a = poly[i], b = poly[(i + 1) % poly.length];
+    const da = dot(a, v) - c, db = dot(b, v) - c;
+    if (da <= 0) out.push(a);
+    if ((da < 0 && db > 0) || (da > 0 && db < 0)) {
+      const s = da / (da - db);
+      out.push([a[0] + s * (b[0] - a[0]), a[1] + s * (b[1] - a[1])]);
+    }
+  }
+  return out;
+}
+
+/*
+ * Lattice of points n1·e1 + n2·e2 (n1, n2 integers). The phase maps use the
+ * basis exactly as given; nearest-node searches and the Wigner–Seitz cell
+ * use an internally Lagrange-reduced basis, so any basis of the same
+ * lattice gives the same cell.
+ */
+export class Lattice {
+  /**
+   * @param {[number,number]} [e1=[1,0]]         First basis vector.
+   * @param {[number,number]} [e2=[1/2,√3/2]]    Second basis vector.
+   */
+  constructor(e1 = [1, 0], e2 = [0.5, Math.sqrt(3) / 2]) {
+    this.e1 = [...e1];
+    this.e2 = [...e2];
+    this.det = e1[0] * e2[1] - e1[1] * e2[0];
+    if (!(Math.abs(this.det) > 1e-12 * dot(e1, e1) * dot(e2, e2))) {
+      throw new Error('Lattice basis vectors must be linearly independent');
+    }
+
+    // Lagrange (Gauss) reduction: shortest basis with an acute angle
+    let a = [...e1], b = [...e2];
+    for (;;) {
+      if (dot(b, b) < dot(a, a)) [a, b] = [b, a];
+      const ab = dot(a, b), aa = dot(a, a);
+      if (Math.abs(ab) <= aa / 2 * (1 + 1e-12)) break;
+      const mu = Math.round(ab / aa);
+      b = [b[0] - mu * a[0], b[1] - mu * a[1]];
+    }
+    if (dot(a, b) < 0) b = [-b[0], -b[1]];
+    // keep the reduced basis right-handed like the default hexagonal one
+    if (a[0] * b[1] - a[1] * b[0] < 0) [a, b] = [b, a];
+    this.reduced = [a, b];
+  }
+
+  /**
+   * Hexagonal lattice (60° between basis vectors).
+   * @param {number} [spacing=1]
+   * @param {number} [orientation=0]  Angle of e1 (radians).
+   * @returns {Lattice}
+   */
+  static hexagonal(spacing = 1, orientation = 0) {
+    return Lattice.oblique(spacing, spacing, Math.PI / 3, orientation);
+  }
+
+  /**
+   * Square lattice.
+   * @param {number} [spacing=1]
+   * @param {number} [orientation=0]  Angle of e1 (radians).
+   * @returns {Lattice}
+   */
+  static square(spacing = 1, orientation = 0) {
+    return Lattice.oblique(spacing, spacing, Math.PI / 2, orientation);
+  }
+
+  /**
+   * General lattice from side lengths and the angle between them.
+   * @param {number} a                Length of e1.
+   * @param {number} b                Length of e2.
+   * @param {number} angle            Angle from e1 to e2 (radians).
+   * @param {number} [orientation=0]  Angle of e1 (radians).
+   * @returns {Lattice}
+   */
+  static oblique(a, b, angle, orientation = 0) {
+    // exact values for the axis-aligned hexagonal lattice
+    const c = angle === Math.PI / 3 ? 0.5 : Math.cos(angle);
+    const s = angle === Math.PI / 3 ? Math.sqrt(3) / 2 : Math.sin(angle);
+    const co = Math.cos(orientation), so = Math.sin(orientation);
+    return new Lattice(
+      [a * co, a * so],
+      [b * (c * co - s * so), b * (c * so + s * co)]
+    );
+  }
+
+  /**
+   * Lattice (fractional) coordinates of a point.
+   * @param {[number,number]} pt  [x, y]
+   * @returns {[number,number]}   [u1, u2] with pt = u1·e1 + u2·e2
+   */
+  toLattice([x, y]) {
+    const [e1, e2] = [this.e1, this.e2];
+    return [
+      (e2[1] * x - e2[0] * y) / this.det,
+      (e1[0] * y - e1[1] * x) / this.det
+    ];
+  }
+
+  /**
+   * Point from lattice coordinates.
+   * @param {[number,number]} u  [u1, u2]
+   * @returns {[number,number]}  [x, y]
+   */
+  fromLattice([u1, u2]) {
+    return [
+      u1 * this.e1[0] + u2 * this.e2[0],
+      u1 * this.e1[1] + u2 * this.e2[1]
+    ];
+  }
+
+  /**
+   * Forward phase map of Euclidean points (unwrapped).
+   * @param {number[][]} pEuclidean  Array of [x,y].
+   * @returns {number[][]} Array of [t1,t2,t3] (radians).
+   */
+  toTorus(pEuclidean) {
+    return pEuclidean.map(pt => {
+      const [u1, u2] = this.toLattice(pt);
+      return [TWO_PI * u1, TWO_PI * u2, -TWO_PI * (u1 + u2)];
+    });
+  }
+
+  /**
+   * Batch form of toTorus over an interleaved [x,y,...] buffer, writing
+   * interleaved [t1,t2,t3,...] into out.
+   * @param {Float32Array|Float64Array} pEuclidean
+   * @param {Float32Array|Float64Array} [out]  Output buffer of length 3N.
+   * @returns {Float32Array|Float64Array} out
+   */
+  toTorusBatch(pEuclidean, out) {
+    const n = pEuclidean.length >> 1;
+    // (as torusUtils.checkBatchBuffer, which this module cannot import)
+    if (out && out.length < 3 * n) {
+      throw new Error(`Output buffer too short: ${out.length} values, need ${3 * n}`);
+    }
+    out = out || new Float64Array(3 * n);
+    const [e1, e2] = [this.e1, this.e2];
+    const k = TWO_PI / this.det;
+    for (let i = 0; i < n; i++) {
+      const x = pEuclidean[2 * i], y = pEuclidean[2 * i + 1];
+      const t1 = k * (e2[1] * x - e2[0] * y);
+      const t2 = k * (e1[0] * y - e1[1] * x);
+      out[3 * i]     = t1;
+      out[3 * i + 1] = t2;
+      out[3 * i + 2] = -(t1 + t2);
+    }
+    return out;
+  }
+
+  /**
+   * Inverse phase map (unwrapped); the redundant t3 is ignored.
+   * @param {number[][]} pTorus  Array of [t1,t2] or [t1,t2,t3] (radians).
+   * @returns {number[][]} Array of [x,y].
+   */
+  fromTorus(pTorus) {
+    return pTorus.map(([t1, t2]) => this.fromLattice([t1 / TWO_PI, t2 / TWO_PI]));
+  }
+
+  /**
+   * Reduce [x,y] to its nearest lattice node, writing the offset from that
+   * node and the node's integer coordinates (in the e1, e2 basis) into out
+   * as [xW, yW, n1, n2].
+   * @param {number} x
+   * @param {number} y
+   * @param {number[]} [out]
+   * @returns {number[]} out
+   */
+  reduce(x, y, out = [0, 0, 0, 0]) {
+    const [a, b] = this.reduced;
+    const d = a[0] * b[1] - a[1] * b[0];
+    const m1 = Math.floor((b[1] * x - b[0] * y) / d);
+    const m2 = Math.floor((a[0] * y - a[1] * x) / d);
+
+    // the reduced basis splits the enclosing cell into two non-obtuse
+    // triangles, so the nearest node is always one of its four corners
+    let bestDist = Infinity, nx = 0, ny = 0;
+    for (let i = 0; i <= 1; i++) {
+      for (let j = 0; j <= 1; j++) {
+        const px = (m1 + i) * a[0] + (m2 + j) * b[0];
+        const py = (m1 + i) * a[1] + (m2 + j) * b[1];
+        const dd = (x - px) * (x - px) + (y - py) * (y - py);
+        if (dd < bestDist) {
+          bestDist = dd;
+          nx = px; ny = py;
+        }
+      }
+    }
+    const { e1, e2, det } = this;
+    out[0] = x - nx; out[1] = y - ny;
+    out[2] = Math.round((e2[1] * nx - e2[0] * ny) / det);
+    out[3] = Math.round((e1[0] * ny - e1[1] * nx) / det);
+    return out;
+  }
+
+  /**
+   * Wrap a point into the Wigner–Seitz cell centred on the origin.
+   * @param {[number,number]} pt
+   * @returns {[number,number]}
+   */
+  wrapToCell([x, y]) {
+    const [xW, yW] = this.reduce(x, y);
+    return [xW, yW];
+  }
+
+  /**
+   * Wrap a point into the fundamental parallelogram {u1·e1 + u2·e2 : u ∈ [0,1)²}.
+   * @param {[number,number]} pt
+   * @returns {[number,number]}
+   */
+  wrapToParallelogram(pt) {
+    const [u1, u2] = this.toLattice(pt);
+    return this.fromLattice([mod(u1, 1), mod(u2, 1)]);
+  }
+
+  /**
+   * Lattice nodes around the origin, nearest first (ties counter-clockwise
+   * from +x), starting with [0,0]. For a hexagonal lattice these are the
+   * nodes within nRings steps, i.e. nRings hexagonal rings of 6k nodes each.
+   * Other lattices give the nodes within a disc of nRings neighbour
+   * distances, the neighbour distance being the longest of the three
+   * shortest node separations (so the square lattice's first ring holds all
+   * eight neighbours).
+   * @param {number} nRings
+   * @returns {number[][]} Array of [x,y].
+   */
+  nodes(nRings) {
+    const [a, b] = this.reduced;
+    const len = v => Math.hypot(v[0], v[1]);
+    const step = Math.max(len(a), len(b),
+      Math.min(len([a[0] + b[0], a[1] + b[1]]), len([a[0] - b[0], a[1] - b[1]])));
+    const radius = nRings * step * (1 + 1e-9);
+    const aa = dot(a, a);
+    const hexagonal = Math.abs(dot(b, b) - aa) < 1e-9 * aa && Math.abs(dot(a, b) - aa / 2) < 1e-9 * aa;
+    // |n1| <= radius·|b|/|det| and |n2| <= radius·|a|/|det|
+    const det = Math.abs(a[0] * b[1] - a[1] * b[0]);
+    const m1 = Math.floor(radius * len(b) / det), m2 = Math.floor(radius * len(a) / det);
+    const points = [];
+    for (let n1 = -m1; n1 <= m1; n1++) {
+      for (let n2 = -m2; n2 <= m2; n2++) {
+        const pt = [n1 * a[0] + n2 * b[0], n1 * a[1] + n2 * b[1]];
+        // hexagonal: steps ±a, ±b, ±(a - b) of the acute reduced basis
+        const inside = hexagonal
+          ? Math.max(Math.abs(n1), Math.abs(n2), Math.abs(n1 + n2)) <= nRings
+          : len(pt) <= radius;
+        if (inside) points.push(pt);
+      }
+    }
+    const tol = 1e-9 * step;
+    const angle = ([x, y]) => mod(Math.atan2(y, x), TWO_PI);
+    return points.sort((p, q) => {
+      const dr = len(p) - len(q);
+      return Math.abs(dr) > tol ? dr : angle(p) - angle(q);
+    });
+  }
+
+  /**
+   * Vertices of the Wigner–Seitz cell centred on the origin, counter-
+   * clockwise starting from the first vertex at or after the +y axis (a
+   * corner-up hexagon for the default lattice; a rectangle for rectangular
+   * lattices).
+   * @returns {number[][]} Array of [x,y].
+   */
+  wignerSeitz() {
+    if (this._cell) return this._cell.map(p => [...p]);
+    const [a, b] = this.reduced;
+    const R = 4 * (Math.hypot(...a) + Math.hypot(...b));
+    let poly = [[-R, -R], [R, -R], [R, R], [-R, R]];
+    const neighbours = [a, b, [a[0] - b[0], a[1] - b[1]], [a[0] + b[0], a[1] + b[1]]];
+    for (const v of neighbours) {
+      for (const s of [1, -1]) {
+        const w = [s * v[0], s * v[1]];
+        poly = clipHalfPlane(poly, w, dot(w, w) / 2);
+      }
+    }
+
+    // drop duplicate corners (where a bisector only touches the cell)
+    const tol = 1e-12 * R;
+    poly = poly.filter((p, i) => {
+      const q = poly[(i + 1) % poly.length];
+      return Math.hypot(p[0] - q[0], p[1] - q[1]) > tol;
+    });
+
+    // counter-clockwise from the +y axis
+    const start = Math.PI / 2 - 1e-9;
+    const key = ([x, y]) => mod(Math.atan2(y, x) - start, TWO_PI);
+    poly.sort((p, q) => key(p) - key(q));
+    this._cell = poly;
+    return poly.map(p => [...p]);
+  }
+
+  /**
+   * Corners of the fundamental parallelogram centred on the origin,
+   * ±e1/2 ± e2/2, counter-clockwise from -(e1+e2)/2.
+   * @returns {number[][]} Array of [x,y].
+   */
+  parallelogram() {
+    return [[-0.5, -0.5], [0.5, -0.5], [0.5, 0.5], [-0.5, 0.5]].map(u => this.fromLattice(u));
+  }
+
+  /**
+   * Triangle mesh of the Wigner–Seitz cell: a fan of one triangle per cell
+   * edge, each subdivided into nSub² triangles. Vertices on shared fan edges
+   * appear once.
+   * @param {number} nSub  Subdivisions from the centre to each corner.
+   * @returns {{points: number[][], triangles: number[][]}} Vertex [x,y]
+   *   coordinates and 0-based counter-clockwise triangle indices.
+   */
+  wignerSeitzMesh(nSub) {
+    const cell = this.wignerSeitz();
+    const points = [];
+    const index = new Map();
+    const vertex = (p, q, i, j) => {
+      const x = (i * p[0] + j * q[0]) / nSub;
+      const y = (i * p[1] + j * q[1]) / nSub;
+      const k = `${x.toFixed(9)},${y.toFixed(9)}`;
+      if (!index.has(k)) {
+        index.set(k, points.length);
+        points.push([x, y]);
+      }
+      return index.get(k);
+    };
+
+    const triangles = [];
+    cell.forEach((p, c) => {
+      const q = cell[(c + 1) % cell.length];
+      for (let i = 0; i < nSub; i++) {
+        for (let j = 0; i + j < nSub; j++) {
+          triangles.push([vertex(p, q, i, j), vertex(p, q, i + 1, j), vertex(p, q, i, j + 1)]);
+          if (i + j < nSub - 1) {
+            triangles.push([vertex(p, q, i + 1, j), vertex(p, q, i + 1, j + 1), vertex(p, q, i, j + 1)]);
+          }
+        }
+      }
+    });
+    return { points, triangles };
+  }
+}
+
+/** The default lattice: spacing 1, e1 = [1,0], e2 = [1/2,√3/2]. */
+export const HEX_LATTICE = Lattice.hexagonal();
@@ -0,0 +1,56 @@
+/*
+ * MetricsPanel shows a text table of metric distortion and curvature per
+ * animation stage (see surfaceMetrics.distortionSummary), with the live
+ * values of the current frame underneath.
+ */
+export class MetricsPanel {
+  constructor(options = {}) {
+    this.el = document.createElement('pre');
+    Object.assign(this.el.style, {
+      position: 'absolute',
+      bottom: '10px',
+      left: '10px',
+      zIndex: 1,
+      margin: 0,
+      padding: '6px 8px',
+      color: '#fff',
+      font: '11px monospace',
+      background: 'rgba(0,0,0,0.6)'
+    });
+    (options.parent || document.body).appendChild(this.el);
+    this.rows = [];
+    this.setVisibility(false);
+  }
+
+  /** Show or hide the panel */
+  setVisibility(visible) {
+    this.el.style.display = visible ? 'block' : 'none';
+    this.visible = visible;
+  }
+
+  /**
+   * Set the per-stage rows.
+   * @param {Array<{name: string, summary: object}>} rows
+   */
+  setStages(rows) {
+    this.rows = rows;
+  }
+
+  /**
+   * Redraw the table with the current frame's summary.
+   * @param {object} current  distortionSummary() of the current frame.
+   * @param {string} [label]
+   */
+  update(current, label = 'current') {
+    const fmt = (name, s) =>
+      `${name.padEnd(10)} ${(100 * s.areaError).toFixed(1).padStart(7)} ` +
+      `${s.lengthError.toFixed(3).padStart(7)} ${s.totalGaussian.toFixed(2).padStart(8)} ` +
+      `${s.meanAbsH.toFixed(2).padStart(7)}`;
+    const lines = [
+      'stage       area%  RMS log2L   ∫K dA   <|H|>',
+      ...this.rows.map(r => fmt(r.name, r.summary)),
+      fmt(label, current)
+    ];
+    this.el.textContent = lines.join('\n');
+  }
+}
@@ -0,0 +1,64 @@
+import * as THREE from 'three';
+import { HEX_LATTICE } from './Lattice.js';
+import { wrapPhases } from './PhaseTrail.js';
+
+/*
+ * PhaseMarkers draws one dot per toroidal phase [t1,t2] (e.g. the phases
+ * of fitted grid cells, see gridFit.js) on top of a GridTile. Like
+ * PhaseTrail, the phases are wrapped into the tile's phase domain and the
+ * markers follow the morphing surface through setTransformBatch, so they
+ * sit on the tile and on the torus alike.
+ */
+export class PhaseMarkers {
+  constructor(options = {}) {
+    this.shape = options.shape || 'hexagon';
+    this.lattice = options.lattice || HEX_LATTICE;
+    this.geom = new THREE.BufferGeometry();
+    this.mat = new THREE.PointsMaterial({
+      size: options.size ?? 8,
+      sizeAttenuation: false,
+      vertexColors: true,
+      depthTest: false
+    });
+    this.mesh = new THREE.Points(this.geom, this.mat);
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = 3;
+    this.setPhases(options.phases || [], options.colors);
+  }
+
+  /**
+   * Replace the markers.
+   * @param {number[][]} phases    Array of [t1,t2] (radians).
+   * @param {number[][]} [colors]  [r,g,b] per marker (default white).
+   */
+  setPhases(phases, colors) {
+    this.phases = phases;
+    this.colors = colors;
+    const n = phases.length;
+    this.torusCoordsFlat = new Float64Array(2 * n);
+    wrapPhases(phases, this.shape, this.lattice).forEach(([t1, t2], i) => {
+      this.torusCoordsFlat[2*i]   = t1;
+      this.torusCoordsFlat[2*i+1] = t2;
+    });
+    const color = new Float32Array(3 * n).fill(1);
+    if (colors) colors.forEach((c, i) => color.set(c, 3 * i));
+    this.geom.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(3 * n), 3));
+    this.geom.setAttribute('color', new THREE.Float32BufferAttribute(color, 3));
+  }
+
+  /**
+   * Applies a batch transform function to the markers; see
+   * GridTile.setTransformBatch.
+   * @param {function(Float64Array, Float32Array): void} fn
+   */
+  setTransformBatch(fn) {
+    const posAttr = this.geom.getAttribute('position');
+    fn(this.torusCoordsFlat, posAttr.array);
+    posAttr.needsUpdate = true;
+  }
+
+  /** Show or hide the markers */
+  setVisibility(visible) {
+    this.mesh.visible = visible;
+  }
+}
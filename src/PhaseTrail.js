@@ -0,0 +1,88 @@
+import * as THREE from 'three';
+import { torus2euclidean, euclidean2torus } from './torusUtils.js';
+import { HEX_LATTICE } from './Lattice.js';
+
+/**
+ * Wrap toroidal phases into the phase domain of a tile.
+ * @param {number[][]} phases  Array of [t1,t2] (radians).
+ * @param {string} shape       'hexagon' | 'rhombus'
+ * @param {Lattice} lattice    The tile's lattice.
+ * @returns {number[][]}
+ */
+export function wrapPhases(phases, shape, lattice) {
+  if (shape === 'rhombus') {
+    const twoPi = 2 * Math.PI;
+    const w = t => t - twoPi * Math.floor((t + Math.PI) / twoPi);
+    return phases.map(([t1, t2]) => [w(t1), w(t2)]);
+  }
+  return euclidean2torus(torus2euclidean(phases, 'hexagon', lattice), lattice);
+}
+
+/*
+ * PhaseTrail draws a trajectory of toroidal phases [t1,t2] (e.g. the output
+ * of the phase decoder) on top of a GridTile. Phases are wrapped into the
+ * tile's own phase domain (of the tile's lattice), and the same batch transform functions used by
+ * GridTile.setTransformBatch move the trail with the morphing surface.
+ * Segments that cross a tile seam are dropped, so that the trail never
+ * jumps across the tile.
+ */
+export class PhaseTrail {
+  constructor(options = {}) {
+    this.shape = options.shape || 'hexagon';
+    this.lattice = options.lattice || HEX_LATTICE;
+    this.geom  = new THREE.BufferGeometry();
+    this.mat   = new THREE.LineBasicMaterial({
+      color: options.color ?? 0xffffff,
+      transparent: true,
+      depthTest: false
+    });
+    this.mesh = new THREE.LineSegments(this.geom, this.mat);
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = 2;
+    this.setPhases(options.phases || []);
+  }
+
+  /**
+   * Replace the phases drawn by the trail.
+   * @param {number[][]} phases  Array of [t1,t2] (radians).
+   */
+  setPhases(phases) {
+    this.phases = phases;
+    const n = phases.length;
+    // wrap into the tile's phase domain
+    const wrapped = wrapPhases(phases, this.shape, this.lattice);
+    this.torusCoordsFlat = new Float64Array(2 * n);
+    wrapped.forEach(([t1, t2], i) => {
+      this.torusCoordsFlat[2*i]   = t1;
+      this.torusCoordsFlat[2*i+1] = t2;
+    });
+
+    // connect consecutive phases unless they wrapped across a seam
+    const indices = [];
+    for (let i = 0; i + 1 < n; i++) {
+      const d1 = Math.abs(wrapped[i+1][0] - wrapped[i][0]);
+      const d2 = Math.abs(wrapped[i+1][1] - wrapped[i][1]);
+      if (d1 < Math.PI && d2 < Math.PI && d1 + d2 < Math.PI) {
+        indices.push(i, i + 1);
+      }
+    }
+    this.geom.setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(3 * n), 3));
+    this.geom.setIndex(indices);
+  }
+
+  /**
+   * Applies a batch transform function to the trail vertices; see
+   * GridTile.setTransformBatch.
+   * @param {function(Float64Array, Float32Array): void} fn
+   */
+  setTransformBatch(fn) {
+    const posAttr = this.geom.getAttribute('position');
+    fn(this.torusCoordsFlat, posAttr.array);
+    posAttr.needsUpdate = true;
+  }
+
+  /** Show or hide the trail */
+  setVisibility(visible) {
+    this.mesh.visible = visible;
+  }
+}
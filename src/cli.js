@@ -0,0 +1,342 @@
+#!/usr/bin/env node
+// cli.js
+// Headless generation of tiles, morphs and per-vertex data, for scripted
+// figures and regression checks. Builds the same GridTile geometry as the
+// browser app and writes it as JSON, CSV or a mesh file.
+//
+//   node src/cli.js --shape hexagon --stage torus --p 0.5 --data gridCells \
+//     --format ply --out torus.ply
+//   node src/cli.js --data imported --import positions.csv --import spikes.csv
+//   node src/cli.js --data phaseMap --import session.mat --fold-spacing 45
+//   node src/cli.js --fit --import session.mat --out fits.csv
+//
+// Run with --help for all options.
+
+import { parseArgs } from 'node:util';
+import { readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { GridTile } from './GridTile.js';
+import { Lattice } from './Lattice.js';
+import { F01_morphBatch, F12_morphBatch, F23_morphBatch, clifford_morphBatch,
+         rotation4d } from './torusUtils.js';
+import { exportMesh, MESH_FORMATS } from './meshExport.js';
+import { DATA_MODES, populationFromSettings, populationColors,
+         normalizedRates, parseCellList, phaseValues, phaseColors, metricValues,
+         divergingColor, rateColors } from './vertexData.js';
+import { readDataFile, recordedMaps, recordedTrains, sampleRateMap, fitMapSpacing } from './dataImport.js';
+import { phaseRateMap, samplePhaseMap } from './phaseFold.js';
+import { fitGridCells, fitsToCSV } from './gridFit.js';
+
+const SCALE = 2 * Math.PI;
+
+// Stage name → batch morph (tp, p, out, rotation, lattice)
+const STAGE_MORPHS = {
+  cylinder: (tp, p, out, rotation, lattice) => F01_morphBatch(tp, p, out, 2 * Math.PI, lattice),
+  twist: (tp, p, out, rotation, lattice) => F12_morphBatch(tp, p, out, 2 * Math.PI, lattice),
+  torus: (tp, p, out, rotation, lattice) => F23_morphBatch(tp, p, out, 1, 2, 'center', lattice),
+  clifford: (tp, p, out, rotation, lattice) => clifford_morphBatch(tp, p, out, rotation, 1, lattice)
+};
+
+const FORMATS = ['json', 'csv', ...Object.keys(MESH_FORMATS)];
+
+const OPTIONS = {
+  shape:             { type: 'string', default: 'hexagon',   help: 'hexagon | rhombus' },
+  ngrid:             { type: 'string', default: '30',        help: 'tile grid resolution (NGRID)' },
+  seam:              { type: 'string', default: 'exact',     help: 'exact | overlapping | closed (quotient torus mesh)' },
+  lattice:           { type: 'string', default: 'hexagonal', help: 'hexagonal | square | oblique' },
+  ratio:             { type: 'string', default: '1',         help: 'oblique lattice |e2|/|e1|' },
+  angle:             { type: 'string', default: '60',        help: 'oblique lattice angle (degrees)' },
+  stage:             { type: 'string', default: 'torus',     help: Object.keys(STAGE_MORPHS).join(' | ') },
+  p:                 { type: 'string', default: '1',         help: 'morph parameter in [0,1]' },
+  rotate:            { type: 'string', default: '0,0,0,0,0,0', help: 'clifford 4-D rotation xy,xz,xw,yz,yw,zw (degrees)' },
+  data:              { type: 'string', default: 'torus1',    help: DATA_MODES.join(' | ') },
+  spacing:           { type: 'string', default: '1',         help: 'grid-cell spacing' },
+  orientation:       { type: 'string', default: '0',         help: 'grid-cell orientation (degrees)' },
+  ellipticity:       { type: 'string', default: '1',         help: 'grid-cell ellipticity' },
+  'ellipse-angle':   { type: 'string', default: '0',         help: 'ellipse axis (degrees)' },
+  'rate-jitter':     { type: 'string', default: '0',         help: 'field-to-field rate jitter' },
+  profile:           { type: 'string', default: 'gaussian',  help: 'gaussian | vonMises | cosine' },
+  sigma:             { type: 'string', default: '0.1',       help: 'field width' },
+  modules:           { type: 'string', default: '1',         help: 'number of grid modules' },
+  'cells-per-module': { type: 'string', default: '3',        help: 'cells per module' },
+  'phase-mode':      { type: 'string', default: 'uniform',   help: 'uniform | jittered' },
+  seed:              { type: 'string', default: '1',         help: 'population seed' },
+  cells:             { type: 'string', default: '0,1,2',     help: 'cell ids written for --data gridCells' },
+  display:           { type: 'string', default: 'subset',    help: 'gridCells colouring: subset | sum' },
+  import:            { type: 'string', multiple: true,       help: 'rate map, position or spike file for --data imported (repeatable)' },
+  map:               { type: 'string', default: '0',         help: 'imported map written: index or name' },
+  'map-spacing':     { type: 'string', default: '0',         help: 'map units per tile unit (0: fit the tile in the map)' },
+  'map-orientation': { type: 'string', default: '0',         help: 'tile rotation on the map (degrees)' },
+  'bin-size':        { type: 'string', default: '0',         help: 'spike-train bin size in map units (0: automatic)' },
+  spikes:            { type: 'string', default: '0',         help: 'imported spike train folded for --data phaseMap: index or name' },
+  'fold-spacing':    { type: 'string', default: '1',         help: 'grid spacing of the folded cell (arena units)' },
+  'fold-orientation': { type: 'string', default: '0',        help: 'grid orientation of the folded cell (degrees)' },
+  'phase-bins':      { type: 'string', default: '32',        help: 'phase bins per axis' },
+  'phase-sigma':     { type: 'string', default: '0.05',      help: 'phase-map smoothing (fraction of the spacing)' },
+  fit:               { type: 'boolean',                      help: 'fit the grid-cell model to every imported map and write a CSV table instead of a tile' },
+  'fit-method':      { type: 'string', default: 'lsq',       help: 'grid fit: lsq | poisson' },
+  format:            { type: 'string', default: 'json',      help: FORMATS.join(' | ') },
+  scale:             { type: 'string', default: '1',         help: 'mesh units per tile unit' },
+  out:               { type: 'string', short: 'o',           help: 'output file (default: stdout)' },
+  help:              { type: 'boolean', short: 'h',          help: 'show this help' }
+};
+
+function usage() {
+  const lines = ['Usage: node src/cli.js [options]', ''];
+  Object.entries(OPTIONS).forEach(([name, o]) => {
+    const def = o.default !== undefined && o.type === 'string' ? ` (default ${o.default})` : '';
+    lines.push(`  --${name.padEnd(18)} ${o.help}${def}`);
+  });
+  return lines.join('\n');
+}
+
+function number(args, name) {
+  const v = Number(args[name]);
+  if (!Number.isFinite(v)) throw new Error(`--${name} must be a number, got '${args[name]}'`);
+  return v;
+}
+
+function numberIn(args, name, [lo, hi]) {
+  const v = Number(args[name]);
+  if (!(v >= lo && v <= hi)) throw new Error(`--${name} must be a number in [${lo}, ${hi}], got '${args[name]}'`);
+  return v;
+}
+
+function positiveNumber(args, name) {
+  const v = Number(args[name]);
+  if (!(Number.isFinite(v) && v > 0)) throw new Error(`--${name} must be a positive number, got '${args[name]}'`);
+  return v;
+}
+
+function positiveInteger(args, name) {
+  const v = Number(args[name]);
+  if (!(Number.isInteger(v) && v > 0)) throw new Error(`--${name} must be a positive integer, got '${args[name]}'`);
+  return v;
+}
+
+function numberList(args, name, length) {
+  const v = String(args[name]).split(',').map(a => a.trim() ? Number(a) : NaN);
+  if (v.length !== length || !v.every(Number.isFinite)) {
+    throw new Error(`--${name} must be ${length} comma-separated numbers, got '${args[name]}'`);
+  }
+  return v;
+}
+
+function choice(args, name, values) {
+  if (!values.includes(args[name])) {
+    throw new Error(`--${name} must be one of ${values.join(', ')}, got '${args[name]}'`);
+  }
+  return args[name];
+}
+
+function latticeFromArgs(args) {
+  const type = choice(args, 'lattice', ['hexagonal', 'square', 'oblique']);
+  if (type === 'square') return Lattice.square();
+  if (type === 'oblique') return Lattice.oblique(1, number(args, 'ratio'), number(args, 'angle') * Math.PI / 180);
+  return Lattice.hexagonal();
+}
+
+/**
+ * Rate maps, tracking and spike trains of data files (see
+ * dataImport.readDataFile).
+ * @param {string[]} paths
+ * @param {number} [binSize=0]  Spike-train bin size (0: automatic).
+ * @returns {Promise<{maps: object[], tracking: object|null, spikes: object[]}>}
+ */
+export async function loadData(paths, binSize = 0) {
+  const files = await Promise.all(paths.map(path => readDataFile(path, readFileSync(path))));
+  return { maps: recordedMaps(files, { binSize }), ...recordedTrains(files) };
+}
+
+// Entry of a list by index or name
+function select(list, key, option, what) {
+  if (!list.length) throw new Error(`--data ${what} needs an --import file with ${what === 'imported' ? 'rate maps or spikes' : 'positions and spikes'}`);
+  const item = /^\d+$/.test(key) ? list[Number(key)] : list.find(m => m.name === key);
+  if (!item) throw new Error(`--${option} '${key}' not found; choices are ${list.map(m => m.name).join(', ')}`);
+  return item;
+}
+
+/**
+ * Build a tile, morph it and compute its per-vertex data.
+ * @param {object} args  Parsed option values (strings, as from parseArgs).
+ * @param {object} [data]  Imported recordings, from loadData.
+ * @param {object[]} [data.maps=[]]    Rate maps for --data imported.
+ * @param {object}   [data.tracking]   Positions and
+ * @param {object[]} [data.spikes=[]]  spike trains for --data phaseMap.
+ * @returns {{tile: GridTile, geometry: THREE.BufferGeometry,
+ *   torusCoords: number[][], columns: Object<string, ArrayLike<number>>}}
+ *   geometry carries the morphed positions, normals and data colours; for
+ *   --seam closed it is the quotient mesh and the other fields follow its
+ *   vertices.
+ */
+export function generate(args, { maps = [], tracking = null, spikes = [] } = {}) {
+  const shape = choice(args, 'shape', ['hexagon', 'rhombus']);
+  const seamType = choice(args, 'seam', ['exact', 'overlapping', 'closed']);
+  const stage = choice(args, 'stage', Object.keys(STAGE_MORPHS));
+  const mode = choice(args, 'data', DATA_MODES);
+  const p = numberIn(args, 'p', [0, 1]);
+  const rotation = rotation4d(numberList(args, 'rotate', 6).map(a => a * Math.PI / 180));
+
+  const tile = new GridTile(positiveInteger(args, 'ngrid'), { scale: SCALE, shape, lattice: latticeFromArgs(args), seamType });
+  const morph = STAGE_MORPHS[stage];
+  tile.setTransformBatch((tp, out) => {
+    morph(tp, p, out, rotation, tile.lattice);
+    for (let i = 0; i < out.length; i++) out[i] /= SCALE;
+  });
+  const positions = tile.faceGeom.getAttribute('position').array;
+  const index = tile.faceGeom.index.array;
+
+  // Per-vertex columns and colours on the open sheet
+  const columns = {};
+  let colors;
+  if (mode.startsWith('torus')) {
+    const channel = parseInt(mode.slice(-1), 10) - 1;
+    columns[`phase${channel + 1}`] = phaseValues(tile.torusCoords, channel);
+    colors = phaseColors(tile.torusCoords, channel);
+  } else if (mode === 'gridCells') {
+    const population = populationFromSettings({
+      spacing: number(args, 'spacing'),
+      orientation: number(args, 'orientation'),
+      ellipticity: number(args, 'ellipticity'),
+      ellipseAngle: number(args, 'ellipse-angle'),
+      rateJitter: number(args, 'rate-jitter'),
+      profile: choice(args, 'profile', ['gaussian', 'vonMises', 'cosine']),
+      sigma: number(args, 'sigma')
+    }, {
+      nModules: positiveInteger(args, 'modules'),
+      cellsPerModule: positiveInteger(args, 'cells-per-module'),
+      spacingRatio: 1.42,
+      orientationStep: 0,
+      phaseMode: choice(args, 'phase-mode', ['uniform', 'jittered']),
+      seed: number(args, 'seed')
+    });
+    const display = choice(args, 'display', ['subset', 'sum']);
+    const ids = parseCellList(args.cells, population.length);
+    if (ids.length !== args.cells.split(',').length) {
+      throw new Error(`--cells must be ids below ${population.length}, got '${args.cells}'`);
+    }
+    ids.forEach(id => {
+      columns[`cell${id}`] = normalizedRates(population[id], tile.euclidCoords);
+    });
+    colors = populationColors(population, tile.euclidCoords, { display, cells: args.cells });
+  } else if (mode === 'imported') {
+    const map = select(maps, args.map, 'map', 'imported');
+    const rates = sampleRateMap(map, tile.euclidCoords, {
+      spacing: number(args, 'map-spacing') || fitMapSpacing(map, tile.euclidCoords),
+      orientation: number(args, 'map-orientation') * Math.PI / 180
+    });
+    columns.rate = rates;
+    colors = rateColors(rates);
+  } else if (mode === 'phaseMap') {
+    const train = select(spikes, args.spikes, 'spikes', 'phaseMap');
+    const map = phaseRateMap(tracking, train, {
+      spacing: number(args, 'fold-spacing'),
+      orientation: number(args, 'fold-orientation') * Math.PI / 180,
+      bins: number(args, 'phase-bins'),
+      sigma: number(args, 'phase-sigma'),
+      lattice: tile.lattice
+    });
+    columns.rate = samplePhaseMap(map, tile.torusCoords);
+    colors = rateColors(columns.rate);
+  } else {
+    const flat = F01_morphBatch(tile.torusCoordsFlat, 0, new Float64Array(positions.length), 2 * Math.PI, tile.lattice)
+      .map(v => v / SCALE);
+    const { values, scale } = metricValues(mode, positions, flat, index);
+    columns[mode] = values;
+    colors = Array.from(values, v => divergingColor(v / scale));
+  }
+  tile.setColorMap((tpt, i) => colors[i]);
+
+  if (seamType !== 'closed') {
+    return { tile, geometry: tile.faceGeom, torusCoords: tile.torusCoords, columns };
+  }
+
+  // Quotient mesh: gather onto the identified vertices, and recompute the
+  // curvatures there so that the seams are no longer a boundary
+  const geometry = tile.closedGeometry();
+  const { representatives } = tile.quotient;
+  const gather = values => Float64Array.from(representatives, r => values[r]);
+  Object.keys(columns).forEach(k => { columns[k] = gather(columns[k]); });
+  if (mode === 'gaussianCurvature' || mode === 'meanCurvature') {
+    const closedPos = geometry.getAttribute('position').array;
+    const closedIdx = geometry.index.array;
+    const { values, scale } = metricValues(mode, closedPos, closedPos, closedIdx);
+    columns[mode] = values;
+    const colorAttr = geometry.getAttribute('color');
+    values.forEach((v, i) => colorAttr.setXYZ(i, ...divergingColor(v / scale)));
+  }
+  const torusCoords = Array.from(representatives, r => tile.torusCoords[r]);
+  return { tile, geometry, torusCoords, columns };
+}
+
+const fmt = v => Number.isFinite(v) ? +v.toFixed(6) : v;
+
+/**
+ * Serialize the output of generate() in one of FORMATS.
+ * @param {object} result  From generate().
+ * @param {string} format
+ * @param {object} [meta]  Settings recorded in the JSON output.
+ * @returns {string|ArrayBuffer}
+ */
+export function serialize({ geometry, torusCoords, columns }, format, meta = {}) {
+  const positions = geometry.getAttribute('position').array;
+  const names = Object.keys(columns);
+  if (format === 'csv') {
+    const lines = [['t1', 't2', 'x', 'y', 'z', ...names].join(',')];
+    torusCoords.forEach(([t1, t2], i) => {
+      const row = [t1, t2, positions[3*i], positions[3*i+1], positions[3*i+2], ...names.map(k => columns[k][i])];
+      lines.push(row.map(fmt).join(','));
+    });
+    return lines.join('\n') + '\n';
+  }
+  if (format === 'json') {
+    // NaN (curvature on the sheet boundary) is written as null
+    return JSON.stringify({
+      ...meta,
+      torusCoords: torusCoords.map(([t1, t2]) => [fmt(t1), fmt(t2)]),
+      positions: Array.from(positions, fmt),
+      index: Array.from(geometry.index.array),
+      columns: Object.fromEntries(names.map(k => [k, Array.from(columns[k], fmt)]))
+    });
+  }
+  return exportMesh(geometry, format, { scale: Number(meta.scale ?? 1) }).data;
+}
+
+async function main(argv) {
+  const options = Object.fromEntries(Object.entries(OPTIONS)
+    .map(([name, { help, ...o }]) => [name, o]));
+  const { values: args } = parseArgs({ args: argv, options });
+  if (args.help) {
+    console.log(usage());
+    return;
+  }
+  const recordings = args.import ? await loadData(args.import, number(args, 'bin-size')) : {};
+  if (args.fit) {
+    if (!recordings.maps?.length) throw new Error('--fit needs an --import file with rate maps or spikes');
+    const method = choice(args, 'fit-method', ['lsq', 'poisson']);
+    write(args.out, fitsToCSV(fitGridCells(recordings.maps, { method })));
+    return;
+  }
+  const format = choice(args, 'format', FORMATS);
+  const scale = positiveNumber(args, 'scale');
+  const result = generate(args, recordings);
+  const meta = {
+    shape: args.shape, ngrid: Number(args.ngrid), seam: args.seam, lattice: args.lattice,
+    stage: args.stage, p: Number(args.p), data: args.data, scale
+  };
+  write(args.out, serialize(result, format, meta));
+}
+
+// Output (string or ArrayBuffer) to a file, or stdout without one
+function write(path, data) {
+  const bytes = typeof data === 'string' ? data : Buffer.from(data);
+  if (path) writeFileSync(path, bytes);
+  else process.stdout.write(bytes);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main(process.argv.slice(2)).catch(err => {
+    console.error(`Error: ${err.message}\n\n${usage()}`);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,601 @@
+// dataImport.js
+// Loaders for recorded data: binned rate maps (CSV, JSON, NumPy .npy,
+// MATLAB v5 .mat) and position plus spike-time tables, binned into rate
+// maps and resampled onto tile vertices. Parsers take file contents, not
+// paths, so the same code serves the GUI file picker and Node (cli.js).
+//
+// A rate map is
+//   { name, values: Float64Array, shape: [ny, nx], extent: [xmin, xmax, ymin, ymax] }
+// with values row-major and row 0 at ymin; a tracking table is
+//   { t, x, y }  (Float64Arrays of equal length)
+// and a spike train is { name, times } or { name, counts } (spikes per
+// tracking sample).
+
+import { interpolatePosition } from './trajectory.js';
+
+// Variable and column names recognised in tables, JSON documents and
+// MAT-files (lower case)
+const NAMES = {
+  t: ['t', 'time', 'times', 'timestamp', 'timestamps', 'post'],
+  x: ['x', 'posx', 'pos_x'],
+  y: ['y', 'posy', 'pos_y'],
+  pos: ['pos', 'position', 'positions', 'tracking'],
+  spikes: ['spikes', 'spiketimes', 'spike_times', 'spiketime', 'spike_time', 'st', 'ts', 'cellts'],
+  cell: ['cell', 'unit', 'cluster', 'neuron'],
+  extent: ['extent'],
+  binSize: ['binsize', 'bin_size']
+};
+
+const nameIs = (key, kind) => NAMES[kind].includes(String(key).toLowerCase());
+
+/** File extensions readDataFile understands. */
+export const DATA_FILE_TYPES = ['.csv', '.tsv', '.txt', '.json', '.npy', '.mat'];
+
+// --- Rate maps ------------------------------------------------------
+
+/**
+ * Build a rate map, checking its shape and extent.
+ * @param {ArrayLike<number>} values  Row-major, row 0 at ymin.
+ * @param {number[]} shape            [ny, nx]
+ * @param {object} [options]
+ * @param {string} [options.name='map']
+ * @param {number[]} [options.extent]   [xmin, xmax, ymin, ymax]; defaults to
+ *   binSize-wide bins from the origin.
+ * @param {number} [options.binSize=1]
+ * @returns {object} Rate map.
+ */
+export function makeRateMap(values, shape, { name = 'map', extent, binSize = 1 } = {}) {
+  const [ny, nx] = shape;
+  if (shape.length !== 2 || !(ny >= 1 && nx >= 1) || values.length !== ny * nx) {
+    throw new Error(`${name}: rate map needs ny × nx values, got shape [${shape}] with ${values.length}`);
+  }
+  extent ??= [0, nx * binSize, 0, ny * binSize];
+  if (extent.length !== 4 || !extent.every(Number.isFinite) ||
+      !(extent[1] > extent[0] && extent[3] > extent[2])) {
+    throw new Error(`${name}: extent must be [xmin, xmax, ymin, ymax] with xmin < xmax, ymin < ymax`);
+  }
+  return { name, values: Float64Array.from(values), shape: [ny, nx], extent: [...extent] };
+}
+
+/**
+ * Bilinear samples of a rate map at tile points. The tile is centred on
+ * `center` and scaled by `spacing` (map units per tile unit) after rotating
+ * it by `orientation`. Points outside the map extent, or whose surrounding
+ * bins are all NaN (unvisited), are NaN.
+ * @param {object} map
+ * @param {number[][]} points  [x, y] in tile units.
+ * @param {object} [options]
+ * @param {number[]} [options.center]       Default: centre of the extent.
+ * @param {number}   [options.spacing=1]
+ * @param {number}   [options.orientation=0] Radians.
+ * @returns {Float64Array}
+ */
+export function sampleRateMap(map, points, { center, spacing = 1, orientation = 0 } = {}) {
+  const { values, shape: [ny, nx], extent: [x0, x1, y0, y1] } = map;
+  const [cx, cy] = center ?? [(x0 + x1) / 2, (y0 + y1) / 2];
+  const dx = (x1 - x0) / nx, dy = (y1 - y0) / ny;
+  const c = Math.cos(orientation) * spacing, s = Math.sin(orientation) * spacing;
+  const out = new Float64Array(points.length);
+  points.forEach(([u, v], k) => {
+    const x = cx + c * u - s * v;
+    const y = cy + s * u + c * v;
+    if (!(x >= x0 && x <= x1 && y >= y0 && y <= y1)) {
+      out[k] = NaN;
+      return;
+    }
+    // Fractional bin-centre coordinates, clamped to the outer centres
+    const fx = Math.min(Math.max((x - x0) / dx - 0.5, 0), nx - 1);
+    const fy = Math.min(Math.max((y - y0) / dy - 0.5, 0), ny - 1);
+    const i0 = Math.min(Math.floor(fx), Math.max(nx - 2, 0));
+    const j0 = Math.min(Math.floor(fy), Math.max(ny - 2, 0));
+    const ax = fx - i0, ay = fy - j0;
+    let sum = 0, weight = 0;
+    for (let dj = 0; dj < 2; dj++) {
+      for (let di = 0; di < 2; di++) {
+        const i = Math.min(i0 + di, nx - 1), j = Math.min(j0 + dj, ny - 1);
+        const w = (di ? ax : 1 - ax) * (dj ? ay : 1 - ay);
+        const val = values[j * nx + i];
+        if (w > 0 && Number.isFinite(val)) {
+          sum += w * val;
+          weight += w;
+        }
+      }
+    }
+    out[k] = weight > 0 ? sum / weight : NaN;
+  });
+  return out;
+}
+
+/**
+ * Spacing for sampleRateMap that fits the points inside the map, centred.
+ * @param {object} map
+ * @param {number[][]} points
+ * @returns {number} Map units per tile unit.
+ */
+export function fitMapSpacing(map, points) {
+  const [x0, x1, y0, y1] = map.extent;
+  const radius = points.reduce((r, [u, v]) => Math.max(r, Math.hypot(u, v)), 0) || 1;
+  return Math.min(x1 - x0, y1 - y0) / 2 / radius;
+}
+
+/**
+ * Occupancy-normalised rate map of a spike train along a tracked path.
+ * Each tracking sample holds for the interval to the next one; spike times
+ * are placed by interpolating the path.
+ * @param {{t: ArrayLike<number>, x: ArrayLike<number>, y: ArrayLike<number>}} tracking
+ * @param {{name?: string, times?: ArrayLike<number>, counts?: ArrayLike<number>}} spikes
+ * @param {object} [options]
+ * @param {number}   [options.binSize]         Default: 1/32 of the longer
+ *   side of the visited area.
+ * @param {number[]} [options.extent]          Default: the visited area.
+ * @param {number}   [options.minOccupancy=0]  s; bins visited for less are NaN.
+ * @returns {object} Rate map (Hz when t is in seconds), with the
+ *   occupancy (s) of every bin.
+ */
+export function rateMapFromSpikes(tracking, spikes, { binSize, extent, minOccupancy = 0 } = {}) {
+  const { t, x, y } = tracking;
+  const n = t.length;
+  if (n < 2 || x.length !== n || y.length !== n) {
+    throw new Error('Tracking needs at least two samples with t, x and y of equal length');
+  }
+  if (!extent) {
+    const range = v => Array.prototype.reduce.call(v, ([lo, hi], a) =>
+      Number.isFinite(a) ? [Math.min(lo, a), Math.max(hi, a)] : [lo, hi], [Infinity, -Infinity]);
+    extent = [...range(x), ...range(y)];
+  }
+  const [x0, x1, y0, y1] = extent;
+  binSize ||= Math.max(x1 - x0, y1 - y0) / 32 || 1;
+  const nx = Math.max(1, Math.ceil((x1 - x0) / binSize - 1e-9));
+  const ny = Math.max(1, Math.ceil((y1 - y0) / binSize - 1e-9));
+  const xEnd = x0 + nx * binSize, yEnd = y0 + ny * binSize;
+  // Bin index of a point, -1 outside (or NaN: tracking lost)
+  const bin = (px, py) => {
+    if (!(px >= x0 && px <= xEnd && py >= y0 && py <= yEnd)) return -1;
+    const i = Math.min(Math.floor((px - x0) / binSize), nx - 1);
+    const j = Math.min(Math.floor((py - y0) / binSize), ny - 1);
+    return j * nx + i;
+  };
+
+  const occupancy = new Float64Array(nx * ny);
+  const count = new Float64Array(nx * ny);
+  for (let k = 0; k < n; k++) {
+    const b = bin(x[k], y[k]);
+    if (b < 0) continue;
+    occupancy[b] += k < n - 1 ? t[k + 1] - t[k] : t[k] - t[k - 1];
+    if (spikes.counts) count[b] += spikes.counts[k];
+  }
+  if (spikes.times) {
+    const times = Float64Array.from(spikes.times).filter(s => s >= t[0] && s <= t[n - 1]).sort();
+    const pos = interpolatePosition(tracking, times);
+    times.forEach((_, k) => {
+      const b = bin(pos.x[k], pos.y[k]);
+      if (b >= 0) count[b]++;
+    });
+  }
+  const values = occupancy.map((occ, b) => occ > minOccupancy && occ > 0 ? count[b] / occ : NaN);
+  const map = makeRateMap(values, [ny, nx], {
+    name: spikes.name ?? 'spikes',
+    extent: [x0, xEnd, y0, yEnd]
+  });
+  return { ...map, occupancy };
+}
+
+// --- Collecting maps, tracking and spikes from parsed variables ------
+
+// Convert a column-major (Fortran) array to row-major order
+function fortranToC(data, shape) {
+  if (shape.length < 2) return data;
+  const out = new Float64Array(data.length);
+  const n = shape.length;
+  const idx = new Array(n).fill(0);
+  for (let c = 0; c < data.length; c++) {
+    let f = 0, stride = 1;
+    for (let d = 0; d < n; d++) {
+      f += idx[d] * stride;
+      stride *= shape[d];
+    }
+    out[c] = data[f];
+    for (let d = n - 1; d >= 0; d--) {
+      if (++idx[d] < shape[d]) break;
+      idx[d] = 0;
+    }
+  }
+  return out;
+}
+
+const isNumeric = v => v && typeof v === 'object' && v.data instanceof Float64Array && Array.isArray(v.shape);
+
+// Walk parsed variables (numeric arrays { data, shape }, structs as plain
+// objects, cell arrays as arrays) and sort them into maps, tracking
+// columns and spike trains by name and shape
+function collect(value, path, found, mapOptions = {}) {
+  const key = path.split(/[.[{]/).filter(Boolean).pop() ?? '';
+  if (isNumeric(value)) {
+    const dims = value.shape.filter(d => d !== 1);
+    if (nameIs(key, 'extent') || nameIs(key, 'binSize')) return;
+    if (dims.length <= 1 && ['t', 'x', 'y'].some(k => nameIs(key, k))) {
+      const k = ['t', 'x', 'y'].find(k => nameIs(key, k));
+      found.columns[k] ??= value.data;
+    } else if (dims.length <= 1 && nameIs(key, 'spikes')) {
+      found.spikes.push({ name: path, times: value.data });
+    } else if (dims.length === 2 && nameIs(key, 'spikes')) {
+      // one spike train per row
+      const [n, m] = dims;
+      for (let i = 0; i < n; i++) {
+        found.spikes.push({ name: `${path}{${i}}`, times: value.data.subarray(i * m, (i + 1) * m) });
+      }
+    } else if (dims.length === 2 && dims[1] === 3 && nameIs(key, 'pos')) {
+      const col = j => value.data.filter((_, i) => i % 3 === j);
+      ['t', 'x', 'y'].forEach((k, j) => { found.columns[k] ??= col(j); });
+    } else if (dims.length === 2) {
+      found.maps.push(makeRateMap(value.data, dims, { ...mapOptions, name: mapOptions.name ?? path }));
+    } else if (dims.length === 3) {
+      const [n, ny, nx] = dims;
+      for (let m = 0; m < n; m++) {
+        const values = value.data.subarray(m * ny * nx, (m + 1) * ny * nx);
+        const name = `${mapOptions.name ?? path}[${m}]`;
+        found.maps.push(makeRateMap(values, [ny, nx], { ...mapOptions, name }));
+      }
+    }
+  } else if (Array.isArray(value)) {
+    // Cell array of spike trains, or a list of entries
+    if (nameIs(key, 'spikes') && value.every(isNumeric)) {
+      value.forEach((v, i) => found.spikes.push({ name: `${path}{${i}}`, times: v.data }));
+    } else {
+      value.forEach((v, i) => collect(v, `${path}[${i}]`, found, mapOptions));
+    }
+  } else if (value && typeof value === 'object') {
+    // Struct or JSON object; its name, extent and binSize apply to the
+    // maps inside it
+    const options = { ...mapOptions };
+    if (typeof value.name === 'string') options.name = value.name;
+    Object.entries(value).forEach(([k, v]) => {
+      if (nameIs(k, 'extent') && isNumeric(v)) options.extent = Array.from(v.data);
+      if (nameIs(k, 'binSize') && isNumeric(v)) options.binSize = v.data[0];
+    });
+    Object.entries(value).forEach(([k, v]) => collect(v, path ? `${path}.${k}` : k, found, options));
+  }
+}
+
+function collectAll(value, source) {
+  const found = { maps: [], columns: {}, spikes: [] };
+  collect(value, '', found);
+  found.maps.forEach(m => {
+    if (!m.name || m.name.startsWith('[')) m.name = source + m.name;
+  });
+  const { t, x, y } = found.columns;
+  let tracking = null;
+  if (t && x && y) {
+    if (t.length !== x.length || t.length !== y.length) {
+      throw new Error(`${source}: tracking t, x and y have different lengths`);
+    }
+    tracking = { t, x, y };
+  }
+  return { maps: found.maps, tracking, spikes: found.spikes };
+}
+
+// --- Text formats ---------------------------------------------------
+
+const isNumberCell = s => s === '' || /^[+-]?(nan|inf(inity)?)$/i.test(s) || !Number.isNaN(Number(s));
+
+function toNumber(s) {
+  if (s === '' || /^[+-]?nan$/i.test(s)) return NaN;
+  if (/^[+-]?inf(inity)?$/i.test(s)) return s.startsWith('-') ? -Infinity : Infinity;
+  return Number(s);
+}
+
+/**
+ * Read a delimited table or matrix (comma, semicolon, tab or space
+ * separated). With a header row of column names it may be
+ *   - a position table: t, x, y and optionally one column of spike counts
+ *     per sample for each cell;
+ *   - a spike-time table: a spike-time column and optionally a cell column.
+ * Without a header the numbers are one binned rate map, first row at ymin.
+ * Blank lines and lines starting with '#' are skipped; empty or NaN cells
+ * are NaN (unvisited bins).
+ * @param {string} text
+ * @param {string} [source='csv']  Name used for the map and in errors.
+ * @returns {{maps: object[], tracking: object|null, spikes: object[]}}
+ */
+export function parseCSV(text, source = 'csv') {
+  const rows = text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+    .map(line => line.split(/\s*[,;\t]\s*|\s+/));
+  if (!rows.length) throw new Error(`${source}: no data`);
+  const header = rows[0].every(isNumberCell) ? null : rows.shift().map(h => h.replace(/^"|"$/g, ''));
+  const matrix = rows.map(r => r.map(toNumber));
+  const width = header ? header.length : matrix[0].length;
+  if (matrix.some(r => r.length !== width)) throw new Error(`${source}: rows have different lengths`);
+
+  if (!header) {
+    return { maps: [makeRateMap(matrix.flat(), [matrix.length, width], { name: source })], tracking: null, spikes: [] };
+  }
+  const column = j => Float64Array.from(matrix, r => r[j]);
+  const find = kind => header.findIndex(h => nameIs(h, kind));
+  const [it, ix, iy, is, ic] = ['t', 'x', 'y', 'spikes', 'cell'].map(find);
+
+  if (it >= 0 && ix >= 0 && iy >= 0) {
+    const spikes = header
+      .map((name, j) => ({ name, j }))
+      .filter(({ j }) => j !== it && j !== ix && j !== iy)
+      .map(({ name, j }) => ({ name, counts: column(j) }));
+    return { maps: [], tracking: { t: column(it), x: column(ix), y: column(iy) }, spikes };
+  }
+  const timeCol = is >= 0 ? is : it;
+  if (timeCol >= 0) {
+    if (ic < 0) return { maps: [], tracking: null, spikes: [{ name: source, times: column(timeCol) }] };
+    const byCell = new Map();
+    matrix.forEach(r => {
+      if (!byCell.has(r[ic])) byCell.set(r[ic], []);
+      byCell.get(r[ic]).push(r[timeCol]);
+    });
+    const spikes = [...byCell].sort((a, b) => a[0] - b[0])
+      .map(([id, times]) => ({ name: `cell ${id}`, times: Float64Array.from(times) }));
+    return { maps: [], tracking: null, spikes };
+  }
+  throw new Error(`${source}: columns must include t, x and y, or spike times (found ${header.join(', ')})`);
+}
+
+// Nested JSON arrays of numbers → { data, shape }, recursively elsewhere
+function fromJSON(value) {
+  const shapeOf = v => {
+    if (!Array.isArray(v)) return typeof v === 'number' || v === null ? [] : null;
+    if (!v.length) return [0];
+    const inner = v.map(shapeOf);
+    if (inner.some(s => !s || s.join() !== inner[0].join())) return null;
+    return [v.length, ...inner[0]];
+  };
+  const shape = shapeOf(value);
+  if (shape && shape.length) {
+    return { data: Float64Array.from(value.flat(Infinity), v => v ?? NaN), shape };
+  }
+  if (Array.isArray(value)) return value.map(fromJSON);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fromJSON(v)]));
+  }
+  return typeof value === 'number' ? { data: Float64Array.of(value), shape: [1] } : value;
+}
+
+/**
+ * Read a JSON document: a 2-D array (one rate map, null for unvisited
+ * bins), or an object whose 2-D arrays are maps (with sibling extent or
+ * binSize and an optional name), whose t/x/y arrays are a tracking table
+ * and whose spikes array (or list of arrays) holds spike times. Nested
+ * objects and lists are searched too, e.g.
+ *   { "maps": [{ "name": "cell 1", "rates": [[...]], "extent": [...] }] }
+ * @param {string|object} input  JSON text or the parsed document.
+ * @param {string} [source='json']
+ * @returns {{maps: object[], tracking: object|null, spikes: object[]}}
+ */
+export function parseJSON(input, source = 'json') {
+  const doc = typeof input === 'string' ? JSON.parse(input) : input;
+  return collectAll(fromJSON(doc), source);
+}
+
+// --- NumPy ----------------------------------------------------------
+
+const NPY_TYPES = {
+  f4: ['getFloat32', 4], f8: ['getFloat64', 8],
+  i1: ['getInt8', 1], i2: ['getInt16', 2], i4: ['getInt32', 4], i8: ['getBigInt64', 8],
+  u1: ['getUint8', 1], u2: ['getUint16', 2], u4: ['getUint32', 4], u8: ['getBigUint64', 8],
+  b1: ['getUint8', 1]
+};
+
+const asBytes = data => data instanceof Uint8Array ? data : new Uint8Array(data);
+
+/**
+ * Read a NumPy .npy array (format versions 1–3, numeric dtypes of either
+ * byte order, C or Fortran order).
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {{data: Float64Array, shape: number[], dtype: string}} data in
+ *   C (row-major) order.
+ */
+export function parseNpy(buffer) {
+  const bytes = asBytes(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const magic = String.fromCharCode(...bytes.subarray(1, 6));
+  if (bytes[0] !== 0x93 || magic !== 'NUMPY') throw new Error('Not a NumPy .npy file');
+  const major = bytes[6];
+  const headerLength = major === 1 ? view.getUint16(8, true) : view.getUint32(8, true);
+  const start = major === 1 ? 10 : 12;
+  const header = new TextDecoder().decode(bytes.subarray(start, start + headerLength));
+
+  const descr = /'descr'\s*:\s*'([<>|=])?([a-z]\d+)'/.exec(header);
+  const fortran = /'fortran_order'\s*:\s*True/.test(header);
+  const shapeText = /'shape'\s*:\s*\(([^)]*)\)/.exec(header);
+  if (!descr || !shapeText) throw new Error('Malformed .npy header');
+  const dtype = (descr[1] ?? '') + descr[2];
+  if (!NPY_TYPES[descr[2]]) throw new Error(`Unsupported .npy dtype '${dtype}'`);
+  const shape = shapeText[1].split(',').map(s => s.trim()).filter(Boolean).map(Number);
+  const [getter, size] = NPY_TYPES[descr[2]];
+  const littleEndian = descr[1] !== '>';
+
+  const count = shape.reduce((a, b) => a * b, 1);
+  const offset = start + headerLength;
+  if (offset + count * size > bytes.byteLength) throw new Error('Truncated .npy data');
+  const data = new Float64Array(count);
+  for (let i = 0; i < count; i++) data[i] = Number(view[getter](offset + i * size, littleEndian));
+  return { data: fortran ? fortranToC(data, shape) : data, shape, dtype };
+}
+
+// --- MATLAB ---------------------------------------------------------
+
+// MAT-file v5 data types: [DataView getter, bytes]
+const MI_TYPES = {
+  1: ['getInt8', 1], 2: ['getUint8', 1], 3: ['getInt16', 2], 4: ['getUint16', 2],
+  5: ['getInt32', 4], 6: ['getUint32', 4], 7: ['getFloat32', 4], 9: ['getFloat64', 8],
+  12: ['getBigInt64', 8], 13: ['getBigUint64', 8],
+  16: ['getUint8', 1], 17: ['getUint16', 2], 18: ['getUint32', 4]   // UTF-8/16/32
+};
+const MI_MATRIX = 14, MI_COMPRESSED = 15;
+const MX_CELL = 1, MX_STRUCT = 2, MX_CHAR = 4;   // numeric classes are 6..15
+
+// zlib stream → bytes, with the web DecompressionStream (browser and Node ≥ 18)
+async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// Data element tag at pos, in the long or the small (≤ 4 bytes) format
+function readTag(view, pos, le) {
+  const first = view.getUint32(pos, le);
+  if (first >>> 16) return { type: first & 0xffff, size: first >>> 16, data: pos + 4, next: pos + 8 };
+  const size = view.getUint32(pos + 4, le);
+  const padded = first === MI_COMPRESSED ? size : Math.ceil(size / 8) * 8;
+  return { type: first, size, data: pos + 8, next: pos + 8 + padded };
+}
+
+function readValues(view, tag, le) {
+  const reader = MI_TYPES[tag.type];
+  if (!reader) throw new Error(`Unsupported MAT-file data type ${tag.type}`);
+  const [getter, size] = reader;
+  const out = new Float64Array(tag.size / size);
+  for (let i = 0; i < out.length; i++) out[i] = Number(view[getter](tag.data + i * size, le));
+  return out;
+}
+
+// miMATRIX element → { name, value }; value is null for unsupported classes
+function readMatrix(view, tag, le) {
+  if (tag.size === 0) return { name: '', value: null };
+  const flagsTag = readTag(view, tag.data, le);
+  const mxClass = view.getUint32(flagsTag.data, le) & 0xff;
+  const dimsTag = readTag(view, flagsTag.next, le);
+  const shape = Array.from(readValues(view, dimsTag, le));
+  const nameTag = readTag(view, dimsTag.next, le);
+  const name = String.fromCharCode(...new Uint8Array(view.buffer, view.byteOffset + nameTag.data, nameTag.size));
+  const count = shape.reduce((a, b) => a * b, 1);
+  let pos = nameTag.next;
+
+  const nextMatrix = () => {
+    const sub = readTag(view, pos, le);
+    pos = sub.next;
+    return readMatrix(view, sub, le).value;
+  };
+
+  if (mxClass === MX_CELL) {
+    return { name, value: Array.from({ length: count }, nextMatrix) };
+  }
+  if (mxClass === MX_STRUCT) {
+    const lengthTag = readTag(view, pos, le);
+    const fieldLength = readValues(view, lengthTag, le)[0];
+    const namesTag = readTag(view, lengthTag.next, le);
+    const names = [];
+    for (let off = 0; off < namesTag.size; off += fieldLength) {
+      const raw = new Uint8Array(view.buffer, view.byteOffset + namesTag.data + off, fieldLength);
+      names.push(String.fromCharCode(...raw.subarray(0, raw.indexOf(0) < 0 ? fieldLength : raw.indexOf(0))));
+    }
+    pos = namesTag.next;
+    const elements = Array.from({ length: count },
+      () => Object.fromEntries(names.map(field => [field, nextMatrix()])));
+    return { name, value: count === 1 ? elements[0] : elements };
+  }
+  if (mxClass === MX_CHAR) {
+    const codes = readValues(view, readTag(view, pos, le), le);
+    return { name, value: String.fromCharCode(...fortranToC(codes, shape)) };
+  }
+  if (mxClass >= 6 && mxClass <= 15) {
+    // real part only; an imaginary part, if any, follows and is ignored
+    const real = readValues(view, readTag(view, pos, le), le);
+    return { name, value: { data: fortranToC(real, shape), shape } };
+  }
+  return { name, value: null };   // sparse, object and function handles
+}
+
+/**
+ * Read the variables of a MATLAB v5 MAT-file (as saved by MATLAB's default
+ * '-v7' or by scipy.io.savemat, compressed or not). Numeric arrays become
+ * { data, shape } with data in row-major order (imaginary parts dropped),
+ * char arrays strings, structs plain objects (arrays of them for struct
+ * arrays) and cell arrays arrays. v7.3 files are HDF5 and not supported.
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @returns {Promise<Object<string, *>>} Value by variable name.
+ */
+export async function parseMat(buffer) {
+  const bytes = asBytes(buffer);
+  const text = String.fromCharCode(...bytes.subarray(0, 116));
+  if (text.startsWith('MATLAB 7.3')) throw new Error('MAT-file v7.3 (HDF5) is not supported; save with -v7');
+  const endian = String.fromCharCode(bytes[126], bytes[127]);
+  if (bytes.byteLength < 128 || (endian !== 'IM' && endian !== 'MI')) {
+    throw new Error('Not a MATLAB v5 MAT-file');
+  }
+  const le = endian === 'IM';
+  const variables = {};
+  const readElements = async (data, start) => {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    for (let pos = start; pos + 8 <= data.byteLength;) {
+      const tag = readTag(view, pos, le);
+      if (tag.type === MI_COMPRESSED) {
+        await readElements(await inflate(data.subarray(tag.data, tag.data + tag.size)), 0);
+      } else if (tag.type === MI_MATRIX) {
+        const { name, value } = readMatrix(view, tag, le);
+        if (value !== null) variables[name] = value;
+      }
+      pos = tag.next;
+    }
+  };
+  await readElements(bytes, 128);
+  return variables;
+}
+
+// --- Files ----------------------------------------------------------
+
+/**
+ * Read one data file by its extension (see DATA_FILE_TYPES).
+ * @param {string} name  File name.
+ * @param {ArrayBuffer|Uint8Array|string} contents
+ * @returns {Promise<{maps: object[], tracking: object|null, spikes: object[]}>}
+ */
+export async function readDataFile(name, contents) {
+  const ext = (/\.[^.]*$/.exec(name)?.[0] ?? '').toLowerCase();
+  const base = name.replace(/^.*[\\/]/, '').replace(/\.[^.]*$/, '');
+  const text = () => typeof contents === 'string' ? contents : new TextDecoder().decode(asBytes(contents));
+  switch (ext) {
+    case '.csv':
+    case '.tsv':
+    case '.txt':
+      return parseCSV(text(), base);
+    case '.json':
+      return parseJSON(text(), base);
+    case '.npy':
+      return collectAll(parseNpy(contents), base);
+    case '.mat':
+      return collectAll(await parseMat(contents), base);
+  }
+  throw new Error(`Unsupported data file '${name}' (expected ${DATA_FILE_TYPES.join(', ')})`);
+}
+
+/**
+ * Spike trains of a set of loaded files with the tracking table they were
+ * recorded along (which may come from another of the files).
+ * @param {object[]} files  readDataFile() results.
+ * @returns {{tracking: object|null, spikes: object[]}}
+ */
+export function recordedTrains(files) {
+  const spikes = files.flatMap(f => f.spikes);
+  const tracking = files.find(f => f.tracking)?.tracking ?? null;
+  if (spikes.length && !tracking) {
+    throw new Error('Spike times need a position table (t, x, y); load one with them');
+  }
+  spikes.forEach(train => {
+    if (train.counts && train.counts.length !== tracking.t.length) {
+      throw new Error(`Spike counts '${train.name}' do not match the position table`);
+    }
+  });
+  return { tracking, spikes };
+}
+
+/**
+ * Rate maps of a set of loaded files: their binned maps, followed by one
+ * map per spike train binned along the tracking table (see recordedTrains).
+ * @param {object[]} files  readDataFile() results.
+ * @param {object} [options]  As for rateMapFromSpikes.
+ * @returns {object[]} Rate maps.
+ */
+export function recordedMaps(files, options = {}) {
+  const { tracking, spikes } = recordedTrains(files);
+  return [
+    ...files.flatMap(f => f.maps),
+    ...spikes.map(train => rateMapFromSpikes(tracking, train, options))
+  ];
+}
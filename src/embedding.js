@@ -0,0 +1,341 @@
+// embedding.js
+// Dimensionality reduction of population activity: PCA, classical MDS and
+// Isomap (kNN graph + shortest paths + MDS). Rows of the input are samples
+// (e.g. tile vertices), columns are features (e.g. cells' rates).
+
+/**
+ * Top-k eigenpairs of a symmetric n×n matrix by orthogonal (subspace)
+ * iteration. A few extra guard vectors speed up convergence when
+ * eigenvalues come in near-degenerate pairs, as they do for tori.
+ * @param {Float64Array} A     Row-major symmetric matrix.
+ * @param {number} n
+ * @param {number} k           Number of eigenpairs.
+ * @param {object} [options]
+ * @param {number} [options.iterations=300]
+ * @param {number} [options.tol=1e-9]
+ * @returns {{values: number[], vectors: Float64Array[]}} Sorted by decreasing value.
+ */
+export function topEigen(A, n, k, { iterations = 300, tol = 1e-9 } = {}) {
+  const m = Math.min(n, k + 3);
+  // deterministic start vectors
+  let V = Array.from({ length: m }, (_, j) => {
+    const v = new Float64Array(n);
+    for (let i = 0; i < n; i++) v[i] = Math.sin((i + 1) * (j + 1) * 1.618 + j);
+    return v;
+  });
+  orthonormalize(V);
+  let values = new Array(m).fill(0);
+
+  for (let it = 0; it < iterations; it++) {
+    const W = V.map(v => matVec(A, n, v));
+    const next = W.map((w, j) => V[j].reduce((s, vi, i) => s + vi * w[i], 0));
+    orthonormalize(W);
+    V = W;
+    const change = next.reduce((s, v, j) => Math.max(s, Math.abs(v - values[j])), 0);
+    values = next;
+    if (change < tol * Math.max(1, Math.abs(values[0]))) break;
+  }
+
+  // Rayleigh–Ritz on the converged subspace to separate mixed pairs
+  const AV = V.map(v => matVec(A, n, v));
+  const H = new Float64Array(m * m);
+  for (let a = 0; a < m; a++) {
+    for (let b = 0; b < m; b++) {
+      let s = 0;
+      for (let i = 0; i < n; i++) s += V[a][i] * AV[b][i];
+      H[a * m + b] = s;
+    }
+  }
+  const { values: hv, vectors: hV } = jacobiEigen(H, m);
+  const order = hv.map((_, i) => i).sort((a, b) => hv[b] - hv[a]).slice(0, k);
+  return {
+    values: order.map(i => hv[i]),
+    vectors: order.map(i => {
+      const v = new Float64Array(n);
+      for (let a = 0; a < m; a++) {
+        const c = hV[a * m + i];
+        for (let r = 0; r < n; r++) v[r] += c * V[a][r];
+      }
+      return v;
+    })
+  };
+}
+
+function matVec(A, n, v) {
+  const out = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    let s = 0;
+    const row = i * n;
+    for (let j = 0; j < n; j++) s += A[row + j] * v[j];
+    out[i] = s;
+  }
+  return out;
+}
+
+// Modified Gram–Schmidt in place, applied twice for numerical
+// orthogonality. Vectors that vanish (null space of A) are replaced by a
+// fresh direction so that the basis stays full rank.
+function orthonormalize(V) {
+  const n = V[0].length;
+  for (let j = 0; j < V.length; j++) {
+    const v = V[j];
+    for (let attempt = 0; ; attempt++) {
+      const before = Math.sqrt(v.reduce((s, x) => s + x * x, 0));
+      for (let pass = 0; pass < 2; pass++) {
+        for (let p = 0; p < j; p++) {
+          let d = 0;
+          for (let i = 0; i < n; i++) d += v[i] * V[p][i];
+          for (let i = 0; i < n; i++) v[i] -= d * V[p][i];
+        }
+      }
+      const norm = Math.sqrt(v.reduce((s, x) => s + x * x, 0));
+      if (norm > 1e-8 * before || attempt > 3) {
+        for (let i = 0; i < n; i++) v[i] /= norm || 1;
+        break;
+      }
+      for (let i = 0; i < n; i++) v[i] = Math.cos((i + 1) * (j + attempt + 2) * 2.718);
+    }
+  }
+}
+
+// Cyclic Jacobi eigen-decomposition of a small symmetric m×m matrix.
+// Returns eigenvalues and the eigenvector matrix (columns) in row-major order.
+function jacobiEigen(S, m) {
+  const A = Float64Array.from(S);
+  const V = new Float64Array(m * m);
+  for (let i = 0; i < m; i++) V[i * m + i] = 1;
+  for (let sweep = 0; sweep < 100; sweep++) {
+    let off = 0;
+    for (let p = 0; p < m; p++) for (let q = p + 1; q < m; q++) off += A[p * m + q] ** 2;
+    if (off < 1e-22) break;
+    for (let p = 0; p < m; p++) {
+      for (let q = p + 1; q < m; q++) {
+        const apq = A[p * m + q];
+        if (Math.abs(apq) < 1e-300) continue;
+        const theta = (A[q * m + q] - A[p * m + p]) / (2 * apq);
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+        const c = 1 / Math.sqrt(t * t + 1), s = t * c;
+        for (let r = 0; r < m; r++) {
+          const arp = A[r * m + p], arq = A[r * m + q];
+          A[r * m + p] = c * arp - s * arq;
+          A[r * m + q] = s * arp + c * arq;
+        }
+        for (let r = 0; r < m; r++) {
+          const apr = A[p * m + r], aqr = A[q * m + r];
+          A[p * m + r] = c * apr - s * aqr;
+          A[q * m + r] = s * apr + c * aqr;
+        }
+        for (let r = 0; r < m; r++) {
+          const vrp = V[r * m + p], vrq = V[r * m + q];
+          V[r * m + p] = c * vrp - s * vrq;
+          V[r * m + q] = s * vrp + c * vrq;
+        }
+      }
+    }
+  }
+  return { values: Array.from({ length: m }, (_, i) => A[i * m + i]), vectors: V };
+}
+
+/**
+ * Principal component analysis.
+ * @param {number[][]} X       N samples × D features.
+ * @param {number} [k=3]       Output dimensions.
+ * @returns {{coords: number[][], variances: number[]}} N × k scores and the
+ *   variance along each component.
+ */
+export function pca(X, k = 3) {
+  const N = X.length, D = X[0].length;
+  const mean = new Float64Array(D);
+  X.forEach(row => row.forEach((v, j) => { mean[j] += v / N; }));
+  const Xc = X.map(row => row.map((v, j) => v - mean[j]));
+
+  if (D <= N) {
+    // D×D covariance
+    const C = new Float64Array(D * D);
+    for (const row of Xc) {
+      for (let a = 0; a < D; a++) {
+        if (!row[a]) continue;
+        for (let b = 0; b < D; b++) C[a * D + b] += row[a] * row[b] / (N - 1 || 1);
+      }
+    }
+    const { values, vectors } = topEigen(C, D, Math.min(k, D));
+    const coords = Xc.map(row => vectors.map(v => row.reduce((s, x, j) => s + x * v[j], 0)));
+    return { coords: padColumns(coords, k), variances: values };
+  }
+
+  // N×N Gram matrix when there are more features than samples
+  const G = gram(Xc);
+  const { values, vectors } = topEigen(G, N, Math.min(k, N));
+  const coords = Xc.map((_, i) => values.map((l, c) => vectors[c][i] * Math.sqrt(Math.max(l, 0))));
+  return { coords: padColumns(coords, k), variances: values.map(l => l / (N - 1 || 1)) };
+}
+
+function gram(X) {
+  const N = X.length;
+  const G = new Float64Array(N * N);
+  for (let i = 0; i < N; i++) {
+    for (let j = i; j < N; j++) {
+      let s = 0;
+      for (let d = 0; d < X[i].length; d++) s += X[i][d] * X[j][d];
+      G[i * N + j] = G[j * N + i] = s;
+    }
+  }
+  return G;
+}
+
+function padColumns(coords, k) {
+  return coords.map(row => row.length >= k ? row : [...row, ...new Array(k - row.length).fill(0)]);
+}
+
+/**
+ * Pairwise Euclidean distance matrix.
+ * @param {number[][]} X
+ * @returns {Float64Array} Row-major N×N distances.
+ */
+export function distanceMatrix(X) {
+  const N = X.length;
+  const D = new Float64Array(N * N);
+  for (let i = 0; i < N; i++) {
+    for (let j = i + 1; j < N; j++) {
+      let s = 0;
+      for (let d = 0; d < X[i].length; d++) s += (X[i][d] - X[j][d]) ** 2;
+      D[i * N + j] = D[j * N + i] = Math.sqrt(s);
+    }
+  }
+  return D;
+}
+
+/**
+ * Classical (Torgerson) MDS of a distance matrix.
+ * @param {Float64Array} D   Row-major N×N distances.
+ * @param {number} N
+ * @param {number} [k=3]
+ * @returns {{coords: number[][], eigenvalues: number[]}}
+ */
+export function classicalMDS(D, N, k = 3) {
+  // B = -1/2 J D² J
+  const B = new Float64Array(N * N);
+  const rowMean = new Float64Array(N);
+  let total = 0;
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) {
+      const d2 = D[i * N + j] ** 2;
+      B[i * N + j] = d2;
+      rowMean[i] += d2 / N;
+    }
+    total += rowMean[i] / N;
+  }
+  for (let i = 0; i < N; i++) {
+    for (let j = 0; j < N; j++) {
+      B[i * N + j] = -0.5 * (B[i * N + j] - rowMean[i] - rowMean[j] + total);
+    }
+  }
+  const { values, vectors } = topEigen(B, N, Math.min(k, N));
+  const coords = Array.from({ length: N }, (_, i) =>
+    values.map((l, c) => vectors[c][i] * Math.sqrt(Math.max(l, 0))));
+  return { coords: padColumns(coords, k), eigenvalues: values };
+}
+
+/**
+ * Geodesic distances along the symmetric k-nearest-neighbour graph
+ * (Dijkstra from every node).
+ * @param {number[][]} X
+ * @param {number} [nNeighbours=8]
+ * @returns {Float64Array} Row-major N×N geodesic distances.
+ */
+export function geodesicDistances(X, nNeighbours = 8) {
+  const N = X.length;
+  const D = distanceMatrix(X);
+
+  // symmetric kNN adjacency
+  const adj = Array.from({ length: N }, () => new Map());
+  for (let i = 0; i < N; i++) {
+    const order = Array.from({ length: N }, (_, j) => j)
+      .filter(j => j !== i)
+      .sort((a, b) => D[i * N + a] - D[i * N + b])
+      .slice(0, nNeighbours);
+    for (const j of order) {
+      adj[i].set(j, D[i * N + j]);
+      adj[j].set(i, D[i * N + j]);
+    }
+  }
+
+  const G = new Float64Array(N * N).fill(Infinity);
+  for (let s = 0; s < N; s++) {
+    const dist = G.subarray(s * N, (s + 1) * N);
+    dist[s] = 0;
+    const heap = [[0, s]];
+    while (heap.length) {
+      const [d, u] = heapPop(heap);
+      if (d > dist[u]) continue;
+      for (const [v, w] of adj[u]) {
+        const nd = d + w;
+        if (nd < dist[v]) {
+          dist[v] = nd;
+          heapPush(heap, [nd, v]);
+        }
+      }
+    }
+  }
+  if (G.some(v => v === Infinity)) {
+    throw new Error('Neighbour graph is disconnected; increase the number of neighbours');
+  }
+  return G;
+}
+
+function heapPush(h, item) {
+  h.push(item);
+  let i = h.length - 1;
+  while (i > 0) {
+    const p = (i - 1) >> 1;
+    if (h[p][0] <= h[i][0]) break;
+    [h[p], h[i]] = [h[i], h[p]];
+    i = p;
+  }
+}
+
+function heapPop(h) {
+  const top = h[0];
+  const last = h.pop();
+  if (h.length) {
+    h[0] = last;
+    let i = 0;
+    for (;;) {
+      const l = 2 * i + 1, r = l + 1;
+      let m = i;
+      if (l < h.length && h[l][0] < h[m][0]) m = l;
+      if (r < h.length && h[r][0] < h[m][0]) m = r;
+      if (m === i) break;
+      [h[m], h[i]] = [h[i], h[m]];
+      i = m;
+    }
+  }
+  return top;
+}
+
+/**
+ * Isomap: classical MDS on kNN-graph geodesic distances.
+ * @param {number[][]} X
+ * @param {number} [k=3]
+ * @param {number} [nNeighbours=8]
+ * @returns {{coords: number[][], eigenvalues: number[]}}
+ */
+export function isomap(X, k = 3, nNeighbours = 8) {
+  return classicalMDS(geodesicDistances(X, nNeighbours), X.length, k);
+}
+
+/**
+ * Embed samples with the chosen method.
+ * @param {number[][]} X               N samples × D features.
+ * @param {object} [options]
+ * @param {string} [options.method='pca']  'pca' | 'mds' | 'isomap'.
+ * @param {number} [options.k=3]
+ * @param {number} [options.nNeighbours=8] Isomap only.
+ * @returns {number[][]} N × k coordinates.
+ */
+export function embed(X, { method = 'pca', k = 3, nNeighbours = 8 } = {}) {
+  if (method === 'pca') return pca(X, k).coords;
+  if (method === 'mds') return classicalMDS(distanceMatrix(X), X.length, k).coords;
+  if (method === 'isomap') return isomap(X, k, nNeighbours).coords;
+  throw new Error(`Unknown embedding method '${method}'`);
+}
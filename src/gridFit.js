@@ -0,0 +1,371 @@
+// gridFit.js
+// Fit of the grid-cell model (GridCellModel with Gaussian fields) to a
+// rate map, binned or sampled at arbitrary points: torus phase [t1,t2],
+// spacing, orientation and field width, plus the peak rate and a baseline.
+//
+// The phase space is periodic, so the fit starts from the best nodes of a
+// coarse phase grid and polishes each with Nelder–Mead; the best result
+// wins. Least squares ('lsq') profiles out the peak rate and baseline,
+// which enter linearly; the Poisson likelihood ('poisson') fits them too.
+// Confidence intervals come from the curvature (numerical Hessian) of the
+// negative log-likelihood at the optimum — for least squares under
+// Gaussian noise of the residual variance.
+//
+// Phases follow GridCellModel.torusPhase(): [t1,t2] of the cell's fields
+// relative to a lattice of its spacing and orientation anchored at the
+// origin.
+
+import { GridCellModel } from './GridCellModel.js';
+import { gridStats } from './gridness.js';
+
+const TWO_PI = 2 * Math.PI;
+const SQRT3 = Math.sqrt(3);
+
+const wrapPhase = t => t - TWO_PI * Math.floor(t / TWO_PI);
+
+// Fitted values as observations: points (interleaved), values and exposure
+function observations(data) {
+  let points, values, exposure;
+  if (data.points) {
+    points = data.points;
+    values = data.rates ?? data.counts;
+    exposure = data.exposure ?? null;
+  } else {
+    const { values: v, shape: [ny, nx], extent: [x0, x1, y0, y1] } = data;
+    const dx = (x1 - x0) / nx, dy = (y1 - y0) / ny;
+    points = [];
+    values = [];
+    exposure = data.occupancy ? [] : null;
+    for (let j = 0; j < ny; j++) {
+      for (let i = 0; i < nx; i++) {
+        const b = j * nx + i;
+        if (!Number.isFinite(v[b])) continue;
+        points.push([x0 + (i + 0.5) * dx, y0 + (j + 0.5) * dy]);
+        values.push(data.occupancy ? v[b] * data.occupancy[b] : v[b]);
+        if (exposure) exposure.push(data.occupancy[b]);
+      }
+    }
+  }
+  if (!values || values.length !== points.length) {
+    throw new Error('Grid fit needs one rate (or count) per point');
+  }
+  const keep = [];
+  values.forEach((v, k) => { if (Number.isFinite(v)) keep.push(k); });
+  const xy = new Float64Array(2 * keep.length);
+  keep.forEach((k, m) => { xy[2 * m] = points[k][0]; xy[2 * m + 1] = points[k][1]; });
+  return {
+    xy,
+    y: Float64Array.from(keep, k => values[k]),
+    exposure: exposure ? Float64Array.from(keep, k => exposure[k]) : null
+  };
+}
+
+// Minimise f from x0 with initial simplex steps (Nelder–Mead)
+function nelderMead(f, x0, steps, { maxIter = 400, tol = 1e-8 } = {}) {
+  const n = x0.length;
+  let simplex = [x0, ...steps.map((s, i) => x0.map((v, j) => (i === j ? v + s : v)))]
+    .map(x => ({ x, f: f(x) }));
+  const towards = (a, b, t) => a.map((v, j) => v + t * (b[j] - v));
+  for (let iter = 0; iter < maxIter; iter++) {
+    simplex.sort((a, b) => a.f - b.f);
+    const best = simplex[0], worst = simplex[n];
+    if (Math.abs(worst.f - best.f) <= tol * (Math.abs(best.f) + tol)) break;
+    const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((s, p) => s + p.x[j], 0) / n);
+    const reflected = towards(centroid, worst.x, -1);
+    const fr = f(reflected);
+    if (fr < best.f) {
+      const expanded = towards(centroid, worst.x, -2);
+      const fe = f(expanded);
+      simplex[n] = fe < fr ? { x: expanded, f: fe } : { x: reflected, f: fr };
+    } else if (fr < simplex[n - 1].f) {
+      simplex[n] = { x: reflected, f: fr };
+    } else {
+      const contracted = fr < worst.f ? towards(centroid, reflected, 0.5) : towards(centroid, worst.x, 0.5);
+      const fc = f(contracted);
+      if (fc < Math.min(fr, worst.f)) {
+        simplex[n] = { x: contracted, f: fc };
+      } else {
+        simplex = simplex.map((p, i) => (i === 0 ? p : { x: towards(best.x, p.x, 0.5), f: f(towards(best.x, p.x, 0.5)) }));
+      }
+    }
+  }
+  simplex.sort((a, b) => a.f - b.f);
+  return simplex[0];
+}
+
+// Hessian of f at x by central differences
+function hessian(f, x, h) {
+  const n = x.length;
+  const H = Array.from({ length: n }, () => new Array(n).fill(0));
+  const at = (i, di, j, dj) => f(x.map((v, k) => v + (k === i ? di : 0) + (k === j ? dj : 0)));
+  const f0 = f(x);
+  for (let i = 0; i < n; i++) {
+    H[i][i] = (at(i, h[i], i, 0) - 2 * f0 + at(i, -h[i], i, 0)) / (h[i] * h[i]);
+    for (let j = 0; j < i; j++) {
+      H[i][j] = H[j][i] = (at(i, h[i], j, h[j]) - at(i, h[i], j, -h[j]) -
+        at(i, -h[i], j, h[j]) + at(i, -h[i], j, -h[j])) / (4 * h[i] * h[j]);
+    }
+  }
+  return H;
+}
+
+// Inverse of a symmetric positive-definite matrix (Cholesky), or null
+function inverseSPD(A) {
+  const n = A.length;
+  const L = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = A[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(s > 0)) return null;
+        L[i][i] = Math.sqrt(s);
+      } else {
+        L[i][j] = s / L[j][j];
+      }
+    }
+  }
+  // columns of A⁻¹ by forward and back substitution
+  const inv = Array.from({ length: n }, () => new Array(n).fill(0));
+  for (let c = 0; c < n; c++) {
+    const z = new Array(n).fill(0);
+    for (let i = 0; i < n; i++) {
+      let s = i === c ? 1 : 0;
+      for (let k = 0; k < i; k++) s -= L[i][k] * z[k];
+      z[i] = s / L[i][i];
+    }
+    for (let i = n - 1; i >= 0; i--) {
+      let s = z[i];
+      for (let k = i + 1; k < n; k++) s -= L[k][i] * inv[k][c];
+      inv[i][c] = s / L[i][i];
+    }
+  }
+  return inv;
+}
+
+/**
+ * Model of a fitted cell with unit peak rate and the given torus phase.
+ * @param {number[]} phase  [t1, t2] (radians).
+ * @param {object} options  GridCellModel options (spacing, orientation, …).
+ * @returns {GridCellModel}
+ */
+export function modelAtPhase([t1, t2], options) {
+  const origin = new GridCellModel({ ...options, phase: [0, 0] });
+  const u2 = t2 / TWO_PI;
+  return origin.with({ phase: origin.fromLattice([t1 / TWO_PI + 0.5 * u2, (SQRT3 / 2) * u2]) });
+}
+
+/**
+ * Fit the grid-cell model to a rate map.
+ * @param {object} data  A rate map (see dataImport.js; an `occupancy` per
+ *   bin in s makes the Poisson fit use spike counts), or
+ *   { points: [[x,y],...], rates } or { points, counts, exposure }.
+ *   NaN values are left out.
+ * @param {object} [options]
+ * @param {string} [options.method='lsq']    'lsq' | 'poisson' (without
+ *   exposure the values are taken as counts).
+ * @param {number} [options.spacing]         Starting spacing; for maps the
+ *   default comes from gridStats.
+ * @param {number} [options.orientation]     Starting orientation (radians).
+ * @param {number} [options.sigma]           Starting field width (default:
+ *   0.15 × spacing).
+ * @param {number} [options.ellipticity=1]   Held fixed, with ellipseAngle.
+ * @param {number} [options.ellipseAngle=0]
+ * @param {number} [options.phaseGrid=6]     Phase-grid nodes per axis
+ *   searched for starting points.
+ * @param {number} [options.starts=4]        Starting points polished.
+ * @param {number} [options.z=1.96]          Confidence-interval half-width
+ *   in standard errors (1.96: 95 %).
+ * @returns {object} { phase: [t1,t2], spacing, orientation, sigma,
+ *   peakRate, baseline, ci (same keys, [lo, hi] each), model, loss,
+ *   method, n, evaluations }, phase in [0, 2π), model a GridCellModel of
+ *   the fit, n the values fitted and evaluations the model evaluations.
+ */
+export function fitGridCell(data, options = {}) {
+  const { method = 'lsq', ellipticity = 1, ellipseAngle = 0, phaseGrid = 6, starts = 4, z = 1.96 } = options;
+  if (method !== 'lsq' && method !== 'poisson') throw new Error(`Unknown grid fit method '${method}'`);
+  const { xy, y, exposure } = observations(data);
+  const n = y.length;
+  if (n < 8) throw new Error('Grid fit needs at least 8 finite values');
+
+  let { spacing, orientation } = options;
+  if (spacing === undefined) {
+    const stats = data.points ? null : gridStats(data);
+    if (!stats?.lattice) throw new Error('No grid found to start the fit from; give a starting spacing');
+    spacing = stats.spacing;
+    orientation ??= stats.orientation;
+  }
+  orientation ??= 0;
+  if (!(spacing > 0)) throw new Error('Grid spacing must be positive');
+  const sigma = options.sigma ?? 0.15 * spacing;
+
+  // x = [t1, t2, log spacing, orientation, log sigma, (peak, baseline)]
+  const shapeBuf = new Float64Array(n);
+  let evaluations = 0;
+  const shape = x => {
+    evaluations++;
+    // the nearest ring of field images is enough for fields this narrow
+    const nRings = Math.exp(x[4] - x[2]) < 0.3 ? 1 : undefined;
+    return modelAtPhase([x[0], x[1]], {
+      spacing: Math.exp(x[2]), orientation: x[3], sigma: Math.exp(x[4]), ellipticity, ellipseAngle, nRings
+    }).rateBatch(xy, shapeBuf);
+  };
+  const expo = k => (exposure ? exposure[k] : 1);
+
+  // least squares: peak and baseline by linear regression on the shape
+  const linear = f => {
+    let sf = 0, sff = 0, sy = 0, sfy = 0;
+    for (let k = 0; k < n; k++) {
+      sf += f[k]; sff += f[k] * f[k]; sy += y[k]; sfy += f[k] * y[k];
+    }
+    const det = n * sff - sf * sf;
+    if (!(det > 1e-12 * n * sff)) return [0, sy / n];
+    const peak = (n * sfy - sf * sy) / det;
+    return [peak, (sy - peak * sf) / n];
+  };
+  const rss = (f, peak, baseline) => {
+    let s = 0;
+    for (let k = 0; k < n; k++) {
+      const r = y[k] - baseline - peak * f[k];
+      s += r * r;
+    }
+    return s;
+  };
+  // Poisson: peak and baseline as logs, so the rate stays positive
+  const poissonNll = (f, peak, baseline) => {
+    let s = 0;
+    for (let k = 0; k < n; k++) {
+      const mu = (baseline + peak * f[k]) * expo(k);
+      s += mu - (y[k] > 0 ? y[k] * Math.log(mu) : 0);
+    }
+    return s;
+  };
+
+  const lsqLoss = x => {
+    const f = shape(x);
+    const [peak, baseline] = linear(f);
+    return rss(f, peak, baseline);
+  };
+  const poissonLoss = x => poissonNll(shape(x), Math.exp(x[5]), Math.exp(x[6]));
+
+  // starting points from a coarse phase grid
+  const base = [0, 0, Math.log(spacing), orientation, Math.log(sigma)];
+  const meanRate = y.reduce((s, v) => s + v, 0) / y.reduce((s, _, k) => s + expo(k), 0) || 1;
+  const complete = x => {
+    if (method === 'lsq') return x;
+    const [peak, baseline] = linear(shape(x));
+    return [...x, Math.log(Math.max(peak, meanRate * 0.1)), Math.log(Math.max(baseline, meanRate * 0.01))];
+  };
+  const loss = method === 'lsq' ? lsqLoss : poissonLoss;
+  const grid = [];
+  for (let j = 0; j < phaseGrid; j++) {
+    for (let i = 0; i < phaseGrid; i++) {
+      const x = complete([TWO_PI * i / phaseGrid, TWO_PI * j / phaseGrid, ...base.slice(2)]);
+      grid.push({ x, f: loss(x) });
+    }
+  }
+  grid.sort((a, b) => a.f - b.f);
+
+  const steps = [TWO_PI / phaseGrid / 2, TWO_PI / phaseGrid / 2, 0.1, 0.05, 0.2, 0.3, 0.3]
+    .slice(0, grid[0].x.length);
+  const maxIter = 200 * steps.length;
+  let best = null;
+  grid.slice(0, starts).forEach(start => {
+    const fit = nelderMead(loss, start.x, steps, { maxIter, tol: 1e-6 });
+    if (!best || fit.f < best.f) best = fit;
+  });
+  // restart the winner to escape a collapsed simplex
+  best = nelderMead(loss, best.x, steps.map(s => s / 4), { maxIter, tol: 1e-9 });
+
+  // parameters in full: [t1, t2, log spacing, orientation, log sigma, p, b]
+  const x = best.x;
+  const f = shape(x);
+  const [peakRate, baseline] = method === 'lsq' ? linear(f) : [Math.exp(x[5]), Math.exp(x[6])];
+  const full = [...x.slice(0, 5), ...(method === 'lsq' ? [peakRate, baseline] : x.slice(5))];
+  const variance = method === 'lsq' ? best.f / Math.max(n - 7, 1) : 1;
+  const nll = method === 'lsq'
+    ? p => rss(shape(p), p[5], p[6]) / (2 * variance)
+    : p => poissonNll(shape(p), Math.exp(p[5]), Math.exp(p[6]));
+  const h = full.map((v, i) => (i === 5 || i === 6) && method === 'lsq'
+    ? 1e-3 * Math.max(Math.abs(peakRate), 1e-3) : 1e-3);
+  const cov = variance > 0 ? inverseSPD(hessian(nll, full, h)) : null;
+  const se = full.map((_, i) => (cov && cov[i][i] >= 0 ? Math.sqrt(cov[i][i]) : NaN));
+  const interval = i => [full[i] - z * se[i], full[i] + z * se[i]];
+  const logInterval = i => interval(i).map(Math.exp);
+  const phase = [wrapPhase(x[0]), wrapPhase(x[1])];
+
+  const fitted = {
+    spacing: Math.exp(x[2]),
+    orientation: x[3],
+    sigma: Math.exp(x[4]),
+    ellipticity,
+    ellipseAngle
+  };
+  return {
+    phase,
+    ...fitted,
+    peakRate,
+    baseline,
+    ci: {
+      phase: [0, 1].map(i => interval(i).map(v => v - x[i] + phase[i])),
+      spacing: logInterval(2),
+      orientation: interval(3),
+      sigma: logInterval(4),
+      peakRate: method === 'lsq' ? interval(5) : logInterval(5),
+      baseline: method === 'lsq' ? interval(6) : logInterval(6)
+    },
+    model: modelAtPhase(phase, { ...fitted, peakRate }),
+    loss: best.f,
+    method,
+    n,
+    evaluations
+  };
+}
+
+/**
+ * Fit every map of a list (e.g. all imported cells) with fitGridCell.
+ * Maps that cannot be fitted get an `error` message instead.
+ * @param {object[]} maps
+ * @param {object} [options]  As for fitGridCell.
+ * @returns {object[]} { name, ...fit } or { name, error } per map.
+ */
+export function fitGridCells(maps, options = {}) {
+  return maps.map(map => {
+    try {
+      return { name: map.name, ...fitGridCell(map, options) };
+    } catch (err) {
+      return { name: map.name, error: err.message };
+    }
+  });
+}
+
+const FIT_COLUMNS = ['t1', 't2', 'spacing', 'orientation_deg', 'sigma', 'peak_rate', 'baseline'];
+
+/**
+ * Table of fits (from fitGridCells) as CSV, one row per cell: each
+ * estimate followed by its confidence interval (_lo, _hi), phases in
+ * radians, orientation in degrees, and the error of cells not fitted.
+ * @param {object[]} fits
+ * @returns {string}
+ */
+export function fitsToCSV(fits) {
+  const deg = 180 / Math.PI;
+  const header = ['name', ...FIT_COLUMNS.flatMap(c => [c, `${c}_lo`, `${c}_hi`]), 'n', 'error'];
+  const quote = s => (/[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s);
+  const num = v => (Number.isFinite(v) ? String(+v.toPrecision(6)) : '');
+  const rows = fits.map(fit => {
+    if (fit.error) return [quote(fit.name), ...header.slice(1, -1).map(() => ''), quote(fit.error)];
+    const { ci } = fit;
+    const estimates = [
+      [fit.phase[0], ci.phase[0]],
+      [fit.phase[1], ci.phase[1]],
+      [fit.spacing, ci.spacing],
+      [fit.orientation * deg, ci.orientation.map(v => v * deg)],
+      [fit.sigma, ci.sigma],
+      [fit.peakRate, ci.peakRate],
+      [fit.baseline, ci.baseline]
+    ];
+    return [quote(fit.name), ...estimates.flatMap(([v, [lo, hi]]) => [v, lo, hi].map(num)), fit.n, ''];
+  });
+  return [header, ...rows].map(row => row.join(',')).join('\n') + '\n';
+}
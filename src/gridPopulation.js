@@ -0,0 +1,110 @@
+// gridPopulation.js
+// Generate populations of grid cells organised into modules, with phases
+// drawn from a seeded RNG so that every population reproduces exactly.
+
+import { GridCellModel } from './GridCellModel.js';
+import { createRng } from './random.js';
+
+const SQRT3 = Math.sqrt(3);
+
+/**
+ * Draw n phases on the unit rhombus, as lattice coordinates [u1,u2] in [0,1)².
+ * @param {number} n                   Number of phases.
+ * @param {object} rng                 Generator from createRng().
+ * @param {string} [mode='uniform']    'uniform' | 'jittered' (stratified grid).
+ * @param {number} [jitter=0.5]        Jitter as a fraction of the stratum width.
+ * @returns {number[][]} Array of [u1,u2] lattice coordinates.
+ */
+export function drawRhombusPhases(n, rng, mode = 'uniform', jitter = 0.5) {
+  if (mode === 'uniform') {
+    return Array.from({ length: n }, () => [rng.random(), rng.random()]);
+  }
+  if (mode !== 'jittered') {
+    throw new Error(`Unknown phase mode '${mode}'`);
+  }
+  // k1×k2 strata (k1·k2 >= n) cover the rhombus; drop the spare ones at
+  // random so the sample stays uniform across both axes
+  const k1 = Math.ceil(Math.sqrt(n)), k2 = Math.ceil(n / k1);
+  const strata = Array.from({ length: k1 * k2 }, (_, i) => i);
+  for (let spare = k1 * k2 - n; spare > 0; spare--) {
+    strata.splice(Math.floor(rng.random() * strata.length), 1);
+  }
+  const wrap = u => u - Math.floor(u);
+  const phases = strata.map(i => {
+    const a = i % k1, b = Math.floor(i / k1);
+    return [
+      wrap((a + 0.5 + jitter * (rng.random() - 0.5)) / k1),
+      wrap((b + 0.5 + jitter * (rng.random() - 0.5)) / k2)
+    ];
+  });
+  return phases;
+}
+
+/**
+ * Generate a population of grid cells for one or more modules.
+ *
+ * Each module spec may give spacing, orientation (radians), nCells,
+ * phaseMode ('uniform'|'jittered'), jitter, and any other GridCellModel
+ * option; `cellOptions` supplies defaults shared by every module.
+ *
+ * @param {object}   options
+ * @param {object[]} options.modules        Module specs.
+ * @param {object}   [options.cellOptions]  GridCellModel options for all cells.
+ * @param {number}   [options.seed=0]       RNG seed.
+ * @returns {object[]} One entry per cell:
+ *   { id, module, model, phase: [x,y], latticePhase: [u1,u2],
+ *     torusPhase: [t1,t2,t3] }
+ */
+export function generatePopulation({ modules, cellOptions = {}, seed = 0 }) {
+  const rng = createRng(seed);
+  const cells = [];
+
+  modules.forEach((spec, m) => {
+    const {
+      nCells = 1,
+      phaseMode = 'uniform',
+      jitter = 0.5,
+      ...moduleOptions
+    } = spec;
+    const base = new GridCellModel({ ...cellOptions, ...moduleOptions, phase: [0, 0] });
+    const latticePhases = drawRhombusPhases(nCells, rng, phaseMode, jitter);
+
+    latticePhases.forEach(([u1, u2]) => {
+      // rhombus point in the unit lattice frame → world phase offset
+      const phase = base.fromLattice([u1 + 0.5 * u2, (SQRT3 / 2) * u2]);
+      const model = base.with({ phase, seed: cells.length });
+      cells.push({
+        id: cells.length,
+        module: m,
+        model,
+        phase,
+        latticePhase: [u1, u2],
+        torusPhase: model.torusPhase()
+      });
+    });
+  });
+
+  return cells;
+}
+
+/**
+ * Module specs with geometrically increasing spacing, as found along the
+ * dorso-ventral axis of entorhinal cortex.
+ * @param {number} nModules              Number of modules.
+ * @param {number} nCells                Cells per module.
+ * @param {object} [options]
+ * @param {number} [options.spacing=1]       Spacing of the first module.
+ * @param {number} [options.ratio=1.42]      Spacing ratio between modules.
+ * @param {number} [options.orientation=0]   Orientation of the first module (radians).
+ * @param {number} [options.orientationStep=0]  Orientation change per module (radians).
+ * @returns {object[]} Module specs for generatePopulation().
+ */
+export function geometricModules(nModules, nCells, {
+  spacing = 1, ratio = 1.42, orientation = 0, orientationStep = 0
+} = {}) {
+  return Array.from({ length: nModules }, (_, m) => ({
+    nCells,
+    spacing: spacing * ratio ** m,
+    orientation: orientation + m * orientationStep
+  }));
+}
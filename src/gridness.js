@@ -0,0 +1,279 @@
+// gridness.js
+// Grid analysis of a rate map (see dataImport.js): the spatial
+// autocorrelogram, its central peaks, the gridness score and estimates of
+// the grid's spacing, orientation and ellipticity. The estimates follow
+// the GridCellModel conventions, and gridStats() also returns them as a
+// Lattice, so that a recorded map can seed the lattice, the grid-cell
+// model and the fold (see phaseFold.js) before it is folded.
+//
+// The autocorrelogram is itself a rate map: (2ny−1) × (2nx−1) bins of
+// Pearson correlation, with extent in lag units centred on zero lag, so
+// sampleRateMap can rotate it for the gridness score.
+
+import { sampleRateMap } from './dataImport.js';
+import { GridCellModel } from './GridCellModel.js';
+import { Lattice } from './Lattice.js';
+
+const SQRT3 = Math.sqrt(3);
+
+// Pearson correlation of paired values, leaving out pairs with a NaN
+function pearson(a, b) {
+  let n = 0, sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+  for (let k = 0; k < a.length; k++) {
+    const x = a[k], y = b[k];
+    if (!Number.isFinite(x) || !Number.isFinite(y)) continue;
+    n++;
+    sa += x; sb += y;
+    saa += x * x; sbb += y * y; sab += x * y;
+  }
+  const va = n * saa - sa * sa, vb = n * sbb - sb * sb;
+  return va > 0 && vb > 0 ? (n * sab - sa * sb) / Math.sqrt(va * vb) : NaN;
+}
+
+/**
+ * Spatial autocorrelogram of a rate map: at every lag the Pearson
+ * correlation of the map with its shifted copy over the bins visited in
+ * both (NaN bins are left out).
+ * @param {object} map  Rate map.
+ * @param {object} [options]
+ * @param {number} [options.minOverlap=20]  Fewest bin pairs for a lag; lags
+ *   with fewer are NaN.
+ * @returns {object} Rate map of correlations over lags.
+ */
+export function autocorrelogram(map, { minOverlap = 20 } = {}) {
+  const { values, shape: [ny, nx], extent: [x0, x1, y0, y1] } = map;
+  const dx = (x1 - x0) / nx, dy = (y1 - y0) / ny;
+  const mx = 2 * nx - 1, my = 2 * ny - 1;
+  const out = new Float64Array(mx * my).fill(NaN);
+  for (let ly = 1 - ny; ly < ny; ly++) {
+    for (let lx = 1 - nx; lx < nx; lx++) {
+      let n = 0, sa = 0, sb = 0, saa = 0, sbb = 0, sab = 0;
+      for (let j = Math.max(0, -ly); j < Math.min(ny, ny - ly); j++) {
+        for (let i = Math.max(0, -lx); i < Math.min(nx, nx - lx); i++) {
+          const a = values[j * nx + i], b = values[(j + ly) * nx + i + lx];
+          if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+          n++;
+          sa += a; sb += b;
+          saa += a * a; sbb += b * b; sab += a * b;
+        }
+      }
+      if (n < minOverlap) continue;
+      const va = n * saa - sa * sa, vb = n * sbb - sb * sb;
+      if (va > 0 && vb > 0) {
+        out[(ly + ny - 1) * mx + lx + nx - 1] = (n * sab - sa * sb) / Math.sqrt(va * vb);
+      }
+    }
+  }
+  return {
+    name: `${map.name} autocorrelogram`,
+    values: out,
+    shape: [my, mx],
+    extent: [-(nx - 0.5) * dx, (nx - 0.5) * dx, -(ny - 0.5) * dy, (ny - 0.5) * dy]
+  };
+}
+
+/**
+ * Local maxima of an autocorrelogram, refined to sub-bin position by a
+ * parabola through the neighbours along each axis.
+ * @param {object} ac  From autocorrelogram().
+ * @param {object} [options]
+ * @param {number} [options.radius=2]     Bins within which a peak is the
+ *   largest value.
+ * @param {number} [options.threshold=0]  Smallest peak correlation.
+ * @returns {{x: number, y: number, value: number}[]} Nearest to zero lag
+ *   first (the zero-lag peak itself comes first).
+ */
+export function findPeaks(ac, { radius = 2, threshold = 0 } = {}) {
+  const { values, shape: [ny, nx], extent: [x0, x1, y0, y1] } = ac;
+  const dx = (x1 - x0) / nx, dy = (y1 - y0) / ny;
+  const at = (i, j) => (i >= 0 && i < nx && j >= 0 && j < ny ? values[j * nx + i] : NaN);
+  // vertex offset of the parabola through (−1, l), (0, v), (1, r)
+  const vertex = (l, v, r) => {
+    const d = l - 2 * v + r;
+    return Number.isFinite(d) && d < 0 ? Math.max(-0.5, Math.min(0.5, (l - r) / (2 * d))) : 0;
+  };
+  const peaks = [];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const v = values[j * nx + i];
+      if (!(v > threshold)) continue;
+      let isMax = true;
+      for (let dj = -radius; dj <= radius && isMax; dj++) {
+        for (let di = -radius; di <= radius; di++) {
+          const w = at(i + di, j + dj);
+          // on a plateau only the first bin in scan order counts
+          if (w > v || (w === v && dj * nx + di < 0)) {
+            isMax = false;
+            break;
+          }
+        }
+      }
+      if (!isMax) continue;
+      const ox = vertex(at(i - 1, j), v, at(i + 1, j));
+      const oy = vertex(at(i, j - 1), v, at(i, j + 1));
+      peaks.push({ x: x0 + (i + 0.5 + ox) * dx, y: y0 + (j + 0.5 + oy) * dy, value: v });
+    }
+  }
+  return peaks.sort((a, b) => Math.hypot(a.x, a.y) - Math.hypot(b.x, b.y));
+}
+
+/**
+ * The six peaks around zero lag: the nearest findPeaks() peaks, leaving
+ * out the zero-lag peak, ordered by angle from −π.
+ * @param {object} ac  From autocorrelogram().
+ * @param {object} [options]  As for findPeaks.
+ * @returns {{x: number, y: number, value: number}[]} Up to six peaks.
+ */
+export function centralPeaks(ac, options = {}) {
+  const { shape: [ny, nx], extent: [x0, x1, y0, y1] } = ac;
+  const bin = Math.hypot((x1 - x0) / nx, (y1 - y0) / ny);
+  return findPeaks(ac, options)
+    .filter(p => Math.hypot(p.x, p.y) > bin)
+    .slice(0, 6)
+    .sort((a, b) => Math.atan2(a.y, a.x) - Math.atan2(b.y, b.x));
+}
+
+/**
+ * Gridness score: the autocorrelogram, restricted to an annulus around
+ * zero lag, is correlated with itself rotated by 30°, 60°, 90°, 120° and
+ * 150°; the score is min(r60, r120) − max(r30, r90, r150).
+ * @param {object} ac  From autocorrelogram().
+ * @param {object} [options]
+ * @param {number} [options.inner=0]         Inner radius of the annulus.
+ * @param {number} [options.outer=Infinity]  Outer radius of the annulus.
+ * @returns {{gridness: number, correlations: Object<number, number>}}
+ *   correlations by rotation angle in degrees.
+ */
+export function gridnessScore(ac, { inner = 0, outer = Infinity } = {}) {
+  const { values, shape: [ny, nx], extent: [x0, x1, y0, y1] } = ac;
+  const dx = (x1 - x0) / nx, dy = (y1 - y0) / ny;
+  const points = [], annulus = [];
+  for (let j = 0; j < ny; j++) {
+    for (let i = 0; i < nx; i++) {
+      const x = x0 + (i + 0.5) * dx, y = y0 + (j + 0.5) * dy;
+      const r = Math.hypot(x, y);
+      if (r < inner || r > outer || !Number.isFinite(values[j * nx + i])) continue;
+      points.push([x, y]);
+      annulus.push(values[j * nx + i]);
+    }
+  }
+  const correlations = {};
+  [30, 60, 90, 120, 150].forEach(deg => {
+    const rotated = sampleRateMap(ac, points, { center: [0, 0], orientation: deg * Math.PI / 180 });
+    correlations[deg] = pearson(annulus, rotated);
+  });
+  const gridness = Math.min(correlations[60], correlations[120]) -
+    Math.max(correlations[30], correlations[90], correlations[150]);
+  return { gridness, correlations };
+}
+
+// Centred ellipse x·Ax + … = 1 through the peaks by least squares, as
+// semi-axes and the angle of the major one; null if it is not an ellipse
+function fitEllipse(peaks) {
+  // normal equations for [A, B, C] in A x² + B xy + C y² = 1
+  const N = [[0, 0, 0], [0, 0, 0], [0, 0, 0]], rhs = [0, 0, 0];
+  peaks.forEach(({ x, y }) => {
+    const row = [x * x, x * y, y * y];
+    for (let r = 0; r < 3; r++) {
+      rhs[r] += row[r];
+      for (let c = 0; c < 3; c++) N[r][c] += row[r] * row[c];
+    }
+  });
+  const det3 = m =>
+    m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+    m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+    m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+  const D = det3(N);
+  if (!(Math.abs(D) > 1e-12 * det3([[N[0][0], 0, 0], [0, N[1][1], 0], [0, 0, N[2][2]]]))) return null;
+  // Cramer's rule
+  const [A, B, C] = [0, 1, 2].map(c => det3(N.map((row, r) => row.map((v, k) => (k === c ? rhs[r] : v)))) / D);
+  const mean = (A + C) / 2, half = Math.hypot((A - C) / 2, B / 2);
+  const lMin = mean - half, lMax = mean + half;
+  if (!(lMin > 0)) return null;
+  // 0.5·atan2(B, A − C) is the direction of the larger eigenvalue (minor axis)
+  let angle = 0.5 * Math.atan2(B, A - C) + Math.PI / 2;
+  angle -= Math.PI * Math.floor(angle / Math.PI);
+  return { major: 1 / Math.sqrt(lMin), minor: 1 / Math.sqrt(lMax), angle };
+}
+
+/**
+ * Autocorrelogram, gridness and grid estimates of a rate map. Spacing,
+ * orientation (in [−30°, 30°]), ellipticity and ellipseAngle are those of
+ * a GridCellModel whose fields lie on the six central peaks: the peaks are
+ * fitted with an ellipse whose minor semi-axis is the spacing, and the
+ * orientation is the 60°-periodic mean angle of the peaks once the
+ * stretch is undone. Without six central peaks the estimates are NaN and
+ * lattice is null.
+ * @param {object} map  Rate map.
+ * @param {object} [options]  autocorrelogram and findPeaks options, and
+ * @param {number} [options.inner]  Inner annulus radius for the gridness
+ *   score (default: half the distance to the nearest central peak).
+ * @param {number} [options.outer]  Outer annulus radius (default: 1.25 ×
+ *   the distance to the farthest central peak).
+ * @returns {object} { autocorrelogram, peaks, gridness, correlations,
+ *   spacing, orientation, ellipticity, ellipseAngle (radians), lattice }
+ *   with lattice the Lattice of the fitted fields, in map units.
+ */
+export function gridStats(map, options = {}) {
+  const ac = autocorrelogram(map, options);
+  const peaks = centralPeaks(ac, options);
+  const dist = peaks.map(p => Math.hypot(p.x, p.y));
+  const [x0, x1, y0, y1] = ac.extent;
+  const inner = options.inner ?? (dist.length ? 0.5 * Math.min(...dist) : 0);
+  const outer = options.outer ?? (dist.length ? 1.25 * Math.max(...dist) : Math.min(x1 - x0, y1 - y0) / 4);
+  const stats = {
+    autocorrelogram: ac,
+    peaks,
+    ...gridnessScore(ac, { inner, outer }),
+    spacing: NaN,
+    orientation: NaN,
+    ellipticity: NaN,
+    ellipseAngle: NaN,
+    lattice: null
+  };
+
+  const ellipse = peaks.length === 6 ? fitEllipse(peaks) : null;
+  if (!ellipse) return stats;
+  const { major, minor, angle } = ellipse;
+  const ellipticity = major / minor;
+  // undo the stretch along the major axis, then average the 6-fold angles
+  const ca = Math.cos(angle), sa = Math.sin(angle);
+  let s6 = 0, c6 = 0;
+  peaks.forEach(({ x, y }) => {
+    const a = (ca * x + sa * y) / ellipticity, b = -sa * x + ca * y;
+    const theta = Math.atan2(sa * a + ca * b, ca * a - sa * b);
+    s6 += Math.sin(6 * theta);
+    c6 += Math.cos(6 * theta);
+  });
+  const model = new GridCellModel({
+    spacing: minor,
+    orientation: Math.atan2(s6, c6) / 6,
+    ellipticity,
+    ellipseAngle: angle
+  });
+  return Object.assign(stats, {
+    spacing: model.spacing,
+    orientation: model.orientation,
+    ellipticity,
+    ellipseAngle: angle,
+    lattice: new Lattice(model.fromLattice([1, 0]), model.fromLattice([0.5, SQRT3 / 2]))
+  });
+}
+
+/**
+ * Settings of a lattice in the form the viewer and the fold take them: the
+ * length and angle of e1, and e2 relative to it.
+ * @param {Lattice} lattice
+ * @returns {{spacing: number, orientation: number, ratio: number, angle: number}}
+ *   ratio = |e2| / |e1|; orientation and angle (from e1 to e2) in radians.
+ */
+export function latticeSettings(lattice) {
+  const [a, b] = [lattice.e1, lattice.e2];
+  const spacing = Math.hypot(...a);
+  return {
+    spacing,
+    orientation: Math.atan2(a[1], a[0]),
+    ratio: Math.hypot(...b) / spacing,
+    angle: Math.atan2(a[0] * b[1] - a[1] * b[0], a[0] * b[0] + a[1] * b[1])
+  };
+}
@@ -3,46 +3,42 @@ import { GUI } from 'dat.gui';
 import { EffectComposer, EffectPass, RenderPass, BloomEffect } from 'postprocessing';
 import { KernelSize } from 'postprocessing';
 import { gridNodes, rotate2d, constrainedDelaunay, euclidean2torus,
-         F01_morph, F12_morph, F23_morph, gridCellPdf} from './torusUtils.js';
+         F01_morphBatch, F12_morphBatch, F23_morphBatch,
+         clifford_morphBatch, rotation4d,
+         F01_morphDerivBatch, F12_morphDerivBatch, F23_morphDerivBatch,
+         clifford_morphDerivBatch } from './torusUtils.js';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { GridTile } from './GridTile.js';
-
-// Convert hue-saturation-value to RGB (all in [0,1])
-function hsv2rgb(h, s, v) {
-  const i = Math.floor(h * 6);
-  const f = h * 6 - i;
-  const p = v * (1 - s);
-  const q = v * (1 - f * s);
-  const t = v * (1 - (1 - f) * s);
-  const mod = i % 6;
-  switch (mod) {
-    case 0: return [v, t, p];
-    case 1: return [q, v, p];
-    case 2: return [p, v, t];
-    case 3: return [p, q, v];
-    case 4: return [t, p, v];
-    case 5: return [v, p, q];
-  }
-}
-
-// Cubic ease-in-out for smooth transitions
-function easeInOutCubic(t) {
-  return t < 0.5
-    ? 4 * t * t * t
-    : 1 - Math.pow(-2 * t + 2, 3) / 2;
-}
-
-function getStageDuration(stage) {
-  return (stage === 'holdStart' || stage === 'holdEnd')
-    ? 1000
-    : STAGE_DURATION;
-}
+import { Lattice } from './Lattice.js';
+import { createArena, simulateTrajectory } from './trajectory.js';
+import { poissonSpikes, binSpikes } from './spikeTrains.js';
+import { decodeTorusPhase } from './phaseDecoder.js';
+import { PhaseTrail } from './PhaseTrail.js';
+import { PhaseMarkers } from './PhaseMarkers.js';
+import { ripsPersistence, persistentBetti } from './persistentHomology.js';
+import { BarcodePanel } from './BarcodePanel.js';
+import { embed } from './embedding.js';
+import { EmbeddingCloud } from './EmbeddingCloud.js';
+import { StageRegistry, evaluateStage, evaluateTimeline, stageTimes,
+         sequenceDuration } from './stages.js';
+import { Playback, LOOP_MODES } from './playback.js';
+import { parseStoryboard, loadStoryboard, exportStoryboard, STORYBOARD_VERSION } from './storyboard.js';
+import { encodeViewState, decodeViewState } from './viewState.js';
+import { distortionSummary } from './surfaceMetrics.js';
+import { MetricsPanel } from './MetricsPanel.js';
+import { exportMesh } from './meshExport.js';
+import { METRIC_MODES, populationFromSettings, populationColors, phaseColors,
+         metricValues, divergingColor, rateColors, tilePoints, foldTiles, hsv2rgb } from './vertexData.js';
+import { readDataFile, recordedMaps, recordedTrains, sampleRateMap, fitMapSpacing,
+         rateMapFromSpikes, DATA_FILE_TYPES } from './dataImport.js';
+import { phaseRateMap, samplePhaseMap } from './phaseFold.js';
+import { gridStats, latticeSettings } from './gridness.js';
+import { fitGridCells, fitsToCSV } from './gridFit.js';
 
 // --- Configuration --------------------------------------------------
 const ASPECT_RATIO = 4/3; // width/height
 const STAGE_DURATION = 3000; // ms per morph stage
-// Animation stages: pause at start, fade, morph steps, pause at end
-const STAGES = ['holdStart', 'fade', 'cylinder', 'twist', 'torus', 'holdEnd'];
+const HOLD_DURATION = 1000;  // ms for the pauses at start and end
 const FPS = 60;
 const HEX_SIDE = 1 / Math.sqrt(3);
 const NGRID = 30;
@@ -52,16 +48,190 @@ const POINT_SIZE = 3;
 // const NTILE_I = 50;
 
 // Rendering & data modes (manipulated via buttons)
-let dataMode      = 'torus1';   // 'torus1' | 'torus2' | 'torus3' | 'gridCells'
+let dataMode      = 'torus1';   // 'torus1' | 'torus2' | 'torus3' | 'gridCells' | METRIC_MODES | 'imported' | 'phaseMap'
 let shapeMode = 'hexagon';     // 'hexagon' | 'rhombus'
 let allTiles = [], centralTile, peripheralTiles;
 
-// Predefined grid-cell phase offsets (normalized to hexagon side)
-const gridPhases = [
-  [0, 0.3],
-  [-0.4, 0],
-  [0.6, 0.7]
-].map(([a, b]) => [a * HEX_SIDE, b * HEX_SIDE]);
+// Flat reference of the metric data modes (see vertexData.METRIC_MODES)
+let flatPositions;   // F01 flat sheet in tile units, the distortion reference
+let metricMorph = null;  // [morph, p] the central tile's metric colours show
+
+// Tile lattice: 'hexagonal', 'square' or 'oblique' (|e2|/|e1| ratio and angle)
+const latticeParams = {
+  type: 'hexagonal',
+  ratio: 1,
+  angle: 60           // degrees between e1 and e2
+};
+
+// Shared grid-cell model parameters (edited via the 'Grid cells' GUI folder)
+const gridCellParams = {
+  spacing: 1,
+  orientation: 0,     // degrees
+  ellipticity: 1,
+  ellipseAngle: 0,    // degrees
+  rateJitter: 0,
+  profile: 'gaussian',
+  sigma: 0.1,
+  peakRate: 10        // Hz, used when simulating spikes
+};
+// Grid-cell population: modules, phase sampling and which cells to show
+const populationParams = {
+  nModules: 1,
+  cellsPerModule: 3,
+  spacingRatio: 1.42,
+  orientationStep: 0, // degrees per module
+  phaseMode: 'uniform',
+  seed: 1,
+  cells: '0,1,2',     // comma-separated cell ids shown in 'subset' display
+  display: 'subset'   // 'subset' | 'sum'
+};
+let population = [];
+
+// Recorded rate maps loaded from files (see dataImport.js), shown by the
+// 'imported' data mode centred on the tile
+const importParams = {
+  map: 'none',        // name of the map shown
+  spacing: 1,         // map units per tile unit
+  orientation: 0,     // degrees
+  binSize: 0          // spike-train binning in map units (0: automatic)
+};
+let importedFiles = [], importedMaps = [];
+// Grid analysis of the selected map (see gridness.js)
+const gridReport = { gridness: '–' };
+let gridFit = null;
+// Grid-cell model fits of all imported maps (see gridFit.js), marked at
+// their phases on the central tile
+const fitParams = { method: 'lsq', showMarkers: true };
+let cellFits = [];
+let fitMarkers = null;
+
+// Imported spike train folded into the phase tile (see phaseFold.js), shown
+// by the 'phaseMap' data mode and carried onto the torus by the morphs
+const foldParams = {
+  spikes: 'none',     // name of the spike train folded
+  spacing: 1,         // grid spacing (arena units)
+  orientation: 0,     // grid orientation (degrees)
+  bins: 32,           // phase bins per axis
+  sigma: 0.05         // smoothing width (fraction of the spacing)
+};
+let phaseMap = null;
+// Arena rate map of the folded train, for the arena view
+let arenaMap = null;
+
+// Simulated recordings of a population cell, folded like imported ones
+const SIM_DURATION = 1800;   // s
+
+// Batch morphs of the central tile, each unrolling the tile's lattice
+const cylinderMorphBatch = (tp, p, out) =>
+  F01_morphBatch(tp, p, out, 2 * Math.PI, centralTile.lattice);
+const twistMorphBatch = (tp, p, out) =>
+  F12_morphBatch(tp, p, out, 2 * Math.PI, centralTile.lattice);
+const torusMorphBatch = (tp, p, out) =>
+  F23_morphBatch(tp, p, out, 1, 2, 'center', centralTile.lattice);
+
+// Phase decoding demo: simulate a run, decode module-0 activity, draw the trail
+const decoderParams = {
+  method: 'ml',       // 'ml' | 'populationVector'
+  duration: 20,       // s
+  binWidth: 0.1,      // s
+  showTrail: true
+};
+let decodedTrail = null;
+let currentMorph = [cylinderMorphBatch, 0];
+
+// Persistent homology of the current tile vertices or an imported point cloud
+const topologyParams = {
+  source: 'tile',     // 'tile' | 'imported'
+  landmarks: 200,
+  showPanel: false
+};
+let importedCloud = null;
+
+// Low-dimensional embedding of population activity, drawn beside the torus
+const embeddingParams = {
+  source: 'gridCells', // 'gridCells' | 'imported'
+  method: 'pca',       // 'pca' | 'mds' | 'isomap'
+  neighbours: 10,      // Isomap kNN graph
+  show: false
+};
+
+// Optional stage into the flat Clifford torus: 4-D rotation plane angles (degrees)
+const cliffordParams = {
+  enabled: false,
+  xy: 0, xz: 0, xw: 0, yz: 0, yw: 0, zw: 0
+};
+const cliffordRotation = () => {
+  const deg = Math.PI / 180;
+  const { xy, xz, xw, yz, yw, zw } = cliffordParams;
+  return rotation4d([xy, xz, xw, yz, yw, zw].map(a => a * deg));
+};
+const cliffordMorphBatch = (tp, p, out) =>
+  clifford_morphBatch(tp, p, out, cliffordRotation(), 1, centralTile.lattice);
+
+// Mesh export of the central tile in its current morph state
+const exportParams = {
+  format: 'obj',      // 'obj' | 'ply' | 'stl' | 'gltf'
+  geometry: 'sheet',  // 'sheet' | 'closed' (seam vertices identified)
+  scale: 1            // output units per tile unit
+};
+
+// Forms of the batch morphs that also write analytic partial derivatives,
+// used for the tile normals
+const MORPH_DERIVATIVES = new Map([
+  [cylinderMorphBatch, (tp, p, out, dOut) =>
+    F01_morphDerivBatch(tp, p, out, dOut, 2 * Math.PI, centralTile.lattice)],
+  [twistMorphBatch, (tp, p, out, dOut) =>
+    F12_morphDerivBatch(tp, p, out, dOut, 2 * Math.PI, centralTile.lattice)],
+  [torusMorphBatch, (tp, p, out, dOut) =>
+    F23_morphDerivBatch(tp, p, out, dOut, 1, 2, 'center', centralTile.lattice)],
+  [cliffordMorphBatch, (tp, p, out, dOut) =>
+    clifford_morphDerivBatch(tp, p, out, dOut, cliffordRotation(), 1, centralTile.lattice)]
+]);
+
+// Batch morphs by storyboard name
+const MORPHS = {
+  F01: cylinderMorphBatch,
+  F12: twistMorphBatch,
+  F23: torusMorphBatch,
+  clifford: cliffordMorphBatch
+};
+
+// Default presentation (see storyboard.js): pause at start, fade, morph
+// steps, pause at end ('clifford' is off unless enabled in the GUI)
+const DEFAULT_STORYBOARD = {
+  version: STORYBOARD_VERSION,
+  settings: {
+    loop: 'pingpong',
+    speed: 1,
+    data: 'torus1',
+    shape: 'hexagon',
+    bloom: { intensity: 0, threshold: 0.5, smoothness: 0.025 }
+  },
+  stages: [
+    {
+      name: 'holdStart', morph: 'hold', duration: HOLD_DURATION,
+      camera: [{ t: 0, fov: 40 }],
+      tiles: { peripheral: true }
+    },
+    {
+      name: 'fade', morph: 'F01', params: [0, 0], duration: STAGE_DURATION,
+      camera: [{ t: 0, fov: 40 }, { t: 1, fov: 20 }],
+      tiles: { peripheral: true, peripheralOpacity: [1, 0] }
+    },
+    { name: 'cylinder', morph: 'F01', duration: STAGE_DURATION, camera: [{ t: 0, fov: 20 }] },
+    { name: 'twist', morph: 'F12', duration: STAGE_DURATION, camera: [{ t: 0, fov: 20 }] },
+    {
+      name: 'torus', morph: 'F23', duration: STAGE_DURATION,
+      camera: [{ t: 0, fov: 20 }, { t: 1, fov: 10 }]
+    },
+    { name: 'clifford', morph: 'clifford', duration: STAGE_DURATION, camera: [{ t: 0, fov: 10 }], enabled: false },
+    { name: 'holdEnd', morph: 'hold', duration: HOLD_DURATION, camera: [{ t: 0, fov: 10 }] }
+  ]
+};
+
+// Animation stages, loaded from a storyboard
+const stages = loadStoryboard(new StageRegistry(), parseStoryboard(DEFAULT_STORYBOARD, MORPHS));
+
 // gridCellsRgbV will be computed per-tile in rebuildTiles()
 let gridCellsRgbV;
 
@@ -81,11 +251,13 @@ const composer = new EffectComposer(renderer);
 composer.addPass(new RenderPass(scene, camera));
 
 // Bloom effect
+// Intensity outside stages that set their own (storyboard settings.bloom)
+let baseBloom = DEFAULT_STORYBOARD.settings.bloom.intensity;
 const bloomEffect = new BloomEffect({
-  intensity: 0,
+  intensity: baseBloom,
   kernelSize: KernelSize.LARGE,
-  luminanceThreshold: 0.5,
-  luminanceSmoothness: 0.025
+  luminanceThreshold: DEFAULT_STORYBOARD.settings.bloom.threshold,
+  luminanceSmoothness: DEFAULT_STORYBOARD.settings.bloom.smoothness
 });
 const bloomPass = new EffectPass(camera, bloomEffect);
 bloomPass.renderToScreen = true;
@@ -108,16 +280,256 @@ const controls = {
   data: dataMode,
   restart: () => { onRestart() }
 };
-gui.add(controls, 'data', ['torus1','torus2','torus3','gridCells'])
-  .name('Data').onChange(v => { dataMode = v; updateColors(); });
+const dataController = gui.add(controls, 'data', ['torus1','torus2','torus3','gridCells', ...METRIC_MODES, 'imported', 'phaseMap'])
+  .name('Data').onChange(v => setDataMode(v));
 
 controls.shape = shapeMode;
-gui.add(controls, 'shape', ['hexagon','rhombus'])
+const shapeController = gui.add(controls, 'shape', ['hexagon','rhombus'])
   .name('Shape')
+  .onChange(v => setShapeMode(v));
+
+// Arena view: each tile shows the recording at its own place in the arena
+// and the central tile their fold (imported and phaseMap data)
+controls.arena = false;
+gui.add(controls, 'arena').name('Arena view').onChange(updateColors);
+
+function setDataMode(v) {
+  dataMode = v;
+  if (controls.data !== v) {
+    controls.data = v;
+    dataController.updateDisplay();
+  }
+  metricsPanel.setVisibility(METRIC_MODES.includes(v));
+  if (metricsPanel.visible) updateStageMetrics();
+  updateColors();
+}
+
+function setShapeMode(v) {
+  shapeMode = v;
+  if (controls.shape !== v) {
+    controls.shape = v;
+    shapeController.updateDisplay();
+  }
+  rebuildTiles();
+}
+
+const latticeFolder = gui.addFolder('Lattice');
+latticeFolder.add(latticeParams, 'type', ['hexagonal', 'square', 'oblique']).name('Type').onChange(rebuildTiles);
+latticeFolder.add(latticeParams, 'ratio', 0.5, 2, 0.01).name('|e2| / |e1|').onChange(rebuildTiles);
+latticeFolder.add(latticeParams, 'angle', 30, 150, 0.5).name('Angle (°)').onChange(rebuildTiles);
+
+const gridCellFolder = gui.addFolder('Grid cells');
+const onGridCellChange = () => { updateGridCells(); updateColors(); };
+gridCellFolder.add(gridCellParams, 'spacing', 0.5, 2, 0.01).name('Spacing').onChange(onGridCellChange);
+gridCellFolder.add(gridCellParams, 'orientation', -30, 30, 0.5).name('Orientation (°)').onChange(onGridCellChange);
+gridCellFolder.add(gridCellParams, 'ellipticity', 1, 2, 0.01).name('Ellipticity').onChange(onGridCellChange);
+gridCellFolder.add(gridCellParams, 'ellipseAngle', 0, 180, 1).name('Ellipse axis (°)').onChange(onGridCellChange);
+gridCellFolder.add(gridCellParams, 'rateJitter', 0, 1, 0.01).name('Rate jitter').onChange(onGridCellChange);
+gridCellFolder.add(gridCellParams, 'profile', ['gaussian', 'vonMises', 'cosine']).name('Profile').onChange(onGridCellChange);
+gridCellFolder.add(gridCellParams, 'sigma', 0.02, 0.3, 0.005).name('Field width').onChange(onGridCellChange);
+
+const populationFolder = gui.addFolder('Population');
+populationFolder.add(populationParams, 'nModules', 1, 5, 1).name('Modules').onChange(onGridCellChange);
+populationFolder.add(populationParams, 'cellsPerModule', 1, 100, 1).name('Cells/module').onChange(onGridCellChange);
+populationFolder.add(populationParams, 'spacingRatio', 1, 2, 0.01).name('Spacing ratio').onChange(onGridCellChange);
+populationFolder.add(populationParams, 'orientationStep', -30, 30, 0.5).name('Orientation step (°)').onChange(onGridCellChange);
+populationFolder.add(populationParams, 'phaseMode', ['uniform', 'jittered']).name('Phases').onChange(onGridCellChange);
+populationFolder.add(populationParams, 'seed', 0, 1000, 1).name('Seed').onChange(onGridCellChange);
+populationFolder.add(populationParams, 'display', ['subset', 'sum']).name('Display').onChange(onGridCellChange);
+populationFolder.add(populationParams, 'cells').name('Cells shown').onFinishChange(onGridCellChange);
+
+const importFolder = gui.addFolder('Import data');
+importFolder.add({ load: () => importDataFiles() }, 'load').name('Load data…');
+const onMapChange = () => { clearGridFit(); updateColors(); };
+let mapController = importFolder.add(importParams, 'map', ['none']).name('Map').onChange(onMapChange);
+importFolder.add(importParams, 'spacing').name('Spacing (units)').onFinishChange(updateColors);
+importFolder.add(importParams, 'orientation', -180, 180, 0.5).name('Orientation (°)').onChange(updateColors);
+importFolder.add(importParams, 'binSize').name('Spike bin size').onFinishChange(() => {
+  updateImportedMaps();
+  updatePhaseMap();
+  updateColors();
+});
+importFolder.add({ analyze: () => analyzeGrid() }, 'analyze').name('Grid analysis');
+importFolder.add(gridReport, 'gridness').name('Gridness').listen();
+importFolder.add({ apply: () => applyGridFit() }, 'apply').name('Use grid fit');
+importFolder.add(fitParams, 'method', ['lsq', 'poisson']).name('Fit method');
+importFolder.add({ fit: () => fitCells() }, 'fit').name('Fit all cells');
+importFolder.add(fitParams, 'showMarkers').name('Show fits')
+  .onChange(v => { if (fitMarkers) fitMarkers.setVisibility(v); });
+importFolder.add({ save: () => saveFits() }, 'save').name('Save fits…');
+
+const foldFolder = gui.addFolder('Fold into tile');
+const onFoldChange = () => { updatePhaseMap(); updateColors(); };
+let foldSpikesController = foldFolder.add(foldParams, 'spikes', ['none']).name('Spike train').onChange(onFoldChange);
+foldFolder.add(foldParams, 'spacing').name('Grid spacing').onFinishChange(onFoldChange);
+foldFolder.add(foldParams, 'orientation', -30, 30, 0.5).name('Orientation (°)').onChange(onFoldChange);
+foldFolder.add(foldParams, 'bins', 8, 64, 1).name('Phase bins').onChange(onFoldChange);
+foldFolder.add(foldParams, 'sigma', 0, 0.2, 0.005).name('Smoothing').onChange(onFoldChange);
+foldFolder.add({ simulate: () => simulateRecording() }, 'simulate').name('Simulate recording');
+
+const decoderFolder = gui.addFolder('Decoder');
+decoderFolder.add(decoderParams, 'method', ['ml', 'populationVector']).name('Method');
+decoderFolder.add(decoderParams, 'duration', 5, 120, 1).name('Duration (s)');
+decoderFolder.add(decoderParams, 'binWidth', 0.02, 0.5, 0.01).name('Bin width (s)');
+decoderFolder.add(decoderParams, 'showTrail').name('Show trail')
+  .onChange(v => { if (decodedTrail) decodedTrail.setVisibility(v); });
+decoderFolder.add({ run: () => runDecoder() }, 'run').name('Simulate & decode');
+
+const barcodePanel = new BarcodePanel();
+const metricsPanel = new MetricsPanel();
+const topologyFolder = gui.addFolder('Topology');
+topologyFolder.add(topologyParams, 'source', ['tile', 'imported']).name('Point cloud');
+topologyFolder.add(topologyParams, 'landmarks', 20, 400, 10).name('Landmarks');
+topologyFolder.add(topologyParams, 'showPanel').name('Show barcodes')
+  .onChange(v => barcodePanel.setVisibility(v));
+topologyFolder.add({ run: () => runTopology() }, 'run').name('Compute barcodes');
+topologyFolder.add({ load: () => importPointCloud() }, 'load').name('Import cloud…');
+
+const embeddingCloud = new EmbeddingCloud({ position: [3, 0, 0], radius: 1 });
+embeddingCloud.setVisibility(false);
+scene.add(embeddingCloud.mesh);
+const embeddingFolder = gui.addFolder('Embedding');
+embeddingFolder.add(embeddingParams, 'source', ['gridCells', 'imported']).name('Activity');
+embeddingFolder.add(embeddingParams, 'method', ['pca', 'mds', 'isomap']).name('Method');
+embeddingFolder.add(embeddingParams, 'neighbours', 3, 30, 1).name('Neighbours');
+embeddingFolder.add(embeddingParams, 'show').name('Show cloud')
+  .onChange(v => embeddingCloud.setVisibility(v));
+embeddingFolder.add({ run: () => runEmbedding() }, 'run').name('Compute embedding');
+
+const cliffordFolder = gui.addFolder('Clifford torus');
+cliffordFolder.add(cliffordParams, 'enabled').name('Clifford stage')
+  .onChange(v => {
+    const stage = stages.get('clifford');
+    if (stage) stage.enabled = v;
+  });
+['xy', 'xz', 'xw', 'yz', 'yw', 'zw'].forEach(plane => {
+  cliffordFolder.add(cliffordParams, plane, -180, 180, 1).name(`Rotate ${plane} (°)`)
+    .onChange(() => {
+      if (metricsPanel.visible) updateStageMetrics();
+      if (currentMorph[0] === cliffordMorphBatch) {
+        metricMorph = null;
+        setMorph(...currentMorph);
+      }
+    });
+});
+
+const exportFolder = gui.addFolder('Export');
+exportFolder.add(exportParams, 'format', ['obj', 'ply', 'stl', 'gltf']).name('Format');
+exportFolder.add(exportParams, 'geometry', ['sheet', 'closed']).name('Geometry');
+exportFolder.add(exportParams, 'scale', 0.1, 100).name('Scale');
+exportFolder.add({ save: () => exportCentralTile() }, 'save').name('Export mesh');
+
+// Playback of the stage timeline (see playback.js); time in seconds
+const playback = new Playback({ loop: 'pingpong' });
+const playbackParams = {
+  time: 0,
+  speed: 1,
+  loop: playback.loop,
+  pauseAfter: 'none'    // stage name: pause when that stage finishes
+};
+const playbackFolder = gui.addFolder('Playback');
+const playController = playbackFolder.add({ toggle: () => togglePlayback() }, 'toggle').name('Pause');
+const timeController = playbackFolder.add(playbackParams, 'time', 0, 1, 0.001).name('Time (s)')
+  .onChange(v => playback.seek(v * 1000));
+playbackFolder.add({ back: () => stepPlayback(-1) }, 'back').name('◀ Frame');
+playbackFolder.add({ forward: () => stepPlayback(1) }, 'forward').name('Frame ▶');
+playbackFolder.add(playbackParams, 'speed', -4, 4, 0.05).name('Speed')
+  .onChange(v => { playback.speed = v; });
+playbackFolder.add(playbackParams, 'loop', LOOP_MODES).name('Loop')
+  .onChange(v => { playback.loop = v; });
+let pauseController = playbackFolder.add(playbackParams, 'pauseAfter', ['none', ...stages.order])
+  .name('Pause after');
+playbackFolder.open();
+
+function togglePlayback() {
+  playback.toggle();
+  playController.name(playback.playing ? 'Pause' : 'Play');
+}
+
+// Step the timeline by whole frames (pauses playback)
+function stepPlayback(frames) {
+  playback.step(frames * 1000 / FPS);
+  playController.name('Play');
+}
+
+// Keyboard: space plays/pauses, arrow keys step frames
+window.addEventListener('keydown', event => {
+  if (event.target instanceof HTMLInputElement) return;
+  if (event.key === ' ') togglePlayback();
+  else if (event.key === 'ArrowLeft') stepPlayback(-1);
+  else if (event.key === 'ArrowRight') stepPlayback(1);
+  else return;
+  event.preventDefault();
+});
+
+const storyboardFolder = gui.addFolder('Storyboard');
+storyboardFolder.add({ load: () => importStoryboard() }, 'load').name('Load storyboard…');
+storyboardFolder.add({ save: () => saveStoryboard() }, 'save').name('Save storyboard');
+
+// Replace the stages and settings with those of a storyboard document and
+// play it from the start
+function applyStoryboard(doc) {
+  const storyboard = parseStoryboard(doc, MORPHS);
+  loadStoryboard(stages, storyboard);
+  const { loop, speed, data, shape, bloom = {} } = storyboard.settings;
+  if (loop !== undefined) playback.loop = playbackParams.loop = loop;
+  if (speed !== undefined) playback.speed = playbackParams.speed = speed;
+  if (bloom.intensity !== undefined) baseBloom = bloom.intensity;
+  if (bloom.threshold !== undefined) bloomEffect.luminanceMaterial.threshold = bloom.threshold;
+  if (bloom.smoothness !== undefined) bloomEffect.luminanceMaterial.smoothing = bloom.smoothness;
+  if (shape !== undefined && shape !== shapeMode) setShapeMode(shape);
+  if (data !== undefined) setDataMode(data);
+  const clifford = stages.get('clifford');
+  cliffordParams.enabled = Boolean(clifford && clifford.enabled !== false);
+  cliffordFolder.updateDisplay();
+
+  if (!stages.order.includes(playbackParams.pauseAfter)) playbackParams.pauseAfter = 'none';
+  pauseController = pauseController.options(['none', ...stages.order]).name('Pause after');
+  playbackFolder.updateDisplay();
+  onRestart();
+}
+
+function importStoryboard() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json';
+  input.addEventListener('change', async () => {
+    try {
+      applyStoryboard(await input.files[0].text());
+    } catch (err) {
+      alert(`Could not load storyboard: ${err.message}`);
+    }
+  });
+  input.click();
+}
+
+// Download the current stages and settings as a storyboard
+function saveStoryboard() {
+  const doc = exportStoryboard(stages, MORPHS, {
+    loop: playback.loop,
+    speed: playback.speed,
+    data: dataMode,
+    shape: shapeMode,
+    bloom: {
+      intensity: baseBloom,
+      threshold: bloomEffect.luminanceMaterial.threshold,
+      smoothness: bloomEffect.luminanceMaterial.smoothing
+    }
+  });
+  downloadFile(JSON.stringify(doc, null, 2), 'storyboard.json', 'application/json');
+}
+
+// Permalinks (URL hash) and local persistence of the viewer state
+const VIEW_STORAGE_KEY = 'hextorus.viewState';
+const shareParams = { remember: localStorage.getItem(VIEW_STORAGE_KEY) !== null };
+const shareFolder = gui.addFolder('Share');
+shareFolder.add({ link: () => copyViewLink() }, 'link').name('Copy link to view');
+shareFolder.add(shareParams, 'remember').name('Remember view')
   .onChange(v => {
-    shapeMode = v;
-    rebuildTiles();
+    if (v) saveViewState();
+    else localStorage.removeItem(VIEW_STORAGE_KEY);
   });
+shareFolder.add({ reset: () => resetViewState() }, 'reset').name('Reset view');
 
 // Bind top-left HTML Restart button (if present) to our restart action
 // N.B. this button is created in index.html, not in main.js
@@ -127,7 +539,16 @@ document.querySelectorAll('button').forEach(btn => {
   }
 });
 
-// Rebuild tiles based on current shapeMode
+// Lattice of the tiles from the 'Lattice' GUI folder
+function currentLattice() {
+  if (latticeParams.type === 'square') return Lattice.square();
+  if (latticeParams.type === 'oblique') {
+    return Lattice.oblique(1, latticeParams.ratio, latticeParams.angle * Math.PI / 180);
+  }
+  return Lattice.hexagonal();
+}
+
+// Rebuild tiles based on current shapeMode and lattice
 function rebuildTiles() {
 
   // Retreive the current state of the peripheral tiles, so we can re-apply 
@@ -141,63 +562,85 @@ function rebuildTiles() {
 
   // Remove old tiles
   allTiles.forEach(tile => scene.remove(tile.group));
+  // the new tiles are flat until the next setMorph colours them
+  metricMorph = null;
   // Create new template with selected shape
   const template = new GridTile(NGRID, {
     position: [0, 0, 0],
     scale: SCALE,
-    shape: shapeMode
+    shape: shapeMode,
+    lattice: currentLattice()
   });
   // Clone for all centers
-  allTiles = GridTile.tile(template, NTILE_RINGS);
+  allTiles = GridTile.tile(template, NTILE_RINGS, { ownColors: true });
   centralTile = allTiles[0];
   peripheralTiles = allTiles.slice(1);
   // Add to scene and reset visibility/opacity
   allTiles.forEach(tile => {scene.add(tile.group)});
+  // Decoded phase trail rides on the central tile
+  const trailPhases = decodedTrail ? decodedTrail.phases : [];
+  decodedTrail = new PhaseTrail({ shape: shapeMode, lattice: centralTile.lattice, phases: trailPhases });
+  decodedTrail.setVisibility(decoderParams.showTrail);
+  centralTile.group.add(decodedTrail.mesh);
+  // so do the markers of the fitted cells
+  fitMarkers = new PhaseMarkers({ shape: shapeMode, lattice: centralTile.lattice });
+  showCellFits();
+  fitMarkers.setVisibility(fitParams.showMarkers);
+  centralTile.group.add(fitMarkers.mesh);
+  // Embedding points share the central tile's colors
+  embeddingCloud.setColors(centralTile.faceGeom.getAttribute('color'));
   peripheralTiles.forEach(tile => {
     tile.showWireframe = false;
     tile.setVisibility(peripheralTileVisibility);
     tile.setOpacity(peripheralTileOpacity);
   })
 
-  // Compute grid-cell PDFs using the current central tile's Euclidean coords
-  const coords = centralTile.euclidCoords;
-  // Normalize each cell's PDF
-  const allNormPdfs = gridPhases.map(ph => {
-    const Z = gridCellPdf(coords, ph, 0.1);
-    const maxZ = Math.max(...Z);
-    return Z.map(v => v / maxZ);
-  });
-  // Build RGB array per vertex
-  gridCellsRgbV = coords.map((_, i) => [
-    allNormPdfs[0][i],
-    allNormPdfs[1][i],
-    allNormPdfs[2][i]
-  ]);
+  // Flat reference for the metric data modes (same units as setMorph)
+  flatPositions = cylinderMorphBatch(centralTile.torusCoordsFlat, 0).map(v => v / SCALE);
+  if (metricsPanel.visible) updateStageMetrics();
+
+  updateGridCells();
+  // the phase map is binned on the tile lattice
+  if (phaseMap) updatePhaseMap();
   // Update colors on new tiles
   updateColors();
+  if (embeddingParams.show && embeddingParams.source === 'gridCells') runEmbedding();
+}
+
+// Regenerate the population and recompute its rates at the current
+// central tile's Euclidean coords
+function updateGridCells() {
+  population = populationFromSettings(gridCellParams, populationParams);
+  gridCellsRgbV = populationColors(population, centralTile.euclidCoords, {
+    display: populationParams.display,
+    cells: populationParams.cells
+  });
 }
 
 function updateColors() {
   const N = centralTile.euclidCoords.length;
 
+  const arenaColorsArray = controls.arena ? arenaColors() : null;
+  if (arenaColorsArray) {
+    allTiles.forEach((tile, k) => tile.setColorMap((tpt, i) => arenaColorsArray[k * N + i]));
+    return;
+  }
+
   // Determine which vertex‐based data to use
   let colorsArray;
   if (dataMode === 'gridCells') {
     // RGB from three normalized grid‐cell PDFs
     colorsArray = gridCellsRgbV;
+  } else if (METRIC_MODES.includes(dataMode)) {
+    colorsArray = metricColors();
+  } else if (dataMode === 'imported') {
+    colorsArray = importedColors();
+  } else if (dataMode === 'phaseMap') {
+    colorsArray = phaseMap && rateColors(samplePhaseMap(phaseMap, centralTile.torusCoords));
   } else if (dataMode.startsWith('torus')) {
     // HSV→RGB mapping of torus phase channel (including computed 3rd axis)
     const channel = parseInt(dataMode.slice(-1), 10) - 1;
-    colorsArray = centralTile.torusCoords.map(([t1, t2]) => {
-      // compute third phase
-      const t3 = - (t1 + t2);
-      const phases = [t1, t2, t3];
-      // wrap and normalize selected channel
-      const raw = phases[channel];
-      const wrapped = ((raw % (2*Math.PI)) + 2*Math.PI) % (2*Math.PI);
-      const h = wrapped / (2*Math.PI);
-      return hsv2rgb(h, 1, 1);
-    });
+    colorsArray = phaseColors(centralTile.torusCoords, channel);
   } else {
     colorsArray = null;
   }
@@ -233,16 +676,260 @@ function updateColors() {
   peripheralTiles.forEach(tile => tile.setColorMap(() => [0.5333333333333333, 0.5333333333333333, 0.5333333333333333]));
 }
 
-function fcnScaled(fcn, pt) {
-  const [x,y,z] = fcn(pt);
-  return [x/SCALE, y/SCALE, z/SCALE];
+// Per-vertex colours of the current metric data mode on the central tile
+function metricColors() {
+  const positions = centralTile.faceGeom.getAttribute('position').array;
+  const index = centralTile.faceGeom.index.array;
+  const { values, scale } = metricValues(dataMode, positions, flatPositions, index);
+  if (metricsPanel.visible) {
+    metricsPanel.update(distortionSummary(positions, flatPositions, index), currentStageName());
+  }
+  return Array.from(values, v => divergingColor(v / scale));
 }
 
-function setMorph(fcn, t) {
-  function fmorph(pt) {
-    return fcn(pt, t);
+// Per-vertex colours of the selected imported rate map on the central tile,
+// or null (gray) before anything is imported
+function importedColors() {
+  const map = importedMaps.find(m => m.name === importParams.map);
+  if (!map) return null;
+  return rateColors(sampleRateMap(map, centralTile.euclidCoords, {
+    spacing: importParams.spacing,
+    orientation: importParams.orientation * Math.PI / 180
+  }));
+}
+
+// Per-vertex colours of every tile for the arena view, tile-major in
+// allTiles order: the peripheral tiles sample the recording where they lie
+// in the arena, the central tile shows the fold of all of them. Rates share
+// one colour scale. Null (plain view) for data without an arena.
+function arenaColors() {
+  const N = centralTile.euclidCoords.length;
+  const points = tilePoints(allTiles.map(tile => tile.center), centralTile.euclidCoords);
+  let rates;
+  if (dataMode === 'imported') {
+    const map = importedMaps.find(m => m.name === importParams.map);
+    if (!map) return null;
+    rates = sampleRateMap(map, points, {
+      spacing: importParams.spacing,
+      orientation: importParams.orientation * Math.PI / 180
+    });
+    rates.set(foldTiles(rates, N));
+  } else if (dataMode === 'phaseMap') {
+    if (!phaseMap) return null;
+    // the fold origin is phase zero, i.e. the centre of the central tile
+    rates = sampleRateMap(arenaMap, points, {
+      center: [0, 0],
+      spacing: foldParams.spacing,
+      orientation: foldParams.orientation * Math.PI / 180
+    });
+    rates.set(samplePhaseMap(phaseMap, centralTile.torusCoords));
+  } else {
+    return null;
   }
-  centralTile.setTransform(pt => fcnScaled(fmorph, pt));
+  return rateColors(rates);
+}
+
+// Autocorrelogram gridness and grid estimates of the selected imported map
+function analyzeGrid() {
+  const map = importedMaps.find(m => m.name === importParams.map);
+  if (!map) return;
+  gridFit = gridStats(map);
+  const deg = 180 / Math.PI;
+  gridReport.gridness = !Number.isFinite(gridFit.gridness) ? 'n/a'
+    : !gridFit.lattice ? gridFit.gridness.toFixed(2)
+    : `${gridFit.gridness.toFixed(2)} (spacing ${gridFit.spacing.toPrecision(3)}, ` +
+      `${(gridFit.orientation * deg).toFixed(1)}°, ellipticity ${gridFit.ellipticity.toFixed(2)})`;
+}
+
+function clearGridFit() {
+  gridFit = null;
+  gridReport.gridness = '–';
+}
+
+// Seed the tile lattice, the map placement and the fold with the grid
+// fitted by analyzeGrid: one tile is one grid period
+function applyGridFit() {
+  if (!gridFit?.lattice) {
+    alert('No grid fit: run the grid analysis on a grid-like map first');
+    return;
+  }
+  const deg = 180 / Math.PI;
+  const { spacing, orientation, ratio, angle } = latticeSettings(gridFit.lattice);
+  if (gridFit.ellipticity < 1.05) {
+    latticeParams.type = 'hexagonal';
+  } else {
+    latticeParams.type = 'oblique';
+    latticeParams.ratio = ratio;
+    latticeParams.angle = angle * deg;
+  }
+  importParams.spacing = foldParams.spacing = spacing;
+  importParams.orientation = foldParams.orientation = orientation * deg;
+  gui.updateDisplay();
+  rebuildTiles();
+}
+
+// Fold the selected imported spike train into the phase tile of the
+// current lattice
+function updatePhaseMap() {
+  const { tracking, spikes } = recordedTrains(importedFiles);
+  const train = spikes.find(s => s.name === foldParams.spikes);
+  phaseMap = train ? phaseRateMap(tracking, train, {
+    spacing: foldParams.spacing,
+    orientation: foldParams.orientation * Math.PI / 180,
+    bins: foldParams.bins,
+    sigma: foldParams.sigma,
+    lattice: currentLattice()
+  }) : null;
+  arenaMap = train ? rateMapFromSpikes(tracking, train, { binSize: importParams.binSize }) : null;
+}
+
+// Distortion summary at the end of every stage in the current sequence
+function updateStageMetrics() {
+  const index = centralTile.faceGeom.index.array;
+  const sequence = stages.sequence();
+  metricsPanel.setStages(sequence.map((stage, i) => {
+    const { morph, p } = evaluateStage(sequence, i, 1);
+    const positions = morph(centralTile.torusCoordsFlat, p, new Float64Array(flatPositions.length))
+      .map(v => v / SCALE);
+    return { name: stage.name, summary: distortionSummary(positions, flatPositions, index) };
+  }));
+}
+
+function currentStageName() {
+  const sequence = stages.sequence();
+  return sequence.length ? sequence[Math.min(stageIndex, sequence.length - 1)].name : 'none';
+}
+
+function setMorph(fcnBatch, t) {
+  currentMorph = [fcnBatch, t];
+  const transform = (tp, out) => {
+    fcnBatch(tp, t, out);
+    for (let i = 0; i < out.length; i++) {
+      out[i] /= SCALE;
+    }
+  };
+  const fcnDeriv = MORPH_DERIVATIVES.get(fcnBatch);
+  if (fcnDeriv) {
+    // Derivative directions are unchanged by the uniform rescale
+    centralTile.setTransformBatch((tp, out, dOut) => {
+      fcnDeriv(tp, t, out, dOut);
+      for (let i = 0; i < out.length; i++) {
+        out[i] /= SCALE;
+      }
+    }, true);
+  } else {
+    centralTile.setTransformBatch(transform);
+  }
+  decodedTrail.setTransformBatch(transform);
+  fitMarkers.setTransformBatch(transform);
+  // Only the central tile morphs, so only its metric colours change with p
+  if (METRIC_MODES.includes(dataMode) && !(metricMorph?.[0] === fcnBatch && metricMorph[1] === t)) {
+    const colors = metricColors();
+    centralTile.setColorMap((tpt, i) => colors[i]);
+    metricMorph = currentMorph;
+  }
+}
+
+// Simulate a run through a square arena, generate spikes for the module-0
+// cells, decode their torus phase per bin and draw it as a trail
+function runDecoder() {
+  const cells = population.filter(cell => cell.module === 0);
+  const arena = createArena({ shape: 'square', size: 4 * cells[0].model.spacing });
+  const traj = simulateTrajectory({
+    arena,
+    duration: decoderParams.duration,
+    dt: decoderParams.binWidth,
+    speed: 0.5 * cells[0].model.spacing,
+    seed: populationParams.seed
+  });
+  const spikes = poissonSpikes(traj, cells, { seed: populationParams.seed });
+  const counts = spikes.map(s => binSpikes(s, traj.t));
+  const activity = Array.from(counts[0], (_, b) => counts.map(c => c[b]));
+  const { phases } = decodeTorusPhase(activity, cells, {
+    method: decoderParams.method,
+    dt: decoderParams.binWidth
+  });
+  decodedTrail.setPhases(phases);
+  setMorph(...currentMorph);
+}
+
+// Snapshot of everything a permalink restores (see viewState.js)
+function collectViewState() {
+  return {
+    data: dataMode,
+    shape: shapeMode,
+    arena: controls.arena,
+    time: playback.position / 1000,
+    playing: playback.playing,
+    speed: playback.speed,
+    loop: playback.loop,
+    camera: {
+      position: camera.position.toArray(),
+      target: orbitControls.target.toArray(),
+      fov: camera.fov
+    },
+    lattice: { ...latticeParams },
+    gridCells: { ...gridCellParams },
+    population: { ...populationParams },
+    clifford: { ...cliffordParams }
+  };
+}
+
+function applyViewState(state) {
+  Object.assign(latticeParams, state.lattice);
+  Object.assign(gridCellParams, state.gridCells);
+  Object.assign(populationParams, state.population);
+  Object.assign(cliffordParams, state.clifford);
+  const clifford = stages.get('clifford');
+  if (clifford) clifford.enabled = cliffordParams.enabled;
+
+  shapeMode = controls.shape = state.shape;
+  controls.arena = state.arena;
+  rebuildTiles();
+  setDataMode(state.data);
+
+  playback.speed = playbackParams.speed = state.speed;
+  playback.loop = playbackParams.loop = state.loop;
+  playback.setDuration(sequenceDuration(stages.sequence()));
+  playback.seek(state.time * 1000);
+  playback.direction = 1;
+  if (state.playing) playback.play();
+  else playback.pause();
+  playController.name(playback.playing ? 'Pause' : 'Play');
+
+  camera.position.set(...state.camera.position);
+  orbitControls.target.set(...state.camera.target);
+  camera.fov = state.camera.fov;
+  camera.updateProjectionMatrix();
+  orbitControls.update();
+  gui.updateDisplay();
+}
+
+// Restore from the URL hash, else from localStorage if remembered
+function restoreViewState() {
+  const text = location.hash.length > 1 ? location.hash : localStorage.getItem(VIEW_STORAGE_KEY);
+  if (!text) return;
+  const { state, warnings } = decodeViewState(text, DEFAULT_VIEW);
+  applyViewState(state);
+  if (warnings.length) alert(`Some saved view settings were not restored:\n${warnings.join('\n')}`);
+}
+
+function saveViewState() {
+  localStorage.setItem(VIEW_STORAGE_KEY, encodeViewState(collectViewState()));
+}
+
+// Put the current view in the URL hash and copy the link
+function copyViewLink() {
+  history.replaceState(null, '', '#' + encodeViewState(collectViewState()));
+  if (navigator.clipboard) navigator.clipboard.writeText(location.href);
+}
+
+function resetViewState() {
+  history.replaceState(null, '', location.pathname + location.search);
+  localStorage.removeItem(VIEW_STORAGE_KEY);
+  shareParams.remember = false;
+  applyViewState(DEFAULT_VIEW);
+  onRestart();
 }
 
 function onRestart() {
@@ -252,10 +939,223 @@ function onRestart() {
     tile.setVisibility(true);
     tile.setOpacity(1);
   });
-  stageIndex = 0;
-  reverse = false;
-  firstStep = true;
-  stageStart = performance.now();
+  playback.restart();
+  playController.name('Pause');
+}
+
+// Compute Rips barcodes for the chosen point cloud and show them in the panel
+function runTopology() {
+  topologyParams.showPanel = true;
+  barcodePanel.setVisibility(true);
+  topologyFolder.updateDisplay();
+  let points, title;
+  if (topologyParams.source === 'imported') {
+    if (!importedCloud) {
+      barcodePanel.message('No point cloud imported');
+      return;
+    }
+    points = importedCloud;
+    title = 'Imported';
+  } else {
+    points = centralTile.faceGeom.getAttribute('position').array;
+    title = `${currentStageName()}:`;
+  }
+  try {
+    const { barcodes, maxEdge } = ripsPersistence(points, { nLandmarks: topologyParams.landmarks });
+    barcodePanel.draw(barcodes, maxEdge, persistentBetti(barcodes, maxEdge), title);
+  } catch (err) {
+    barcodePanel.message(err.message);
+  }
+}
+
+// Read a point cloud from a text file (one point per row, comma or space separated)
+function importPointCloud() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.csv,.txt,.xyz';
+  input.addEventListener('change', async () => {
+    const text = await input.files[0].text();
+    importedCloud = text.split(/\r?\n/)
+      .map(line => line.trim().split(/[\s,;]+/).map(Number))
+      .filter(row => row.length > 1 && row.every(Number.isFinite));
+    topologyParams.source = 'imported';
+    topologyFolder.updateDisplay();
+    runTopology();
+  });
+  input.click();
+}
+
+// Load rate maps, or position and spike tables, from one or more files and
+// show the first map fitted to the tile
+function importDataFiles() {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.multiple = true;
+  input.accept = DATA_FILE_TYPES.join(',');
+  input.addEventListener('change', async () => {
+    try {
+      importedFiles = await Promise.all(Array.from(input.files,
+        async file => readDataFile(file.name, await file.arrayBuffer())));
+      updateImportedMaps();
+      if (!importedMaps.length) throw new Error('no rate maps or spike trains found');
+      updateFoldTrains();
+      importParams.map = importedMaps[0].name;
+      importParams.spacing = fitMapSpacing(importedMaps[0], centralTile.euclidCoords);
+      importFolder.updateDisplay();
+      importFolder.open();
+      setDataMode('imported');
+    } catch (err) {
+      alert(`Could not import data: ${err.message}`);
+    }
+  });
+  input.click();
+}
+
+// Rate maps of the imported files, spike trains binned at the current size
+function updateImportedMaps() {
+  importedMaps = recordedMaps(importedFiles, { binSize: importParams.binSize });
+  const names = importedMaps.length ? importedMaps.map(m => m.name) : ['none'];
+  if (!names.includes(importParams.map)) importParams.map = names[0];
+  mapController = mapController.options(names).name('Map').onChange(onMapChange);
+  clearGridFit();
+  cellFits = [];
+  showCellFits();
+}
+
+// Fit the grid-cell model to every imported map and mark the phases
+function fitCells() {
+  if (!importedMaps.length) {
+    alert('Load rate maps or spikes to fit first');
+    return;
+  }
+  cellFits = fitGridCells(importedMaps, { method: fitParams.method });
+  const failed = cellFits.filter(fit => fit.error);
+  showCellFits();
+  setMorph(...currentMorph);
+  if (failed.length) {
+    alert(`${failed.length} of ${cellFits.length} maps could not be fitted:\n`
+      + failed.map(fit => `${fit.name}: ${fit.error}`).join('\n'));
+  }
+}
+
+// One marker per fitted cell, in distinct hues
+function showCellFits() {
+  const fitted = cellFits.filter(fit => !fit.error);
+  fitMarkers.setPhases(fitted.map(fit => fit.phase),
+                       fitted.map((_, k) => hsv2rgb(k / fitted.length, 0.8, 1)));
+}
+
+function saveFits() {
+  if (cellFits.length) downloadFile(fitsToCSV(cellFits), 'grid-fits.csv', 'text/csv');
+}
+
+// Offer the imported spike trains for folding
+function updateFoldTrains() {
+  const { spikes } = recordedTrains(importedFiles);
+  const names = spikes.length ? spikes.map(s => s.name) : ['none'];
+  if (!names.includes(foldParams.spikes)) foldParams.spikes = names[0];
+  foldSpikesController = foldSpikesController.options(names).name('Spike train').onChange(onFoldChange);
+  updatePhaseMap();
+}
+
+// Record the first population cell over a long run through an arena that
+// covers all tiles and load it like an imported recording, folded at the
+// cell's own spacing and orientation
+function simulateRecording() {
+  const cell = population[0];
+  const { spacing, orientation } = cell.model;
+  const tracking = simulateTrajectory({
+    arena: createArena({ shape: 'square', size: 2 * NTILE_RINGS * spacing }),
+    duration: SIM_DURATION,
+    dt: 0.05,
+    speed: spacing,
+    seed: populationParams.seed
+  });
+  // the model already peaks at gridCellParams.peakRate
+  const rate = points => cell.model.rate(points);
+  const [times] = poissonSpikes(tracking, [rate], { seed: populationParams.seed });
+  importedFiles = [{ maps: [], tracking, spikes: [{ name: `simulated cell ${cell.id}`, times }] }];
+  updateImportedMaps();
+  importParams.map = importedMaps[0].name;
+  importParams.spacing = foldParams.spacing = spacing;
+  importParams.orientation = foldParams.orientation = orientation * 180 / Math.PI;
+  updateFoldTrains();
+  importFolder.updateDisplay();
+  foldFolder.updateDisplay();
+  setDataMode('phaseMap');
+}
+
+// Closed-torus copy of the central tile in the current morph state, each
+// vertex colored like the central-tile vertex nearest to it in phase
+function closedTileGeometry() {
+  const tile = new GridTile(NGRID, {
+    scale: SCALE,
+    shape: shapeMode,
+    lattice: currentLattice(),
+    seamType: 'closed'
+  });
+  const [fcnBatch, t] = currentMorph;
+  tile.setTransformBatch((tp, out) => {
+    fcnBatch(tp, t, out);
+    for (let i = 0; i < out.length; i++) {
+      out[i] /= SCALE;
+    }
+  });
+  const srcColors = centralTile.faceGeom.getAttribute('color').array;
+  const wrap = d => Math.atan2(Math.sin(d), Math.cos(d));
+  tile.setColorMap(([t1, t2]) => {
+    let best = 0, bestDist = Infinity;
+    centralTile.torusCoords.forEach(([s1, s2], j) => {
+      const dist = wrap(t1 - s1) ** 2 + wrap(t2 - s2) ** 2;
+      if (dist < bestDist) { best = j; bestDist = dist; }
+    });
+    return [srcColors[3*best], srcColors[3*best+1], srcColors[3*best+2]];
+  });
+  return tile.closedGeometry();
+}
+
+// Save the central tile (morph, parameter and data colors as shown) as a
+// mesh file
+function exportCentralTile() {
+  const geom = exportParams.geometry === 'closed' ? closedTileGeometry() : centralTile.faceGeom;
+  const { data, extension, mimeType } = exportMesh(geom, exportParams.format, { scale: exportParams.scale });
+  const name = `hextorus-${currentStageName()}-p${currentMorph[1].toFixed(2)}.${extension}`;
+  downloadFile(data, name, mimeType);
+}
+
+// Offer data (string or ArrayBuffer) as a file download
+function downloadFile(data, name, mimeType) {
+  const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Embed population rate vectors (one per central-tile vertex, or one per
+// row of the imported table) in 3-D and draw them as a point cloud
+function runEmbedding() {
+  let X;
+  if (embeddingParams.source === 'imported') {
+    if (!importedCloud) return;
+    X = importedCloud;
+  } else {
+    const rates = population.map(cell => cell.model.rate(centralTile.euclidCoords));
+    X = centralTile.euclidCoords.map((_, i) => rates.map(r => r[i]));
+  }
+  try {
+    embeddingCloud.setCoords(embed(X, {
+      method: embeddingParams.method,
+      nNeighbours: embeddingParams.neighbours
+    }));
+  } catch (err) {
+    alert(`Could not embed the activity: ${err.message}`);
+    return;
+  }
+  embeddingParams.show = true;
+  embeddingCloud.setVisibility(true);
+  embeddingFolder.updateDisplay();
 }
 
 // --- Dynamic resizing ------------------------------------------------
@@ -270,9 +1170,7 @@ window.addEventListener('resize', onWindowResize);
 
 // --- Animation loop --------------------------------------------------
 let stageIndex = 0;
-let stageStart = performance.now();
-let reverse = false;
-let firstStep = false;
+let lastFrame = performance.now();
 
 rebuildTiles();
 updateColors();
@@ -280,88 +1178,57 @@ onRestart();
 onWindowResize();
 renderer.setPixelRatio(window.devicePixelRatio);
 
-function animate() {
-  const now = performance.now();
-  const dt  = now - stageStart;
-  const stage = STAGES[stageIndex];
-  const dur   = getStageDuration(stage);
-  const rawT  = Math.min(dt / dur, 1);
-  // Compute base fraction and apply easing
-  const baseT = reverse ? 1 - rawT : rawT;
-  const t     = easeInOutCubic(baseT);
-
-  if (stage === 'holdStart') {
-    // Initial pause: show all tile clones fully, hide morph
-    if (firstStep) {
-      centralTile.setVisibility(true);
-      setMorph(F01_morph, 0);
-      camera.fov = 40;
-      camera.updateProjectionMatrix();
-    }
+// Defaults for any field a permalink leaves out or gets wrong
+const DEFAULT_VIEW = collectViewState();
+restoreViewState();
+window.addEventListener('hashchange', restoreViewState);
+window.addEventListener('pagehide', () => { if (shareParams.remember) saveViewState(); });
 
-  } else if (stage === 'fade') {
-    centralTile.setVisibility(true);
-    setMorph(F01_morph, 0);
-    peripheralTiles.forEach((tile, idx) => {
-      tile.setOpacity(1-t);
-      tile.setVisibility(true);
-    });
-    camera.fov = THREE.MathUtils.lerp(40, 20, t);
+// Apply one evaluated stage state (see evaluateStage) to the scene
+function applyStage(state) {
+  if (state.shape && state.shape !== shapeMode) setShapeMode(state.shape);
+  if (state.data && state.data !== dataMode) setDataMode(state.data);
+  if (state.morph) setMorph(state.morph, state.p);
+  centralTile.setVisibility(state.central);
+  peripheralTiles.forEach(tile => {
+    tile.setVisibility(state.peripheral);
+    if (state.peripheral) tile.setOpacity(state.peripheralOpacity);
+  });
+  if (state.fov !== undefined && camera.fov !== state.fov) {
+    camera.fov = state.fov;
     camera.updateProjectionMatrix();
+  }
+  if (state.cameraPosition) camera.position.set(...state.cameraPosition);
+  if (state.cameraTarget) orbitControls.target.set(...state.cameraTarget);
+  bloomEffect.intensity = state.bloom ?? baseBloom;
+}
 
-  } else if (stage === 'cylinder') {
-    if (firstStep) {
-      peripheralTiles.forEach(tile => tile.setVisibility(false));
-      centralTile.setVisibility(true);
-    }
-    setMorph(F01_morph, t);
-
-
-  } else if (stage === 'twist') {
-    if (firstStep) {
-      peripheralTiles.forEach(tile => tile.setVisibility(false));
-      centralTile.setVisibility(true);
-    }
-    setMorph(F12_morph, t);
+function animate() {
+  const now = performance.now();
+  const sequence = stages.sequence();
+  const duration = sequenceDuration(sequence);
+  if (duration !== playback.duration) {
+    playback.setDuration(duration);
+    timeController.max(duration / 1000);
+  }
+  const pauseStage = stageTimes(sequence).find(s => s.name === playbackParams.pauseAfter);
+  playback.breakpoints = pauseStage ? [pauseStage.end] : [];
 
-  } else if (stage === 'torus') {
-    if (firstStep) {
-      peripheralTiles.forEach(tile => tile.setVisibility(false));
-      centralTile.setVisibility(true);
-    }
-    setMorph(F23_morph, t);
-    camera.fov = THREE.MathUtils.lerp(20, 10, t);
-    camera.updateProjectionMatrix();
+  const wasPlaying = playback.playing;
+  playback.tick(now - lastFrame);
+  lastFrame = now;
+  if (wasPlaying && !playback.playing) playController.name('Play');
 
-  } else if (stage === 'holdEnd') {
-    if (firstStep) {
-      centralTile.setVisibility(true);
-      peripheralTiles.forEach(tile => tile.setVisibility(false));
-    }
-    setMorph(F23_morph, 1);
-    camera.fov = 10;
-    camera.updateProjectionMatrix();
+  // The scene is a function of the timeline position only
+  // (nothing to show while every stage is disabled)
+  const state = evaluateTimeline(sequence, playback.position);
+  if (state) {
+    stageIndex = state.index;
+    applyStage(state);
   }
-
-  if (dt >= dur) {
-    // advance or reverse through stages
-    if (reverse) {
-      stageIndex--;
-      if (stageIndex < 0) {
-        stageIndex = 0;
-        reverse = false;
-      }
-    } else {
-      stageIndex++;
-      if (stageIndex > STAGES.length - 1) {
-        stageIndex = STAGES.length - 1;
-        reverse = true;
-      }
-    }
-    stageStart = now;
-    firstStep = true;
-  } else {
-    firstStep = false;
+  if (playbackParams.time !== playback.position / 1000) {
+    playbackParams.time = playback.position / 1000;
+    timeController.updateDisplay();
   }
 
   orbitControls.update();
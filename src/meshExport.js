@@ -0,0 +1,228 @@
+// meshExport.js
+// Exporters from a tile geometry (e.g. GridTile.faceGeom, interiorGeom or
+// closedGeometry()) to Wavefront OBJ, colour PLY, binary STL and glTF 2.0.
+// They only read the geometry's position/normal/color attributes and index,
+// so they run in Node as well as in the browser. Text formats are returned
+// as strings, binary STL as an ArrayBuffer.
+
+/**
+ * Plain arrays of a BufferGeometry (or any object with getAttribute() and
+ * index). Missing normals or colors come back as null; a non-indexed
+ * geometry gets the trivial index.
+ * @param {THREE.BufferGeometry} geom
+ * @param {number} [scale=1]  Factor applied to the positions.
+ * @returns {{positions: Float32Array, normals: Float32Array|null,
+ *   colors: Float32Array|null, index: Uint32Array}}
+ */
+export function geometryArrays(geom, scale = 1) {
+  const read = name => {
+    const attr = geom.getAttribute(name);
+    return attr ? Float32Array.from(attr.array.subarray(0, 3 * attr.count)) : null;
+  };
+  const positions = read('position');
+  if (!positions) throw new Error('Geometry has no position attribute');
+  if (scale !== 1) positions.forEach((v, i) => { positions[i] = v * scale; });
+  const n = positions.length / 3;
+  const index = geom.index
+    ? Uint32Array.from(geom.index.array)
+    : Uint32Array.from({ length: n }, (_, i) => i);
+  return { positions, normals: read('normal'), colors: read('color'), index };
+}
+
+const fmt = v => +v.toFixed(6);
+const toByte = c => Math.round(255 * Math.min(Math.max(c, 0), 1));
+
+/**
+ * Wavefront OBJ with per-vertex colours appended to the vertex lines
+ * ("v x y z r g b", as read by Blender and MeshLab) and vertex normals.
+ * @param {THREE.BufferGeometry} geom
+ * @param {object} [options]
+ * @param {string} [options.name='tile']  Object name.
+ * @param {number} [options.scale=1]
+ * @returns {string}
+ */
+export function exportOBJ(geom, { name = 'tile', scale = 1 } = {}) {
+  const { positions, normals, colors, index } = geometryArrays(geom, scale);
+  const n = positions.length / 3;
+  const lines = [`# hextorus tile: ${n} vertices, ${index.length / 3} faces`, `o ${name}`];
+  for (let i = 0; i < n; i++) {
+    const v = [positions[3*i], positions[3*i+1], positions[3*i+2]];
+    if (colors) v.push(colors[3*i], colors[3*i+1], colors[3*i+2]);
+    lines.push('v ' + v.map(fmt).join(' '));
+  }
+  if (normals) {
+    for (let i = 0; i < n; i++) {
+      lines.push(`vn ${fmt(normals[3*i])} ${fmt(normals[3*i+1])} ${fmt(normals[3*i+2])}`);
+    }
+  }
+  // OBJ indices are 1-based
+  for (let t = 0; t < index.length; t += 3) {
+    const f = [index[t] + 1, index[t+1] + 1, index[t+2] + 1];
+    lines.push('f ' + f.map(k => normals ? `${k}//${k}` : `${k}`).join(' '));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * ASCII PLY with vertex normals and 8-bit vertex colours.
+ * @param {THREE.BufferGeometry} geom
+ * @param {object} [options]
+ * @param {number} [options.scale=1]
+ * @returns {string}
+ */
+export function exportPLY(geom, { scale = 1 } = {}) {
+  const { positions, normals, colors, index } = geometryArrays(geom, scale);
+  const n = positions.length / 3;
+  const header = [
+    'ply',
+    'format ascii 1.0',
+    'comment hextorus tile',
+    `element vertex ${n}`,
+    'property float x', 'property float y', 'property float z'
+  ];
+  if (normals) header.push('property float nx', 'property float ny', 'property float nz');
+  if (colors) header.push('property uchar red', 'property uchar green', 'property uchar blue');
+  header.push(`element face ${index.length / 3}`, 'property list uchar int vertex_indices', 'end_header');
+
+  const lines = header;
+  for (let i = 0; i < n; i++) {
+    const v = [positions[3*i], positions[3*i+1], positions[3*i+2]].map(fmt);
+    if (normals) v.push(...[normals[3*i], normals[3*i+1], normals[3*i+2]].map(fmt));
+    if (colors) v.push(...[colors[3*i], colors[3*i+1], colors[3*i+2]].map(toByte));
+    lines.push(v.join(' '));
+  }
+  for (let t = 0; t < index.length; t += 3) {
+    lines.push(`3 ${index[t]} ${index[t+1]} ${index[t+2]}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Binary STL (no colours). Facet normals come from the triangle winding.
+ * @param {THREE.BufferGeometry} geom
+ * @param {object} [options]
+ * @param {number} [options.scale=1]  E.g. millimetres per tile unit for printing.
+ * @returns {ArrayBuffer}
+ */
+export function exportSTL(geom, { scale = 1 } = {}) {
+  const { positions, index } = geometryArrays(geom, scale);
+  const nT = index.length / 3;
+  const buffer = new ArrayBuffer(84 + 50 * nT);
+  const view = new DataView(buffer);
+  const header = 'hextorus tile';
+  for (let i = 0; i < header.length; i++) view.setUint8(i, header.charCodeAt(i));
+  view.setUint32(80, nT, true);
+
+  let o = 84;
+  for (let t = 0; t < nT; t++) {
+    const p = [0, 1, 2].map(k => {
+      const v = index[3*t + k];
+      return [positions[3*v], positions[3*v+1], positions[3*v+2]];
+    });
+    const u = [0, 1, 2].map(d => p[1][d] - p[0][d]);
+    const w = [0, 1, 2].map(d => p[2][d] - p[0][d]);
+    const nrm = [u[1]*w[2] - u[2]*w[1], u[2]*w[0] - u[0]*w[2], u[0]*w[1] - u[1]*w[0]];
+    const len = Math.hypot(...nrm) || 1;
+    [nrm.map(c => c / len), ...p].forEach(vec => {
+      vec.forEach(c => { view.setFloat32(o, c, true); o += 4; });
+    });
+    view.setUint16(o, 0, true);
+    o += 2;
+  }
+  return buffer;
+}
+
+// Base64 of a byte array (btoa is global in browsers and Node ≥ 16)
+function base64(bytes) {
+  let s = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    s += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(s);
+}
+
+/**
+ * glTF 2.0 (JSON, with the binary buffer embedded as a data URI): one
+ * double-sided mesh with POSITION, NORMAL and COLOR_0 attributes.
+ * @param {THREE.BufferGeometry} geom
+ * @param {object} [options]
+ * @param {string} [options.name='tile']
+ * @param {number} [options.scale=1]
+ * @returns {string} The .gltf file contents.
+ */
+export function exportGLTF(geom, { name = 'tile', scale = 1 } = {}) {
+  const { positions, normals, colors, index } = geometryArrays(geom, scale);
+  const n = positions.length / 3;
+  const arrays = [positions, normals, colors].filter(Boolean);
+  const byteLength = arrays.reduce((s, a) => s + a.byteLength, 0) + index.byteLength;
+  const bytes = new Uint8Array(byteLength);
+
+  const bufferViews = [], accessors = [];
+  let offset = 0;
+  const addView = (array, target) => {
+    bytes.set(new Uint8Array(array.buffer, array.byteOffset, array.byteLength), offset);
+    bufferViews.push({ buffer: 0, byteOffset: offset, byteLength: array.byteLength, target });
+    offset += array.byteLength;
+    return bufferViews.length - 1;
+  };
+  const ARRAY_BUFFER = 34962, ELEMENT_ARRAY_BUFFER = 34963;
+  const FLOAT = 5126, UNSIGNED_INT = 5125;
+
+  const attributes = {};
+  const addVec3 = (semantic, array) => {
+    const accessor = { bufferView: addView(array, ARRAY_BUFFER), componentType: FLOAT, count: n, type: 'VEC3' };
+    if (semantic === 'POSITION') {
+      const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+      for (let i = 0; i < n; i++) {
+        for (let d = 0; d < 3; d++) {
+          min[d] = Math.min(min[d], array[3*i + d]);
+          max[d] = Math.max(max[d], array[3*i + d]);
+        }
+      }
+      Object.assign(accessor, { min, max });
+    }
+    accessors.push(accessor);
+    attributes[semantic] = accessors.length - 1;
+  };
+  addVec3('POSITION', positions);
+  if (normals) addVec3('NORMAL', normals);
+  if (colors) addVec3('COLOR_0', colors);
+  accessors.push({
+    bufferView: addView(index, ELEMENT_ARRAY_BUFFER),
+    componentType: UNSIGNED_INT, count: index.length, type: 'SCALAR'
+  });
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'hextorus' },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name }],
+    meshes: [{ name, primitives: [{ attributes, indices: accessors.length - 1, material: 0, mode: 4 }] }],
+    materials: [{ doubleSided: true, pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 } }],
+    accessors,
+    bufferViews,
+    buffers: [{ byteLength, uri: 'data:application/octet-stream;base64,' + base64(bytes) }]
+  };
+  return JSON.stringify(gltf);
+}
+
+/** Exporters by format name, with file extension and MIME type. */
+export const MESH_FORMATS = {
+  obj:  { extension: 'obj',  mimeType: 'text/plain', write: exportOBJ },
+  ply:  { extension: 'ply',  mimeType: 'text/plain', write: exportPLY },
+  stl:  { extension: 'stl',  mimeType: 'model/stl', write: exportSTL },
+  gltf: { extension: 'gltf', mimeType: 'model/gltf+json', write: exportGLTF }
+};
+
+/**
+ * Export a geometry in one of MESH_FORMATS.
+ * @param {THREE.BufferGeometry} geom
+ * @param {string} format   'obj' | 'ply' | 'stl' | 'gltf'
+ * @param {object} [options] Passed to the exporter.
+ * @returns {{data: string|ArrayBuffer, extension: string, mimeType: string}}
+ */
+export function exportMesh(geom, format, options = {}) {
+  const spec = MESH_FORMATS[format];
+  if (!spec) throw new Error(`Unknown mesh format '${format}'`);
+  return { data: spec.write(geom, options), extension: spec.extension, mimeType: spec.mimeType };
+}
@@ -0,0 +1,247 @@
+// persistentHomology.js
+// Vietoris–Rips persistent homology (Z/2 coefficients) with max–min landmark
+// subsampling, for checking that a point cloud has the topology of a torus.
+// Pure JS: points are any-dimensional arrays, e.g. GridTile vertex positions.
+
+/**
+ * Convert points to an array of coordinate arrays. Accepts number[][] or an
+ * interleaved typed array (e.g. a BufferAttribute array) with `dim` components.
+ * @param {number[][]|Float32Array|Float64Array} points
+ * @param {number} [dim=3]  Components per point for interleaved input.
+ * @returns {number[][]}
+ */
+export function toPointArray(points, dim = 3) {
+  if (!ArrayBuffer.isView(points)) return points;
+  const n = Math.floor(points.length / dim);
+  return Array.from({ length: n }, (_, i) => Array.from(points.subarray(dim * i, dim * i + dim)));
+}
+
+function dist(a, b) {
+  let s = 0;
+  for (let k = 0; k < a.length; k++) {
+    const d = a[k] - b[k];
+    s += d * d;
+  }
+  return Math.sqrt(s);
+}
+
+/**
+ * Max–min (farthest-point) landmark selection.
+ * @param {number[][]} points
+ * @param {number} nLandmarks
+ * @param {number} [first=0]  Index of the first landmark.
+ * @returns {number[]} Indices of the landmarks into points.
+ */
+export function maxminLandmarks(points, nLandmarks, first = 0) {
+  const n = points.length;
+  const m = Math.min(nLandmarks, n);
+  const minDist = new Float64Array(n).fill(Infinity);
+  const landmarks = [];
+  let next = first;
+  for (let l = 0; l < m; l++) {
+    landmarks.push(next);
+    let best = -1, bestD = -1;
+    for (let i = 0; i < n; i++) {
+      const d = dist(points[i], points[next]);
+      if (d < minDist[i]) minDist[i] = d;
+      if (minDist[i] > bestD) {
+        bestD = minDist[i];
+        best = i;
+      }
+    }
+    next = best;
+  }
+  return landmarks;
+}
+
+// Build the Rips filtration up to dimension maxDim + 1, as simplices sorted
+// by (value, dimension), each { verts, value, dim }
+function ripsFiltration(D, n, maxEdge, maxDim, maxSimplices) {
+  const simplices = [];
+  for (let i = 0; i < n; i++) simplices.push({ verts: [i], value: 0, dim: 0 });
+
+  // adjacency restricted to higher-indexed neighbours
+  const nbrs = Array.from({ length: n }, () => []);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      if (D[i * n + j] <= maxEdge) {
+        nbrs[i].push(j);
+        simplices.push({ verts: [i, j], value: D[i * n + j], dim: 1 });
+      }
+    }
+  }
+
+  // expand cliques: extend each simplex by common higher neighbours
+  let frontier = simplices.filter(s => s.dim === 1);
+  for (let dim = 2; dim <= maxDim + 1; dim++) {
+    const next = [];
+    for (const s of frontier) {
+      const last = s.verts[s.verts.length - 1];
+      for (const k of nbrs[last]) {
+        let value = s.value, ok = true;
+        for (const v of s.verts) {
+          const d = D[v * n + k];
+          if (d > maxEdge) { ok = false; break; }
+          if (d > value) value = d;
+        }
+        if (ok) next.push({ verts: [...s.verts, k], value, dim });
+      }
+      if (simplices.length + next.length > maxSimplices) {
+        throw new Error(`Rips complex exceeds ${maxSimplices} simplices; lower maxEdge or nLandmarks`);
+      }
+    }
+    for (const t of next) simplices.push(t);
+    frontier = next;
+  }
+
+  simplices.sort((a, b) => a.value - b.value || a.dim - b.dim);
+  return simplices;
+}
+
+// Key of a sorted vertex list, unique within one dimension
+function simplexKey(verts, n) {
+  let k = 0;
+  for (const v of verts) k = k * n + v;
+  return k;
+}
+
+// Symmetric difference of two sorted index arrays (Z/2 column addition)
+function addColumns(a, b) {
+  const out = [];
+  let i = 0, j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] < b[j]) out.push(a[i++]);
+    else if (a[i] > b[j]) out.push(b[j++]);
+    else { i++; j++; }
+  }
+  while (i < a.length) out.push(a[i++]);
+  while (j < b.length) out.push(b[j++]);
+  return out;
+}
+
+/**
+ * Vietoris–Rips persistence barcodes of a point cloud.
+ * @param {number[][]|Float32Array|Float64Array} points
+ * @param {object} [options]
+ * @param {number} [options.maxDim=2]        Highest homology dimension.
+ * @param {number} [options.nLandmarks=200]   Max–min landmarks to keep (Infinity for all).
+ * @param {number} [options.maxEdge]         Largest edge length in the filtration
+ *                                           (default: 2.5 times the largest
+ *                                           landmark nearest-neighbour distance,
+ *                                           at most half the landmark diameter).
+ * @param {number} [options.maxSimplices=2e6] Abort if the complex grows beyond this.
+ * @param {number} [options.dim=3]           Components per point for typed-array input.
+ * @returns {{ barcodes: Array<Array<[number,number]>>, landmarks: number[], maxEdge: number }}
+ *   barcodes[k] lists the [birth, death] intervals of H_k (death = Infinity
+ *   for classes that survive to maxEdge), sorted by decreasing persistence.
+ */
+export function ripsPersistence(points, options = {}) {
+  const { maxDim = 2, nLandmarks = 200, dim = 3, maxSimplices = 2e6 } = options;
+  const all = toPointArray(points, dim);
+  const landmarks = nLandmarks >= all.length
+    ? all.map((_, i) => i)
+    : maxminLandmarks(all, nLandmarks);
+  const P = landmarks.map(i => all[i]);
+  const n = P.length;
+
+  const D = new Float64Array(n * n);
+  let diameter = 0;
+  const nearest = new Float64Array(n).fill(Infinity);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const d = dist(P[i], P[j]);
+      D[i * n + j] = D[j * n + i] = d;
+      if (d > diameter) diameter = d;
+      if (d < nearest[i]) nearest[i] = d;
+      if (d < nearest[j]) nearest[j] = d;
+    }
+  }
+  const spacing = n > 1 ? nearest.reduce((a, b) => Math.max(a, b), 0) : 0;
+  const maxEdge = options.maxEdge ?? Math.min(diameter / 2, 2.5 * spacing);
+
+  const simplices = ripsFiltration(D, n, maxEdge, maxDim, maxSimplices);
+  const index = Array.from({ length: maxDim + 2 }, () => new Map());
+  simplices.forEach((s, i) => index[s.dim].set(simplexKey(s.verts, n), i));
+
+  // boundary columns (as sorted filtration indices)
+  const boundary = simplices.map(s => {
+    if (s.dim === 0) return [];
+    const faces = [];
+    for (let r = 0; r < s.verts.length; r++) {
+      const face = s.verts.filter((_, q) => q !== r);
+      faces.push(index[s.dim - 1].get(simplexKey(face, n)));
+    }
+    return faces.sort((a, b) => a - b);
+  });
+
+  // column reduction with clearing, highest dimension first
+  const pivotCol = new Map();   // low row → column
+  const cleared = new Set();
+  const reduced = new Array(simplices.length);
+  for (let d = maxDim + 1; d >= 1; d--) {
+    for (let j = 0; j < simplices.length; j++) {
+      if (simplices[j].dim !== d) continue;
+      if (cleared.has(j)) { reduced[j] = []; continue; }
+      let col = boundary[j];
+      while (col.length) {
+        const low = col[col.length - 1];
+        const other = pivotCol.get(low);
+        if (other === undefined) break;
+        col = addColumns(col, reduced[other]);
+      }
+      reduced[j] = col;
+      if (col.length) {
+        const low = col[col.length - 1];
+        pivotCol.set(low, j);
+        cleared.add(low);   // a paired birth simplex has a zero column
+      }
+    }
+  }
+
+  const barcodes = Array.from({ length: maxDim + 1 }, () => []);
+  const paired = new Set();
+  pivotCol.forEach((j, low) => {
+    paired.add(low);
+    paired.add(j);
+    const s = simplices[low];
+    if (s.dim > maxDim) return;
+    const birth = s.value, death = simplices[j].value;
+    if (death > birth) barcodes[s.dim].push([birth, death]);
+  });
+  simplices.forEach((s, i) => {
+    if (s.dim > maxDim || paired.has(i)) return;
+    // unpaired and positive (zero reduced column) → essential class
+    if (s.dim === 0 || reduced[i].length === 0) barcodes[s.dim].push([s.value, Infinity]);
+  });
+  barcodes.forEach(bars => bars.sort((a, b) => (b[1] - b[0]) - (a[1] - a[0])));
+
+  return { barcodes, landmarks, maxEdge };
+}
+
+/**
+ * Betti numbers at filtration scale r.
+ * @param {Array<Array<[number,number]>>} barcodes
+ * @param {number} r
+ * @returns {number[]}
+ */
+export function bettiAt(barcodes, r) {
+  return barcodes.map(bars => bars.filter(([b, d]) => b <= r && r < d).length);
+}
+
+/**
+ * Betti numbers counted from long bars only. Persistence is measured from
+ * the scale at which the landmarks become connected (the last finite H0
+ * death), so that short-lived sampling noise is ignored, and a bar counts
+ * when it lasts longer than `fraction` of maxEdge past that scale.
+ * @param {Array<Array<[number,number]>>} barcodes
+ * @param {number} maxEdge      Filtration cut-off (essential bars end here).
+ * @param {number} [fraction=0.25]
+ * @returns {number[]}
+ */
+export function persistentBetti(barcodes, maxEdge, fraction = 0.25) {
+  const r0 = barcodes[0]
+    .filter(([, d]) => d < Infinity)
+    .reduce((a, [, d]) => Math.max(a, d), 0);
+  return barcodes.map(bars =>
+    bars.filter(([b, d]) => Math.min(d, maxEdge) - Math.max(b, r0) > fraction * maxEdge).length);
+}
@@ -0,0 +1,182 @@
+// phaseDecoder.js
+// Estimate the animal's toroidal phase [t1,t2] from grid-cell population
+// activity, either by maximum likelihood under Poisson noise or with a
+// (cheaper) population-vector average of the cells' preferred phases.
+//
+// All cells are assumed to belong to one grid module, so that they share
+// the same torus. Estimates are wrapped into [-π, π).
+
+const TWO_PI = 2 * Math.PI;
+
+// Wrap an angle into [-π, π)
+function wrapAngle(a) {
+  return a - TWO_PI * Math.floor((a + Math.PI) / TWO_PI);
+}
+
+// Model of a cell: population entry, or anything with torusRate()/torusPhase()
+function cellModel(cell) {
+  return cell.model || cell;
+}
+
+/**
+ * Uniform grid of candidate phases over one period of the torus.
+ * @param {number} n  Samples per phase axis.
+ * @returns {number[][]} n² phases [t1,t2], each in [-π, π).
+ */
+export function phaseGrid(n) {
+  const phases = [];
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      phases.push([(i / n - 0.5) * TWO_PI, (j / n - 0.5) * TWO_PI]);
+    }
+  }
+  return phases;
+}
+
+/**
+ * Maximum-likelihood phase decoder under independent Poisson noise.
+ *
+ * With a flat prior, the posterior over the candidate grid is the
+ * normalised likelihood. The estimate is the grid node of highest
+ * likelihood, refined by a parabola through its neighbours along t1 and t2
+ * (wrapping around the torus). The confidence is the geometric mean of the
+ * two posterior resultant lengths along t1 and t2, in [0,1].
+ *
+ * @param {number[][]} activity       Per time bin, one value per cell.
+ * @param {Array} cells               Population entries or GridCellModels.
+ * @param {object} [options]
+ * @param {number} [options.dt=1]     Bin width (s); activity is spike counts.
+ *                                    For rates, pass rates and dt = 1.
+ * @param {number} [options.nGrid=48] Candidate phases per axis.
+ * @param {number} [options.floor=1e-3] Minimum expected rate (avoids log 0).
+ * @returns {{phases: number[][], confidence: Float64Array, logLikelihood: Float64Array}}
+ */
+export function decodeMaximumLikelihood(activity, cells, { dt = 1, nGrid = 48, floor = 1e-3 } = {}) {
+  const grid = phaseGrid(nGrid);
+  const nG = grid.length, nC = cells.length;
+
+  // expected counts and their logs for every candidate phase and cell
+  const expected = new Float64Array(nG * nC);
+  const logExpected = new Float64Array(nG * nC);
+  cells.forEach((cell, c) => {
+    const rates = cellModel(cell).torusRate(grid);
+    for (let g = 0; g < nG; g++) {
+      const lambda = Math.max(rates[g], floor) * dt;
+      expected[g * nC + c] = lambda;
+      logExpected[g * nC + c] = Math.log(lambda);
+    }
+  });
+  const totalExpected = new Float64Array(nG);
+  for (let g = 0; g < nG; g++) {
+    for (let c = 0; c < nC; c++) totalExpected[g] += expected[g * nC + c];
+  }
+  const step = TWO_PI / nGrid;
+  const cos1 = grid.map(([t1]) => Math.cos(t1)), sin1 = grid.map(([t1]) => Math.sin(t1));
+  const cos2 = grid.map(([, t2]) => Math.cos(t2)), sin2 = grid.map(([, t2]) => Math.sin(t2));
+
+  const nBins = activity.length;
+  const phases = new Array(nBins);
+  const confidence = new Float64Array(nBins);
+  const logLikelihood = new Float64Array(nBins);
+  const logL = new Float64Array(nG);
+
+  for (let b = 0; b < nBins; b++) {
+    const counts = activity[b];
+    let maxL = -Infinity, best = 0;
+    for (let g = 0; g < nG; g++) {
+      let l = -totalExpected[g];
+      for (let c = 0; c < nC; c++) {
+        if (counts[c]) l += counts[c] * logExpected[g * nC + c];
+      }
+      logL[g] = l;
+      if (l > maxL) { maxL = l; best = g; }
+    }
+    // sub-grid vertex of the parabola through the maximum and its neighbours
+    const i = best % nGrid, j = (best - i) / nGrid;
+    const vertex = (lm, lp) => {
+      const curvature = lm - 2 * maxL + lp;
+      return curvature < 0 ? Math.max(-0.5, Math.min(0.5, (lm - lp) / (2 * curvature))) * step : 0;
+    };
+    const d1 = vertex(logL[j * nGrid + (i + nGrid - 1) % nGrid], logL[j * nGrid + (i + 1) % nGrid]);
+    const d2 = vertex(logL[((j + nGrid - 1) % nGrid) * nGrid + i], logL[((j + 1) % nGrid) * nGrid + i]);
+    phases[b] = [wrapAngle(grid[best][0] + d1), wrapAngle(grid[best][1] + d2)];
+
+    // spread of the posterior along each axis
+    let z = 0, c1 = 0, s1 = 0, c2 = 0, s2 = 0;
+    for (let g = 0; g < nG; g++) {
+      const w = Math.exp(logL[g] - maxL);
+      z += w;
+      c1 += w * cos1[g]; s1 += w * sin1[g];
+      c2 += w * cos2[g]; s2 += w * sin2[g];
+    }
+    confidence[b] = Math.sqrt(Math.hypot(c1, s1) * Math.hypot(c2, s2)) / z;
+    logLikelihood[b] = maxL;
+  }
+
+  return { phases, confidence, logLikelihood };
+}
+
+/**
+ * Population-vector phase decoder: the activity-weighted circular mean of
+ * the cells' preferred phases along t1 and t2. Confidence is the geometric
+ * mean of the two weighted resultant lengths, in [0,1] (0 for silent bins).
+ * @param {number[][]} activity  Per time bin, one value per cell.
+ * @param {Array} cells          Population entries or GridCellModels.
+ * @returns {{phases: number[][], confidence: Float64Array}}
+ */
+export function decodePopulationVector(activity, cells) {
+  const preferred = cells.map(cell => cell.torusPhase || cellModel(cell).torusPhase());
+  const cos1 = preferred.map(([t1]) => Math.cos(t1)), sin1 = preferred.map(([t1]) => Math.sin(t1));
+  const cos2 = preferred.map(([, t2]) => Math.cos(t2)), sin2 = preferred.map(([, t2]) => Math.sin(t2));
+
+  const nBins = activity.length;
+  const phases = new Array(nBins);
+  const confidence = new Float64Array(nBins);
+  for (let b = 0; b < nBins; b++) {
+    const a = activity[b];
+    let total = 0, c1 = 0, s1 = 0, c2 = 0, s2 = 0;
+    for (let c = 0; c < cells.length; c++) {
+      const w = a[c];
+      if (!w) continue;
+      total += w;
+      c1 += w * cos1[c]; s1 += w * sin1[c];
+      c2 += w * cos2[c]; s2 += w * sin2[c];
+    }
+    phases[b] = [wrapAngle(Math.atan2(s1, c1)), wrapAngle(Math.atan2(s2, c2))];
+    confidence[b] = total > 0 ? Math.sqrt(Math.hypot(c1, s1) * Math.hypot(c2, s2)) / total : 0;
+  }
+  return { phases, confidence };
+}
+
+/**
+ * Decode torus phase per time bin with the chosen method.
+ * @param {number[][]} activity  Per time bin, one value per cell.
+ * @param {Array} cells          Population entries or GridCellModels.
+ * @param {object} [options]     method: 'ml' | 'populationVector', plus the
+ *                               options of decodeMaximumLikelihood().
+ * @returns {{phases: number[][], confidence: Float64Array}}
+ */
+export function decodeTorusPhase(activity, cells, { method = 'ml', ...options } = {}) {
+  if (method === 'ml') return decodeMaximumLikelihood(activity, cells, options);
+  if (method === 'populationVector') return decodePopulationVector(activity, cells);
+  throw new Error(`Unknown decoding method '${method}'`);
+}
+
+/**
+ * Torus phase of world positions for a given grid geometry, i.e. the
+ * ground truth the decoders estimate.
+ * @param {Array<[number,number]>} points  World [x,y] positions.
+ * @param {object} model                   GridCellModel giving the geometry.
+ * @returns {number[][]} [t1,t2] per point, wrapped into [-π, π).
+ */
+export function positionToTorusPhase(points, model) {
+  const sqrt3 = Math.sqrt(3);
+  const lattice = model.with({ phase: [0, 0] });
+  return points.map(pt => {
+    const [u, v] = lattice.toLattice(pt);
+    return [
+      wrapAngle(TWO_PI * (u - v / sqrt3)),
+      wrapAngle(TWO_PI * (2 * v / sqrt3))
+    ];
+  });
+}
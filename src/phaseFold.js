@@ -0,0 +1,170 @@
+// phaseFold.js
+// Fold an arena recording into the phase tile: every position sample is
+// mapped into the unit frame of the cell's grid (spacing and orientation
+// removed) and wrapped into the rhombus phase tile as in wrapToRhombus, so
+// that all firing fields land on top of each other. Occupancy and spikes
+// are binned over the tile in torus coordinates and smoothed with a
+// Gaussian that wraps across the tile seams, giving the cell's rate map on
+// the torus. Sampling it at the tile's torusCoords colours the tile so
+// that the morphs carry the map onto the torus.
+//
+// A phase map is
+//   { name, bins, values, occupancy, counts, lattice }
+// where values (smoothed rate), occupancy (s) and counts are bins × bins
+// Float64Arrays, row-major with bin (i, j) covering lattice coordinates
+// u1 ∈ [i, i+1)/bins and u2 ∈ [j, j+1)/bins, i.e. phases 2π·u.
+
+import { HEX_LATTICE } from './Lattice.js';
+import { interpolatePosition } from './trajectory.js';
+
+const TWO_PI = 2 * Math.PI;
+
+const mod1 = u => u - Math.floor(u);
+
+/**
+ * Torus phases of arena positions for a grid of the given spacing,
+ * orientation and origin, wrapped to [0, 2π) — the phases of the points
+ * wrapToRhombus gives in the cell's unit frame.
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @param {object} [options]
+ * @param {number}   [options.spacing=1]      Grid spacing (arena units).
+ * @param {number}   [options.orientation=0]  Grid orientation (radians).
+ * @param {number[]} [options.origin=[0,0]]   Arena point at phase [0, 0].
+ * @param {Lattice}  [options.lattice=HEX_LATTICE]  Unit-spacing lattice.
+ * @returns {Float64Array} Interleaved [t1, t2, ...].
+ */
+export function foldPositions(x, y, { spacing = 1, orientation = 0, origin = [0, 0], lattice = HEX_LATTICE } = {}) {
+  const c = Math.cos(orientation) / spacing, s = Math.sin(orientation) / spacing;
+  const out = new Float64Array(2 * x.length);
+  for (let k = 0; k < x.length; k++) {
+    const dx = x[k] - origin[0], dy = y[k] - origin[1];
+    const [u1, u2] = lattice.toLattice([c * dx + s * dy, -s * dx + c * dy]);
+    out[2 * k] = TWO_PI * mod1(u1);
+    out[2 * k + 1] = TWO_PI * mod1(u2);
+  }
+  return out;
+}
+
+// Offsets (di, dj, weight) of a Gaussian of width sigma on the bins × bins
+// phase grid, distances measured to the nearest lattice image so that the
+// kernel wraps across the tile seams
+function periodicKernel(bins, sigma, lattice) {
+  if (!(sigma > 0)) return [[0, 0, 1]];
+  const kernel = [];
+  const buf = [0, 0, 0, 0];
+  for (let dj = 0; dj < bins; dj++) {
+    for (let di = 0; di < bins; di++) {
+      const [px, py] = lattice.fromLattice([di / bins, dj / bins]);
+      lattice.reduce(px, py, buf);
+      const w = Math.exp(-(buf[0] * buf[0] + buf[1] * buf[1]) / (2 * sigma * sigma));
+      if (w > 1e-4) kernel.push([di, dj, w]);
+    }
+  }
+  return kernel;
+}
+
+// Periodic convolution of a bins × bins grid with a kernel from periodicKernel
+function convolvePeriodic(grid, bins, kernel) {
+  const out = new Float64Array(bins * bins);
+  for (let j = 0; j < bins; j++) {
+    for (let i = 0; i < bins; i++) {
+      const v = grid[j * bins + i];
+      if (!v) continue;
+      for (const [di, dj, w] of kernel) {
+        out[((j + dj) % bins) * bins + (i + di) % bins] += w * v;
+      }
+    }
+  }
+  return out;
+}
+
+/**
+ * Occupancy-normalised rate map of a recorded cell on the torus.
+ * Occupancy and spike counts are binned by phase, each smoothed with a
+ * seam-wrapping Gaussian, and divided.
+ * @param {{t: ArrayLike<number>, x: ArrayLike<number>, y: ArrayLike<number>}} tracking
+ * @param {{name?: string, times?: ArrayLike<number>, counts?: ArrayLike<number>}} spikes
+ *   Spike times, or spike counts per tracking sample (see dataImport.js).
+ * @param {object} [options]  foldPositions options, and
+ * @param {number} [options.bins=32]          Bins along each phase axis.
+ * @param {number} [options.sigma=0.05]       Smoothing width in units of the
+ *   grid spacing (0: none).
+ * @param {number} [options.minOccupancy=0]   s of smoothed occupancy below
+ *   which a bin is NaN.
+ * @returns {object} Phase map (Hz when t is in seconds).
+ */
+export function phaseRateMap(tracking, spikes, options = {}) {
+  const { bins = 32, sigma = 0.05, minOccupancy = 0, lattice = HEX_LATTICE } = options;
+  const { t, x, y } = tracking;
+  const n = t.length;
+  if (n < 2 || x.length !== n || y.length !== n) {
+    throw new Error('Tracking needs at least two samples with t, x and y of equal length');
+  }
+  if (!(Number.isInteger(bins) && bins >= 2)) throw new Error('Phase map needs at least 2 bins per axis');
+  if (!((options.spacing ?? 1) > 0)) throw new Error('Grid spacing must be positive');
+
+  const bin = (phases, k) => {
+    const i = Math.min(Math.floor(phases[2 * k] / TWO_PI * bins), bins - 1);
+    const j = Math.min(Math.floor(phases[2 * k + 1] / TWO_PI * bins), bins - 1);
+    return i >= 0 && j >= 0 ? j * bins + i : -1;   // NaN (lost tracking) fails
+  };
+
+  const occupancy = new Float64Array(bins * bins);
+  const counts = new Float64Array(bins * bins);
+  const phases = foldPositions(x, y, options);
+  for (let k = 0; k < n; k++) {
+    const b = bin(phases, k);
+    if (b < 0) continue;
+    occupancy[b] += k < n - 1 ? t[k + 1] - t[k] : t[k] - t[k - 1];
+    if (spikes.counts) counts[b] += spikes.counts[k];
+  }
+  if (spikes.times) {
+    const times = Float64Array.from(spikes.times).filter(s => s >= t[0] && s <= t[n - 1]).sort();
+    const pos = interpolatePosition(tracking, times);
+    const spikePhases = foldPositions(pos.x, pos.y, options);
+    times.forEach((_, k) => {
+      const b = bin(spikePhases, k);
+      if (b >= 0) counts[b]++;
+    });
+  }
+
+  const kernel = periodicKernel(bins, sigma, lattice);
+  const smoothOcc = convolvePeriodic(occupancy, bins, kernel);
+  const smoothCounts = convolvePeriodic(counts, bins, kernel);
+  const values = smoothOcc.map((occ, b) => occ > minOccupancy && occ > 0 ? smoothCounts[b] / occ : NaN);
+  return { name: spikes.name ?? 'spikes', bins, values, occupancy, counts, lattice };
+}
+
+/**
+ * Periodic bilinear samples of a phase map at torus coordinates (any
+ * unwrapped phases, e.g. a tile's torusCoords). NaN bins are left out of
+ * the interpolation; a point with none around it is NaN.
+ * @param {object} map  From phaseRateMap.
+ * @param {number[][]} torusCoords  [t1, t2] per point.
+ * @returns {Float64Array}
+ */
+export function samplePhaseMap(map, torusCoords) {
+  const { bins, values } = map;
+  const out = new Float64Array(torusCoords.length);
+  torusCoords.forEach(([t1, t2], k) => {
+    const fx = mod1(t1 / TWO_PI) * bins - 0.5;
+    const fy = mod1(t2 / TWO_PI) * bins - 0.5;
+    const i0 = Math.floor(fx), j0 = Math.floor(fy);
+    const ax = fx - i0, ay = fy - j0;
+    let sum = 0, weight = 0;
+    for (let dj = 0; dj < 2; dj++) {
+      for (let di = 0; di < 2; di++) {
+        const i = (i0 + di + bins) % bins, j = (j0 + dj + bins) % bins;
+        const w = (di ? ax : 1 - ax) * (dj ? ay : 1 - ay);
+        const val = values[j * bins + i];
+        if (w > 0 && Number.isFinite(val)) {
+          sum += w * val;
+          weight += w;
+        }
+      }
+    }
+    out[k] = weight > 0 ? sum / weight : NaN;
+  });
+  return out;
+}
@@ -0,0 +1,126 @@
+// playback.js
+// Playback state of the stage timeline: position, play/pause, speed, loop
+// mode and breakpoints. The scene is a pure function of the position (see
+// stages.evaluateTimeline), so the animation loop only has to advance this
+// state by the elapsed time and render whatever the position says.
+
+/** Loop modes: stop at the end, wrap to the start, or reverse direction. */
+export const LOOP_MODES = ['once', 'loop', 'pingpong'];
+
+/*
+ * Playback keeps a position in [0, duration] (ms) and moves it by
+ * speed × elapsed time while playing. Positions listed in breakpoints pause
+ * playback exactly there when reached.
+ */
+export class Playback {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.duration=0]      Timeline length (ms).
+   * @param {number} [options.speed=1]         Timeline ms per elapsed ms.
+   * @param {string} [options.loop='pingpong'] One of LOOP_MODES.
+   * @param {boolean} [options.playing=true]
+   */
+  constructor({ duration = 0, speed = 1, loop = 'pingpong', playing = true } = {}) {
+    if (!LOOP_MODES.includes(loop)) throw new Error(`Unknown loop mode '${loop}'`);
+    this.duration = duration;
+    this.speed = speed;
+    this.loop = loop;
+    this.playing = playing;
+    this.position = 0;
+    this.direction = 1;    // 1 forward, -1 backward (ping-pong return)
+    this.breakpoints = [];
+  }
+
+  /** Change the timeline length, keeping the position inside it. */
+  setDuration(duration) {
+    this.duration = duration;
+    this.position = Math.min(this.position, duration);
+  }
+
+  play() {
+    // Playing from the end of a 'once' run starts it again
+    if (this.loop === 'once' && this.position >= this.duration && this.direction > 0) {
+      this.position = 0;
+    }
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  /** Rewind to the start, playing forward. */
+  restart() {
+    this.position = 0;
+    this.direction = 1;
+    this.play();
+  }
+
+  /**
+   * Jump to a timeline position.
+   * @param {number} position  ms, clamped to [0, duration].
+   */
+  seek(position) {
+    this.position = Math.min(Math.max(position, 0), this.duration);
+  }
+
+  /**
+   * Pause and move by a fixed amount, e.g. one frame.
+   * @param {number} delta  ms of timeline; negative steps back.
+   */
+  step(delta) {
+    this.pause();
+    this.seek(this.position + delta);
+  }
+
+  /**
+   * Advance by elapsed wall-clock time if playing.
+   * @param {number} elapsed  ms since the previous tick.
+   * @returns {number} The new position.
+   */
+  tick(elapsed) {
+    if (!this.playing || this.duration <= 0) return this.position;
+    let remaining = Math.abs(elapsed * this.speed);
+    // A negative speed plays against the current direction
+    let dir = this.direction * Math.sign(this.speed || 1);
+
+    while (remaining > 0) {
+      const bound = dir > 0 ? this.duration : 0;
+      const room = Math.abs(bound - this.position);
+      const move = Math.min(remaining, room);
+      const target = this.position + dir * move;
+
+      // Stop on the first breakpoint passed on the way
+      const hits = this.breakpoints.filter(b => dir > 0
+        ? b > this.position && b <= target
+        : b < this.position && b >= target);
+      if (hits.length) {
+        this.position = dir > 0 ? Math.min(...hits) : Math.max(...hits);
+        this.pause();
+        break;
+      }
+      this.position = target;
+      remaining -= move;
+      if (remaining <= 0 && move < room) break;
+
+      // Reached an end of the timeline
+      if (this.loop === 'once') {
+        this.pause();
+        break;
+      } else if (this.loop === 'loop') {
+        // wrap only once there is time left to play past the end
+        if (remaining > 0) this.position = dir > 0 ? 0 : this.duration;
+      } else {
+        dir = -dir;
+        this.direction = -this.direction;
+      }
+      if (remaining <= 0) break;
+    }
+    return this.position;
+  }
+}
@@ -0,0 +1,67 @@
+// random.js
+// Small seedable random number generator, so simulations reproduce exactly.
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ * @param {number} [seed=0]  Integer seed.
+ * @returns {object} Generator with random(), uniform(), normal(),
+ *                   int() and poisson() methods.
+ */
+export function createRng(seed = 0) {
+  let state = seed >>> 0;
+  let spare = null;
+
+  function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  return {
+    /** Uniform number in [0,1) */
+    random,
+
+    /** Uniform number in [a,b) */
+    uniform(a = 0, b = 1) {
+      return a + (b - a) * random();
+    },
+
+    /** Normal deviate (Box–Muller) */
+    normal(mu = 0, sd = 1) {
+      if (spare !== null) {
+        const z = spare;
+        spare = null;
+        return mu + sd * z;
+      }
+      let u = 0;
+      while (u === 0) u = random();
+      const r = Math.sqrt(-2 * Math.log(u));
+      const theta = 2 * Math.PI * random();
+      spare = r * Math.sin(theta);
+      return mu + sd * r * Math.cos(theta);
+    },
+
+    /** Uniform integer in [0,n) */
+    int(n) {
+      return Math.floor(random() * n);
+    },
+
+    /** Poisson deviate with mean lambda */
+    poisson(lambda) {
+      if (lambda <= 0) return 0;
+      if (lambda > 30) {
+        // normal approximation for large means
+        return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * this.normal()));
+      }
+      const L = Math.exp(-lambda);
+      let k = 0, p = 1;
+      do {
+        k++;
+        p *= random();
+      } while (p > L);
+      return k - 1;
+    }
+  };
+}
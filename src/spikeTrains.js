@@ -0,0 +1,73 @@
+// spikeTrains.js
+// Inhomogeneous Poisson spike trains from grid-cell rate maps sampled
+// along a trajectory.
+
+import { gridCellPdf } from './torusUtils.js';
+import { createRng } from './random.js';
+
+/**
+ * Firing rate of one cell at a set of points. A cell may be
+ *   - a function points → rates,
+ *   - an object with a rate(points) method (e.g. GridCellModel),
+ *   - a population entry with a `model` (see generatePopulation),
+ *   - a plain { phase, sigma, peakRate } description, evaluated with
+ *     gridCellPdf and scaled so its field centres fire at peakRate.
+ * @param {*} cell
+ * @param {Array<[number,number]>} points
+ * @returns {number[]} Rate per point.
+ */
+export function cellRates(cell, points) {
+  if (typeof cell === 'function') return cell(points);
+  if (typeof cell.rate === 'function') return cell.rate(points);
+  if (cell.model) return cell.model.rate(points);
+  const { phase = [0, 0], sigma = 0.1, peakRate = 1 } = cell;
+  const scale = peakRate * Math.sqrt(2 * Math.PI) * sigma;
+  return gridCellPdf(points, phase, sigma).map(v => v * scale);
+}
+
+/**
+ * Generate inhomogeneous Poisson spike trains for a set of cells along a
+ * trajectory. The rate is held constant over each sample interval.
+ * @param {{t: Float64Array, x: Float64Array, y: Float64Array}} traj
+ * @param {Array} cells              Cells as accepted by cellRates().
+ * @param {object} [options]
+ * @param {number} [options.seed=0]  RNG seed.
+ * @returns {Float64Array[]} Sorted spike times, one array per cell.
+ */
+export function poissonSpikes(traj, cells, { seed = 0 } = {}) {
+  const rng = createRng(seed);
+  const { t, x, y } = traj;
+  const n = t.length;
+  const points = Array.from({ length: n }, (_, i) => [x[i], y[i]]);
+
+  return cells.map(cell => {
+    const rates = cellRates(cell, points);
+    const spikes = [];
+    for (let i = 0; i < n - 1; i++) {
+      const dt = t[i + 1] - t[i];
+      const k = rng.poisson(rates[i] * dt);
+      const binSpikes = [];
+      for (let s = 0; s < k; s++) binSpikes.push(t[i] + dt * rng.random());
+      binSpikes.sort((a, b) => a - b);
+      spikes.push(...binSpikes);
+    }
+    return Float64Array.from(spikes);
+  });
+}
+
+/**
+ * Count spikes per trajectory sample interval [t[i], t[i+1]).
+ * @param {Float64Array} spikeTimes  Sorted spike times of one cell.
+ * @param {Float64Array} t           Sample times.
+ * @returns {Float64Array} Counts, length t.length - 1.
+ */
+export function binSpikes(spikeTimes, t) {
+  const counts = new Float64Array(Math.max(0, t.length - 1));
+  let i = 0;
+  for (const s of spikeTimes) {
+    while (i < counts.length && s >= t[i + 1]) i++;
+    if (i >= counts.length) break;
+    if (s >= t[i]) counts[i]++;
+  }
+  return counts;
+}
@@ -0,0 +1,240 @@
+// stages.js
+// Registry of animation stages. Each stage declares what the scene looks
+// like over its duration, and evaluateStage() turns a stage and a time
+// fraction into a plain description of that state, so that the animation
+// loop can run any ordered list of stages. evaluateTimeline() does the same
+// for a position on the timeline of the whole sequence.
+//
+// Stage spec fields:
+//   morph       batch morph (tp, p, out) => out, or 'hold' to keep the state
+//               of the neighbouring morph stage (the preceding one's end, or
+//               for a leading hold the following one's start)
+//   params      [p0, p1]: morph parameter at the start and end (default [0, 1])
+//   duration    ms
+//   easing      name in EASINGS or a function [0,1] → [0,1]
+//   camera      keyframes [{ t, fov, position, target }] over the eased time
+//               fraction (position and target are [x,y,z]; any field may be
+//               left out); a single keyframe holds its value
+//   tiles       { central: bool, peripheral: bool, peripheralOpacity: [o0, o1] }
+//   bloom       optional [b0, b1]: bloom intensity at the start and end
+//   data, shape optional data mode and tile shape shown during the stage
+//   enabled     optional bool or () => bool; disabled stages are skipped
+
+/** Easing functions by name. */
+export const EASINGS = {
+  linear: t => t,
+  // Cubic ease-in-out for smooth transitions
+  easeInOutCubic: t => t < 0.5
+    ? 4 * t * t * t
+    : 1 - Math.pow(-2 * t + 2, 3) / 2,
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
+const lerp = (a, b, t) => a + (b - a) * t;
+const lerpValue = (a, b, t) => Array.isArray(a) ? a.map((v, i) => lerp(v, b[i], t)) : lerp(a, b, t);
+
+/*
+ * StageRegistry maps stage names to stage specs and keeps the order in
+ * which they are played.
+ */
+export class StageRegistry {
+  constructor() {
+    this.stages = new Map();
+    this.order = [];
+  }
+
+  /**
+   * Add or replace a stage. New stages are appended to the play order,
+   * or inserted before the stage named in options.before.
+   * @param {string} name
+   * @param {object} spec     See the field list at the top of this module.
+   * @param {object} [options]
+   * @param {string} [options.before]
+   * @returns {StageRegistry} this
+   */
+  register(name, spec, { before } = {}) {
+    const easing = spec.easing ?? 'easeInOutCubic';
+    if (typeof easing !== 'function' && !EASINGS[easing]) {
+      throw new Error(`Unknown easing '${easing}'`);
+    }
+    if (!spec.morph) {
+      throw new Error(`Stage '${name}' needs a morph function or 'hold'`);
+    }
+    this.stages.set(name, { name, ...spec });
+    if (!this.order.includes(name)) {
+      const at = before ? this.order.indexOf(before) : -1;
+      if (at < 0) this.order.push(name);
+      else this.order.splice(at, 0, name);
+    }
+    return this;
+  }
+
+  /**
+   * Remove a stage from the registry and the play order.
+   * @param {string} name
+   * @returns {StageRegistry} this
+   */
+  remove(name) {
+    this.stages.delete(name);
+    this.order = this.order.filter(n => n !== name);
+    return this;
+  }
+
+  /**
+   * Set the play order; every name must be registered.
+   * @param {string[]} names
+   * @returns {StageRegistry} this
+   */
+  setOrder(names) {
+    names.forEach(n => {
+      if (!this.stages.has(n)) throw new Error(`Unknown stage '${n}'`);
+    });
+    this.order = [...names];
+    return this;
+  }
+
+  /** @returns {object|undefined} The spec registered under name. */
+  get(name) {
+    return this.stages.get(name);
+  }
+
+  /**
+   * Enabled stages in play order.
+   * @returns {object[]}
+   */
+  sequence() {
+    return this.order
+      .map(n => this.stages.get(n))
+      .filter(s => s.enabled === undefined
+        || (typeof s.enabled === 'function' ? s.enabled() : s.enabled));
+  }
+
+  /**
+   * Remove every stage.
+   * @returns {StageRegistry} this
+   */
+  clear() {
+    this.stages.clear();
+    this.order = [];
+    return this;
+  }
+}
+
+// Morph and parameter shown by a 'hold' stage at position index
+function holdMorph(sequence, index) {
+  for (let i = index - 1; i >= 0; i--) {
+    const s = sequence[i];
+    if (s.morph !== 'hold') return [s.morph, (s.params ?? [0, 1])[1]];
+  }
+  for (let i = index + 1; i < sequence.length; i++) {
+    const s = sequence[i];
+    if (s.morph !== 'hold') return [s.morph, (s.params ?? [0, 1])[0]];
+  }
+  return [null, 0];
+}
+
+// Value of one keyframed field at eased time t, from keyframes [{ t, ... }]
+function keyframeValue(keys, t, field) {
+  const ks = keys.filter(k => k[field] !== undefined);
+  if (!ks.length) return undefined;
+  if (t <= ks[0].t) return ks[0][field];
+  for (let i = 1; i < ks.length; i++) {
+    if (t <= ks[i].t) {
+      const u = (t - ks[i - 1].t) / (ks[i].t - ks[i - 1].t || 1);
+      return lerpValue(ks[i - 1][field], ks[i][field], u);
+    }
+  }
+  return ks[ks.length - 1][field];
+}
+
+/**
+ * State of the scene in stage sequence[index] at raw time fraction rawT.
+ * @param {object[]} sequence  Output of StageRegistry.sequence().
+ * @param {number}   index
+ * @param {number}   rawT      Fraction of the stage duration in [0,1].
+ * @returns {{ name: string, t: number, morph: function|null, p: number,
+ *   fov: number|undefined, cameraPosition: number[]|undefined,
+ *   cameraTarget: number[]|undefined, central: boolean, peripheral: boolean,
+ *   peripheralOpacity: number, bloom: number|undefined,
+ *   data: string|undefined, shape: string|undefined }}
+ */
+export function evaluateStage(sequence, index, rawT) {
+  const stage = sequence[index];
+  const ease = typeof stage.easing === 'function'
+    ? stage.easing
+    : EASINGS[stage.easing ?? 'easeInOutCubic'];
+  const t = ease(Math.min(Math.max(rawT, 0), 1));
+
+  let morph, p;
+  if (stage.morph === 'hold') {
+    [morph, p] = holdMorph(sequence, index);
+  } else {
+    const [p0, p1] = stage.params ?? [0, 1];
+    morph = stage.morph;
+    p = lerp(p0, p1, t);
+  }
+
+  const tiles = stage.tiles ?? {};
+  const [o0, o1] = tiles.peripheralOpacity ?? [1, 1];
+  const camera = stage.camera ?? [];
+  return {
+    name: stage.name,
+    t,
+    morph,
+    p,
+    fov: keyframeValue(camera, t, 'fov'),
+    cameraPosition: keyframeValue(camera, t, 'position'),
+    cameraTarget: keyframeValue(camera, t, 'target'),
+    central: tiles.central ?? true,
+    peripheral: tiles.peripheral ?? false,
+    peripheralOpacity: lerp(o0, o1, t),
+    bloom: stage.bloom ? lerp(stage.bloom[0], stage.bloom[1], t) : undefined,
+    data: stage.data,
+    shape: stage.shape
+  };
+}
+
+/**
+ * Start and end time of every stage of a sequence on one timeline.
+ * @param {object[]} sequence  Output of StageRegistry.sequence().
+ * @returns {{ name: string, start: number, end: number }[]} Times in ms.
+ */
+export function stageTimes(sequence) {
+  let t = 0;
+  return sequence.map(stage => {
+    const start = t;
+    t += Math.max(stage.duration ?? 0, 0);
+    return { name: stage.name, start, end: t };
+  });
+}
+
+/**
+ * Total duration of a sequence in ms.
+ * @param {object[]} sequence
+ * @returns {number}
+ */
+export function sequenceDuration(sequence) {
+  const times = stageTimes(sequence);
+  return times.length ? times[times.length - 1].end : 0;
+}
+
+/**
+ * State of the scene at a position on the timeline of the whole sequence.
+ * A time on a stage boundary belongs to the stage that ends there, so the
+ * scene shows that stage's final state (e.g. the end of the twist).
+ * @param {object[]} sequence
+ * @param {number}   time  ms from the start, clamped to the sequence.
+ * @returns {object|null} evaluateStage() output plus the stage index, or
+ *   null for an empty sequence (every stage disabled).
+ */
+export function evaluateTimeline(sequence, time) {
+  const times = stageTimes(sequence);
+  if (!times.length) return null;
+  const total = times.length ? times[times.length - 1].end : 0;
+  const t = Math.min(Math.max(time, 0), total);
+  let index = times.findIndex(s => t <= s.end);
+  if (index < 0) index = times.length - 1;
+  const { start, end } = times[index];
+  const rawT = end > start ? (t - start) / (end - start) : 1;
+  return { ...evaluateStage(sequence, index, rawT), index };
+}
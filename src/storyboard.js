@@ -0,0 +1,159 @@
+// storyboard.js
+// JSON description of a whole presentation: the stage sequence (see the
+// stage spec fields in stages.js) with morphs named instead of given as
+// functions, plus the playback, data, shape and bloom settings it starts
+// with. A storyboard looks like
+//
+//   {
+//     "version": 1,
+//     "settings": { "loop": "pingpong", "speed": 1, "data": "torus1",
+//                   "shape": "hexagon", "bloom": { "intensity": 0 } },
+//     "stages": [
+//       { "name": "cylinder", "morph": "F01", "duration": 3000,
+//         "easing": "easeInOutCubic",
+//         "camera": [{ "t": 0, "fov": 20, "position": [0, 30, 0] }] },
+//       { "name": "holdEnd", "morph": "hold", "duration": 1000 }
+//     ]
+//   }
+
+import { EASINGS } from './stages.js';
+import { LOOP_MODES } from './playback.js';
+import { DATA_MODES } from './vertexData.js';
+
+export const STORYBOARD_VERSION = 1;
+
+const SHAPES = ['hexagon', 'rhombus'];
+const BLOOM_FIELDS = ['intensity', 'threshold', 'smoothness'];
+
+const isNumber = v => typeof v === 'number' && Number.isFinite(v);
+const isVector = (v, n) => Array.isArray(v) && v.length === n && v.every(isNumber);
+
+// Validate one stage entry and convert it to a StageRegistry spec
+function stageSpec(entry, i, morphs) {
+  const where = `Storyboard stage ${i}${entry && entry.name ? ` ('${entry.name}')` : ''}`;
+  const fail = msg => { throw new Error(`${where}: ${msg}`); };
+  if (!entry || typeof entry !== 'object') fail('must be an object');
+  const { name, morph, duration, easing, params, camera, tiles, bloom, data, shape, enabled } = entry;
+
+  if (typeof name !== 'string' || !name) fail('needs a name');
+  if (morph !== 'hold' && !Object.hasOwn(morphs, morph)) {
+    fail(`unknown morph '${morph}' (expected 'hold' or one of ${Object.keys(morphs).join(', ')})`);
+  }
+  if (!isNumber(duration) || duration < 0) fail('duration must be a number of ms ≥ 0');
+  if (easing !== undefined && !EASINGS[easing]) fail(`unknown easing '${easing}'`);
+  if (params !== undefined && !isVector(params, 2)) fail('params must be [p0, p1]');
+  if (camera !== undefined) {
+    if (!Array.isArray(camera)) fail('camera must be a list of keyframes');
+    camera.forEach((k, j) => {
+      if (!k || typeof k !== 'object' || Array.isArray(k)) fail(`camera keyframe ${j} must be an object`);
+      if (!isNumber(k.t)) fail(`camera keyframe ${j} needs a time t`);
+      if (k.fov !== undefined && !isNumber(k.fov)) fail(`camera keyframe ${j}: fov must be a number`);
+      ['position', 'target'].forEach(f => {
+        if (k[f] !== undefined && !isVector(k[f], 3)) fail(`camera keyframe ${j}: ${f} must be [x, y, z]`);
+      });
+    });
+  }
+  if (tiles !== undefined) {
+    if (!tiles || typeof tiles !== 'object' || Array.isArray(tiles)) fail('tiles must be an object');
+    ['central', 'peripheral'].forEach(f => {
+      if (tiles[f] !== undefined && typeof tiles[f] !== 'boolean') fail(`tiles.${f} must be true or false`);
+    });
+    if (tiles.peripheralOpacity !== undefined && !isVector(tiles.peripheralOpacity, 2)) {
+      fail('tiles.peripheralOpacity must be [o0, o1]');
+    }
+  }
+  if (bloom !== undefined && !isVector(bloom, 2)) fail('bloom must be [b0, b1]');
+  if (data !== undefined && !DATA_MODES.includes(data)) fail(`unknown data mode '${data}'`);
+  if (shape !== undefined && !SHAPES.includes(shape)) fail(`unknown shape '${shape}'`);
+  if (enabled !== undefined && typeof enabled !== 'boolean') fail('enabled must be true or false');
+
+  const spec = { morph: morph === 'hold' ? 'hold' : morphs[morph], duration };
+  Object.entries({ easing, params, camera, tiles, bloom, data, shape, enabled })
+    .forEach(([k, v]) => { if (v !== undefined) spec[k] = v; });
+  return spec;
+}
+
+/**
+ * Parse and validate a storyboard.
+ * @param {string|object} input  JSON text or the parsed document.
+ * @param {Object<string, function>} morphs  Batch morph by storyboard name.
+ * @returns {{ settings: object, stages: { name: string, spec: object }[] }}
+ *   Stage specs ready for StageRegistry.register().
+ */
+export function parseStoryboard(input, morphs) {
+  const doc = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!doc || typeof doc !== 'object') throw new Error('Storyboard must be a JSON object');
+  if (doc.version !== undefined && doc.version > STORYBOARD_VERSION) {
+    throw new Error(`Storyboard version ${doc.version} is newer than supported (${STORYBOARD_VERSION})`);
+  }
+  if (!Array.isArray(doc.stages) || !doc.stages.length) {
+    throw new Error('Storyboard needs a non-empty list of stages');
+  }
+
+  const settings = { ...(doc.settings ?? {}) };
+  if (settings.loop !== undefined && !LOOP_MODES.includes(settings.loop)) {
+    throw new Error(`Storyboard: unknown loop mode '${settings.loop}'`);
+  }
+  if (settings.speed !== undefined && !isNumber(settings.speed)) {
+    throw new Error('Storyboard: speed must be a number');
+  }
+  if (settings.data !== undefined && !DATA_MODES.includes(settings.data)) {
+    throw new Error(`Storyboard: unknown data mode '${settings.data}'`);
+  }
+  if (settings.shape !== undefined && !SHAPES.includes(settings.shape)) {
+    throw new Error(`Storyboard: unknown shape '${settings.shape}'`);
+  }
+  Object.entries(settings.bloom ?? {}).forEach(([k, v]) => {
+    if (!BLOOM_FIELDS.includes(k) || !isNumber(v)) {
+      throw new Error(`Storyboard: bloom.${k} is not a numeric ${BLOOM_FIELDS.join('/')} setting`);
+    }
+  });
+
+  const names = new Set();
+  const stages = doc.stages.map((entry, i) => {
+    const spec = stageSpec(entry, i, morphs);
+    if (names.has(entry.name)) throw new Error(`Storyboard: duplicate stage name '${entry.name}'`);
+    names.add(entry.name);
+    return { name: entry.name, spec };
+  });
+  if (stages.every(({ spec }) => spec.enabled === false)) {
+    throw new Error('Storyboard needs at least one enabled stage');
+  }
+  return { settings, stages };
+}
+
+/**
+ * Replace the stages of a registry with those of a parsed storyboard.
+ * @param {StageRegistry} registry
+ * @param {{ stages: { name: string, spec: object }[] }} storyboard
+ *   Output of parseStoryboard().
+ * @returns {StageRegistry} registry
+ */
+export function loadStoryboard(registry, storyboard) {
+  registry.clear();
+  storyboard.stages.forEach(({ name, spec }) => registry.register(name, spec));
+  return registry;
+}
+
+/**
+ * Storyboard document of the stages in a registry (in play order,
+ * including disabled ones) and the given settings.
+ * @param {StageRegistry} registry
+ * @param {Object<string, function>} morphs  As for parseStoryboard.
+ * @param {object} [settings]
+ * @returns {object} JSON-ready document.
+ */
+export function exportStoryboard(registry, morphs, settings = {}) {
+  const morphNames = new Map(Object.entries(morphs).map(([k, fn]) => [fn, k]));
+  const stages = registry.order.map(name => {
+    const { name: _, morph, enabled, ...rest } = registry.get(name);
+    if (morph !== 'hold' && !morphNames.has(morph)) {
+      throw new Error(`Stage '${name}' uses a morph with no storyboard name`);
+    }
+    const entry = { name, morph: morph === 'hold' ? 'hold' : morphNames.get(morph), ...rest };
+    if (typeof enabled === 'boolean') entry.enabled = enabled;
+    else if (typeof enabled === 'function') entry.enabled = Boolean(enabled());
+    return entry;
+  });
+  return { version: STORYBOARD_VERSION, settings, stages };
+}
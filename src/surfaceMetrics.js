@@ -0,0 +1,240 @@
+// surfaceMetrics.js
+// Metric distortion and discrete curvature of a triangle mesh, e.g. the
+// morphed GridTile.faceGeom against the flat tile. Positions are
+// interleaved [x,y,z,...] arrays and index is the triangle index buffer.
+// Curvatures are undefined (NaN) on boundary vertices of an open sheet.
+
+function sub(p, i, j) {
+  return [p[3*i] - p[3*j], p[3*i+1] - p[3*j+1], p[3*i+2] - p[3*j+2]];
+}
+
+function cross(a, b) {
+  return [a[1]*b[2] - a[2]*b[1], a[2]*b[0] - a[0]*b[2], a[0]*b[1] - a[1]*b[0]];
+}
+
+const dot = (a, b) => a[0]*b[0] + a[1]*b[1] + a[2]*b[2];
+const norm = a => Math.sqrt(dot(a, a));
+
+/**
+ * Area of every triangle.
+ * @param {ArrayLike<number>} positions  Interleaved [x,y,z,...].
+ * @param {ArrayLike<number>} index      Triangle vertex indices.
+ * @returns {Float64Array} One area per triangle.
+ */
+export function triangleAreas(positions, index) {
+  const nT = index.length / 3;
+  const areas = new Float64Array(nT);
+  for (let t = 0; t < nT; t++) {
+    const a = index[3*t], b = index[3*t+1], c = index[3*t+2];
+    areas[t] = 0.5 * norm(cross(sub(positions, b, a), sub(positions, c, a)));
+  }
+  return areas;
+}
+
+/**
+ * Unique undirected edges of a triangle mesh, with how many triangles use
+ * each (1 on the boundary, 2 inside).
+ * @param {ArrayLike<number>} index
+ * @returns {{edges: Uint32Array, count: Uint8Array}} edges as [i,j,...] pairs.
+ */
+export function meshEdges(index) {
+  const seen = new Map();
+  const edges = [], count = [];
+  for (let k = 0; k < index.length; k += 3) {
+    for (let e = 0; e < 3; e++) {
+      const u = index[k + e], v = index[k + (e + 1) % 3];
+      const key = u < v ? `${u}_${v}` : `${v}_${u}`;
+      if (seen.has(key)) {
+        count[seen.get(key)]++;
+      } else {
+        seen.set(key, count.length);
+        edges.push(Math.min(u, v), Math.max(u, v));
+        count.push(1);
+      }
+    }
+  }
+  return { edges: Uint32Array.from(edges), count: Uint8Array.from(count) };
+}
+
+/**
+ * Euler characteristic V − E + F (0 for a closed torus, 1 for a disc).
+ * Vertices used by no triangle are not counted.
+ * @param {ArrayLike<number>} index
+ * @param {number} nVertices
+ * @returns {number}
+ */
+export function eulerCharacteristic(index, nVertices) {
+  const used = new Uint8Array(nVertices);
+  for (let k = 0; k < index.length; k++) used[index[k]] = 1;
+  const V = used.reduce((s, u) => s + u, 0);
+  return V - meshEdges(index).edges.length / 2 + index.length / 3;
+}
+
+/**
+ * Vertices on the mesh boundary (on an edge used by one triangle).
+ * @param {ArrayLike<number>} index
+ * @param {number} nVertices
+ * @returns {Uint8Array} 1 for boundary vertices.
+ */
+export function boundaryVertices(index, nVertices) {
+  const { edges, count } = meshEdges(index);
+  const boundary = new Uint8Array(nVertices);
+  count.forEach((c, e) => {
+    if (c === 1) boundary[edges[2*e]] = boundary[edges[2*e+1]] = 1;
+  });
+  return boundary;
+}
+
+/**
+ * Area distortion against a reference (e.g. flat) embedding of the same mesh.
+ * @param {ArrayLike<number>} positions
+ * @param {ArrayLike<number>} reference  Reference positions, same layout.
+ * @param {ArrayLike<number>} index
+ * @returns {{perTriangle: Float64Array, perVertex: Float64Array}}
+ *   Area ratio A/A0 per triangle, and log2 of the ratio of the summed
+ *   incident areas per vertex (0 where the area is preserved).
+ */
+export function areaDistortion(positions, reference, index) {
+  const A = triangleAreas(positions, index);
+  const A0 = triangleAreas(reference, index);
+  const n = positions.length / 3;
+  const sum = new Float64Array(n), sum0 = new Float64Array(n);
+  const perTriangle = A.map((a, t) => {
+    for (let k = 0; k < 3; k++) {
+      sum[index[3*t + k]] += a;
+      sum0[index[3*t + k]] += A0[t];
+    }
+    return a / A0[t];
+  });
+  const perVertex = sum.map((s, i) => sum0[i] > 0 ? Math.log2(s / sum0[i]) : NaN);
+  return { perTriangle, perVertex };
+}
+
+/**
+ * Edge-length distortion against a reference embedding.
+ * @param {ArrayLike<number>} positions
+ * @param {ArrayLike<number>} reference
+ * @param {ArrayLike<number>} index
+ * @returns {{edges: Uint32Array, perEdge: Float64Array, perVertex: Float64Array}}
+ *   Length ratio L/L0 per edge, and the mean log2 ratio of the incident
+ *   edges per vertex.
+ */
+export function lengthDistortion(positions, reference, index) {
+  const { edges } = meshEdges(index);
+  const n = positions.length / 3;
+  const nE = edges.length / 2;
+  const perEdge = new Float64Array(nE);
+  const sum = new Float64Array(n), deg = new Float64Array(n);
+  for (let e = 0; e < nE; e++) {
+    const i = edges[2*e], j = edges[2*e+1];
+    const ratio = norm(sub(positions, i, j)) / norm(sub(reference, i, j));
+    perEdge[e] = ratio;
+    const l = Math.log2(ratio);
+    sum[i] += l; sum[j] += l;
+    deg[i]++; deg[j]++;
+  }
+  const perVertex = sum.map((s, i) => deg[i] ? s / deg[i] : NaN);
+  return { edges, perEdge, perVertex };
+}
+
+// Interior angle at vertex a of triangle (a, b, c)
+function angleAt(p, a, b, c) {
+  const u = sub(p, b, a), v = sub(p, c, a);
+  return Math.atan2(norm(cross(u, v)), dot(u, v));
+}
+
+/**
+ * Discrete Gaussian curvature per vertex by angle defect,
+ * K = (2π − Σθ) / (A/3), with A the area of the incident triangles.
+ * @param {ArrayLike<number>} positions
+ * @param {ArrayLike<number>} index
+ * @returns {Float64Array} K per vertex (NaN on the boundary).
+ */
+export function gaussianCurvature(positions, index) {
+  const n = positions.length / 3;
+  const angles = new Float64Array(n), area = new Float64Array(n);
+  const areas = triangleAreas(positions, index);
+  for (let t = 0; t < index.length / 3; t++) {
+    const v = [index[3*t], index[3*t+1], index[3*t+2]];
+    for (let k = 0; k < 3; k++) {
+      angles[v[k]] += angleAt(positions, v[k], v[(k+1) % 3], v[(k+2) % 3]);
+      area[v[k]] += areas[t] / 3;
+    }
+  }
+  const boundary = boundaryVertices(index, n);
+  return angles.map((a, i) => boundary[i] || !area[i] ? NaN : (2 * Math.PI - a) / area[i]);
+}
+
+/**
+ * Discrete mean curvature per vertex from the cotangent Laplacian,
+ * H = ±|Δx| / 2, signed positive when Δx points along the vertex normal.
+ * @param {ArrayLike<number>} positions
+ * @param {ArrayLike<number>} index
+ * @returns {Float64Array} H per vertex (NaN on the boundary).
+ */
+export function meanCurvature(positions, index) {
+  const n = positions.length / 3;
+  const lap = new Float64Array(3 * n), nrm = new Float64Array(3 * n);
+  const area = new Float64Array(n);
+  for (let t = 0; t < index.length / 3; t++) {
+    const v = [index[3*t], index[3*t+1], index[3*t+2]];
+    const fn = cross(sub(positions, v[1], v[0]), sub(positions, v[2], v[0]));
+    const a = 0.5 * norm(fn);
+    for (let k = 0; k < 3; k++) {
+      const i = v[k], j = v[(k+1) % 3], o = v[(k+2) % 3];
+      // cotangent of the angle opposite edge (i, j)
+      const u = sub(positions, i, o), w = sub(positions, j, o);
+      const cot = dot(u, w) / (norm(cross(u, w)) || 1e-300);
+      for (let d = 0; d < 3; d++) {
+        const diff = positions[3*j + d] - positions[3*i + d];
+        lap[3*i + d] += cot * diff;
+        lap[3*j + d] -= cot * diff;
+        nrm[3*i + d] += fn[d];
+      }
+      area[i] += a / 3;
+    }
+  }
+  const boundary = boundaryVertices(index, n);
+  const H = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    if (boundary[i] || !area[i]) { H[i] = NaN; continue; }
+    // Δx = (1 / 2A) Σ (cot α + cot β)(x_j − x_i)
+    const L = [0, 1, 2].map(d => lap[3*i + d] / (2 * area[i]));
+    const N = [nrm[3*i], nrm[3*i+1], nrm[3*i+2]];
+    H[i] = Math.sign(dot(L, N)) * norm(L) / 2;
+  }
+  return H;
+}
+
+/**
+ * Whole-mesh summary of distortion and curvature.
+ * @param {ArrayLike<number>} positions
+ * @param {ArrayLike<number>} reference
+ * @param {ArrayLike<number>} index
+ * @returns {{areaError: number, lengthError: number, totalGaussian: number, meanAbsH: number}}
+ *   areaError: Σ|A − A0| / ΣA0; lengthError: RMS of log2(L/L0) over edges;
+ *   totalGaussian: ∫K dA over interior vertices; meanAbsH: area-weighted mean |H|.
+ */
+export function distortionSummary(positions, reference, index) {
+  const A = triangleAreas(positions, index);
+  const A0 = triangleAreas(reference, index);
+  let dA = 0, total0 = 0;
+  A.forEach((a, t) => { dA += Math.abs(a - A0[t]); total0 += A0[t]; });
+
+  const { perEdge } = lengthDistortion(positions, reference, index);
+  const lengthError = Math.sqrt(perEdge.reduce((s, r) => s + Math.log2(r) ** 2, 0) / perEdge.length);
+
+  const n = positions.length / 3;
+  const vArea = new Float64Array(n);
+  A.forEach((a, t) => { for (let k = 0; k < 3; k++) vArea[index[3*t + k]] += a / 3; });
+  const K = gaussianCurvature(positions, index);
+  const H = meanCurvature(positions, index);
+  let totalGaussian = 0, hSum = 0, hArea = 0;
+  for (let i = 0; i < n; i++) {
+    if (Number.isNaN(K[i])) continue;
+    totalGaussian += K[i] * vArea[i];
+    hSum += Math.abs(H[i]) * vArea[i];
+    hArea += vArea[i];
+  }
+  return { areaError: dA / total0, lengthError, totalGaussian, meanAbsH: hArea ? hSum / hArea : 0 };
+}
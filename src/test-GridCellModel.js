@@ -0,0 +1,84 @@
+import assert from 'assert';
+import { GridCellModel } from './GridCellModel.js';
+import { gridCellPdf } from './torusUtils.js';
+
+function approx(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+const points = [];
+for (let i = 0; i < 30; i++) {
+  points.push([Math.sin(i) * 3, Math.cos(7 * i) * 3]);
+}
+
+// --- Test: default gaussian model matches gridCellPdf up to normalisation ---
+{
+  const phase = [0.1, -0.2];
+  const model = new GridCellModel({ phase, sigma: 0.12 });
+  const Z     = gridCellPdf(points, phase, 0.12);
+  const norm  = 1 / (Math.sqrt(2 * Math.PI) * 0.12);
+  model.rate(points).forEach((r, i) => {
+    assert(approx(r * norm, Z[i], 1e-8), `Point ${i}: got ${r * norm}, expected ${Z[i]}`);
+  });
+}
+
+// --- Test: spacing and orientation move the fields ---
+{
+  const model = new GridCellModel({ spacing: 2.5, orientation: 0.3, profile: 'vonMises' });
+  for (const node of [[1, 0], [0.5, Math.sqrt(3) / 2], [-1, 0]]) {
+    const pt = model.fromLattice(node);
+    assert(approx(Math.hypot(...pt), 2.5), `Node distance ${Math.hypot(...pt)} ≠ 2.5`);
+    assert(approx(model.rate([pt])[0], 1), `Rate at field centre should be peak`);
+  }
+}
+
+// --- Test: toLattice inverts fromLattice, including ellipticity ---
+{
+  const model = new GridCellModel({
+    spacing: 1.7, orientation: -0.4, ellipticity: 1.3, ellipseAngle: 0.9, phase: [0.3, 0.2]
+  });
+  for (const pt of points.slice(0, 5)) {
+    const [x, y] = model.fromLattice(model.toLattice(pt));
+    assert(approx(x, pt[0]) && approx(y, pt[1]), `Round trip of [${pt}] gave [${x},${y}]`);
+  }
+}
+
+// --- Test: profiles peak at the field centre and are periodic ---
+for (const profile of ['gaussian', 'vonMises', 'cosine']) {
+  const model = new GridCellModel({ profile, phase: [0.2, 0.1], peakRate: 5 });
+  const [centre] = model.rate([[0.2, 0.1]]);
+  const [shifted] = model.rate([[0.2 + 3.5, 0.1 + 3 * Math.sqrt(3) / 2]]);
+  const [off] = model.rate([[0.2 + 0.3, 0.1]]);
+  assert(approx(centre, shifted, 1e-8), `${profile}: not periodic`);
+  assert(centre > off, `${profile}: centre ${centre} should exceed off-field ${off}`);
+}
+
+// --- Test: rate jitter varies field peaks deterministically ---
+{
+  const model = new GridCellModel({ profile: 'vonMises', rateJitter: 0.5, seed: 3 });
+  const peaks = [[0, 0], [1, 0], [2, 0], [3, 0]].map(pt => model.rate([pt])[0]);
+  assert(new Set(peaks.map(p => p.toFixed(6))).size > 1, 'Peaks should differ');
+  peaks.forEach(p => assert(p >= 0.5 - 1e-12 && p <= 1.5 + 1e-12, `Peak ${p} out of range`));
+  assert.deepStrictEqual(peaks, [[0, 0], [1, 0], [2, 0], [3, 0]].map(pt => model.rate([pt])[0]));
+}
+
+// --- Test: batch form matches tuple form ---
+{
+  const model = new GridCellModel({ spacing: 1.3, ellipticity: 1.2, profile: 'cosine', threshold: 0.5 });
+  const Zb = model.rateBatch(Float64Array.from(points.flat()));
+  model.rate(points).forEach((r, i) => assert(approx(r, Zb[i])));
+}
+
+// --- Test: torus phase of a lattice-aligned offset ---
+{
+  const model = new GridCellModel({ spacing: 2, phase: [1, 0] });
+  const [t1, t2, t3] = model.torusPhase();
+  assert(approx(t1, Math.PI) && approx(t2, 0) && approx(t3, -Math.PI));
+}
+
+// --- Test: unknown profile and out-of-range threshold are rejected ---
+assert.throws(() => new GridCellModel({ profile: 'boxcar' }), /Unknown grid-cell profile/);
+assert.throws(() => new GridCellModel({ profile: 'cosine', threshold: 3 }), /threshold must be below 3, got 3/);
+assert.throws(() => new GridCellModel({ threshold: NaN }), /threshold must be below 3/);
+
+console.log('All GridCellModel tests passed.');
@@ -0,0 +1,91 @@
+import assert from 'assert';
+import { Lattice, HEX_LATTICE } from './Lattice.js';
+import { torus2euclidean, euclidean2torus, wrapToHexagon, latticeOffset, buildRhombusMeshGrid } from './torusUtils.js';
+
+function approx(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+const lattices = {
+  hexagonal: HEX_LATTICE,
+  square: Lattice.square(),
+  sheared: Lattice.oblique(1, 1.3, 75 * Math.PI / 180, 0.2),
+  unreduced: new Lattice([1, 0], [2.4, 0.7])
+};
+
+// Pseudo-random test points
+const points = Array.from({ length: 50 }, (_, i) => [3 * Math.sin(1.7 * i), 3 * Math.cos(2.3 * i + 1)]);
+
+for (const [name, lat] of Object.entries(lattices)) {
+  // --- Test: forward and inverse phase maps round-trip ---
+  const tp = euclidean2torus(points, lat);
+  lat.fromTorus(tp).forEach(([x, y], i) => {
+    assert(approx(x, points[i][0]) && approx(y, points[i][1]), `${name}: round trip`);
+  });
+
+  // --- Test: basis vectors map to one full phase turn ---
+  const [[t1, t2], [s1, s2]] = euclidean2torus([lat.e1, lat.e2], lat);
+  assert(approx(t1, 2 * Math.PI) && approx(t2, 0) && approx(s1, 0) && approx(s2, 2 * Math.PI), name);
+
+  // --- Test: wrapping lands in the Wigner–Seitz cell and preserves phase ---
+  const cell = lat.wignerSeitz();
+  points.forEach(pt => {
+    const w = wrapToHexagon(pt, lat);
+    const [n1, n2] = latticeOffset(pt, lat);
+    const [ox, oy] = lat.fromLattice([n1, n2]);
+    assert(approx(pt[0] - ox, w[0]) && approx(pt[1] - oy, w[1]), `${name}: offset`);
+    // inside: no closer lattice node among the neighbours
+    lat.nodes(2).forEach(([nx, ny]) => {
+      assert(Math.hypot(w[0] - nx, w[1] - ny) >= Math.hypot(w[0], w[1]) - 1e-9, `${name}: nearest node`);
+    });
+  });
+  torus2euclidean(tp, 'rhombus', lat).forEach(pt => {
+    const [u1, u2] = lat.toLattice(pt);
+    assert(u1 >= -1e-12 && u1 < 1 && u2 >= -1e-12 && u2 < 1, `${name}: parallelogram`);
+  });
+
+  // --- Test: cell area equals the parallelogram area ---
+  const area = cell.reduce((a, [x, y], i) => {
+    const [x2, y2] = cell[(i + 1) % cell.length];
+    return a + (x * y2 - x2 * y) / 2;
+  }, 0);
+  assert(approx(area, Math.abs(lat.det)), `${name}: cell area ${area}`);
+
+  // --- Test: the cell mesh covers the cell ---
+  const { points: P, triangles } = lat.wignerSeitzMesh(4);
+  const meshArea = triangles.reduce((a, [i, j, k]) =>
+    a + ((P[j][0] - P[i][0]) * (P[k][1] - P[i][1]) - (P[k][0] - P[i][0]) * (P[j][1] - P[i][1])) / 2, 0);
+  assert(approx(meshArea, area), `${name}: mesh area`);
+
+  // --- Test: nodes are nearest first and symmetric about the origin ---
+  const nodes = lat.nodes(2);
+  assert.deepStrictEqual(nodes[0], [0, 0]);
+  nodes.forEach(([x, y], i) => {
+    assert(i === 0 || Math.hypot(x, y) >= Math.hypot(...nodes[i - 1]) - 1e-9, `${name}: node order`);
+    assert(nodes.some(([u, v]) => approx(u, -x) && approx(v, -y)), `${name}: node [${x}, ${y}] unpaired`);
+  });
+}
+assert.strictEqual(HEX_LATTICE.nodes(2).length, 19);
+
+// --- Test: the square lattice's first ring holds all eight neighbours ---
+{
+  const key = ([x, y]) => `${Math.round(x)},${Math.round(y)}`;
+  const ring = Lattice.square().nodes(1).map(key);
+  assert.deepStrictEqual(ring.slice().sort(),
+    ['-1,-1', '-1,0', '-1,1', '0,-1', '0,0', '0,1', '1,-1', '1,0', '1,1']);
+  assert.strictEqual(Lattice.square().nodes(2).length, 25);
+}
+
+// --- Test: the default lattice reproduces the hexagonal constants ---
+{
+  const cell = HEX_LATTICE.wignerSeitz();
+  assert.strictEqual(cell.length, 6);
+  assert(approx(cell[0][0], 0) && approx(cell[0][1], 1 / Math.sqrt(3)));
+  const sq = Lattice.square().wignerSeitz();
+  assert.strictEqual(sq.length, 4);
+  const { euclidCoords } = buildRhombusMeshGrid(2, Lattice.square());
+  assert.deepStrictEqual(euclidCoords[0].map(v => +v.toFixed(12)), [-0.5, -0.5]);
+  assert.throws(() => new Lattice([1, 1], [2, 2]), /linearly independent/);
+}
+
+console.log('All Lattice tests passed.');
@@ -0,0 +1,134 @@
+import assert from 'assert';
+import { execFileSync } from 'child_process';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+import { generate, serialize, loadData } from './cli.js';
+import { makeRateMap } from './dataImport.js';
+import { modelAtPhase } from './gridFit.js';
+import { checkTorusTopology } from './torusMesh.js';
+import { F23_morph } from './torusUtils.js';
+
+const defaults = {
+  shape: 'hexagon', ngrid: '8', seam: 'exact', lattice: 'hexagonal', ratio: '1', angle: '60',
+  stage: 'torus', p: '1', rotate: '0,0,0,0,0,0', data: 'torus1',
+  spacing: '1', orientation: '0', ellipticity: '1', 'ellipse-angle': '0', 'rate-jitter': '0',
+  profile: 'gaussian', sigma: '0.1', modules: '1', 'cells-per-module': '3', 'phase-mode': 'uniform',
+  seed: '1', cells: '0,1,2', display: 'subset', format: 'json', scale: '1',
+  map: '0', 'map-spacing': '0', 'map-orientation': '0', 'bin-size': '0',
+  spikes: '0', 'fold-spacing': '1', 'fold-orientation': '0', 'phase-bins': '32', 'phase-sigma': '0.05',
+  'fit-method': 'lsq'
+};
+const args = over => ({ ...defaults, ...over });
+
+// --- Test: positions follow the requested morph in tile units ---
+{
+  const { geometry, torusCoords, columns } = generate(args({ p: '0.6' }));
+  const pos = geometry.getAttribute('position').array;
+  torusCoords.forEach((tp, i) => {
+    const ref = F23_morph(tp, 0.6).map(v => v / (2 * Math.PI));
+    for (let d = 0; d < 3; d++) assert(Math.abs(pos[3*i + d] - ref[d]) < 1e-6);
+  });
+  assert.deepStrictEqual(Object.keys(columns), ['phase1']);
+}
+
+// --- Test: grid-cell columns and the closed torus ---
+{
+  const open = generate(args({ data: 'gridCells', cells: '0,2' }));
+  assert.deepStrictEqual(Object.keys(open.columns), ['cell0', 'cell2']);
+  const closed = generate(args({ data: 'gaussianCurvature', seam: 'closed', shape: 'rhombus' }));
+  const n = closed.torusCoords.length;
+  assert.strictEqual(closed.geometry.getAttribute('position').count, n);
+  assert(checkTorusTopology(closed.geometry.index.array, n).isTorus);
+  // no boundary on the quotient mesh, so curvature is finite everywhere
+  assert(Array.from(closed.columns.gaussianCurvature).every(Number.isFinite));
+}
+
+// --- Test: CSV and JSON serialization ---
+{
+  const result = generate(args({ data: 'meanCurvature' }));
+  const csv = serialize(result, 'csv').trim().split('\n');
+  assert.strictEqual(csv[0], 't1,t2,x,y,z,meanCurvature');
+  assert.strictEqual(csv.length, result.torusCoords.length + 1);
+  const json = JSON.parse(serialize(result, 'json', { stage: 'torus' }));
+  assert.strictEqual(json.stage, 'torus');
+  assert.strictEqual(json.positions.length, 3 * result.torusCoords.length);
+  assert(json.columns.meanCurvature.includes(null));
+}
+
+// --- Test: imported rate maps are resampled onto the tile ---
+{
+  const flat = makeRateMap(new Array(16).fill(4), [4, 4], { name: 'flat', extent: [-2, 2, -2, 2] });
+  const { columns } = generate(args({ data: 'imported', map: 'flat', 'map-spacing': '1' }), { maps: [flat] });
+  assert(Array.from(columns.rate).every(v => v === 4));
+  assert.throws(() => generate(args({ data: 'imported' })), /needs an --import file/);
+  assert.throws(() => generate(args({ data: 'imported', map: '3' }), { maps: [flat] }), /--map '3' not found/);
+
+  // a constant-rate recording folds to the same rate everywhere on the tile
+  const t = Array.from({ length: 2000 }, (_, k) => 0.05 * k);
+  const tracking = { t, x: t.map(s => 3 * Math.sin(0.37 * s)), y: t.map(s => 3 * Math.cos(0.23 * s)) };
+  const folded = generate(args({ data: 'phaseMap', 'phase-sigma': '0.2', 'phase-bins': '12', spikes: 'c' }),
+                          { tracking, spikes: [{ name: 'c', counts: t.map(() => 1) }] });
+  assert(Array.from(folded.columns.rate).every(v => Math.abs(v - 20) < 1e-6));
+  assert.throws(() => generate(args({ data: 'phaseMap' })), /needs an --import file with positions and spikes/);
+
+  const dir = mkdtempSync(join(tmpdir(), 'hextorus-'));
+  try {
+    const path = join(dir, 'cell.csv');
+    writeFileSync(path, '0,1\n2,3\n');
+    const { maps } = await loadData([path]);
+    assert.strictEqual(maps[0].name, 'cell');
+    const cli = fileURLToPath(new URL('./cli.js', import.meta.url));
+    const out = execFileSync('node', [cli, '--ngrid', '6', '--data', 'imported', '--import', path,
+                                      '--format', 'csv'], { encoding: 'utf8' });
+    const rows = out.trim().split('\n');
+    assert.strictEqual(rows[0], 't1,t2,x,y,z,rate');
+    // fitted inside the map, every vertex gets a rate between the bin values
+    assert(rows.slice(1).every(r => { const v = Number(r.split(',')[5]); return v >= 0 && v <= 3; }));
+
+    // --fit writes one row of estimates per map (here bins are map units)
+    const cell = modelAtPhase([2, 1], { spacing: 5, sigma: 0.8, peakRate: 3 });
+    const grid = Array.from({ length: 20 }, (_, j) =>
+      cell.rate(Array.from({ length: 20 }, (_, i) => [i + 0.5, j + 0.5])).join(','));
+    const gridPath = join(dir, 'grid.csv');
+    writeFileSync(gridPath, grid.join('\n') + '\n');
+    const table = execFileSync('node', [cli, '--fit', '--import', gridPath], { encoding: 'utf8' }).trim().split('\n');
+    assert.strictEqual(table.length, 2);
+    const header = table[0].split(','), fit = table[1].split(',');
+    assert.strictEqual(fit[0], 'grid');
+    assert(Math.abs(Number(fit[header.indexOf('spacing')]) - 5) < 0.05);
+    assert(Math.abs(Number(fit[header.indexOf('t2')]) - 1) < 0.02);
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+}
+
+// --- Test: invalid options are rejected ---
+{
+  assert.throws(() => generate(args({ stage: 'sphere' })), /--stage must be one of/);
+  assert.throws(() => generate(args({ p: 'half' })), /--p must be a number/);
+  assert.throws(() => generate(args({ p: '1.5' })), /--p must be a number in \[0, 1\], got '1.5'/);
+  assert.throws(() => generate(args({ ngrid: '0' })), /--ngrid must be a positive integer/);
+  assert.throws(() => generate(args({ ngrid: '7.5' })), /--ngrid must be a positive integer/);
+  assert.throws(() => generate(args({ rotate: '0,0,0' })), /--rotate must be 6 comma-separated numbers/);
+  assert.throws(() => generate(args({ rotate: '0,0,x,0,0,0' })), /--rotate must be 6 comma-separated numbers/);
+  assert.throws(() => generate(args({ data: 'gridCells', modules: '0' })), /--modules must be a positive integer/);
+  assert.throws(() => generate(args({ data: 'gridCells', cells: '0,7' })), /--cells must be ids below 3, got '0,7'/);
+  assert.throws(() => generate(args({ data: 'gridCells', profile: 'box' })), /--profile must be one of/);
+  assert.throws(() => generate(args({ data: 'gridCells', 'phase-mode': 'random' })), /--phase-mode must be one of/);
+  assert.throws(() => generate(args({ data: 'gridCells', display: 'max' })), /--display must be one of/);
+}
+
+// --- Test: command line writes a mesh to stdout ---
+{
+  const cli = fileURLToPath(new URL('./cli.js', import.meta.url));
+  const out = execFileSync('node', [cli, '--ngrid', '6', '--format', 'obj'], { encoding: 'utf8' });
+  assert(out.startsWith('# hextorus tile'));
+  assert(out.split('\n').some(l => l.startsWith('f ')));
+  // and fails on a bad scale
+  assert.throws(() => execFileSync('node', [cli, '--format', 'obj', '--scale', 'abc'], { stdio: 'pipe' }),
+                err => err.status === 1 && /--scale must be a positive number/.test(err.stderr));
+}
+
+console.log('All cli tests passed.');
@@ -0,0 +1,69 @@
+import assert from 'assert';
+import { clifford_morph, clifford_morphBatch, rotation4d, F23_morph } from './torusUtils.js';
+
+function approx(a, b, tol = 1e-9) {
+  return Math.abs(a - b) < tol;
+}
+
+const tp = [];
+for (let i = 0; i < 25; i++) {
+  tp.push([Math.sin(i) * Math.PI, Math.cos(2 * i) * Math.PI]);
+}
+
+// --- Test: rotation4d is orthogonal with determinant +1 ---
+{
+  const M = rotation4d([0.3, -1.1, 0.7, 2.0, 0.1, -0.4]);
+  for (let i = 0; i < 4; i++) {
+    for (let j = 0; j < 4; j++) {
+      let d = 0;
+      for (let k = 0; k < 4; k++) d += M[4*i + k] * M[4*j + k];
+      assert(approx(d, i === j ? 1 : 0));
+    }
+  }
+  // determinant by cofactor expansion along the first row
+  const det = (m, n) => n === 1 ? m[0] : m.slice(0, n).reduce((sum, a, col) => {
+    const minor = [];
+    for (let r = 1; r < n; r++) {
+      for (let c = 0; c < n; c++) if (c !== col) minor.push(m[r * n + c]);
+    }
+    return sum + (col % 2 ? -1 : 1) * a * det(minor, n - 1);
+  }, 0);
+  assert(approx(det(Array.from(M), 4), 1));
+  const R = rotation4d([Math.PI / 2, 0, 0, 0, 0, 0]);
+  // xy rotation by 90° maps e1 to e2
+  assert(approx(R[0], 0) && approx(R[4], 1));
+}
+
+// --- Test: p=0 is the final F23 torus ---
+tp.forEach(pt => {
+  const a = clifford_morph(pt, 0), b = F23_morph(pt, 1);
+  a.forEach((v, k) => assert(approx(v, b[k])));
+});
+
+// --- Test: unrotated projection is a torus of revolution about y with
+// major radius √3/2 and tube radius √3/(2√2), periodic in t1 and t2 ---
+{
+  const major = Math.sqrt(3) / 2, tube = major / Math.SQRT2;
+  const cx = major - 1;
+  tp.forEach(([t1, t2]) => {
+    const [x, y, z] = clifford_morph([t1, t2], 1);
+    const rho = Math.hypot(x - cx, z);
+    assert(approx(Math.hypot(rho - major, y), tube));
+    const w = clifford_morph([t1 + 2 * Math.PI, t2 - 2 * Math.PI], 1);
+    [x, y, z].forEach((v, k) => assert(approx(v, w[k])));
+  });
+  // t1 = 0 lies on the inside of the tube
+  const [x0] = clifford_morph([0, 0], 1);
+  const [x1] = clifford_morph([Math.PI, 0], 1);
+  assert(x0 > x1);
+}
+
+// --- Test: batch form matches the tuple form under a rotation ---
+{
+  const rot = rotation4d([0, 0.5, 0.2, 0, -0.3, 0.1]);
+  const out = clifford_morphBatch(Float64Array.from(tp.flat()), 0.6, null, rot);
+  clifford_morph(tp, 0.6, rot).forEach((pt, i) =>
+    pt.forEach((v, k) => assert(approx(out[3*i + k], v, 1e-5))));
+}
+
+console.log('All clifford_morph tests passed.');
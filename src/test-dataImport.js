@@ -0,0 +1,214 @@
+import assert from 'assert';
+import { deflateSync } from 'zlib';
+import { makeRateMap, sampleRateMap, fitMapSpacing, rateMapFromSpikes, parseCSV, parseJSON,
+         parseNpy, parseMat, readDataFile, recordedMaps } from './dataImport.js';
+
+function approx(a, b, tol = 1e-9) {
+  return Math.abs(a - b) < tol;
+}
+
+// .npy file with the given dtype (e.g. '<f8', '>i2'); values in C order
+// unless fortran
+function npyFile(descr, shape, values, fortran = false) {
+  const shapeText = shape.join(', ') + (shape.length === 1 ? ',' : '');
+  let header = `{'descr': '${descr}', 'fortran_order': ${fortran ? 'True' : 'False'}, 'shape': (${shapeText}), }`;
+  header = header.padEnd(Math.ceil((header.length + 11) / 64) * 64 - 11) + '\n';
+  const size = Number(descr.slice(2));
+  const setter = { f8: 'setFloat64', f4: 'setFloat32', i2: 'setInt16', i4: 'setInt32' }[descr.slice(1)];
+  const bytes = new Uint8Array(10 + header.length + values.length * size);
+  bytes.set([0x93, ...Buffer.from('NUMPY'), 1, 0]);
+  new DataView(bytes.buffer).setUint16(8, header.length, true);
+  bytes.set(Buffer.from(header), 10);
+  const view = new DataView(bytes.buffer, 10 + header.length);
+  values.forEach((v, i) => view[setter](i * size, v, descr[0] !== '>'));
+  return bytes;
+}
+
+// --- Minimal MAT-file v5 writer (little endian) ---
+const MI = { INT8: 1, UINT8: 2, INT32: 5, UINT32: 6, DOUBLE: 9, MATRIX: 14, COMPRESSED: 15 };
+const MX = { CELL: 1, STRUCT: 2, CHAR: 4, DOUBLE: 6 };
+
+function matElement(type, data) {
+  data = new Uint8Array(data.buffer ? data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength) : data);
+  if (data.length <= 4 && type !== MI.MATRIX) {
+    // small data element format
+    const out = new Uint8Array(8);
+    new DataView(out.buffer).setUint32(0, (data.length << 16) | type, true);
+    out.set(data, 4);
+    return out;
+  }
+  const padded = type === MI.COMPRESSED ? data.length : Math.ceil(data.length / 8) * 8;
+  const out = new Uint8Array(8 + padded);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, type, true);
+  view.setUint32(4, data.length, true);
+  out.set(data, 8);
+  return out;
+}
+
+const concat = parts => {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  parts.reduce((off, p) => { out.set(p, off); return off + p.length; }, 0);
+  return out;
+};
+
+function matMatrix(name, mxClass, dims, body) {
+  return matElement(MI.MATRIX, concat([
+    matElement(MI.UINT32, new Uint32Array([mxClass, 0])),
+    matElement(MI.INT32, new Int32Array(dims)),
+    matElement(MI.INT8, Buffer.from(name)),
+    ...body
+  ]));
+}
+
+// columnMajor: values in MATLAB order
+const matDouble = (name, dims, columnMajor) =>
+  matMatrix(name, MX.DOUBLE, dims, [matElement(MI.DOUBLE, new Float64Array(columnMajor))]);
+
+function matStruct(name, fields) {
+  const names = Object.keys(fields);
+  const nameBytes = new Uint8Array(32 * names.length);
+  names.forEach((f, i) => nameBytes.set(Buffer.from(f), 32 * i));
+  return matMatrix(name, MX.STRUCT, [1, 1], [
+    matElement(MI.INT32, new Int32Array([32])),
+    matElement(MI.INT8, nameBytes),
+    ...names.map(f => fields[f])
+  ]);
+}
+
+function matFile(elements) {
+  const header = new Uint8Array(128).fill(32);
+  header.set(Buffer.from('MATLAB 5.0 MAT-file, hextorus test'));
+  header.set([0, 1, 0x49, 0x4d], 124);   // version 0x0100, 'IM'
+  return concat([header, ...elements]);
+}
+
+// --- Test: bilinear sampling and fitting ---
+{
+  // values linear in x and y: bilinear sampling is exact between bin centres
+  const nx = 5, ny = 4;
+  const values = [];
+  for (let j = 0; j < ny; j++) for (let i = 0; i < nx; i++) values.push(2 * (i + 0.5) + 3 * (j + 0.5));
+  const map = makeRateMap(values, [ny, nx], { extent: [0, 5, 0, 4] });
+  const rates = sampleRateMap(map, [[0, 0], [0.5, -0.25], [10, 0]], { spacing: 2 });
+  assert(approx(rates[0], 2 * 2.5 + 3 * 2));
+  assert(approx(rates[1], 2 * 3.5 + 3 * 1.5));
+  assert(Number.isNaN(rates[2]));
+  // a quarter turn maps tile +x onto map +y
+  const turned = sampleRateMap(map, [[0.5, 0]], { orientation: Math.PI / 2 });
+  assert(approx(turned[0], 2 * 2.5 + 3 * 2.5));
+  // NaN bins (unvisited) are left out of the interpolation
+  const holes = makeRateMap([1, NaN, NaN, NaN], [2, 2]);
+  assert(approx(sampleRateMap(holes, [[0, 0]])[0], 1));
+  assert(approx(fitMapSpacing(map, [[1, 0], [0, -0.5]]), 2));
+  assert.throws(() => makeRateMap([1, 2, 3], [2, 2]), /ny × nx values/);
+  assert.throws(() => makeRateMap([1], [1, 1], { extent: [1, 0, 0, 1] }), /extent/);
+}
+
+// --- Test: occupancy-normalised rate map of spike times ---
+{
+  // 1 s in each of two bins, three spikes in the second
+  const tracking = { t: [0, 0.5, 1, 1.5, 2], x: [0.25, 0.25, 1.75, 1.75, 1.75], y: [0.5, 0.5, 0.5, 0.5, 0.5] };
+  const times = rateMapFromSpikes(tracking, { name: 'c1', times: [1.1, 1.2, 1.4, 5] },
+                                  { binSize: 1, extent: [0, 2, 0, 1] });
+  assert.deepStrictEqual(times.shape, [1, 2]);
+  assert.strictEqual(times.name, 'c1');
+  assert(approx(times.values[0], 0) && approx(times.values[1], 3 / 1.5));
+  assert.deepStrictEqual(Array.from(times.occupancy), [1, 1.5]);
+  const counts = rateMapFromSpikes(tracking, { counts: [1, 0, 0, 2, 0] }, { binSize: 1, extent: [0, 2, 0, 1] });
+  assert(approx(counts.values[0], 1) && approx(counts.values[1], 2 / 1.5));
+  // unvisited bins are NaN; the default extent is the visited area
+  const sparse = rateMapFromSpikes(tracking, { times: [] }, { binSize: 0.5 });
+  assert.deepStrictEqual(sparse.shape, [1, 3]);
+  assert(Number.isNaN(sparse.values[1]));
+}
+
+// --- Test: CSV matrices, position tables and spike-time tables ---
+{
+  const { maps } = parseCSV('# rate map\n1, 2, 3\n4,NaN,\n', 'cellA');
+  assert.strictEqual(maps[0].name, 'cellA');
+  assert.deepStrictEqual(maps[0].shape, [2, 3]);
+  assert(Number.isNaN(maps[0].values[4]) && Number.isNaN(maps[0].values[5]));
+
+  const positions = parseCSV('time\tx\ty\tcell1\n0\t0\t0\t0\n0.1\t1\t0\t2\n', 'pos');
+  assert.deepStrictEqual(Array.from(positions.tracking.x), [0, 1]);
+  assert.deepStrictEqual(positions.spikes.map(s => s.name), ['cell1']);
+  assert.deepStrictEqual(Array.from(positions.spikes[0].counts), [0, 2]);
+
+  const spikes = parseCSV('cell,spike_time\n2,0.5\n1,0.2\n2,0.7\n');
+  assert.deepStrictEqual(spikes.spikes.map(s => s.name), ['cell 1', 'cell 2']);
+  assert.deepStrictEqual(Array.from(spikes.spikes[1].times), [0.5, 0.7]);
+
+  assert.throws(() => parseCSV('a,b\n1,2\n'), /must include t, x and y/);
+  assert.throws(() => parseCSV('1,2\n3\n'), /different lengths/);
+}
+
+// --- Test: JSON maps, tracking and spikes ---
+{
+  const single = parseJSON('[[1, 2], [null, 4]]', 'grid');
+  assert.strictEqual(single.maps[0].name, 'grid');
+  assert(Number.isNaN(single.maps[0].values[2]));
+
+  const doc = parseJSON({
+    maps: [{ name: 'cell 7', rates: [[1, 2, 3], [4, 5, 6]], extent: [-1, 2, 0, 1] }, [[5, 6], [7, 8]]],
+    t: [0, 1, 2], x: [0, 1, 2], y: [0, 0, 0],
+    spikes: [[0.5], [1.5, 1.6]]
+  });
+  assert.deepStrictEqual(doc.maps.map(m => m.name), ['cell 7', 'maps[1]']);
+  assert.deepStrictEqual(doc.maps[0].extent, [-1, 2, 0, 1]);
+  assert.strictEqual(doc.tracking.t.length, 3);
+  assert.deepStrictEqual(doc.spikes.map(s => Array.from(s.times)), [[0.5], [1.5, 1.6]]);
+}
+
+// --- Test: NumPy arrays ---
+{
+  const c = parseNpy(npyFile('<f8', [2, 3], [1, 2, 3, 4, 5, 6]));
+  assert.deepStrictEqual(c.shape, [2, 3]);
+  assert.deepStrictEqual(Array.from(c.data), [1, 2, 3, 4, 5, 6]);
+  // Fortran order is returned in C order; big-endian integers
+  const f = parseNpy(npyFile('>i2', [2, 3], [1, 4, 2, 5, 3, 6], true));
+  assert.deepStrictEqual(Array.from(f.data), [1, 2, 3, 4, 5, 6]);
+  assert.strictEqual(f.dtype, '>i2');
+  assert.throws(() => parseNpy(new Uint8Array(16)), /Not a NumPy/);
+}
+
+// --- Test: MATLAB v5 files, plain and compressed ---
+{
+  const file = matFile([
+    // 2 × 3 map [[1 2 3]; [4 5 6]], column-major
+    matDouble('rate', [2, 3], [1, 4, 2, 5, 3, 6]),
+    matMatrix('label', MX.CHAR, [1, 2], [matElement(MI.UINT8, Buffer.from('ok'))]),
+    matStruct('pos', {
+      t: matDouble('', [3, 1], [0, 1, 2]),
+      x: matDouble('', [3, 1], [0, 1, 1]),
+      y: matDouble('', [3, 1], [0, 0, 1])
+    }),
+    matElement(MI.COMPRESSED, deflateSync(matMatrix('cellTS', MX.CELL, [1, 2], [
+      matDouble('', [1, 2], [0.5, 1.5]),
+      matDouble('', [1, 1], [1.2])
+    ])))
+  ]);
+  const vars = await parseMat(file);
+  assert.deepStrictEqual(Array.from(vars.rate.data), [1, 2, 3, 4, 5, 6]);
+  assert.deepStrictEqual(vars.rate.shape, [2, 3]);
+  assert.strictEqual(vars.label, 'ok');
+  assert.deepStrictEqual(Array.from(vars.pos.y.data), [0, 0, 1]);
+  assert.strictEqual(vars.cellTS.length, 2);
+
+  const loaded = await readDataFile('/data/session.mat', file);
+  assert.deepStrictEqual(loaded.maps.map(m => m.name), ['rate']);
+  assert.deepStrictEqual(Array.from(loaded.tracking.x), [0, 1, 1]);
+  assert.deepStrictEqual(loaded.spikes.map(s => s.name), ['cellTS{0}', 'cellTS{1}']);
+  await assert.rejects(parseMat(new Uint8Array(200)), /Not a MATLAB v5/);
+
+  // --- Test: files combine into rate maps ---
+  const npy = await readDataFile('stack.npy', npyFile('<f4', [2, 2, 2], [1, 2, 3, 4, 5, 6, 7, 8]));
+  assert.deepStrictEqual(npy.maps.map(m => m.name), ['stack[0]', 'stack[1]']);
+  const maps = recordedMaps([npy, loaded], { binSize: 0.5 });
+  assert.deepStrictEqual(maps.map(m => m.name), ['stack[0]', 'stack[1]', 'rate', 'cellTS{0}', 'cellTS{1}']);
+  assert.throws(() => recordedMaps([{ maps: [], tracking: null, spikes: [{ name: 's', times: [1] }] }]),
+                /need a position table/);
+  await assert.rejects(readDataFile('map.xlsx', ''), /Unsupported data file/);
+}
+
+console.log('All dataImport tests passed.');
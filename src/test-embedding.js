@@ -0,0 +1,80 @@
+import assert from 'assert';
+import { topEigen, pca, distanceMatrix, classicalMDS, isomap, embed } from './embedding.js';
+import { ripsPersistence, persistentBetti } from './persistentHomology.js';
+import { generatePopulation } from './gridPopulation.js';
+
+function approx(a, b, tol = 1e-6) {
+  return Math.abs(a - b) < tol;
+}
+
+// --- Test: eigenpairs of a diagonal matrix ---
+{
+  const A = Float64Array.of(
+    1, 0, 0, 0,
+    0, 4, 0, 0,
+    0, 0, 2, 0,
+    0, 0, 0, 3);
+  const { values, vectors } = topEigen(A, 4, 2);
+  assert(approx(values[0], 4) && approx(values[1], 3));
+  assert(approx(Math.abs(vectors[0][1]), 1) && approx(Math.abs(vectors[1][3]), 1));
+}
+
+// --- Test: PCA recovers a line embedded in 3-D ---
+{
+  const X = Array.from({ length: 50 }, (_, i) => {
+    const s = i / 49 - 0.5;
+    return [2 * s + 1, -s, 3];
+  });
+  const { coords, variances } = pca(X, 2);
+  assert(variances[0] > 0 && approx(variances[1], 0));
+  coords.forEach(([a, b], i) => {
+    assert(approx(Math.abs(a), Math.sqrt(5) * Math.abs(i / 49 - 0.5)));
+    assert(approx(b, 0));
+  });
+}
+
+// --- Test: classical MDS reproduces planar distances ---
+{
+  const X = [[0, 0], [3, 0], [0, 4], [1, 1], [-2, 1]];
+  const D = distanceMatrix(X);
+  const { coords } = classicalMDS(D, X.length, 2);
+  const D2 = distanceMatrix(coords);
+  D.forEach((d, i) => assert(approx(d, D2[i])));
+}
+
+// --- Test: Isomap unrolls an arc into a straight line ---
+{
+  const X = Array.from({ length: 40 }, (_, i) => {
+    const a = Math.PI * i / 39;
+    return [Math.cos(a), Math.sin(a)];
+  });
+  const coords = isomap(X, 1, 2).coords.map(([c]) => c);
+  // geodesic coordinate is linear in arc length
+  const step = (coords[39] - coords[0]) / 39;
+  coords.forEach((c, i) => assert(approx(c, coords[0] + i * step, 1e-3)));
+  assert.throws(() => isomap([[0, 0], [1, 0], [10, 0], [11, 0]], 2, 1), /disconnected/);
+  assert.throws(() => embed(X, { method: 'tsne' }), /Unknown embedding method/);
+}
+
+// --- Test: population activity over one phase tile embeds as a torus ---
+{
+  const population = generatePopulation({
+    modules: [{ nCells: 36, spacing: 1, phaseMode: 'uniform' }],
+    cellOptions: { sigma: 0.15 },
+    seed: 3
+  });
+  const points = [];
+  for (let j = 0; j < 24; j++) {
+    for (let i = 0; i < 24; i++) {
+      const u = i / 24, v = j / 24;
+      points.push([u + v / 2, v * Math.sqrt(3) / 2]);
+    }
+  }
+  const rates = population.map(cell => cell.model.rate(points));
+  const X = points.map((_, p) => rates.map(r => r[p]));
+  const { coords } = pca(X, 6);
+  const { barcodes, maxEdge } = ripsPersistence(coords, { nLandmarks: 150 });
+  assert.deepStrictEqual(persistentBetti(barcodes, maxEdge), [1, 2, 1]);
+}
+
+console.log('All embedding tests passed.');
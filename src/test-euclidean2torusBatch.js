@@ -0,0 +1,33 @@
+import assert from 'assert';
+import { euclidean2torus, euclidean2torusBatch } from './torusUtils.js';
+
+function approxEqual(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+const input = [[0, 0], [1, 0], [0.3, -0.7], [-2.1, 1.4]];
+const expected = euclidean2torus(input);
+
+// --- Test: matches euclidean2torus ---
+{
+  const result = euclidean2torusBatch(Float64Array.from(input.flat()));
+  assert.strictEqual(result.length, 3 * input.length);
+  expected.forEach((t, i) => {
+    for (let j = 0; j < 3; j++) {
+      assert(
+        approxEqual(result[3*i + j], t[j]),
+        `Mismatch at [${i}][${j}]: got ${result[3*i + j]}, expected ${t[j]}`
+      );
+    }
+  });
+}
+
+// --- Test: writes into a supplied buffer ---
+{
+  const out = new Float64Array(3 * input.length);
+  const ret = euclidean2torusBatch(Float32Array.from(input.flat()), out);
+  assert.strictEqual(ret, out);
+  assert(approxEqual(out[3], 2 * Math.PI, 1e-5));
+}
+
+console.log('All euclidean2torusBatch tests passed.');
@@ -0,0 +1,31 @@
+import assert from 'assert';
+import { gridCellPdf, gridCellPdfBatch } from './torusUtils.js';
+
+function approx(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+const points = [];
+for (let i = 0; i < 40; i++) {
+  points.push([Math.sin(i) * 1.5, Math.cos(3 * i) * 1.5]);
+}
+const phase = [0.2, -0.1];
+
+// --- Test: matches gridCellPdf ---
+{
+  const Z  = gridCellPdf(points, phase, 0.15);
+  const Zb = gridCellPdfBatch(Float64Array.from(points.flat()), phase, 0.15);
+  Z.forEach((z, i) => {
+    assert(approx(z, Zb[i]), `Mismatch at ${i}: got ${Zb[i]}, expected ${z}`);
+  });
+}
+
+// --- Test: output buffer is reset and reused ---
+{
+  const out = new Float64Array(points.length).fill(99);
+  const ret = gridCellPdfBatch(Float64Array.from(points.flat()), phase, 0.15, out);
+  assert.strictEqual(ret, out);
+  assert(approx(out[0], gridCellPdf([points[0]], phase, 0.15)[0]));
+}
+
+console.log('All gridCellPdfBatch tests passed.');
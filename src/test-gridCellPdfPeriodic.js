@@ -0,0 +1,61 @@
+import assert from 'assert';
+import { gridCellPdf, gridNodes } from './torusUtils.js';
+
+function approx(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+// Brute-force reference: one Gaussian per lattice node out to nRings
+function bruteForcePdf(points, phase, sigma, nRings) {
+  const nodes = gridNodes(nRings);
+  const normFactor = 1 / (Math.sqrt(2 * Math.PI) * sigma);
+  return points.map(([x, y]) => nodes.reduce((z, [dx, dy]) => {
+    const dd = Math.hypot(x - phase[0] - dx, y - phase[1] - dy);
+    return z + normFactor * Math.exp(-0.5 * (dd / sigma) ** 2);
+  }, 0));
+}
+
+// --- Test: matches the lattice sum near the origin ---
+{
+  const points = [];
+  for (let i = 0; i < 50; i++) {
+    points.push([Math.sin(i) * 2, Math.cos(5 * i) * 2]);
+  }
+  for (const sigma of [0.05, 0.1, 0.3]) {
+    const Z   = gridCellPdf(points, [0.1, 0.2], sigma);
+    const ref = bruteForcePdf(points, [0.1, 0.2], sigma, 8);
+    Z.forEach((z, i) => {
+      assert(approx(z, ref[i], 1e-5 * ref[0] + 1e-8),
+             `sigma=${sigma}, point ${i}: got ${z}, expected ${ref[i]}`);
+    });
+  }
+}
+
+// --- Test: values repeat with the lattice, even far from the origin ---
+{
+  const p  = [0.13, -0.27];
+  const z0 = gridCellPdf([p], [0, 0], 0.1)[0];
+  for (const [dx, dy] of [[30, 0], [-20.5, 20.5 * Math.sqrt(3)], [40.5, -7 * Math.sqrt(3) / 2]]) {
+    const z = gridCellPdf([[p[0] + dx, p[1] + dy]], [0, 0], 0.1)[0];
+    assert(approx(z, z0, 1e-8), `Shift [${dx},${dy}]: got ${z}, expected ${z0}`);
+  }
+}
+
+// --- Test: nRings option controls the images included ---
+{
+  const pt = [[0.3, 0.1]];
+  const z0 = gridCellPdf(pt, [0, 0], 0.4, 0)[0];
+  const z3 = gridCellPdf(pt, [0, 0], 0.4, 3)[0];
+  const ref0 = bruteForcePdf(pt, [0, 0], 0.4, 0)[0];
+  assert(approx(z0, ref0), `nRings=0: got ${z0}, expected ${ref0}`);
+  assert(z3 > z0, 'More image rings should add more mass');
+}
+
+// --- Test: large inputs do not overflow the call stack ---
+{
+  const points = Array.from({ length: 200000 }, (_, i) => [i * 1e-3, -i * 2e-4]);
+  const Z = gridCellPdf(points, [0, 0], 0.1);
+  assert.strictEqual(Z.length, points.length);
+}
+
+console.log('All periodic gridCellPdf tests passed.');
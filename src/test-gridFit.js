@@ -0,0 +1,108 @@
+import assert from 'assert';
+import { fitGridCell, fitGridCells, fitsToCSV, modelAtPhase } from './gridFit.js';
+import { makeRateMap, rateMapFromSpikes } from './dataImport.js';
+import { createArena, simulateTrajectory } from './trajectory.js';
+import { poissonSpikes } from './spikeTrains.js';
+import { createRng } from './random.js';
+
+// Phase difference wrapped to (-π, π]
+const dPhase = (a, b) => Math.atan2(Math.sin(a - b), Math.cos(a - b));
+
+const inside = (v, [lo, hi]) => lo <= v && v <= hi;
+
+// n × n bin centres over [-size/2, size/2]²
+function binCentres(n, size) {
+  const points = [];
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) points.push([(i + 0.5) / n * size - size / 2, (j + 0.5) / n * size - size / 2]);
+  }
+  return points;
+}
+
+// --- Test: modelAtPhase puts the fields at the given torus phase ---
+{
+  const model = modelAtPhase([1.2, 4], { spacing: 0.8, orientation: 0.3, ellipticity: 1.2, ellipseAngle: 0.4 });
+  const [t1, t2] = model.torusPhase();
+  assert(Math.abs(dPhase(t1, 1.2)) < 1e-9 && Math.abs(dPhase(t2, 4)) < 1e-9);
+}
+
+// --- Test: least squares recovers a noisy binned map, inside its CIs ---
+{
+  const truth = { spacing: 0.8, orientation: 0.15, sigma: 0.12, peakRate: 8 };
+  const cell = modelAtPhase([1.2, 4], truth);
+  const rng = createRng(1);
+  const n = 24, points = binCentres(n, 4);
+  const values = cell.rate(points).map(r => r + 0.5 + rng.normal(0, 0.3));
+  values[5] = NaN;   // an unvisited bin
+  const map = makeRateMap(values, [n, n], { name: 'c1', extent: [-2, 2, -2, 2] });
+  const fit = fitGridCell(map);
+  assert.strictEqual(fit.method, 'lsq');
+  assert.strictEqual(fit.n, n * n - 1);
+  [0, 1].forEach(k => {
+    assert(Math.abs(dPhase(fit.phase[k], [1.2, 4][k])) < 0.05, `phase ${fit.phase}`);
+    assert(fit.phase[k] >= 0 && fit.phase[k] < 2 * Math.PI);
+    assert(inside([1.2, 4][k], fit.ci.phase[k]), `phase CI ${fit.ci.phase[k]}`);
+  });
+  ['spacing', 'orientation', 'sigma', 'peakRate'].forEach(key => {
+    assert(Math.abs(fit[key] - truth[key]) < 0.05 * Math.max(1, truth[key]), `${key} ${fit[key]}`);
+    assert(inside(truth[key], fit.ci[key]), `${key} CI ${fit.ci[key]}`);
+  });
+  assert(Math.abs(fit.baseline - 0.5) < 0.1);
+  // the returned model reproduces the map
+  const [r] = fit.model.rate([cell.phase]);
+  assert(Math.abs(r - fit.peakRate) < 0.1 * fit.peakRate);
+}
+
+// --- Test: scattered points, with the phase on the tile seam ---
+{
+  const cell = modelAtPhase([6.25, 0.02], { spacing: 1.1, orientation: -0.1, sigma: 0.15, peakRate: 5 });
+  const rng = createRng(2);
+  const points = Array.from({ length: 500 }, () => [rng.uniform(-2.5, 2.5), rng.uniform(-2.5, 2.5)]);
+  const rates = cell.rate(points).map(r => r + rng.normal(0, 0.2));
+  const fit = fitGridCell({ points, rates }, { spacing: 1, orientation: 0, phaseGrid: 4, starts: 3 });
+  assert(Math.abs(dPhase(fit.phase[0], 6.25)) < 0.05 && Math.abs(dPhase(fit.phase[1], 0.02)) < 0.05,
+         `phase ${fit.phase}`);
+  assert(Math.abs(fit.spacing - 1.1) < 0.02 && Math.abs(fit.orientation + 0.1) < 0.02);
+  // the interval is centred on the wrapped phase
+  assert(inside(fit.phase[0], fit.ci.phase[0]) && inside(fit.phase[1], fit.ci.phase[1]));
+}
+
+// --- Test: Poisson fit of spikes binned along a simulated run ---
+{
+  const cell = modelAtPhase([2, 5], { spacing: 0.6, orientation: 0.1, sigma: 0.09, peakRate: 15 });
+  const traj = simulateTrajectory({
+    arena: createArena({ shape: 'square', size: 2.4 }), duration: 900, dt: 0.02, speed: 0.3, seed: 5
+  });
+  const [times] = poissonSpikes(traj, [cell], { seed: 6 });
+  const map = rateMapFromSpikes(traj, { name: 'sim', times }, { binSize: 0.1 });
+  const fit = fitGridCell(map, { method: 'poisson', phaseGrid: 4, starts: 2 });
+  assert.strictEqual(fit.method, 'poisson');
+  assert(Math.abs(dPhase(fit.phase[0], 2)) < 0.15 && Math.abs(dPhase(fit.phase[1], 5)) < 0.15, `phase ${fit.phase}`);
+  assert(Math.abs(fit.spacing - 0.6) < 0.02, `spacing ${fit.spacing}`);
+  assert(Math.abs(fit.peakRate - 15) < 4, `peak ${fit.peakRate}`);
+  assert(fit.ci.baseline[0] >= 0 && fit.ci.sigma[0] > 0);
+}
+
+// --- Test: batch fits, errors and the CSV table ---
+{
+  const flat = makeRateMap(new Array(100).fill(1), [10, 10], { name: 'flat, no grid' });
+  assert.throws(() => fitGridCell(flat), /No grid found/);
+  assert.throws(() => fitGridCell(flat, { spacing: 1, method: 'magic' }), /Unknown grid fit method/);
+  assert.throws(() => fitGridCell({ points: [[0, 0]], rates: [1] }, { spacing: 1 }), /at least 8/);
+
+  const cell = modelAtPhase([3, 1], { spacing: 0.8, sigma: 0.12, peakRate: 4 });
+  const grid = makeRateMap(cell.rate(binCentres(16, 3)), [16, 16], { name: 'c2', extent: [-1.5, 1.5, -1.5, 1.5] });
+  const fits = fitGridCells([flat, grid], { phaseGrid: 4, starts: 1 });
+  assert.match(fits[0].error, /No grid found/);
+  assert.strictEqual(fits[1].name, 'c2');
+  const rows = fitsToCSV(fits).trim().split('\n');
+  assert.strictEqual(rows.length, 3);
+  const header = rows[0].split(',');
+  assert.deepStrictEqual(header.slice(0, 4), ['name', 't1', 't1_lo', 't1_hi']);
+  assert(rows[1].startsWith('"flat, no grid",') && rows[1].endsWith(fits[0].error));
+  const c2 = rows[2].split(',');
+  assert(Math.abs(Number(c2[header.indexOf('t1')]) - 3) < 0.01);
+  assert(Math.abs(Number(c2[header.indexOf('spacing')]) - 0.8) < 0.01);
+}
+
+console.log('All gridFit tests passed.');
@@ -40,4 +40,11 @@ function approxEqual(a, b, tol = 1e-10) {
   );
 }
 
+// --- Test: many rings are still hexagonal rings of 6k nodes ---
+{
+  [[7, 169], [8, 217], [10, 331]].forEach(([k, count]) => {
+    assert.strictEqual(gridNodes(k).length, count, `Expected ${count} points for ${k} rings`);
+  });
+}
+
 console.log('All gridNodes tests passed.');
\ No newline at end of file
@@ -0,0 +1,74 @@
+import assert from 'assert';
+import { generatePopulation, geometricModules, drawRhombusPhases } from './gridPopulation.js';
+import { createRng } from './random.js';
+
+function approx(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+// --- Test: population layout over modules ---
+{
+  const modules = geometricModules(3, 4, { spacing: 1, ratio: 1.5, orientationStep: 0.1 });
+  const cells = generatePopulation({ modules, seed: 5, cellOptions: { sigma: 0.2 } });
+  assert.strictEqual(cells.length, 12);
+  cells.forEach((c, i) => {
+    assert.strictEqual(c.id, i);
+    assert.strictEqual(c.module, Math.floor(i / 4));
+    assert(approx(c.model.spacing, 1.5 ** c.module));
+    assert(approx(c.model.orientation, 0.1 * c.module));
+    assert.strictEqual(c.model.sigma, 0.2);
+  });
+}
+
+// --- Test: seeded populations reproduce exactly ---
+{
+  const modules = [{ nCells: 10, spacing: 1.2 }];
+  const a = generatePopulation({ modules, seed: 11 }).map(c => c.phase);
+  const b = generatePopulation({ modules, seed: 11 }).map(c => c.phase);
+  const c = generatePopulation({ modules, seed: 12 }).map(c => c.phase);
+  assert.deepStrictEqual(a, b);
+  assert.notDeepStrictEqual(a, c);
+}
+
+// --- Test: torus phase agrees with the rhombus phase and the field centre ---
+{
+  const cells = generatePopulation({
+    modules: [{ nCells: 5, spacing: 1.7, orientation: 0.4, phaseMode: 'jittered' }],
+    seed: 2
+  });
+  for (const cell of cells) {
+    const [u1, u2] = cell.latticePhase;
+    const [t1, t2, t3] = cell.torusPhase;
+    assert(approx(t1, 2 * Math.PI * u1) && approx(t2, 2 * Math.PI * u2));
+    assert(approx(t3, -(t1 + t2)));
+    const [peak] = cell.model.rate([cell.phase]);
+    assert(peak > 0.99, `Field centre rate ${peak} should be at the peak`);
+  }
+}
+
+// --- Test: jittered phases are stratified over the rhombus ---
+{
+  const phases = drawRhombusPhases(16, createRng(1), 'jittered', 0.5);
+  phases.forEach(([u1, u2], i) => {
+    assert.strictEqual(Math.floor(u1 * 4), i % 4);
+    assert.strictEqual(Math.floor(u2 * 4), Math.floor(i / 4));
+  });
+  assert.throws(() => drawRhombusPhases(2, createRng(1), 'hexagonal'), /Unknown phase mode/);
+}
+
+// --- Test: jittered phases stay uniform when n is not a square ---
+{
+  // n = 5 uses 5 of 3×2 strata, one per stratum
+  const phases = drawRhombusPhases(5, createRng(3), 'jittered', 0.5);
+  const strata = new Set(phases.map(([u1, u2]) => Math.floor(u1 * 3) + 3 * Math.floor(u2 * 2)));
+  assert.strictEqual(strata.size, 5);
+  // over many draws, neither axis is biased
+  const rng = createRng(4);
+  const mean = [0, 0];
+  for (let k = 0; k < 2000; k++) {
+    drawRhombusPhases(5, rng, 'jittered', 0.5).forEach(([u1, u2]) => { mean[0] += u1 / 1e4; mean[1] += u2 / 1e4; });
+  }
+  assert(Math.abs(mean[0] - 0.5) < 0.01 && Math.abs(mean[1] - 0.5) < 0.01, `mean phase ${mean}`);
+}
+
+console.log('All gridPopulation tests passed.');
@@ -0,0 +1,104 @@
+import assert from 'assert';
+import { autocorrelogram, findPeaks, centralPeaks, gridnessScore, gridStats,
+         latticeSettings } from './gridness.js';
+import { makeRateMap } from './dataImport.js';
+import { gridCellPdf, rotate2d } from './torusUtils.js';
+import { GridCellModel } from './GridCellModel.js';
+
+function approx(a, b, tol = 1e-9) {
+  return Math.abs(a - b) < tol;
+}
+
+// Angle difference wrapped to (-period/2, period/2]
+const dAngle = (a, b, period) => a - b - period * Math.round((a - b) / period);
+
+// n × n map over [-size/2, size/2]² of rate(points)
+function mapOf(rate, n = 40, size = 4) {
+  const points = [];
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) points.push([(i + 0.5) / n * size - size / 2, (j + 0.5) / n * size - size / 2]);
+  }
+  return makeRateMap(rate(points), [n, n], { name: 'cell', extent: [-size / 2, size / 2, -size / 2, size / 2] });
+}
+
+// --- Test: autocorrelogram shape, zero-lag peak and symmetry ---
+{
+  const map = mapOf(p => gridCellPdf(p.map(([x, y]) => [x / 0.8, y / 0.8]), [0.1, 0.3], 0.1), 20, 4);
+  const ac = autocorrelogram(map);
+  assert.deepStrictEqual(ac.shape, [39, 39]);
+  ac.extent.forEach((v, k) => assert(approx(v, k % 2 ? 3.9 : -3.9)));
+  assert(approx(ac.values[19 * 39 + 19], 1));
+  for (let k = 0; k < ac.values.length; k++) {
+    const a = ac.values[k], b = ac.values[ac.values.length - 1 - k];
+    assert(Number.isNaN(a) ? Number.isNaN(b) : approx(a, b));
+  }
+  // lags with too little overlap are NaN
+  assert(Number.isNaN(ac.values[0]));
+  assert.strictEqual(findPeaks(ac)[0].value, 1);
+}
+
+// --- Test: a gridCellPdf map is grid-like, with its spacing and orientation ---
+{
+  const spacing = 0.8, orientation = 12 * Math.PI / 180;
+  const map = mapOf(p => gridCellPdf(rotate2d(p, -orientation).map(([x, y]) => [x / spacing, y / spacing]),
+                                     [0.2, -0.1], 0.12));
+  const stats = gridStats(map);
+  assert.strictEqual(stats.peaks.length, 6);
+  assert(stats.gridness > 1, `gridness ${stats.gridness}`);
+  assert(stats.correlations[60] > 0.8 && stats.correlations[30] < 0);
+  assert(Math.abs(stats.spacing - spacing) < 0.05, `spacing ${stats.spacing}`);
+  assert(Math.abs(dAngle(stats.orientation, orientation, Math.PI / 3)) < 2 * Math.PI / 180,
+         `orientation ${stats.orientation}`);
+  assert(stats.ellipticity < 1.05);
+  // peaks are ordered by angle, all about one spacing out
+  const angles = stats.peaks.map(p => Math.atan2(p.y, p.x));
+  assert(angles.every((a, k) => k === 0 || a > angles[k - 1]));
+  stats.peaks.forEach(p => assert(Math.abs(Math.hypot(p.x, p.y) - spacing) < 0.06));
+  // the lattice seeds the viewer: a 60° lattice of the same spacing
+  const settings = latticeSettings(stats.lattice);
+  assert(Math.abs(settings.spacing - spacing) < 0.05);
+  assert(Math.abs(settings.ratio - 1) < 0.05 && Math.abs(settings.angle - Math.PI / 3) < 0.05);
+  assert(approx(Math.abs(stats.lattice.det), Math.sqrt(3) / 2 * stats.spacing ** 2 * stats.ellipticity));
+}
+
+// --- Test: elliptical grids and unvisited bins ---
+{
+  const cell = new GridCellModel({
+    spacing: 0.7, orientation: -0.2, ellipticity: 1.3, ellipseAngle: 0.5, sigma: 0.1
+  });
+  const map = mapOf(p => cell.rate(p));
+  // a wall of unvisited bins across the map
+  for (let j = 10; j < 30; j++) map.values[j * 40 + 20] = NaN;
+  const stats = gridStats(map);
+  assert(stats.gridness > 0.3, `gridness ${stats.gridness}`);
+  assert(Math.abs(stats.ellipticity - 1.3) < 0.08, `ellipticity ${stats.ellipticity}`);
+  assert(Math.abs(dAngle(stats.ellipseAngle, 0.5, Math.PI)) < 0.1, `ellipse angle ${stats.ellipseAngle}`);
+  assert(Math.abs(stats.spacing - 0.7) < 0.05, `spacing ${stats.spacing}`);
+  assert(Math.abs(dAngle(stats.orientation, -0.2, Math.PI / 3)) < 0.06, `orientation ${stats.orientation}`);
+  // the fitted lattice has fields where the cell has them
+  const [x, y] = stats.lattice.fromLattice([2, -1]);
+  const fields = [];
+  for (let n1 = -3; n1 <= 3; n1++) {
+    for (let n2 = -3; n2 <= 3; n2++) fields.push(cell.fromLattice([n1 + n2 / 2, n2 * Math.sqrt(3) / 2]));
+  }
+  assert(Math.min(...fields.map(([fx, fy]) => Math.hypot(fx - x, fy - y))) < 0.08);
+}
+
+// --- Test: maps without a grid score low and give no estimates ---
+{
+  // a single field and a square grid
+  const field = mapOf(p => p.map(([x, y]) => Math.exp(-(x * x + y * y) / 0.5)));
+  const single = gridStats(field);
+  assert(single.gridness < 0.3);
+  assert(Number.isNaN(single.spacing) && single.lattice === null);
+  const square = mapOf(p => p.map(([x, y]) => (Math.cos(2 * Math.PI * x / 0.8) + 1) * (Math.cos(2 * Math.PI * y / 0.8) + 1)));
+  const sq = gridStats(square);
+  assert(sq.gridness < 0, `square gridness ${sq.gridness}`);
+  assert(sq.correlations[90] > 0.8);
+  // an empty annulus gives NaN
+  const ac = autocorrelogram(square);
+  assert(Number.isNaN(gridnessScore(ac, { inner: 10, outer: 11 }).gridness));
+  assert(centralPeaks(ac).length <= 6);
+}
+
+console.log('All gridness tests passed.');
@@ -0,0 +1,30 @@
+import assert from 'assert';
+import { latticeOffset } from './torusUtils.js';
+
+const r = Math.sqrt(3);
+
+// --- Test: points near the origin have zero offset ---
+{
+  assert.deepStrictEqual(latticeOffset([0, 0]), [0, 0]);
+  assert.deepStrictEqual(latticeOffset([0.4, 0.1]), [0, 0]);
+  assert.deepStrictEqual(latticeOffset([-0.2, -0.3]), [0, 0]);
+}
+
+// --- Test: exact lattice nodes return their own offset ---
+{
+  for (const [n1, n2] of [[1, 0], [0, 1], [-1, 1], [3, -2], [-4, -5]]) {
+    const pt = [n1 + 0.5 * n2, (r / 2) * n2];
+    assert.deepStrictEqual(
+      latticeOffset(pt), [n1, n2],
+      `Node [${pt}] should have offset [${n1},${n2}]`
+    );
+  }
+}
+
+// --- Test: perturbed nodes still reduce to the nearest node ---
+{
+  const pt = [2 + 0.5 * -3 + 0.3, (r / 2) * -3 - 0.2];
+  assert.deepStrictEqual(latticeOffset(pt), [2, -3]);
+}
+
+console.log('All latticeOffset tests passed.');
@@ -0,0 +1,111 @@
+import assert from 'assert';
+import { geometryArrays, exportOBJ, exportPLY, exportSTL, exportGLTF, exportMesh } from './meshExport.js';
+import { GridTile } from './GridTile.js';
+import { F23_morphBatch } from './torusUtils.js';
+
+function approx(a, b, tol = 1e-5) {
+  return Math.abs(a - b) < tol;
+}
+
+const tile = new GridTile(6, { seamType: 'closed' });
+tile.setTransformBatch((tp, out) => F23_morphBatch(tp, 0.7, out));
+tile.setColorMap(([t1, t2]) => [0.5 + 0.5 * Math.cos(t1), 0.5 + 0.5 * Math.sin(t2), 0.25]);
+const geom = tile.faceGeom;
+const { positions, normals, colors, index } = geometryArrays(geom);
+const n = positions.length / 3, nT = index.length / 3;
+
+// --- Test: geometryArrays reads the tile attributes ---
+{
+  assert.strictEqual(n, tile.torusCoords.length);
+  assert(normals && colors);
+  const scaled = geometryArrays(geom, 10).positions;
+  assert(approx(scaled[5], 10 * positions[5], 1e-4));
+}
+
+// --- Test: OBJ vertices, colours, normals and 1-based faces ---
+{
+  const lines = exportOBJ(geom).trim().split('\n');
+  const v = lines.filter(l => l.startsWith('v ')), vn = lines.filter(l => l.startsWith('vn '));
+  const f = lines.filter(l => l.startsWith('f '));
+  assert.strictEqual(v.length, n);
+  assert.strictEqual(vn.length, n);
+  assert.strictEqual(f.length, nT);
+  const v0 = v[0].split(' ').slice(1).map(Number);
+  assert.strictEqual(v0.length, 6);
+  assert(approx(v0[0], positions[0]) && approx(v0[3], colors[0]));
+  const f0 = f[0].split(' ').slice(1).map(s => Number(s.split('//')[0]));
+  assert.deepStrictEqual(f0, [index[0] + 1, index[1] + 1, index[2] + 1]);
+}
+
+// --- Test: PLY header and body ---
+{
+  const lines = exportPLY(geom).trim().split('\n');
+  const end = lines.indexOf('end_header');
+  assert.strictEqual(lines[0], 'ply');
+  assert(lines.includes(`element vertex ${n}`));
+  assert(lines.includes(`element face ${nT}`));
+  assert.strictEqual(lines.length, end + 1 + n + nT);
+  const v0 = lines[end + 1].split(' ').map(Number);
+  assert.strictEqual(v0.length, 9);
+  assert.strictEqual(v0[6], Math.round(255 * colors[0]));
+  assert.strictEqual(lines[end + 1 + n], `3 ${index[0]} ${index[1]} ${index[2]}`);
+}
+
+// --- Test: binary STL layout and unit facet normals ---
+{
+  const buf = exportSTL(geom, { scale: 20 });
+  assert.strictEqual(buf.byteLength, 84 + 50 * nT);
+  const view = new DataView(buf);
+  assert.strictEqual(view.getUint32(80, true), nT);
+  for (let t = 0; t < nT; t++) {
+    const o = 84 + 50 * t;
+    const nrm = [0, 1, 2].map(d => view.getFloat32(o + 4 * d, true));
+    assert(approx(Math.hypot(...nrm), 1, 1e-5));
+  }
+  const v = index[0];
+  assert(approx(view.getFloat32(84 + 12, true), 20 * positions[3 * v], 1e-3));
+}
+
+// --- Test: glTF structure and embedded buffer ---
+{
+  const gltf = JSON.parse(exportGLTF(geom, { name: 'torus' }));
+  assert.strictEqual(gltf.asset.version, '2.0');
+  const prim = gltf.meshes[0].primitives[0];
+  assert.deepStrictEqual(Object.keys(prim.attributes).sort(), ['COLOR_0', 'NORMAL', 'POSITION']);
+  const bytes = Buffer.from(gltf.buffers[0].uri.split(',')[1], 'base64');
+  assert.strictEqual(bytes.length, gltf.buffers[0].byteLength);
+
+  const read = (accessorIndex, Type) => {
+    const acc = gltf.accessors[accessorIndex];
+    const bv = gltf.bufferViews[acc.bufferView];
+    const size = acc.type === 'VEC3' ? 3 : 1;
+    return new Type(bytes.buffer.slice(bytes.byteOffset + bv.byteOffset,
+      bytes.byteOffset + bv.byteOffset + bv.byteLength), 0, size * acc.count);
+  };
+  const pos = read(prim.attributes.POSITION, Float32Array);
+  assert.deepStrictEqual(Array.from(pos), Array.from(positions));
+  const idx = read(prim.indices, Uint32Array);
+  assert.deepStrictEqual(Array.from(idx), Array.from(index));
+  const acc = gltf.accessors[prim.attributes.POSITION];
+  assert(acc.min.every((m, d) => m <= positions[d] && acc.max[d] >= positions[d]));
+}
+
+// --- Test: closed torus geometry exports all its triangles ---
+{
+  tile.setTransformBatch((tp, out) => F23_morphBatch(tp, 1, out));
+  const closed = tile.closedGeometry();
+  const buf = exportSTL(closed);
+  assert.strictEqual(new DataView(buf).getUint32(80, true), tile.quotient.index.length / 3);
+  const lines = exportOBJ(closed).split('\n');
+  assert.strictEqual(lines.filter(l => l.startsWith('v ')).length, tile.quotient.representatives.length);
+}
+
+// --- Test: exportMesh dispatches by format ---
+{
+  const { data, extension } = exportMesh(geom, 'ply');
+  assert.strictEqual(extension, 'ply');
+  assert(data.startsWith('ply\n'));
+  assert.throws(() => exportMesh(geom, 'fbx'), /Unknown mesh format/);
+}
+
+console.log('All meshExport tests passed.');
@@ -0,0 +1,89 @@
+import assert from 'assert';
+import {
+  F01_morph, F12_morph, F23_morph,
+  F01_morphBatch, F12_morphBatch, F23_morphBatch,
+  F12_morphDerivBatch, F23_morphDerivBatch, euclidean2torusBatch, gridCellPdfBatch
+} from './torusUtils.js';
+import { Lattice, HEX_LATTICE } from './Lattice.js';
+import { GridCellModel } from './GridCellModel.js';
+import { GridTile } from './GridTile.js';
+
+function approx(a, b, tol = 1e-6) {
+  return Math.abs(a - b) < tol;
+}
+
+// Sample torus coords, both as tuples and interleaved
+const tp = [];
+for (let i = 0; i < 25; i++) {
+  tp.push([Math.sin(i) * Math.PI, Math.cos(2 * i) * Math.PI]);
+}
+const tpFlat = Float64Array.from(tp.flat());
+
+function check(name, expected, out) {
+  expected.forEach((pt, i) => {
+    for (let j = 0; j < 3; j++) {
+      assert(
+        approx(out[3*i + j], pt[j]),
+        `${name} mismatch at [${i}][${j}]: got ${out[3*i + j]}, expected ${pt[j]}`
+      );
+    }
+  });
+}
+
+// --- Test: batch forms match the tuple forms ---
+for (const p of [0, 0.3, 1]) {
+  check(`F01 p=${p}`, F01_morph(tp, p), F01_morphBatch(tpFlat, p));
+  check(`F12 p=${p}`, F12_morph(tp, p, 4), F12_morphBatch(tpFlat, p, null, 4));
+  check(`F23 p=${p}`, F23_morph(tp, p, 1, 3, 'top'),
+        F23_morphBatch(tpFlat, p, null, 1, 3, 'top'));
+}
+
+// --- Test: output buffer is written in place ---
+{
+  const out = new Float32Array(3 * tp.length);
+  const ret = F23_morphBatch(tpFlat, 0.5, out);
+  assert.strictEqual(ret, out, 'Batch should return the supplied buffer');
+  check('F23 in place', F23_morph(tp, 0.5), out);
+  assert.throws(() => F01_morphBatch(tpFlat, 0.5, new Float32Array(3)), /Output buffer too short/);
+  const n = tp.length;
+  assert.throws(() => F23_morphDerivBatch(tpFlat, 0.5, new Float32Array(3 * n), new Float32Array(3 * n)),
+                /Derivative buffer too short/);
+  assert.throws(() => F12_morphDerivBatch(tpFlat, 0.5, new Float32Array(n), new Float32Array(6 * n)),
+                /Output buffer too short/);
+  assert.throws(() => euclidean2torusBatch(tpFlat, new Float64Array(n)), /Output buffer too short/);
+  assert.throws(() => HEX_LATTICE.toTorusBatch(tpFlat, new Float64Array(n)), /Output buffer too short/);
+  assert.throws(() => gridCellPdfBatch(tpFlat, [0, 0], 0.1, new Float64Array(n - 1)), /Output buffer too short/);
+  assert.throws(() => new GridCellModel().rateBatch(tpFlat, new Float64Array(n - 1)), /Output buffer too short/);
+}
+
+// --- Test: single point still returns a single tuple ---
+{
+  const pt = F01_morph([0.1, 0.2], 0.5);
+  assert.strictEqual(pt.length, 3);
+  assert.strictEqual(typeof pt[0], 'number');
+}
+
+// --- Test: the flat sheet of a square or oblique tile is the tile itself ---
+for (const lattice of [Lattice.square(), Lattice.oblique(1, 1.3, 1.2)]) {
+  for (const shape of ['hexagon', 'rhombus']) {
+    const tile = new GridTile(8, { shape, lattice });
+    const sheet = F01_morphBatch(tile.torusCoordsFlat, 0, null, 2 * Math.PI, lattice);
+    tile.euclidCoords.forEach(([x, y], i) => {
+      assert(approx(sheet[3*i] / (2 * Math.PI), x) && approx(sheet[3*i + 2] / (2 * Math.PI), y),
+             `${shape} sheet at ${i}: got ${sheet[3*i]}, ${sheet[3*i + 2]} for ${x}, ${y}`);
+    });
+  }
+}
+
+// --- Test: the torus of a non-hexagonal lattice still closes up ---
+for (const lattice of [Lattice.square(), Lattice.oblique(1, 1.3, 1.2)]) {
+  const [t1, t2] = [0.7, -1.1];
+  const a = F23_morph([t1, t2], 1, 1, 2, 'center', lattice);
+  [[2 * Math.PI, 0], [0, 2 * Math.PI]].forEach(([d1, d2]) => {
+    const b = F23_morph([t1 + d1, t2 + d2], 1, 1, 2, 'center', lattice);
+    a.forEach((v, k) => assert(approx(v, b[k]), `torus seam [${d1}, ${d2}]: ${a} vs ${b}`));
+  });
+  check('F12 lattice', F12_morph(tp, 0.4, 4, lattice), F12_morphBatch(tpFlat, 0.4, null, 4, lattice));
+}
+
+console.log('All morph batch tests passed.');
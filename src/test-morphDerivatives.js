@@ -0,0 +1,77 @@
+import assert from 'assert';
+import {
+  F01_morphBatch, F12_morphBatch, F23_morphBatch, clifford_morphBatch,
+  F01_morphDerivBatch, F12_morphDerivBatch, F23_morphDerivBatch, clifford_morphDerivBatch,
+  normalsFromDerivatives, rotation4d
+} from './torusUtils.js';
+import { Lattice } from './Lattice.js';
+
+// Sample torus coords, interleaved
+const tp = [];
+for (let i = 0; i < 25; i++) {
+  tp.push(Math.sin(i) * 0.9 * Math.PI, Math.cos(2 * i) * 0.9 * Math.PI);
+}
+const tpFlat = Float64Array.from(tp);
+const n = tpFlat.length / 2;
+
+// Compare analytic derivatives with central differences
+function check(name, morph, deriv) {
+  const out = new Float64Array(3 * n), d = new Float64Array(6 * n);
+  deriv(tpFlat, out, d);
+  const ref = morph(tpFlat, new Float64Array(3 * n));
+  out.forEach((v, i) => assert(Math.abs(v - ref[i]) < 1e-12, `${name}: positions`));
+  const h = 1e-6;
+  for (let axis = 0; axis < 2; axis++) {
+    const plus = Float64Array.from(tpFlat), minus = Float64Array.from(tpFlat);
+    for (let i = 0; i < n; i++) { plus[2*i + axis] += h; minus[2*i + axis] -= h; }
+    const fp = morph(plus, new Float64Array(3 * n)), fm = morph(minus, new Float64Array(3 * n));
+    for (let i = 0; i < n; i++) {
+      for (let c = 0; c < 3; c++) {
+        const fd = (fp[3*i + c] - fm[3*i + c]) / (2 * h);
+        const an = d[6*i + 3*axis + c];
+        assert(Math.abs(fd - an) < 1e-5, `${name}: ∂/∂t${axis + 1}[${i}][${c}] analytic ${an}, numeric ${fd}`);
+      }
+    }
+  }
+  return d;
+}
+
+const rot = rotation4d([0.2, -0.4, 0.3, 0.1, 0.5, -0.2]);
+for (const p of [0, 0.4, 1]) {
+  check(`F01 p=${p}`, (t, o) => F01_morphBatch(t, p, o), (t, o, d) => F01_morphDerivBatch(t, p, o, d));
+  check(`F12 p=${p}`, (t, o) => F12_morphBatch(t, p, o, 3), (t, o, d) => F12_morphDerivBatch(t, p, o, d, 3));
+  check(`F23 p=${p}`, (t, o) => F23_morphBatch(t, p, o, 1.2, 3, 'top'),
+        (t, o, d) => F23_morphDerivBatch(t, p, o, d, 1.2, 3, 'top'));
+  check(`clifford p=${p}`, (t, o) => clifford_morphBatch(t, p, o, rot),
+        (t, o, d) => clifford_morphDerivBatch(t, p, o, d, rot));
+}
+
+// --- Test: derivatives on an oblique lattice ---
+const oblique = Lattice.oblique(1, 1.3, 1.2);
+for (const p of [0, 0.4, 1]) {
+  check(`F01 oblique p=${p}`, (t, o) => F01_morphBatch(t, p, o, 3, oblique),
+        (t, o, d) => F01_morphDerivBatch(t, p, o, d, 3, oblique));
+  check(`F12 oblique p=${p}`, (t, o) => F12_morphBatch(t, p, o, 3, oblique),
+        (t, o, d) => F12_morphDerivBatch(t, p, o, d, 3, oblique));
+  check(`F23 oblique p=${p}`, (t, o) => F23_morphBatch(t, p, o, 1.2, 3, 'top', oblique),
+        (t, o, d) => F23_morphDerivBatch(t, p, o, d, 1.2, 3, 'top', oblique));
+  check(`clifford oblique p=${p}`, (t, o) => clifford_morphBatch(t, p, o, rot, 1, oblique),
+        (t, o, d) => clifford_morphDerivBatch(t, p, o, d, rot, 1, oblique));
+}
+
+// --- Test: normals of the flat sheet are ±y and unit length elsewhere ---
+{
+  const d = new Float64Array(6 * n);
+  F01_morphDerivBatch(tpFlat, 0, new Float64Array(3 * n), d);
+  const normals = normalsFromDerivatives(d);
+  for (let i = 0; i < n; i++) {
+    assert(Math.abs(Math.abs(normals[3*i + 1]) - 1) < 1e-6);
+  }
+  F23_morphDerivBatch(tpFlat, 1, new Float64Array(3 * n), d);
+  const nt = normalsFromDerivatives(d, new Float64Array(3 * n));
+  for (let i = 0; i < n; i++) {
+    assert(Math.abs(Math.hypot(nt[3*i], nt[3*i+1], nt[3*i+2]) - 1) < 1e-12);
+  }
+}
+
+console.log('All morph derivative tests passed.');
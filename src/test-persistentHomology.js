@@ -0,0 +1,59 @@
+import assert from 'assert';
+import {
+  ripsPersistence, persistentBetti, bettiAt, maxminLandmarks, toPointArray
+} from './persistentHomology.js';
+import { buildRhombusMeshGrid, F01_morphBatch, F23_morphBatch } from './torusUtils.js';
+
+function approx(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+// --- Test: four corners of a unit square give one H1 bar [1, √2) ---
+{
+  const { barcodes } = ripsPersistence([[0, 0], [1, 0], [1, 1], [0, 1]], { maxEdge: 2 });
+  assert.strictEqual(barcodes[0].length, 4);
+  assert.strictEqual(barcodes[0][0][1], Infinity);
+  barcodes[0].slice(1).forEach(([b, d]) => assert(approx(b, 0) && approx(d, 1)));
+  assert.strictEqual(barcodes[1].length, 1);
+  assert(approx(barcodes[1][0][0], 1) && approx(barcodes[1][0][1], Math.SQRT2));
+  assert.strictEqual(barcodes[2].length, 0);
+  assert.deepStrictEqual(bettiAt(barcodes, 1.2), [1, 1, 0]);
+}
+
+// --- Test: a circle has one long H1 bar ---
+{
+  const circle = Array.from({ length: 60 }, (_, i) => {
+    const a = 2 * Math.PI * i / 60;
+    return [Math.cos(a), Math.sin(a)];
+  });
+  const { barcodes, maxEdge } = ripsPersistence(circle, { maxEdge: 0.8 });
+  assert.deepStrictEqual(persistentBetti(barcodes, maxEdge), [1, 1, 0]);
+}
+
+// --- Test: flat sheet vs the final F23 torus stage ---
+{
+  const { phaseCoords } = buildRhombusMeshGrid(40);
+  const tp = Float64Array.from(phaseCoords.flat());
+  const flat  = F01_morphBatch(tp, 0);
+  const torus = F23_morphBatch(tp, 1);
+
+  const rf = ripsPersistence(flat, { nLandmarks: 120 });
+  assert.deepStrictEqual(persistentBetti(rf.barcodes, rf.maxEdge), [1, 0, 0]);
+
+  const rt = ripsPersistence(torus, { nLandmarks: 200 });
+  assert.deepStrictEqual(persistentBetti(rt.barcodes, rt.maxEdge), [1, 2, 1]);
+  assert.strictEqual(rt.landmarks.length, 200);
+}
+
+// --- Test: landmarks and point conversion ---
+{
+  const pts = toPointArray(Float32Array.of(0, 0, 0, 1, 0, 0, 5, 0, 0), 3);
+  assert.deepStrictEqual(pts, [[0, 0, 0], [1, 0, 0], [5, 0, 0]]);
+  assert.deepStrictEqual(maxminLandmarks(pts, 2), [0, 2]);
+  assert.throws(
+    () => ripsPersistence(Array.from({ length: 60 }, (_, i) => [i % 7, i % 5]), { maxEdge: 100, maxSimplices: 1000 }),
+    /exceeds 1000 simplices/
+  );
+}
+
+console.log('All persistentHomology tests passed.');
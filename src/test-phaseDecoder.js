@@ -0,0 +1,93 @@
+import assert from 'assert';
+import {
+  decodeTorusPhase, decodePopulationVector, positionToTorusPhase, phaseGrid
+} from './phaseDecoder.js';
+import { generatePopulation } from './gridPopulation.js';
+import { createRng } from './random.js';
+
+// Circular distance between two angles
+function angDist(a, b) {
+  const d = Math.abs(a - b) % (2 * Math.PI);
+  return Math.min(d, 2 * Math.PI - d);
+}
+
+const cells = generatePopulation({
+  modules: [{ nCells: 36, spacing: 1.3, orientation: 0.2, phaseMode: 'jittered' }],
+  cellOptions: { sigma: 0.2, peakRate: 20, profile: 'vonMises' },
+  seed: 6
+});
+const model = cells[0].model;
+
+// Positions and their true phases
+const rng = createRng(2);
+const points = Array.from({ length: 40 }, () => [rng.uniform(-2, 2), rng.uniform(-2, 2)]);
+const truth = positionToTorusPhase(points, model);
+
+// --- Test: noiseless rates decode to the true phase with both methods ---
+{
+  const rates = cells.map(c => c.model.rate(points));
+  const activity = points.map((_, b) => rates.map(r => r[b]));
+  for (const method of ['ml', 'populationVector']) {
+    const { phases, confidence } = decodeTorusPhase(activity, cells, { method, nGrid: 60 });
+    const tol = method === 'ml' ? 0.15 : 0.5;
+    phases.forEach(([t1, t2], b) => {
+      assert(angDist(t1, truth[b][0]) < tol && angDist(t2, truth[b][1]) < tol,
+             `${method} bin ${b}: got [${t1},${t2}], expected [${truth[b]}]`);
+      assert(t1 >= -Math.PI && t1 < Math.PI && t2 >= -Math.PI && t2 < Math.PI);
+      assert(confidence[b] >= 0 && confidence[b] <= 1 + 1e-12);
+    });
+  }
+}
+
+// --- Test: Poisson counts decode close to the truth, confidence grows with counts ---
+{
+  const dt = 0.5;
+  const rates = cells.map(c => c.model.rate(points));
+  const counts = points.map((_, b) => rates.map(r => rng.poisson(r[b] * dt)));
+  const { phases, confidence } = decodeTorusPhase(counts, cells, { dt });
+  const errors = phases.map(([t1, t2], b) =>
+    Math.max(angDist(t1, truth[b][0]), angDist(t2, truth[b][1])));
+  const median = errors.sort((a, b) => a - b)[errors.length >> 1];
+  assert(median < 0.4, `Median decoding error ${median}`);
+
+  const { confidence: lowConf } = decodeTorusPhase(
+    counts.map(row => row.map(() => 0)), cells, { dt });
+  const mean = arr => arr.reduce((a, b) => a + b, 0) / arr.length;
+  assert(mean(confidence) > mean(lowConf), 'Silent bins should be less confident');
+}
+
+// --- Test: the ML estimate is the likelihood maximum, not a posterior mean ---
+{
+  const dt = 0.2;
+  const rates = cells.map(c => c.model.rate(points));
+  const counts = points.map((_, b) => rates.map(r => rng.poisson(r[b] * dt)));
+  const nGrid = 24;
+  const { phases, logLikelihood } = decodeTorusPhase(counts, cells, { dt, nGrid });
+  const logL = (phase, b) => cells.reduce((l, c, k) => {
+    const lambda = Math.max(c.model.torusRate([phase])[0], 1e-3) * dt;
+    return l + counts[b][k] * Math.log(lambda) - lambda;
+  }, 0);
+  phases.forEach((phase, b) => {
+    // at least as likely as the best grid node, which sits within half a step
+    assert(logL(phase, b) >= logLikelihood[b] - 1e-9, `bin ${b}: ${logL(phase, b)} < ${logLikelihood[b]}`);
+    const node = phaseGrid(nGrid).reduce((a, g) => logL(g, b) > logL(a, b) ? g : a);
+    assert(angDist(phase[0], node[0]) <= Math.PI / nGrid + 1e-12 && angDist(phase[1], node[1]) <= Math.PI / nGrid + 1e-12);
+  });
+}
+
+// --- Test: population vector handles silent bins and periodic wrap ---
+{
+  const { phases, confidence } = decodePopulationVector([[...cells.map(() => 0)]], cells);
+  assert.strictEqual(confidence[0], 0);
+  assert.strictEqual(phases.length, 1);
+  assert.throws(() => decodeTorusPhase([], cells, { method: 'bayes' }), /Unknown decoding method/);
+}
+
+// --- Test: phase grid covers one period ---
+{
+  const grid = phaseGrid(4);
+  assert.strictEqual(grid.length, 16);
+  assert.deepStrictEqual(grid[0], [-Math.PI, -Math.PI]);
+}
+
+console.log('All phaseDecoder tests passed.');
@@ -0,0 +1,113 @@
+import assert from 'assert';
+import { foldPositions, phaseRateMap, samplePhaseMap } from './phaseFold.js';
+import { Lattice } from './Lattice.js';
+import { GridCellModel } from './GridCellModel.js';
+import { createArena, simulateTrajectory } from './trajectory.js';
+import { poissonSpikes } from './spikeTrains.js';
+
+function approx(a, b, tol = 1e-9) {
+  return Math.abs(a - b) < tol;
+}
+
+// Phase difference wrapped to (-π, π]
+const dPhase = (a, b) => Math.atan2(Math.sin(a - b), Math.cos(a - b));
+
+// --- Test: positions one grid period apart fold onto the same phase ---
+{
+  const spacing = 40, orientation = 0.3, origin = [5, -3];
+  const grid = Lattice.hexagonal(spacing, orientation);
+  const base = [[12, 7], [-30, 55], [0, 0]];
+  const x = [], y = [];
+  base.forEach(([px, py]) => {
+    [[0, 0], [1, 0], [0, 1], [-2, 3]].forEach(([n1, n2]) => {
+      const [ox, oy] = grid.fromLattice([n1, n2]);
+      x.push(px + ox);
+      y.push(py + oy);
+    });
+  });
+  const phases = foldPositions(x, y, { spacing, orientation, origin });
+  for (let k = 0; k < x.length; k++) {
+    const ref = 4 * Math.floor(k / 4);
+    assert(phases[2 * k] >= 0 && phases[2 * k] < 2 * Math.PI);
+    assert(approx(dPhase(phases[2 * k], phases[2 * ref]), 0));
+    assert(approx(dPhase(phases[2 * k + 1], phases[2 * ref + 1]), 0));
+  }
+  // the origin is phase zero
+  const [t1, t2] = foldPositions([origin[0]], [origin[1]], { spacing, orientation, origin });
+  assert(approx(dPhase(t1, 0), 0) && approx(dPhase(t2, 0), 0));
+}
+
+// --- Test: a constant rate gives a flat map; NaN without occupancy ---
+{
+  const t = [0, 1, 2, 3, 4];
+  const tracking = { t, x: [0.1, 0.1, 0.6, 0.6, 0.6], y: [0.2, 0.2, 0.2, 0.2, 0.2] };
+  const map = phaseRateMap(tracking, { counts: [2, 2, 2, 2, 2] }, { bins: 8, sigma: 0.1 });
+  const finite = Array.from(map.values).filter(Number.isFinite);
+  assert(finite.length > 0 && finite.every(v => approx(v, 2)));
+  const raw = phaseRateMap(tracking, { counts: [1, 0, 0, 0, 0] }, { bins: 8, sigma: 0 });
+  assert(approx(raw.occupancy.reduce((a, b) => a + b, 0), 5));
+  assert(Array.from(raw.values).some(Number.isNaN));
+  assert.throws(() => phaseRateMap(tracking, { times: [] }, { bins: 1 }), /at least 2 bins/);
+  assert.throws(() => phaseRateMap(tracking, { times: [] }, { spacing: 0 }), /spacing must be positive/);
+}
+
+// --- Test: smoothing wraps across the tile seams ---
+{
+  // uniform occupancy, spikes only in the bin at phase [0, 0]
+  const bins = 16;
+  const t = [], x = [], y = [];
+  const lattice = Lattice.hexagonal();
+  for (let j = 0; j < bins; j++) {
+    for (let i = 0; i < bins; i++) {
+      const [px, py] = lattice.fromLattice([(i + 0.5) / bins, (j + 0.5) / bins]);
+      t.push(t.length);
+      x.push(px);
+      y.push(py);
+    }
+  }
+  const counts = t.map((_, k) => (k === 0 ? 10 : 0));
+  const map = phaseRateMap({ t, x, y }, { counts }, { bins, sigma: 0.08 });
+  const at = (i, j) => map.values[((j + bins) % bins) * bins + (i + bins) % bins];
+  // neighbours across the seam get the same as those inside the tile
+  assert(at(-1, 0) > 0.01);
+  assert(approx(at(-1, 0), at(1, 0), 1e-6));
+  assert(approx(at(0, -1), at(0, 1), 1e-6));
+  assert(approx(at(1, -1), at(-1, 1), 1e-6));
+  assert(at(0, 0) > at(1, 0) && at(bins / 2, bins / 2) < 1e-6);
+}
+
+// --- Test: a simulated grid cell folds to a single field at its phase ---
+{
+  const cell = new GridCellModel({ spacing: 0.5, orientation: 0.2, phase: [0.12, -0.07], sigma: 0.06, peakRate: 20 });
+  const traj = simulateTrajectory({
+    arena: createArena({ shape: 'square', size: 2 }), duration: 600, dt: 0.02, speed: 0.3, seed: 3
+  });
+  const [times] = poissonSpikes(traj, [cell], { seed: 4 });
+  const options = { spacing: 0.5, orientation: 0.2, bins: 24, sigma: 0.05 };
+  const map = phaseRateMap(traj, { name: 'sim', times }, options);
+  assert.strictEqual(map.name, 'sim');
+  let best = 0;
+  map.values.forEach((v, b) => { if (v > map.values[best]) best = b; });
+  const peak = [(best % 24 + 0.5) / 24 * 2 * Math.PI, (Math.floor(best / 24) + 0.5) / 24 * 2 * Math.PI];
+  const [e1, e2] = foldPositions([cell.phase[0]], [cell.phase[1]], options);
+  const binWidth = 2 * Math.PI / 24;
+  assert(Math.abs(dPhase(peak[0], e1)) < 1.5 * binWidth && Math.abs(dPhase(peak[1], e2)) < 1.5 * binWidth,
+         `peak at [${peak}] not at the cell phase [${e1}, ${e2}]`);
+  // antipodal phase is silent compared with the field
+  const far = samplePhaseMap(map, [[e1 + Math.PI, e2 + Math.PI]])[0];
+  assert(far < 0.2 * map.values[best]);
+}
+
+// --- Test: phase-map sampling is periodic and exact at bin centres ---
+{
+  const bins = 4;
+  const values = Float64Array.from({ length: 16 }, (_, b) => b);
+  const map = { bins, values };
+  const centre = (i, j) => [(i + 0.5) / bins * 2 * Math.PI, (j + 0.5) / bins * 2 * Math.PI];
+  const [a, b, c] = samplePhaseMap(map, [centre(2, 1), centre(2 - 4, 1 + 8), [0, centre(0, 1)[1]]]);
+  assert(approx(a, 6) && approx(b, 6));
+  // the seam lies halfway between the last and first columns
+  assert(approx(c, (values[4] + values[7]) / 2));
+}
+
+console.log('All phaseFold tests passed.');
@@ -0,0 +1,88 @@
+import assert from 'assert';
+import { Playback } from './playback.js';
+
+function approx(a, b, tol = 1e-9) {
+  return Math.abs(a - b) < tol;
+}
+
+// --- Test: play, pause, speed ---
+{
+  const pb = new Playback({ duration: 1000, loop: 'once' });
+  assert(approx(pb.tick(100), 100));
+  pb.speed = 2.5;
+  assert(approx(pb.tick(100), 350));
+  pb.pause();
+  assert(approx(pb.tick(100), 350));
+  pb.toggle();
+  assert(pb.playing);
+  assert.throws(() => new Playback({ loop: 'bounce' }), /Unknown loop mode/);
+}
+
+// --- Test: 'once' stops at the end and replays from the start ---
+{
+  const pb = new Playback({ duration: 1000, loop: 'once' });
+  assert.strictEqual(pb.tick(1500), 1000);
+  assert(!pb.playing);
+  pb.play();
+  assert.strictEqual(pb.position, 0);
+  assert(approx(pb.tick(10), 10));
+}
+
+// --- Test: 'loop' wraps, 'pingpong' reflects ---
+{
+  const loop = new Playback({ duration: 1000, loop: 'loop' });
+  assert(approx(loop.tick(1000), 1000));
+  assert(approx(loop.tick(250), 250));
+  assert(approx(loop.tick(2100), 350));
+
+  const pp = new Playback({ duration: 1000, loop: 'pingpong' });
+  assert(approx(pp.tick(1300), 700));
+  assert.strictEqual(pp.direction, -1);
+  assert(approx(pp.tick(900), 200));
+  assert.strictEqual(pp.direction, 1);
+  // reaching an end exactly turns around without leaving it
+  const edge = new Playback({ duration: 1000 });
+  assert.strictEqual(edge.tick(1000), 1000);
+  assert.strictEqual(edge.direction, -1);
+  assert(approx(edge.tick(100), 900));
+}
+
+// --- Test: negative speed plays backwards ---
+{
+  const pb = new Playback({ duration: 1000, loop: 'loop', speed: -1 });
+  pb.seek(300);
+  assert(approx(pb.tick(100), 200));
+  assert(approx(pb.tick(300), 900));
+}
+
+// --- Test: breakpoints pause exactly, then playback resumes past them ---
+{
+  const pb = new Playback({ duration: 8000, loop: 'pingpong' });
+  pb.breakpoints = [7000];
+  pb.seek(6990);
+  assert.strictEqual(pb.tick(16.7), 7000);
+  assert(!pb.playing);
+  pb.play();
+  assert(approx(pb.tick(10), 7010));
+  // also on the way back
+  pb.seek(7500);
+  pb.direction = -1;
+  assert.strictEqual(pb.tick(1000), 7000);
+}
+
+// --- Test: seek, frame steps and restart ---
+{
+  const pb = new Playback({ duration: 1000 });
+  pb.seek(2000);
+  assert.strictEqual(pb.position, 1000);
+  pb.step(-1000 / 60);
+  assert(!pb.playing);
+  assert(approx(pb.position, 1000 - 1000 / 60));
+  pb.setDuration(500);
+  assert.strictEqual(pb.position, 500);
+  pb.direction = -1;
+  pb.restart();
+  assert(pb.playing && pb.position === 0 && pb.direction === 1);
+}
+
+console.log('All playback tests passed.');
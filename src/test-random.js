@@ -0,0 +1,36 @@
+import assert from 'assert';
+import { createRng } from './random.js';
+
+// --- Test: same seed, same sequence; different seed, different sequence ---
+{
+  const a = createRng(42), b = createRng(42), c = createRng(43);
+  const sa = Array.from({ length: 10 }, () => a.random());
+  const sb = Array.from({ length: 10 }, () => b.random());
+  const sc = Array.from({ length: 10 }, () => c.random());
+  assert.deepStrictEqual(sa, sb);
+  assert.notDeepStrictEqual(sa, sc);
+  sa.forEach(u => assert(u >= 0 && u < 1, `Uniform ${u} out of range`));
+}
+
+// --- Test: moments of normal and poisson deviates ---
+{
+  const rng = createRng(7);
+  const n = 20000;
+  let sum = 0, sum2 = 0;
+  for (let i = 0; i < n; i++) {
+    const z = rng.normal(2, 3);
+    sum += z; sum2 += z * z;
+  }
+  const mean = sum / n, sd = Math.sqrt(sum2 / n - mean * mean);
+  assert(Math.abs(mean - 2) < 0.1, `Normal mean ${mean}`);
+  assert(Math.abs(sd - 3) < 0.1, `Normal sd ${sd}`);
+
+  for (const lambda of [0.5, 4, 50]) {
+    let s = 0;
+    for (let i = 0; i < n; i++) s += rng.poisson(lambda);
+    assert(Math.abs(s / n - lambda) < 0.05 * lambda + 0.02, `Poisson mean ${s / n} ≠ ${lambda}`);
+  }
+  assert.strictEqual(rng.poisson(0), 0);
+}
+
+console.log('All random tests passed.');
@@ -0,0 +1,55 @@
+import assert from 'assert';
+import { poissonSpikes, binSpikes, cellRates } from './spikeTrains.js';
+import { createArena, simulateTrajectory } from './trajectory.js';
+import { GridCellModel } from './GridCellModel.js';
+
+function approx(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+// --- Test: constant-rate cell gives the expected spike count ---
+{
+  const n = 10001;
+  const traj = {
+    t: Float64Array.from({ length: n }, (_, i) => i * 0.01),
+    x: new Float64Array(n),
+    y: new Float64Array(n)
+  };
+  const [spikes] = poissonSpikes(traj, [pts => pts.map(() => 20)], { seed: 3 });
+  assert(Math.abs(spikes.length - 2000) < 150, `Got ${spikes.length} spikes, expected ~2000`);
+  for (let i = 1; i < spikes.length; i++) {
+    assert(spikes[i] >= spikes[i - 1], 'Spike times must be sorted');
+  }
+  const counts = binSpikes(spikes, traj.t);
+  assert.strictEqual(counts.length, n - 1);
+  assert.strictEqual(counts.reduce((a, b) => a + b, 0), spikes.length);
+}
+
+// --- Test: spikes concentrate on the grid fields ---
+{
+  const arena = createArena({ shape: 'square', size: 3 });
+  const traj = simulateTrajectory({ arena, duration: 600, speed: 0.3, seed: 8 });
+  const model = new GridCellModel({ sigma: 0.1, peakRate: 15 });
+  const [spikes] = poissonSpikes(traj, [model], { seed: 9 });
+  const counts = binSpikes(spikes, traj.t);
+  const points = Array.from(traj.x, (x, i) => [x, traj.y[i]]);
+  const rates = model.rate(points);
+  let inField = 0, total = 0;
+  counts.forEach((c, i) => {
+    total += c;
+    if (rates[i] > 0.2 * 15) inField += c;
+  });
+  assert(total > 0 && inField / total > 0.7, `Only ${inField}/${total} spikes in fields`);
+}
+
+// --- Test: cell descriptions are interchangeable ---
+{
+  const model = new GridCellModel({ phase: [0.1, 0.2], sigma: 0.1, peakRate: 5 });
+  const pts = [[0.1, 0.2], [0.4, 0.3]];
+  const a = cellRates(model, pts);
+  const b = cellRates({ model }, pts);
+  const c = cellRates({ phase: [0.1, 0.2], sigma: 0.1, peakRate: 5 }, pts);
+  a.forEach((v, i) => assert(approx(v, b[i]) && approx(v, c[i], 1e-8)));
+}
+
+console.log('All spikeTrains tests passed.');
@@ -0,0 +1,98 @@
+import assert from 'assert';
+import { StageRegistry, evaluateStage, EASINGS, stageTimes, sequenceDuration,
+         evaluateTimeline } from './stages.js';
+
+function approx(a, b, tol = 1e-12) {
+  return Math.abs(a - b) < tol;
+}
+
+const morphA = () => {};
+const morphB = () => {};
+let extra = false;
+
+const registry = new StageRegistry()
+  .register('holdStart', { morph: 'hold', duration: 1000, camera: [{ t: 0, fov: 40 }], tiles: { peripheral: true } })
+  .register('fade', {
+    morph: morphA, params: [0, 0], duration: 3000, easing: 'linear',
+    camera: [{ t: 0, fov: 40 }, { t: 1, fov: 20 }],
+    tiles: { peripheral: true, peripheralOpacity: [1, 0] }
+  })
+  .register('bend', { morph: morphB, params: [0.2, 1], duration: 3000 })
+  .register('holdEnd', { morph: 'hold', duration: 1000 });
+
+// --- Test: order, insertion and enabled filtering ---
+{
+  registry.register('extra', { morph: morphA, duration: 500, enabled: () => extra }, { before: 'holdEnd' });
+  assert.deepStrictEqual(registry.order, ['holdStart', 'fade', 'bend', 'extra', 'holdEnd']);
+  assert.deepStrictEqual(registry.sequence().map(s => s.name), ['holdStart', 'fade', 'bend', 'holdEnd']);
+  extra = true;
+  assert.strictEqual(registry.sequence().length, 5);
+  registry.remove('extra');
+  assert.deepStrictEqual(registry.order, ['holdStart', 'fade', 'bend', 'holdEnd']);
+  assert.throws(() => registry.setOrder(['fade', 'nope']), /Unknown stage 'nope'/);
+  assert.throws(() => registry.register('bad', { morph: morphA, easing: 'bounce' }), /Unknown easing/);
+  assert.throws(() => registry.register('bad', { duration: 1 }), /needs a morph/);
+}
+
+// --- Test: stage evaluation ---
+{
+  const seq = registry.sequence();
+  const fade = evaluateStage(seq, 1, 0.25);
+  assert.strictEqual(fade.morph, morphA);
+  assert(approx(fade.fov, 35) && approx(fade.peripheralOpacity, 0.75));
+  assert(fade.peripheral && fade.central);
+
+  const bend = evaluateStage(seq, 2, 0.25);
+  assert(approx(bend.p, 0.2 + 0.8 * EASINGS.easeInOutCubic(0.25)));
+  assert.strictEqual(bend.fov, undefined);
+  assert.strictEqual(bend.peripheral, false);
+
+  // holds take the neighbouring morph stage's state
+  const start = evaluateStage(seq, 0, 0.5);
+  assert(start.morph === morphA && start.p === 0 && start.fov === 40);
+  const end = evaluateStage(seq, 3, 0.5);
+  assert(end.morph === morphB && end.p === 1);
+
+  // reordering changes what the holds show
+  registry.setOrder(['holdStart', 'bend', 'holdEnd']);
+  const seq2 = registry.sequence();
+  assert(evaluateStage(seq2, 0, 0).morph === morphB && evaluateStage(seq2, 0, 0).p === 0.2);
+}
+
+// --- Test: timeline positions ---
+{
+  const seq = new StageRegistry()
+    .register('holdStart', { morph: 'hold', duration: 1000, tiles: { peripheral: true } })
+    .register('fade', {
+      morph: morphA, params: [0, 0], duration: 3000, easing: 'linear',
+      camera: [{ t: 0, fov: 40 }, { t: 1, fov: 20 }],
+      tiles: { peripheral: true, peripheralOpacity: [1, 0] }
+    })
+    .register('bend', { morph: morphB, params: [0.2, 1], duration: 3000 })
+    .register('holdEnd', { morph: 'hold', duration: 1000 })
+    .sequence();
+  assert.deepStrictEqual(stageTimes(seq).map(s => [s.start, s.end]),
+    [[0, 1000], [1000, 4000], [4000, 7000], [7000, 8000]]);
+  assert.strictEqual(sequenceDuration(seq), 8000);
+  assert.strictEqual(sequenceDuration([]), 0);
+
+  // a boundary belongs to the stage that ends there
+  const endOfBend = evaluateTimeline(seq, 7000);
+  assert.strictEqual(endOfBend.name, 'bend');
+  assert.strictEqual(endOfBend.index, 2);
+  assert(approx(endOfBend.p, 1));
+  assert.strictEqual(evaluateTimeline(seq, 7000.001).name, 'holdEnd');
+
+  const fade = evaluateTimeline(seq, 1750);
+  assert.strictEqual(fade.name, 'fade');
+  assert(approx(fade.peripheralOpacity, 0.75));
+  assert(approx(fade.fov, 35));
+
+  // clamped to the sequence
+  assert.strictEqual(evaluateTimeline(seq, -5).name, 'holdStart');
+  assert.strictEqual(evaluateTimeline(seq, 1e9).name, 'holdEnd');
+  // an empty sequence has no state
+  assert.strictEqual(evaluateTimeline([], 0), null);
+}
+
+console.log('All stages tests passed.');
@@ -0,0 +1,97 @@
+import assert from 'assert';
+import { parseStoryboard, loadStoryboard, exportStoryboard, STORYBOARD_VERSION } from './storyboard.js';
+import { StageRegistry, evaluateTimeline } from './stages.js';
+
+function approx(a, b, tol = 1e-12) {
+  return Math.abs(a - b) < tol;
+}
+
+const morphA = () => {};
+const morphB = () => {};
+const MORPHS = { A: morphA, B: morphB };
+
+const doc = {
+  version: STORYBOARD_VERSION,
+  settings: { loop: 'once', speed: 1.5, data: 'gridCells', shape: 'rhombus', bloom: { intensity: 0.2 } },
+  stages: [
+    { name: 'intro', morph: 'hold', duration: 500, tiles: { peripheral: true } },
+    {
+      name: 'bend', morph: 'A', duration: 2000, easing: 'linear', params: [0, 1],
+      camera: [{ t: 0, fov: 40, position: [0, 30, 0], target: [0, 0, 0] },
+               { t: 1, fov: 20, position: [10, 20, 0], target: [0, 0, 2] }],
+      bloom: [0, 1], data: 'torus2'
+    },
+    { name: 'extra', morph: 'B', duration: 1000, enabled: false },
+    { name: 'outro', morph: 'hold', duration: 500, shape: 'hexagon' }
+  ]
+};
+
+// --- Test: a storyboard loads into a registry and plays ---
+{
+  const parsed = parseStoryboard(JSON.stringify(doc), MORPHS);
+  assert.deepStrictEqual(parsed.settings, doc.settings);
+  const registry = loadStoryboard(new StageRegistry().register('old', { morph: morphA }), parsed);
+  assert.deepStrictEqual(registry.order, ['intro', 'bend', 'extra', 'outro']);
+  assert.strictEqual(registry.get('bend').morph, morphA);
+  // disabled stages are not played
+  const seq = registry.sequence();
+  assert.deepStrictEqual(seq.map(s => s.name), ['intro', 'bend', 'outro']);
+
+  const mid = evaluateTimeline(seq, 1500);
+  assert.strictEqual(mid.name, 'bend');
+  assert(approx(mid.p, 0.5));
+  assert(approx(mid.fov, 30));
+  assert.deepStrictEqual(mid.cameraPosition, [5, 25, 0]);
+  assert.deepStrictEqual(mid.cameraTarget, [0, 0, 1]);
+  assert(approx(mid.bloom, 0.5));
+  assert.strictEqual(mid.data, 'torus2');
+  const outro = evaluateTimeline(seq, 2900);
+  assert.strictEqual(outro.morph, morphA);
+  assert.strictEqual(outro.shape, 'hexagon');
+  assert.strictEqual(outro.bloom, undefined);
+  assert.strictEqual(outro.cameraPosition, undefined);
+}
+
+// --- Test: export round-trips, including enabled flags ---
+{
+  const registry = loadStoryboard(new StageRegistry(), parseStoryboard(doc, MORPHS));
+  let on = true;
+  registry.register('dynamic', { morph: morphB, duration: 10, enabled: () => on });
+  const out = exportStoryboard(registry, MORPHS, doc.settings);
+  assert.strictEqual(out.version, STORYBOARD_VERSION);
+  assert.deepStrictEqual(out.stages.slice(0, 4), doc.stages);
+  assert.deepStrictEqual(out.stages[4], { name: 'dynamic', morph: 'B', duration: 10, enabled: true });
+  const again = parseStoryboard(JSON.parse(JSON.stringify(out)), MORPHS);
+  assert.strictEqual(again.stages.length, 5);
+
+  registry.register('anonymous', { morph: () => {}, duration: 1 });
+  assert.throws(() => exportStoryboard(registry, MORPHS), /no storyboard name/);
+}
+
+// --- Test: invalid storyboards are rejected with the offending stage ---
+{
+  const withStage = stage => ({ stages: [stage] });
+  const cases = [
+    [{}, /non-empty list of stages/],
+    [{ version: STORYBOARD_VERSION + 1, stages: doc.stages }, /newer than supported/],
+    [withStage({ name: 's', morph: 'Z', duration: 1 }), /stage 0 \('s'\): unknown morph 'Z'/],
+    [withStage({ name: 's', morph: 'A' }), /duration/],
+    [withStage({ name: 's', morph: 'A', duration: 1, easing: 'bounce' }), /unknown easing/],
+    [withStage({ name: 's', morph: 'A', duration: 1, camera: [{ fov: 3 }] }), /needs a time/],
+    [withStage({ name: 's', morph: 'A', duration: 1, camera: [{ t: 0, position: [1, 2] }] }), /position must be/],
+    [withStage({ name: 's', morph: 'A', duration: 1, camera: [null] }), /stage 0 \('s'\): camera keyframe 0 must be an object/],
+    [withStage({ name: 's', morph: 'A', duration: 1, tiles: null }), /stage 0 \('s'\): tiles must be an object/],
+    [withStage({ name: 's', morph: 'A', duration: 1, tiles: { central: 'no' } }), /tiles.central must be true or false/],
+    [withStage({ name: 's', morph: 'A', duration: 1, tiles: { peripheral: 1 } }), /tiles.peripheral must be true or false/],
+    [withStage({ name: 's', morph: 'A', duration: 1, data: 'rainbow' }), /unknown data mode/],
+    [withStage({ name: 's', morph: 'A', duration: 1, enabled: 'yes' }), /enabled must be/],
+    [{ stages: [doc.stages[0], doc.stages[0]] }, /duplicate stage name 'intro'/],
+    [withStage({ name: 's', morph: 'A', duration: 1, enabled: false }), /at least one enabled stage/],
+    [{ settings: { loop: 'bounce' }, stages: doc.stages }, /unknown loop mode/],
+    [{ settings: { bloom: { glow: 1 } }, stages: doc.stages }, /bloom.glow/]
+  ];
+  cases.forEach(([bad, pattern]) => assert.throws(() => parseStoryboard(bad, MORPHS), pattern));
+  assert.throws(() => parseStoryboard('{ not json', MORPHS), SyntaxError);
+}
+
+console.log('All storyboard tests passed.');
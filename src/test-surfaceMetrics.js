@@ -0,0 +1,78 @@
+import assert from 'assert';
+import {
+  triangleAreas, meshEdges, boundaryVertices, areaDistortion, lengthDistortion,
+  gaussianCurvature, meanCurvature, distortionSummary
+} from './surfaceMetrics.js';
+
+function approx(a, b, tol = 1e-9) {
+  return Math.abs(a - b) < tol;
+}
+
+// (n+1)×(n+1) grid over [0,1]², mapped by fn(u, v) → [x,y,z]
+function gridMesh(n, fn) {
+  const positions = [], index = [];
+  for (let j = 0; j <= n; j++) {
+    for (let i = 0; i <= n; i++) positions.push(...fn(i / n, j / n));
+  }
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      const a = j * (n + 1) + i, b = a + 1, c = a + n + 1, d = c + 1;
+      index.push(a, b, d, a, d, c);
+    }
+  }
+  return { positions: Float64Array.from(positions), index: Uint32Array.from(index) };
+}
+
+const flat = gridMesh(10, (u, v) => [u, 0, v]);
+
+// --- Test: areas, edges and boundary of a flat grid ---
+{
+  const areas = triangleAreas(flat.positions, flat.index);
+  assert(approx(areas.reduce((a, b) => a + b, 0), 1));
+  const { edges, count } = meshEdges(flat.index);
+  assert.strictEqual(edges.length / 2, 2 * 10 * 11 + 100);
+  assert.strictEqual(count.filter(c => c === 1).length, 40);
+  assert.strictEqual(boundaryVertices(flat.index, 121).reduce((a, b) => a + b, 0), 40);
+}
+
+// --- Test: uniform scaling doubles lengths and quadruples areas ---
+{
+  const scaled = flat.positions.map(v => 2 * v);
+  const { perTriangle, perVertex } = areaDistortion(scaled, flat.positions, flat.index);
+  perTriangle.forEach(r => assert(approx(r, 4)));
+  perVertex.forEach(l => assert(approx(l, 2)));
+  const { perEdge } = lengthDistortion(scaled, flat.positions, flat.index);
+  perEdge.forEach(r => assert(approx(r, 2)));
+  const s = distortionSummary(flat.positions, flat.positions, flat.index);
+  assert(approx(s.areaError, 0) && approx(s.lengthError, 0) && approx(s.totalGaussian, 0) && approx(s.meanAbsH, 0));
+}
+
+// --- Test: a cylinder is isometric to the sheet, with K = 0 and |H| = 1/2r ---
+{
+  const r = 0.5;
+  const cyl = gridMesh(40, (u, v) => [r * Math.sin(u / r), r * (1 - Math.cos(u / r)), v]);
+  const sheet = gridMesh(40, (u, v) => [u, 0, v]);
+  const K = gaussianCurvature(cyl.positions, cyl.index);
+  const H = meanCurvature(cyl.positions, cyl.index);
+  K.forEach((k, i) => assert(Number.isNaN(k) || approx(k, 0, 1e-6), `K[${i}] = ${k}`));
+  H.forEach(h => assert(Number.isNaN(h) || approx(Math.abs(h), 1 / (2 * r), 1e-3)));
+  assert(Number.isNaN(K[0]) && Number.isNaN(H[0]));
+  const s = distortionSummary(cyl.positions, sheet.positions, cyl.index);
+  assert(s.lengthError < 1e-3 && s.areaError < 1e-3);
+}
+
+// --- Test: a sphere patch has K ≈ 1/R² and |H| ≈ 1/R ---
+{
+  const R = 2;
+  const sph = gridMesh(40, (u, v) => {
+    const th = 0.5 + u, ph = v;   // polar angle away from the poles
+    return [R * Math.sin(th) * Math.cos(ph), R * Math.sin(th) * Math.sin(ph), R * Math.cos(th)];
+  });
+  const K = gaussianCurvature(sph.positions, sph.index).filter(k => !Number.isNaN(k));
+  const H = meanCurvature(sph.positions, sph.index).filter(h => !Number.isNaN(h));
+  const mean = a => a.reduce((s, x) => s + x, 0) / a.length;
+  assert(approx(mean(K), 1 / R ** 2, 1e-2), `mean K ${mean(K)}`);
+  assert(approx(mean(H.map(Math.abs)), 1 / R, 1e-2), `mean |H| ${mean(H.map(Math.abs))}`);
+}
+
+console.log('All surfaceMetrics tests passed.');
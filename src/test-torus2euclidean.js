@@ -0,0 +1,45 @@
+import assert from 'assert';
+import { torus2euclidean, euclidean2torus } from './torusUtils.js';
+
+function approxEqual(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+// --- Test: round trip through euclidean2torus inside the hexagon tile ---
+{
+  const input = [[0, 0], [0.2, 0.1], [-0.3, 0.25], [0.45, -0.2]];
+  const result = torus2euclidean(euclidean2torus(input));
+  result.forEach(([x, y], i) => {
+    assert(
+      approxEqual(x, input[i][0]) && approxEqual(y, input[i][1]),
+      `Round trip ${i}: got [${x},${y}], expected [${input[i]}]`
+    );
+  });
+}
+
+// --- Test: [t1,t2] and [t1,t2,t3] inputs agree ---
+{
+  const t2d = [[1, 2], [-2.5, 0.4]];
+  const t3d = t2d.map(([t1, t2]) => [t1, t2, -(t1 + t2)]);
+  const a = torus2euclidean(t2d);
+  const b = torus2euclidean(t3d);
+  a.forEach((p, i) => {
+    assert(approxEqual(p[0], b[i][0]) && approxEqual(p[1], b[i][1]));
+  });
+}
+
+// --- Test: phases are periodic in 2π ---
+{
+  const [[x0, y0]] = torus2euclidean([[0.7, -1.1]]);
+  const [[x1, y1]] = torus2euclidean([[0.7 + 4 * Math.PI, -1.1 - 2 * Math.PI]]);
+  assert(approxEqual(x0, x1) && approxEqual(y0, y1), 'Phases not periodic');
+}
+
+// --- Test: rhombus tile output ---
+{
+  const [[x, y]] = torus2euclidean([[Math.PI, Math.PI]], 'rhombus');
+  assert(approxEqual(x, 0.75), `x: got ${x}, expected 0.75`);
+  assert(approxEqual(y, Math.sqrt(3) / 4), `y: got ${y}, expected ${Math.sqrt(3) / 4}`);
+}
+
+console.log('All torus2euclidean tests passed.');
@@ -0,0 +1,103 @@
+import assert from 'assert';
+import { identifySeams, checkTorusTopology } from './torusMesh.js';
+import { eulerCharacteristic, boundaryVertices } from './surfaceMetrics.js';
+import { GridTile } from './GridTile.js';
+import { Lattice, HEX_LATTICE } from './Lattice.js';
+import { F23_morphBatch, clifford_morphBatch, rotation4d } from './torusUtils.js';
+
+const lattices = {
+  hexagonal: HEX_LATTICE,
+  square: Lattice.square(),
+  sheared: Lattice.oblique(1, 1.3, 75 * Math.PI / 180, 0.2)
+};
+
+// --- Test: Euler characteristic of a disc and of a square torus ---
+{
+  // two triangles forming a square
+  assert.strictEqual(eulerCharacteristic([0, 1, 2, 0, 2, 3], 4), 1);
+
+  // 3×3 periodic grid
+  const n = 3, index = [];
+  const v = (i, j) => ((j + n) % n) * n + ((i + n) % n);
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      index.push(v(i, j), v(i + 1, j), v(i + 1, j + 1), v(i, j), v(i + 1, j + 1), v(i, j + 1));
+    }
+  }
+  const topo = checkTorusTopology(index, n * n);
+  assert.strictEqual(topo.chi, 0);
+  assert(topo.isTorus);
+}
+
+// --- Test: identified seams of a periodic phase grid ---
+{
+  const n = 4, coords = [], tri = [];
+  for (let j = 0; j <= n; j++) {
+    for (let i = 0; i <= n; i++) coords.push([2 * Math.PI * i / n - Math.PI, 2 * Math.PI * j / n - Math.PI]);
+  }
+  for (let j = 0; j < n; j++) {
+    for (let i = 0; i < n; i++) {
+      const a = j * (n + 1) + i, b = a + 1, c = a + n + 1, d = c + 1;
+      tri.push([a, b, d], [a, d, c]);
+    }
+  }
+  const q = identifySeams(coords, tri);
+  assert.strictEqual(q.representatives.length, n * n);
+  assert.strictEqual(q.index.length, 6 * n * n);
+  // the four corners are one vertex
+  const corners = [0, n, n * (n + 1), (n + 1) ** 2 - 1].map(i => q.vertexMap[i]);
+  assert(corners.every(c => c === corners[0]));
+  assert(checkTorusTopology(q.index, q.representatives.length).isTorus);
+}
+
+// --- Test: a mesh too coarse to identify throws ---
+{
+  const coords = [[-Math.PI, 0], [Math.PI, 0], [0, 1]];
+  assert.throws(() => identifySeams(coords, [0, 1, 2]), /collapsed/);
+}
+
+// --- Test: closed GridTiles are tori and watertight on the morphed torus ---
+for (const [name, lattice] of Object.entries(lattices)) {
+  for (const shape of ['hexagon', 'rhombus']) {
+    for (const nGrid of [6, 11]) {
+      const tile = new GridTile(nGrid, { shape, lattice, seamType: 'closed' });
+      const nSheet = tile.torusCoords.length;
+      const { vertexMap, representatives, index } = tile.quotient;
+
+      // the open sheet is still a disc with its own boundary
+      const sheetIndex = tile.faceGeom.index.array;
+      assert.strictEqual(eulerCharacteristic(sheetIndex, nSheet), 1, `${name} ${shape} ${nGrid}: sheet`);
+      assert(boundaryVertices(sheetIndex, nSheet).some(b => b));
+
+      const topo = checkTorusTopology(index, representatives.length);
+      assert(topo.isTorus, `${name} ${shape} ${nGrid}: chi ${topo.chi}`);
+      assert(representatives.length < nSheet);
+
+      // all sheet copies of a closed vertex land on the same point
+      for (const morph of [
+        (tp, out) => F23_morphBatch(tp, 1, out),
+        (tp, out) => clifford_morphBatch(tp, 1, out, rotation4d([0.3, 0, 0.2, 0, 0.1, 0]))
+      ]) {
+        tile.setTransformBatch(morph);
+        const pos = tile.faceGeom.getAttribute('position').array;
+        const closed = tile.closedGeometry();
+        const cpos = closed.getAttribute('position').array;
+        assert.strictEqual(closed.index.count, index.length);
+        for (let i = 0; i < nSheet; i++) {
+          const c = vertexMap[i];
+          const d = Math.hypot(pos[3*i] - cpos[3*c], pos[3*i+1] - cpos[3*c+1], pos[3*i+2] - cpos[3*c+2]);
+          assert(d < 1e-4, `${name} ${shape} ${nGrid}: vertex ${i} off by ${d}`);
+        }
+      }
+    }
+  }
+}
+
+// --- Test: closedGeometry needs a closed tile ---
+{
+  const tile = new GridTile(6, { seamType: 'exact' });
+  assert.strictEqual(tile.quotient, undefined);
+  assert.throws(() => tile.closedGeometry(), /seamType 'closed'/);
+}
+
+console.log('All torusMesh tests passed.');
@@ -0,0 +1,67 @@
+import assert from 'assert';
+import { createArena, simulateTrajectory, interpolatePosition } from './trajectory.js';
+
+function approx(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+const arenas = [
+  createArena({ shape: 'square', size: 2 }),
+  createArena({ shape: 'circle', radius: 1 }),
+  createArena({ shape: 'polygon', vertices: [[0, 0], [2, 0], [2, 1], [1, 2], [0, 1]] })
+];
+
+// --- Test: arena geometry ---
+{
+  const [sq, circ, poly] = arenas;
+  assert(sq.contains(0.9, -0.9) && !sq.contains(1.1, 0));
+  assert(circ.contains(0.7, 0.7) && !circ.contains(0.8, 0.8));
+  assert(poly.contains(1, 1.5) && !poly.contains(0.2, 1.9));
+  const w = sq.nearestWall(0.8, 0);
+  assert(approx(w.distance, 0.2) && approx(w.nx, -1) && approx(w.ny, 0));
+  const wc = circ.nearestWall(0, 0.5);
+  assert(approx(wc.distance, 0.5) && approx(wc.ny, -1));
+  assert(sq.nearestWall(1.5, 0).distance < 0, 'Outside points have negative distance');
+  // on a wall of the polygon (edge length 2) the normal is still unit length
+  const on = poly.nearestWall(1, 0);
+  assert(on.distance === 0 && approx(Math.hypot(on.nx, on.ny), 1));
+  assert.throws(() => createArena({ shape: 'hexagon' }), /Unknown arena shape/);
+}
+
+// --- Test: both models stay inside every arena and are reproducible ---
+for (const arena of arenas) {
+  for (const model of ['randomWalk', 'ou']) {
+    const traj = simulateTrajectory({ arena, model, duration: 60, dt: 0.02, speed: 0.3, seed: 4 });
+    assert.strictEqual(traj.t.length, 3001);
+    assert(approx(traj.t[3000], 60, 1e-9));
+    for (let i = 0; i < traj.x.length; i++) {
+      assert(arena.contains(traj.x[i], traj.y[i]),
+             `${arena.shape}/${model}: sample ${i} left the arena`);
+    }
+    const again = simulateTrajectory({ arena, model, duration: 60, dt: 0.02, speed: 0.3, seed: 4 });
+    assert.deepStrictEqual(again.x, traj.x);
+  }
+}
+
+// --- Test: OU model moves at roughly the requested speed ---
+{
+  const arena = createArena({ shape: 'square', size: 10 });
+  const traj = simulateTrajectory({ arena, duration: 500, dt: 0.02, speed: 0.2, seed: 1 });
+  let dist = 0;
+  for (let i = 1; i < traj.x.length; i++) {
+    dist += Math.hypot(traj.x[i] - traj.x[i - 1], traj.y[i] - traj.y[i - 1]);
+  }
+  const meanSpeed = dist / 500;
+  assert(meanSpeed > 0.1 && meanSpeed < 0.3, `Mean speed ${meanSpeed}`);
+}
+
+// --- Test: position interpolation ---
+{
+  const traj = { t: Float64Array.of(0, 1, 2), x: Float64Array.of(0, 1, 1), y: Float64Array.of(0, 0, 2) };
+  const { x, y } = interpolatePosition(traj, [0.5, 1.5, 2]);
+  assert(approx(x[0], 0.5) && approx(y[0], 0));
+  assert(approx(x[1], 1) && approx(y[1], 1));
+  assert(approx(x[2], 1) && approx(y[2], 2));
+}
+
+console.log('All trajectory tests passed.');
@@ -0,0 +1,90 @@
+import assert from 'assert';
+import {
+  hsv2rgb, divergingColor, parseCellList, populationFromSettings, normalizedRates,
+  populationColors, phaseValues, phaseColors, metricValues, tilePoints, foldTiles
+} from './vertexData.js';
+import { gridNodes } from './torusUtils.js';
+import { HEX_LATTICE } from './Lattice.js';
+
+function approx(a, b, tol = 1e-9) {
+  return Math.abs(a - b) < tol;
+}
+
+// --- Test: colour helpers ---
+{
+  assert.deepStrictEqual(hsv2rgb(0, 1, 1), [1, 0, 0]);
+  assert.deepStrictEqual(hsv2rgb(1 / 3, 1, 1), [0, 1, 0]);
+  assert.deepStrictEqual(divergingColor(0), [1, 1, 1]);
+  assert.deepStrictEqual(divergingColor(-2), [0, 0, 1]);
+  assert.deepStrictEqual(divergingColor(1), [1, 0, 0]);
+  assert(approx(divergingColor(NaN)[0], 0.5333333333333333));
+  assert.deepStrictEqual(parseCellList('2, 0,x,7', 3), [2, 0]);
+}
+
+// --- Test: torus phases wrap to [0, 2π) including t3 ---
+{
+  const v = phaseValues([[-Math.PI / 2, 0], [1, 2]], 2);
+  assert(approx(v[0], Math.PI / 2));
+  assert(approx(v[1], 2 * Math.PI - 3));
+  const c = phaseColors([[0, 0]], 0);
+  assert.deepStrictEqual(c[0], [1, 0, 0]);
+}
+
+// --- Test: population colours from GUI settings ---
+{
+  const cellParams = {
+    spacing: 1, orientation: 10, ellipticity: 1, ellipseAngle: 0,
+    rateJitter: 0, profile: 'gaussian', sigma: 0.1
+  };
+  const populationParams = {
+    nModules: 2, cellsPerModule: 3, spacingRatio: 1.4,
+    orientationStep: 5, phaseMode: 'uniform', seed: 3
+  };
+  const pop = populationFromSettings(cellParams, populationParams);
+  assert.strictEqual(pop.length, 6);
+  assert(approx(pop[3].model.spacing, 1.4));
+  const again = populationFromSettings(cellParams, populationParams);
+  assert.deepStrictEqual(again[4].phase, pop[4].phase);
+
+  const coords = Array.from({ length: 40 }, (_, i) => [Math.cos(i), Math.sin(2 * i)]);
+  const r = normalizedRates(pop[0], coords);
+  assert(approx(Math.max(...r), 1));
+  const subset = populationColors(pop, coords, { cells: '0' });
+  subset.forEach((c, i) => {
+    assert(approx(c[0], r[i]));
+    assert.strictEqual(c[1], 0);
+  });
+  const sum = populationColors(pop, coords, { display: 'sum' });
+  assert(sum.every(([a, b, c]) => a === b && b === c && a <= 1));
+}
+
+// --- Test: metric values of an unmorphed grid ---
+{
+  const positions = [0, 0, 0, 1, 0, 0, 0, 0, 1, 1, 0, 1];
+  const index = [0, 1, 3, 0, 3, 2];
+  const area = metricValues('areaDistortion', positions, positions, index);
+  assert.strictEqual(area.scale, 1);
+  assert(Array.from(area.values).every(v => approx(v, 0)));
+  const K = metricValues('gaussianCurvature', positions, positions, index);
+  assert(Array.from(K.values).every(Number.isNaN));
+  assert.strictEqual(K.scale, 1);
+  assert.throws(() => metricValues('torsion', positions, positions, index), /Unknown metric mode/);
+}
+
+// --- Test: tile points repeat the vertex phases; folding averages tiles ---
+{
+  const centers = gridNodes(1, HEX_LATTICE);
+  const coords = [[0, 0], [0.2, -0.1], [-0.3, 0.25]];
+  const points = tilePoints(centers, coords);
+  assert.strictEqual(points.length, centers.length * coords.length);
+  points.forEach((p, k) => {
+    const u = HEX_LATTICE.toLattice(p), v = HEX_LATTICE.toLattice(coords[k % coords.length]);
+    assert(approx(u[0] - v[0], Math.round(u[0] - v[0])) && approx(u[1] - v[1], Math.round(u[1] - v[1])));
+  });
+  // two tiles of three vertices; NaN (outside the arena) is left out
+  const folded = foldTiles([1, 2, NaN, 3, NaN, NaN], 3);
+  assert.deepStrictEqual(Array.from(folded.slice(0, 2)), [2, 2]);
+  assert(Number.isNaN(folded[2]));
+}
+
+console.log('All vertexData tests passed.');
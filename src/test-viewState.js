@@ -0,0 +1,84 @@
+import assert from 'assert';
+import { encodeViewState, decodeViewState, VIEW_STATE_FIELDS } from './viewState.js';
+
+const defaults = {
+  data: 'torus1',
+  shape: 'hexagon',
+  arena: false,
+  time: 0,
+  playing: true,
+  speed: 1,
+  loop: 'pingpong',
+  camera: { position: [0, 30, 0], target: [0, 0, 0], fov: 40 },
+  lattice: { type: 'hexagonal', ratio: 1, angle: 60 },
+  gridCells: {
+    spacing: 1, orientation: 0, ellipticity: 1, ellipseAngle: 0,
+    rateJitter: 0, profile: 'gaussian', sigma: 0.1, peakRate: 10
+  },
+  population: {
+    nModules: 1, cellsPerModule: 3, spacingRatio: 1.42, orientationStep: 0,
+    phaseMode: 'uniform', seed: 1, cells: '0,1,2', display: 'subset'
+  },
+  clifford: { enabled: false, xy: 0, xz: 0, xw: 0, yz: 0, yw: 0, zw: 0 }
+};
+
+// --- Test: every field round-trips ---
+{
+  const state = structuredClone(defaults);
+  Object.assign(state, { data: 'gaussianCurvature', shape: 'rhombus', arena: true, time: 7.25, playing: false, speed: -0.5, loop: 'once' });
+  state.camera = { position: [1.5, -2, 3.125], target: [0, 0.5, 0], fov: 12.5 };
+  state.lattice = { type: 'oblique', ratio: 1.3, angle: 75 };
+  state.gridCells.sigma = 0.15;
+  state.population.cells = '3,4';
+  state.population.seed = 42;
+  state.clifford = { enabled: true, xy: 10, xz: -20, xw: 30, yz: 0, yw: 45, zw: -90 };
+
+  const text = encodeViewState(state);
+  assert(!text.includes('%2C'));
+  const { state: back, warnings } = decodeViewState('#' + text, defaults);
+  assert.deepStrictEqual(warnings, []);
+  assert.deepStrictEqual(back, state);
+  // fields outside the schema are neither written nor lost
+  assert(!text.includes('peakRate'));
+  assert.strictEqual(back.gridCells.peakRate, 10);
+}
+
+// --- Test: missing fields take defaults, without warnings ---
+{
+  const { state, warnings } = decodeViewState('data=gridCells', defaults);
+  assert.strictEqual(state.data, 'gridCells');
+  assert.deepStrictEqual({ ...state, data: 'torus1' }, defaults);
+  assert.deepStrictEqual(warnings, []);
+  assert.deepStrictEqual(decodeViewState('', defaults).state, defaults);
+  // the defaults are not modified
+  assert.strictEqual(defaults.data, 'torus1');
+}
+
+// --- Test: invalid and out-of-range fields ---
+{
+  const text = [
+    'data=rainbow', 'time=abc', 'camera.position=1,2', 'playing=maybe', 'population.cells=1;drop',
+    'gridCells.sigma=5', 'population.nModules=2.6', 'speed=-10', 'bogus=1'
+  ].join('&');
+  const { state, warnings } = decodeViewState(text, defaults);
+  assert.strictEqual(state.data, 'torus1');
+  assert.strictEqual(state.time, 0);
+  assert.deepStrictEqual(state.camera.position, [0, 30, 0]);
+  assert.strictEqual(state.playing, true);
+  assert.strictEqual(state.population.cells, '0,1,2');
+  assert.strictEqual(state.gridCells.sigma, 0.3);
+  assert.strictEqual(state.population.nModules, 3);
+  assert.strictEqual(state.speed, -4);
+  assert.strictEqual(warnings.length, 8);
+  assert(warnings.some(w => /Unknown view setting 'bogus'/.test(w)));
+  assert(warnings.some(w => /'gridCells.sigma' = 5 is out of range; using 0.3/.test(w)));
+}
+
+// --- Test: schema covers the documented groups ---
+{
+  const groups = new Set(Object.keys(VIEW_STATE_FIELDS).map(k => k.split('.')[0]));
+  ['data', 'shape', 'time', 'camera', 'gridCells', 'population', 'lattice', 'clifford']
+    .forEach(g => assert(groups.has(g), g));
+}
+
+console.log('All viewState tests passed.');
@@ -0,0 +1,48 @@
+import assert from 'assert';
+import { wrapToHexagon, gridNodes } from './torusUtils.js';
+
+function approxEqual(a, b, tol = 1e-10) {
+  return Math.abs(a - b) < tol;
+}
+
+// Inside the corner-up hexagon of side 1/√3 centred on the origin
+function insideHexagon([x, y], tol = 1e-10) {
+  const r = Math.sqrt(3);
+  return Math.abs(x) <= 0.5 + tol
+      && Math.abs(x / 2 + (r / 2) * y) <= 0.5 + tol
+      && Math.abs(x / 2 - (r / 2) * y) <= 0.5 + tol;
+}
+
+// --- Test: points inside the tile are unchanged ---
+{
+  for (const pt of [[0, 0], [0.3, 0.2], [-0.45, -0.1], [0, 0.55]]) {
+    const [x, y] = wrapToHexagon(pt);
+    assert(
+      approxEqual(x, pt[0]) && approxEqual(y, pt[1]),
+      `Point [${pt}] moved to [${x},${y}]`
+    );
+  }
+}
+
+// --- Test: translating by any lattice node wraps back to the same point ---
+{
+  const p = [0.17, -0.23];
+  for (const [dx, dy] of gridNodes(3)) {
+    const [x, y] = wrapToHexagon([p[0] + dx, p[1] + dy]);
+    assert(
+      approxEqual(x, p[0]) && approxEqual(y, p[1]),
+      `Shift [${dx},${dy}] wrapped to [${x},${y}], expected [${p}]`
+    );
+  }
+}
+
+// --- Test: arbitrary points land inside the hexagon ---
+{
+  for (let i = 0; i < 200; i++) {
+    const pt = [Math.sin(i) * 7.3, Math.cos(3 * i) * 5.1];
+    const w  = wrapToHexagon(pt);
+    assert(insideHexagon(w), `Point [${pt}] wrapped outside tile: [${w}]`);
+  }
+}
+
+console.log('All wrapToHexagon tests passed.');
@@ -0,0 +1,83 @@
+// torusMesh.js
+// Quotient (closed torus) mesh of an open tile sheet. Vertices on opposite
+// edges of the tile are the same point of the torus; identifying them, and
+// re-indexing the triangles that touch them, turns the sheet into a
+// watertight genus-1 mesh.
+
+import { eulerCharacteristic, meshEdges } from './surfaceMetrics.js';
+
+const TWO_PI = 2 * Math.PI;
+
+// Key of a toroidal coordinate pair, equal for all lattice translates
+function phaseKey(t1, t2, digits) {
+  const scale = 10 ** digits;
+  const wrap = t => {
+    const k = Math.round((t / TWO_PI - Math.floor(t / TWO_PI)) * scale);
+    return k === scale ? 0 : k;
+  };
+  return `${wrap(t1)},${wrap(t2)}`;
+}
+
+/**
+ * Identify the vertices of an open sheet that sit at the same torus phase,
+ * and rewrite its triangles over the identified vertices.
+ * @param {number[][]} torusCoords  [t1,t2] per sheet vertex (2π-periodic).
+ * @param {ArrayLike<number>|number[][]} triangles  Flat 0-based index
+ *   buffer, or [i,j,k] triples.
+ * @param {object} [options]
+ * @param {number} [options.digits=6]  Phases are compared to 2π·10^-digits.
+ * @returns {{vertexMap: Uint32Array, representatives: Uint32Array,
+ *   index: Uint32Array}} vertexMap: closed-mesh vertex of each sheet vertex;
+ *   representatives: one sheet vertex per closed-mesh vertex (the first
+ *   seen); index: the closed-mesh triangles.
+ */
+export function identifySeams(torusCoords, triangles, { digits = 6 } = {}) {
+  const keys = new Map();
+  const vertexMap = new Uint32Array(torusCoords.length);
+  const representatives = [];
+  torusCoords.forEach(([t1, t2], i) => {
+    const k = phaseKey(t1, t2, digits);
+    if (!keys.has(k)) {
+      keys.set(k, representatives.length);
+      representatives.push(i);
+    }
+    vertexMap[i] = keys.get(k);
+  });
+
+  const flat = Array.isArray(triangles[0]) ? triangles.flat() : triangles;
+  const index = new Uint32Array(flat.length);
+  for (let i = 0; i < flat.length; i++) {
+    index[i] = vertexMap[flat[i]];
+  }
+  for (let t = 0; t < index.length; t += 3) {
+    const [a, b, c] = [index[t], index[t + 1], index[t + 2]];
+    if (a === b || b === c || c === a) {
+      throw new Error('Seam identification collapsed a triangle; use a finer tile mesh');
+    }
+  }
+  return { vertexMap, representatives: Uint32Array.from(representatives), index };
+}
+
+/**
+ * Check that a closed mesh is a torus: every edge is shared by exactly two
+ * triangles and the Euler characteristic is 0.
+ * @param {ArrayLike<number>} index
+ * @param {number} nVertices
+ * @returns {{chi: number, boundaryEdges: number, nonManifoldEdges: number,
+ *   isTorus: boolean}}
+ */
+export function checkTorusTopology(index, nVertices) {
+  const { count } = meshEdges(index);
+  let boundaryEdges = 0, nonManifoldEdges = 0;
+  count.forEach(c => {
+    if (c === 1) boundaryEdges++;
+    else if (c > 2) nonManifoldEdges++;
+  });
+  const chi = eulerCharacteristic(index, nVertices);
+  return {
+    chi,
+    boundaryEdges,
+    nonManifoldEdges,
+    isTorus: chi === 0 && boundaryEdges === 0 && nonManifoldEdges === 0
+  };
+}
@@ -2,6 +2,7 @@
 // Helper functions for hex-tile → cylinder → torus morph and grid-cell simulation
 
 import Delaunator from 'delaunator';
+import { HEX_LATTICE } from './Lattice.js';
 
 
 /**
@@ -23,107 +24,112 @@ export function rotate2d(p, alpha) {
   }
 
 
-  /**
- * Generate XY coords of hexagonal grid nodes, with hexagon
- * oriented so it has two horizontal sides.
- * @param {number} nRings  Number of rings around the center.
+/**
+ * Generate XY coords of lattice nodes around the origin, nearest first: the
+ * nodes of nRings hexagonal rings for the default hexagonal lattice (with
+ * the hexagon oriented so it has two horizontal sides), a disc of nodes for
+ * other lattices; see Lattice.nodes.
+ * @param {number}  nRings  Number of rings around the center.
+ * @param {Lattice} [lattice=HEX_LATTICE]
  * @returns {number[][]}   Array of [x,y] coords, starting with [0,0].
  */
-export function gridNodes(nRings) {
-    const points = [[0, 0]];
-    const nIndTot = 6 * nRings;
-    let total = 0;
-  
-    for (let a = 1; a <= nRings; a++) {
-      // decide how many points on this ring
-      const bArray =
-        nIndTot === 0 || a !== nRings
-          ? Array.from({ length: 6 * a }, (_, i) => i)
-          : Array.from({ length: nIndTot }, (_, i) => i);
-  
-      for (const b of bArray) {
-        const c = b % a;
-        const theta =
-          Math.atan((Math.sqrt(3) * c) / (2 * a - c)) +
-          Math.PI * (b - c) / (3 * a);
-        const r = Math.sqrt((a - c) * (a - c) + a * c);
-        // console.log("pushing point r=", r, ", theta=", theta);
-        total += 1;
-        points.push([
-          r * Math.cos(theta),
-          r * Math.sin(theta)
-        ]);
-      }
-    }
-  
-    // console.log("Total points: ", total);
-    return points;
-  }
+export function gridNodes(nRings, lattice = HEX_LATTICE) {
+  return lattice.nodes(nRings);
+}
 
 
 /**
- * Generates Euclidean coordinates of the vertices of a single hexagonal
- * 'phase tile' (the area containing the full toroidal phase space),
- * with corner-up orientation (two sides vertical).
- * @returns {number[][]} 6×2 array of [x,y] coordinates.
+ * Generates Euclidean coordinates of the vertices of a single 'phase tile'
+ * (the area containing the full toroidal phase space), i.e. the lattice's
+ * Wigner–Seitz cell. For the default lattice this is a hexagon with
+ * corner-up orientation (two sides vertical).
+ * @param {Lattice} [lattice=HEX_LATTICE]
+ * @returns {number[][]} Array of [x,y] coordinates (6×2 for the hexagon).
  */
-export function hexPhaseTile() {
-    const d = 1 / Math.sqrt(3);
-    // rotations = pi/6 + [pi/3, 2pi/3, pi, 4pi/3, 5pi/3, 2pi]
-    const rotations = Array.from({ length: 6 }, (_, i) =>
-      Math.PI / 6 + (i + 1) * (Math.PI / 3)
-    );
-    return rotations.map(theta => [
-      d * Math.cos(theta),
-      d * Math.sin(theta)
-    ]);
-  }
+export function hexPhaseTile(lattice = HEX_LATTICE) {
+  return lattice.wignerSeitz();
+}
 
 
 /**
- * Convert 2D Euclidean coordinates into (hexagonal) toroidal coordinates.
+ * Convert 2D Euclidean coordinates into toroidal coordinates.
  * @param {number[][]} pEuclidean - Array of [x,y] pairs.
+ * @param {Lattice} [lattice=HEX_LATTICE]
  * @returns {number[][]} Array of [t1,t2,t3] (in radians) for each input point.
  */
-export function euclidean2torus(pEuclidean) {
-const r = Math.tan(Math.PI / 3);
-return pEuclidean.map(([x, y]) => {
-    const t1 = x - (y / r);
-    const t2 = y / (r / 2);
-    const t3 = -(t1 + t2);
-    return [
-    2 * Math.PI * t1,
-    2 * Math.PI * t2,
-    2 * Math.PI * t3
-    ];
-});
+export function euclidean2torus(pEuclidean, lattice = HEX_LATTICE) {
+  return lattice.toTorus(pEuclidean);
+}
+
+
+/**
+ * Batch form of euclidean2torus over an interleaved [x,y,...] buffer,
+ * writing interleaved [t1,t2,t3,...] into out without per-point allocation.
+ * @param {Float32Array|Float64Array} pEuclidean  Interleaved [x,y] coords.
+ * @param {Float32Array|Float64Array} [out]       Output buffer of length 3N.
+ * @param {Lattice} [lattice=HEX_LATTICE]
+ * @returns {Float32Array|Float64Array} out
+ */
+export function euclidean2torusBatch(pEuclidean, out, lattice = HEX_LATTICE) {
+  if (out) checkBatchBuffer(out, 3 * (pEuclidean.length >> 1));
+  return lattice.toTorusBatch(pEuclidean, out);
 }
 
 
 /**
- * Wrap a single [x,y] point into the unit‐rhombus phase tile.
- * The rhombus is defined with two sides parallel to x
+ * Wrap a single [x,y] point into the rhombus phase tile (the lattice's
+ * fundamental parallelogram; for the default lattice, two sides parallel
+ * to x).
  * @param {[number,number]} pt  [x, y] point (spacing = 1)
+ * @param {Lattice} [lattice=HEX_LATTICE]
  * @returns {[number,number]}    [xW, yW] wrapped point
  */
-export function wrapToRhombus([x0, y0]) {
-  const r     = Math.sqrt(3); // √3
-  const halfR = r / 2;
+export function wrapToRhombus(pt, lattice = HEX_LATTICE) {
+  return lattice.wrapToParallelogram(pt);
+}
 
-  // how many full vertical half‐periods?
-  const nYCycles = Math.floor(y0 / halfR);
 
-  // wrap y into [0, halfR)
-  const yW = y0 - nYCycles * halfR;
+/**
+ * Find the integer lattice offset of a point, i.e. the lattice node nearest
+ * to it, expressed in the lattice basis (for the default lattice
+ * e1 = [1,0], e2 = [1/2,√3/2]). Subtracting n1*e1 + n2*e2 from the point
+ * moves it into the phase tile centred on the origin.
+ * @param {[number,number]} pt  [x, y] point (spacing = 1)
+ * @param {Lattice} [lattice=HEX_LATTICE]
+ * @returns {[number,number]}    [n1, n2] integer lattice offset
+ */
+export function latticeOffset([x, y], lattice = HEX_LATTICE) {
+  const [, , n1, n2] = lattice.reduce(x, y);
+  return [n1, n2];
+}
 
-  // shift x for each y‐cycle
-  const xShift = mod(yW / r, 1);
-  const xBase  = x0 + nYCycles * 0.5;
 
-  // wrap x into [0,1) around the shift
-  const xW = mod(xBase - xShift, 1) + xShift;
+/**
+ * Wrap a single [x,y] point into the phase tile returned by hexPhaseTile()
+ * (for the default lattice, the corner-up hexagon centred on the origin).
+ * @param {[number,number]} pt  [x, y] point (spacing = 1)
+ * @param {Lattice} [lattice=HEX_LATTICE]
+ * @returns {[number,number]}    [xW, yW] wrapped point
+ */
+export function wrapToHexagon(pt, lattice = HEX_LATTICE) {
+  return lattice.wrapToCell(pt);
+}
+
 
-  return [xW, yW];
+/**
+ * Convert toroidal coordinates back into 2D Euclidean coordinates inside
+ * the phase tile. Inverse of euclidean2torus().
+ * @param {number[][]} pTorus  Array of [t1,t2] or [t1,t2,t3] (in radians).
+ *                             The redundant t3 = -(t1+t2) is ignored.
+ * @param {string} [shape='hexagon']  Phase tile to wrap into: 'hexagon'|'rhombus'.
+ * @param {Lattice} [lattice=HEX_LATTICE]
+ * @returns {number[][]} Array of [x,y] coordinates for each input point.
+ */
+export function torus2euclidean(pTorus, shape = 'hexagon', lattice = HEX_LATTICE) {
+  const wrap = shape === 'rhombus'
+    ? pt => lattice.wrapToParallelogram(pt)
+    : pt => lattice.wrapToCell(pt);
+  return lattice.fromTorus(pTorus).map(wrap);
 }
 
 
@@ -132,19 +138,20 @@ export function wrapToRhombus([x0, y0]) {
  *
  * @param {number} numRings 
  *   Number of subdivisions per side. You’ll get (numRings+1)² points.
+ * @param {Lattice} [lattice=HEX_LATTICE]
  * @returns {object} 
  *   { 
- *     phaseCoords: Array<[t1, t2]>,   // toroidal phases in [0,2π]
- *     euclidCoords: Array<[x,  y]>    // mapped into the rhombus domain
+ *     phaseCoords: Array<[t1, t2]>,   // toroidal phases in [-π,π]
+ *     euclidCoords: Array<[x,  y]>    // mapped into the parallelogram domain
  *   }
  */
-export function buildRhombusMeshGrid(numRings) {
+export function buildRhombusMeshGrid(numRings, lattice = HEX_LATTICE) {
   const N = numRings;
   const phaseCoords = [];
 
   const twoPi = 2 * Math.PI;
 
-  // 1) Sample uniformly in [0,2π] × [0,2π]
+  // 1) Sample uniformly in [-π,π] × [-π,π]
   for (let j = 0; j <= N; j++) {
     for (let i = 0; i <= N; i++) {
       const t1 = (i/N - 0.5) * twoPi;
@@ -153,54 +160,83 @@ export function buildRhombusMeshGrid(numRings) {
     }
   }
 
-  // 2) Linear map (t1,t2) → rhombus (x,y):
-  //    x = t1 + 0.5*t2
-  //    y = (√3/2)*t2
-  const sqrt3 = Math.sqrt(3);
-  const euclidCoords = phaseCoords.map(([t1, t2]) => [
-    t1/twoPi + 0.5 * t2/twoPi,
-    (sqrt3 / 2) * (t2/twoPi)
-  ]);
+  // 2) Linear map (t1,t2) → parallelogram (x,y) = (t1·e1 + t2·e2) / 2π
+  const euclidCoords = lattice.fromTorus(phaseCoords);
 
   return { phaseCoords, euclidCoords };
 }
 
 
-// Positive modulo helper
-function mod(a, m) {
-  return ((a % m) + m) % m;
+// Default number of lattice-image rings for a Gaussian of width sigma,
+// enough that the truncated images contribute < 1e-5 of the peak
+function defaultImageRings(sigma) {
+  return Math.ceil(5 * sigma) + 1;
+}
+
+// Periodic Gaussian at one point: wrap the offset from the field centre
+// into the hexagonal tile, then sum over the surrounding lattice images
+function periodicGaussian(dx, dy, sigma, images, buf) {
+  HEX_LATTICE.reduce(dx, dy, buf);
+  const ex = buf[0], ey = buf[1];
+  const k = -0.5 / (sigma * sigma);
+  let z = 0;
+  for (let j = 0; j < images.length; j += 2) {
+    const ix = ex - images[j];
+    const iy = ey - images[j + 1];
+    z += Math.exp(k * (ix * ix + iy * iy));
+  }
+  return z;
+}
+
+// Interleaved [x,y,...] offsets of the lattice images to sum over
+function imageOffsets(nRings) {
+  return Float64Array.from(gridNodes(nRings).flat());
 }
 
 
 /**
  * Generate firing-rate PDF for an artificial grid cell at a set of points.
+ * Each point is wrapped onto the hexagonal torus and only the nearest
+ * lattice images of the field are summed, so the cost is O(N) whatever
+ * the arena size.
  * @param {Array<[number,number]>} points - Array of [x,y] coordinates.
  * @param {number[]} phase              - [phaseX, phaseY] offset.
  * @param {number}   sigma              - Gaussian width.
+ * @param {number}   [nRings]           - Rings of neighbouring lattice images
+ *                                        to include (default grows with sigma).
  * @returns {number[]} Z                - Array of PDF values per point.
  */
-export function gridCellPdf(points, phase, sigma) {
-  // Determine number of rings to cover all points
-  const maxAbs = Math.max(
-    ...points.map(p => Math.abs(p[0])),
-    ...points.map(p => Math.abs(p[1]))
-  );
-  const nRings = Math.ceil(1.5 * maxAbs);
-  const nodes = gridNodes(nRings);
-  const Z = new Array(points.length).fill(0);
+export function gridCellPdf(points, phase, sigma, nRings = defaultImageRings(sigma)) {
+  const images = imageOffsets(nRings);
   const normFactor = 1 / (Math.sqrt(2 * Math.PI) * sigma);
+  const buf = [0, 0, 0, 0];
+  return points.map(([x, y]) =>
+    normFactor * periodicGaussian(x - phase[0], y - phase[1], sigma, images, buf)
+  );
+}
 
-  for (const [dx, dy] of nodes) {
-    const phaseX = phase[0] + dx;
-    const phaseY = phase[1] + dy;
-    for (let i = 0; i < points.length; i++) {
-      const [x, y] = points[i];
-      const dd = Math.hypot(x - phaseX, y - phaseY);
-      Z[i] += normFactor * Math.exp(-0.5 * (dd / sigma) ** 2);
-    }
-  }
 
-  return Z;
+/**
+ * Batch form of gridCellPdf over an interleaved [x,y,...] buffer.
+ * @param {Float32Array|Float64Array} points  Interleaved [x,y] coordinates.
+ * @param {number[]} phase                    [phaseX, phaseY] offset.
+ * @param {number}   sigma                    Gaussian width.
+ * @param {Float32Array|Float64Array} [out]   Output buffer of length N.
+ * @param {number}   [nRings]                 Rings of neighbouring lattice images.
+ * @returns {Float32Array|Float64Array} out   PDF value per point.
+ */
+export function gridCellPdfBatch(points, phase, sigma, out, nRings = defaultImageRings(sigma)) {
+  const n = points.length >> 1;
+  out = out ? checkBatchBuffer(out, n) : new Float64Array(n);
+  const images = imageOffsets(nRings);
+  const normFactor = 1 / (Math.sqrt(2 * Math.PI) * sigma);
+  const buf = new Float64Array(4);
+  for (let i = 0; i < n; i++) {
+    out[i] = normFactor * periodicGaussian(
+      points[2 * i] - phase[0], points[2 * i + 1] - phase[1], sigma, images, buf
+    );
+  }
+  return out;
 }
 
 
@@ -242,71 +278,113 @@ export function constrainedDelaunay(P, sideLengthLimit, tol = 1e-6) {
 }
 
 
+// True if tp is an array of [t1,t2] points rather than a single point
+function isPointArray(tp) {
+  return Array.isArray(tp[0]) || ArrayBuffer.isView(tp[0]);
+}
+
 /**
- * Developable morph from flat sheet into cylinder for one point.
- * @param {[number,number]} tp     [t1, t2] toroidal coordinates.
- * @param {number}          p      Morph parameter in [0,1].
- * @param {number}          [H=2π] Cylinder height.
- * @returns {[number,number,number]} [x, y, z] Euclidean coordinates.
+ * Check that a caller-supplied batch buffer holds at least length values
+ * (typed arrays silently drop writes past their end).
+ * @param {ArrayLike<number>} buf
+ * @param {number} length
+ * @param {string} [what='Output']  Buffer name for the error message.
+ * @returns {ArrayLike<number>} buf
  */
-export function F01_morph([t1, t2], p, H = 2 * Math.PI) {
+export function checkBatchBuffer(buf, length, what = 'Output') {
+  if (buf.length < length) {
+    throw new Error(`${what} buffer too short: ${buf.length} values, need ${length}`);
+  }
+  return buf;
+}
+
+// Allocate (or validate) an interleaved xyz output buffer for n points
+function batchOutput(out, n) {
+  return out ? checkBatchBuffer(out, 3 * n) : new Float32Array(3 * n);
+}
+
+// Validate the position and derivative buffers of the *_morphDerivBatch forms
+function derivOutputs(out, dOut, n) {
+  checkBatchBuffer(out, 3 * n);
+  checkBatchBuffer(dOut, 6 * n, 'Derivative');
+}
+
+// Shape [c, h] of the lattice the morphs unroll: e2 in the frame where e1
+// is the unit x axis, so the flat sheet is the tile rotated and scaled to
+// put e1 along the cylinder's circumference ([1/2, √3/2] for hexagonal)
+function sheetShape(lattice) {
+  const [e1, e2] = [lattice.e1, lattice.e2];
+  const n = e1[0] * e1[0] + e1[1] * e1[1];
+  return [(e1[0] * e2[0] + e1[1] * e2[1]) / n, lattice.det / n];
+}
+
+
+// In-place cores of the morphs: write [x,y,z] for one point into out[o..o+2]
+// The cores optionally write the partial derivatives [∂/∂t1, ∂/∂t2] of
+// the point into d at offset 2*o, as [x1,y1,z1, x2,y2,z2].
+// sheet = [c, h] is the shape of the tile lattice (see sheetShape).
+function F01_core(t1, t2, p, H, sheet, out, o, d) {
   const twoPi = 2 * Math.PI;
-  const sqrt3 = Math.sqrt(3);
+  const [c, h] = sheet;
   // lattice-driven angles
-  const nphi = t1 + t2 / 2;
-  const v    = (t2 / twoPi) * H * (sqrt3 / 2);
-
+  const nphi = t1 + c * t2;
+  const v    = (t2 / twoPi) * H * h;
+  let cT = 1, sT = 0;
   if (p <= 0) {
     // flat sheet in X–Z plane at y = -1 (centered at y=0 when p→1)
-    return [nphi, -1, v];
+    out[o] = nphi; out[o + 1] = -1; out[o + 2] = v;
   } else {
     // isometric pipe-bend
     const R0    = 1 / p;
     const theta = p * nphi;
-    const x     = R0 * Math.sin(theta);
-    const y     = R0 * (1 - Math.cos(theta)) - 1;
-    return [x, y, v];
+    cT = Math.cos(theta); sT = Math.sin(theta);
+    out[o]     = R0 * sT;
+    out[o + 1] = R0 * (1 - cT) - 1;
+    out[o + 2] = v;
+  }
+  if (d) {
+    const k = 2 * o;
+    d[k]     = cT;     d[k + 1] = sT;     d[k + 2] = 0;
+    d[k + 3] = c * cT; d[k + 4] = c * sT; d[k + 5] = H * h / twoPi;
   }
 }
 
-/**
- * Morph from cylinder (F1) to half-twist cylinder (F2) for one point.
- * @param {[number,number]} tp     [t1, t2] toroidal coordinates.
- * @param {number}          p      Morph parameter in [0,1].
- * @param {number}          H      Cylinder height.
- * @returns {[number,number,number]} [x, y, z] Euclidean coordinates.
- */
-export function F12_morph([t1, t2], p, H) {
+function F12_core(t1, t2, p, H, sheet, out, o, d) {
   // Base cylinder at p=1
-  const [X1, Y1, Z1] = F01_morph([t1, t2], 1, H);
-  const thetaFull   = (t2 + Math.PI) / 2;
+  F01_core(t1, t2, 1, H, sheet, out, o, d);
+  const X1 = out[o], Y1 = out[o + 1];
+  // Twist rate that makes the shear of e2 around the cylinder a whole
+  // number of turns (1/2 for the hexagonal lattice, 0 for the square one)
+  const w = Math.round(sheet[0] + 1e-9) - sheet[0];
+  const thetaFull   = w * (t2 + Math.PI);
   const thetaP      = p * thetaFull;
+  const c = Math.cos(thetaP), s = Math.sin(thetaP);
   // rotate cross-section around Z
-  const x = X1 * Math.cos(thetaP) - Y1 * Math.sin(thetaP);
-  const y = X1 * Math.sin(thetaP) + Y1 * Math.cos(thetaP);
-  const z = Z1;
-  return [x, y, z];
+  out[o]     = X1 * c - Y1 * s;
+  out[o + 1] = X1 * s + Y1 * c;
+  if (d) {
+    for (let k = 2 * o; k <= 2 * o + 3; k += 3) {
+      const dX = d[k], dY = d[k + 1];
+      d[k]     = dX * c - dY * s;
+      d[k + 1] = dX * s + dY * c;
+    }
+    // thetaP depends on t2
+    d[2 * o + 3] -= p * w * out[o + 1];
+    d[2 * o + 4] += p * w * out[o];
+  }
 }
 
-/**
- * Morph from twisted cylinder (F2) into torus by isometric pipe bending for one point.
- * @param {[number,number]} tp      [t1, t2] toroidal coordinates.
- * @param {number}          p       Morph parameter in [0,1].
- * @param {number}          [R=1]   Torus major radius.
- * @param {number}          [f=2]   Tube shrink factor.
- * @param {string}          [anchor="center"]  "bottom"|"center"|"top".
- * @returns {[number,number,number]} [x, y, z] Euclidean coordinates.
- */
-export function F23_morph([t1, t2], p, R = 1, f = 2, anchor = "center") {
+function F23_core(t1, t2, p, R, f, anchor, sheet, out, o, d) {
   const twoPi = 2 * Math.PI;
   const cylinderHeight = R * twoPi;
 
   // Twisted cylinder at p=1
-  const [X2, Y2, Z2] = F12_morph([t1, t2], 1, cylinderHeight);
+  F12_core(t1, t2, 1, cylinderHeight, sheet, out, o, d);
 
   if (p <= 0) {
-    return [X2, Y2, Z2];
+    return;
   }
+  const X2 = out[o], Y2 = out[o + 1];
 
   // Anchor offset: bottom=1, center=0, top=-1
   let uoffset = 0;
@@ -320,8 +398,8 @@ export function F23_morph([t1, t2], p, R = 1, f = 2, anchor = "center") {
   const Rt = R / p;
   const Theta = u / Rt;
 
-  // Centerline in X–Z (scaled by √3/2)
-  const cFactor = Math.sqrt(3) / 2;
+  // Centerline in X–Z, scaled by the sheet height of e2 (√3/2 for hexagonal)
+  const cFactor = sheet[1];
   const Cx = Rt * (1 - Math.cos(Theta)) * cFactor;
   const Cz = Rt * Math.sin(Theta) * cFactor;
 
@@ -347,5 +425,370 @@ export function F23_morph([t1, t2], p, R = 1, f = 2, anchor = "center") {
   x -= p;
   z += p * Math.PI * uoffset;
 
-  return [x, y, z];
+  out[o] = x; out[o + 1] = y; out[o + 2] = z;
+
+  if (d) {
+    // Theta advances at rate p along t2 (du/dt2 = R, Rt = R/p)
+    for (let i = 0, k = 2 * o; i < 2; i++, k += 3) {
+      const dX2 = d[k], dY2 = d[k + 1];
+      const dTheta = i === 1 ? p : 0;
+      d[k]     = dTheta * R * Math.sin(Theta) * cFactor / p
+               + rShrink * (-dTheta * Math.sin(Theta) * X2 + Nx * dX2);
+      d[k + 1] = rShrink * dY2;
+      d[k + 2] = dTheta * R * Math.cos(Theta) * cFactor / p
+               + rShrink * (-dTheta * Math.cos(Theta) * X2 + Nz * dX2);
+    }
+  }
+}
+
+
+/**
+ * Developable morph from flat sheet into cylinder.
+ * @param {[number,number]|number[][]} tp  [t1, t2] toroidal coordinates, or
+ *                                         an array of them.
+ * @param {number}          p      Morph parameter in [0,1].
+ * @param {number}          [H=2π] Cylinder height.
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {[number,number,number]|number[][]} [x, y, z] Euclidean coordinates
+ *                                         (an array of them for array input).
+ */
+export function F01_morph(tp, p, H = 2 * Math.PI, lattice = HEX_LATTICE) {
+  if (isPointArray(tp)) {
+    return tp.map(pt => F01_morph(pt, p, H, lattice));
+  }
+  const out = [0, 0, 0];
+  F01_core(tp[0], tp[1], p, H, sheetShape(lattice), out, 0);
+  return out;
+}
+
+/**
+ * Batch form of F01_morph over an interleaved [t1,t2,...] buffer, writing
+ * interleaved [x,y,z,...] into out (e.g. a position BufferAttribute array).
+ * @param {Float32Array|Float64Array} tp   Interleaved toroidal coordinates.
+ * @param {number}          p      Morph parameter in [0,1].
+ * @param {Float32Array|Float64Array} [out]  Output buffer of length 3N.
+ * @param {number}          [H=2π] Cylinder height.
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {Float32Array|Float64Array} out
+ */
+export function F01_morphBatch(tp, p, out, H = 2 * Math.PI, lattice = HEX_LATTICE) {
+  const sheet = sheetShape(lattice);
+  const n = tp.length >> 1;
+  out = batchOutput(out, n);
+  for (let i = 0; i < n; i++) {
+    F01_core(tp[2 * i], tp[2 * i + 1], p, H, sheet, out, 3 * i);
+  }
+  return out;
+}
+
+/**
+ * F01_morphBatch that also writes the analytic partial derivatives of each
+ * point into dOut, interleaved as [∂x/∂t1,∂y/∂t1,∂z/∂t1, ∂x/∂t2,∂y/∂t2,∂z/∂t2,...]
+ * (see normalsFromDerivatives).
+ * @param {Float32Array|Float64Array} tp   Interleaved toroidal coordinates.
+ * @param {number}          p      Morph parameter in [0,1].
+ * @param {Float32Array|Float64Array} out   Output buffer of length 3N.
+ * @param {Float32Array|Float64Array} dOut  Derivative buffer of length 6N.
+ * @param {number}          [H=2π] Cylinder height.
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {Float32Array|Float64Array} out
+ */
+export function F01_morphDerivBatch(tp, p, out, dOut, H = 2 * Math.PI, lattice = HEX_LATTICE) {
+  const sheet = sheetShape(lattice);
+  const n = tp.length >> 1;
+  derivOutputs(out, dOut, n);
+  for (let i = 0; i < n; i++) {
+    F01_core(tp[2 * i], tp[2 * i + 1], p, H, sheet, out, 3 * i, dOut);
+  }
+  return out;
+}
+
+/**
+ * Morph from cylinder (F1) to half-twist cylinder (F2).
+ * @param {[number,number]|number[][]} tp  [t1, t2] toroidal coordinates, or
+ *                                         an array of them.
+ * @param {number}          p      Morph parameter in [0,1].
+ * @param {number}          [H=2π] Cylinder height.
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {[number,number,number]|number[][]} [x, y, z] Euclidean coordinates
+ *                                         (an array of them for array input).
+ */
+export function F12_morph(tp, p, H = 2 * Math.PI, lattice = HEX_LATTICE) {
+  if (isPointArray(tp)) {
+    return tp.map(pt => F12_morph(pt, p, H, lattice));
+  }
+  const out = [0, 0, 0];
+  F12_core(tp[0], tp[1], p, H, sheetShape(lattice), out, 0);
+  return out;
+}
+
+/**
+ * Batch form of F12_morph; see F01_morphBatch for the buffer layout.
+ * @param {Float32Array|Float64Array} tp   Interleaved toroidal coordinates.
+ * @param {number}          p      Morph parameter in [0,1].
+ * @param {Float32Array|Float64Array} [out]  Output buffer of length 3N.
+ * @param {number}          [H=2π] Cylinder height.
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {Float32Array|Float64Array} out
+ */
+export function F12_morphBatch(tp, p, out, H = 2 * Math.PI, lattice = HEX_LATTICE) {
+  const sheet = sheetShape(lattice);
+  const n = tp.length >> 1;
+  out = batchOutput(out, n);
+  for (let i = 0; i < n; i++) {
+    F12_core(tp[2 * i], tp[2 * i + 1], p, H, sheet, out, 3 * i);
+  }
+  return out;
+}
+
+/**
+ * F12_morphBatch with analytic derivatives; see F01_morphDerivBatch.
+ * @param {Float32Array|Float64Array} tp   Interleaved toroidal coordinates.
+ * @param {number}          p      Morph parameter in [0,1].
+ * @param {Float32Array|Float64Array} out   Output buffer of length 3N.
+ * @param {Float32Array|Float64Array} dOut  Derivative buffer of length 6N.
+ * @param {number}          [H=2π] Cylinder height.
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {Float32Array|Float64Array} out
+ */
+export function F12_morphDerivBatch(tp, p, out, dOut, H = 2 * Math.PI, lattice = HEX_LATTICE) {
+  const sheet = sheetShape(lattice);
+  const n = tp.length >> 1;
+  derivOutputs(out, dOut, n);
+  for (let i = 0; i < n; i++) {
+    F12_core(tp[2 * i], tp[2 * i + 1], p, H, sheet, out, 3 * i, dOut);
+  }
+  return out;
+}
+
+/**
+ * Morph from twisted cylinder (F2) into torus by isometric pipe bending.
+ * @param {[number,number]|number[][]} tp  [t1, t2] toroidal coordinates, or
+ *                                          an array of them.
+ * @param {number}          p       Morph parameter in [0,1].
+ * @param {number}          [R=1]   Torus major radius.
+ * @param {number}          [f=2]   Tube shrink factor.
+ * @param {string}          [anchor="center"]  "bottom"|"center"|"top".
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {[number,number,number]|number[][]} [x, y, z] Euclidean coordinates
+ *                                          (an array of them for array input).
+ */
+export function F23_morph(tp, p, R = 1, f = 2, anchor = "center", lattice = HEX_LATTICE) {
+  if (isPointArray(tp)) {
+    return tp.map(pt => F23_morph(pt, p, R, f, anchor, lattice));
+  }
+  const out = [0, 0, 0];
+  F23_core(tp[0], tp[1], p, R, f, anchor, sheetShape(lattice), out, 0);
+  return out;
+}
+
+/**
+ * Batch form of F23_morph; see F01_morphBatch for the buffer layout.
+ * @param {Float32Array|Float64Array} tp   Interleaved toroidal coordinates.
+ * @param {number}          p       Morph parameter in [0,1].
+ * @param {Float32Array|Float64Array} [out]  Output buffer of length 3N.
+ * @param {number}          [R=1]   Torus major radius.
+ * @param {number}          [f=2]   Tube shrink factor.
+ * @param {string}          [anchor="center"]  "bottom"|"center"|"top".
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {Float32Array|Float64Array} out
+ */
+export function F23_morphBatch(tp, p, out, R = 1, f = 2, anchor = "center", lattice = HEX_LATTICE) {
+  const sheet = sheetShape(lattice);
+  const n = tp.length >> 1;
+  out = batchOutput(out, n);
+  for (let i = 0; i < n; i++) {
+    F23_core(tp[2 * i], tp[2 * i + 1], p, R, f, anchor, sheet, out, 3 * i);
+  }
+  return out;
+}
+
+/**
+ * F23_morphBatch with analytic derivatives; see F01_morphDerivBatch.
+ * @param {Float32Array|Float64Array} tp   Interleaved toroidal coordinates.
+ * @param {number}          p       Morph parameter in [0,1].
+ * @param {Float32Array|Float64Array} out   Output buffer of length 3N.
+ * @param {Float32Array|Float64Array} dOut  Derivative buffer of length 6N.
+ * @param {number}          [R=1]   Torus major radius.
+ * @param {number}          [f=2]   Tube shrink factor.
+ * @param {string}          [anchor="center"]  "bottom"|"center"|"top".
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {Float32Array|Float64Array} out
+ */
+export function F23_morphDerivBatch(tp, p, out, dOut, R = 1, f = 2, anchor = "center", lattice = HEX_LATTICE) {
+  const sheet = sheetShape(lattice);
+  const n = tp.length >> 1;
+  derivOutputs(out, dOut, n);
+  for (let i = 0; i < n; i++) {
+    F23_core(tp[2 * i], tp[2 * i + 1], p, R, f, anchor, sheet, out, 3 * i, dOut);
+  }
+  return out;
+}
+
+/**
+ * 4×4 rotation matrix (row-major) composed of rotations in the six
+ * coordinate planes of R⁴, applied in the order xy, xz, xw, yz, yw, zw.
+ * @param {number[]} [angles=[0,0,0,0,0,0]]  Plane angles (radians).
+ * @returns {Float64Array} 16-element rotation matrix.
+ */
+export function rotation4d(angles = [0, 0, 0, 0, 0, 0]) {
+  const planes = [[0, 1], [0, 2], [0, 3], [1, 2], [1, 3], [2, 3]];
+  let M = Float64Array.of(1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1);
+  planes.forEach(([i, j], k) => {
+    const a = angles[k] || 0;
+    if (!a) return;
+    const c = Math.cos(a), s = Math.sin(a);
+    // left-multiply by the Givens rotation in plane (i, j)
+    const next = Float64Array.from(M);
+    for (let col = 0; col < 4; col++) {
+      next[4 * i + col] = c * M[4 * i + col] - s * M[4 * j + col];
+      next[4 * j + col] = s * M[4 * i + col] + c * M[4 * j + col];
+    }
+    M = next;
+  });
+  return M;
+}
+
+const IDENTITY_4D = rotation4d();
+
+function clifford_core(t1, t2, p, rotation, R, sheet, out, o, d) {
+  // Final F23 torus
+  F23_core(t1, t2, 1, R, 2, 'center', sheet, out, o, d);
+  if (p <= 0) {
+    return;
+  }
+
+  // Flat (square) Clifford torus on the unit 3-sphere. t2 runs around the
+  // central axis and t1 around the tube, as in F23, with t1 = 0 on the
+  // inside of the tube.
+  const a = t2 + Math.PI, b = t1 - Math.PI / 2;
+  const q = [Math.cos(a), Math.sin(a), Math.cos(b), Math.sin(b)].map(v => v * Math.SQRT1_2);
+  const r = [0, 0, 0, 0];
+  for (let i = 0; i < 4; i++) {
+    r[i] = rotation[4*i] * q[0] + rotation[4*i+1] * q[1] + rotation[4*i+2] * q[2] + rotation[4*i+3] * q[3];
+  }
+
+  // Stereographic projection from the pole (0,0,0,1), scaled so that the
+  // unrotated torus (major radius √2) matches the F23 torus, axis along y
+  const cFactor = sheet[1];
+  const s = cFactor * R / Math.SQRT2 / Math.max(1 - r[3], 1e-3);
+  const x = s * r[0] + cFactor * R - 1;
+  const y = s * r[2];
+  const z = -s * r[1];
+
+  out[o]     += p * (x - out[o]);
+  out[o + 1] += p * (y - out[o + 1]);
+  out[o + 2] += p * (z - out[o + 2]);
+
+  if (d) {
+    const dq = [
+      [0, 0, -Math.sin(b), Math.cos(b)],   // ∂q/∂t1
+      [-Math.sin(a), Math.cos(a), 0, 0]    // ∂q/∂t2
+    ];
+    for (let i = 0, k = 2 * o; i < 2; i++, k += 3) {
+      const dr = [0, 0, 0, 0];
+      for (let m = 0; m < 4; m++) {
+        for (let n = 0; n < 4; n++) dr[m] += rotation[4*m + n] * dq[i][n] * Math.SQRT1_2;
+      }
+      // d(s·r) with s = c / (1 - r3)
+      const ds = s * dr[3] / Math.max(1 - r[3], 1e-3);
+      const dx = s * dr[0] + ds * r[0];
+      const dy = s * dr[2] + ds * r[2];
+      const dz = -(s * dr[1] + ds * r[1]);
+      d[k]     += p * (dx - d[k]);
+      d[k + 1] += p * (dy - d[k + 1]);
+      d[k + 2] += p * (dz - d[k + 2]);
+    }
+  }
+}
+
+/**
+ * Morph from the F23 torus into the flat Clifford torus in R⁴, rotated in
+ * 4-D and stereographically projected back to 3-D. Unlike F23 the Clifford
+ * torus is intrinsically flat, though square rather than hexagonal.
+ * @param {[number,number]|number[][]} tp  [t1, t2] toroidal coordinates, or
+ *                                          an array of them.
+ * @param {number}          p       Morph parameter in [0,1].
+ * @param {Float64Array}    [rotation]  4×4 rotation (see rotation4d).
+ * @param {number}          [R=1]   Torus major radius, as in F23_morph.
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {[number,number,number]|number[][]} [x, y, z] Euclidean coordinates
+ *                                          (an array of them for array input).
+ */
+export function clifford_morph(tp, p, rotation = IDENTITY_4D, R = 1, lattice = HEX_LATTICE) {
+  if (isPointArray(tp)) {
+    return tp.map(pt => clifford_morph(pt, p, rotation, R, lattice));
+  }
+  const out = [0, 0, 0];
+  clifford_core(tp[0], tp[1], p, rotation, R, sheetShape(lattice), out, 0);
+  return out;
+}
+
+/**
+ * Batch form of clifford_morph; see F01_morphBatch for the buffer layout.
+ * @param {Float32Array|Float64Array} tp   Interleaved toroidal coordinates.
+ * @param {number}          p       Morph parameter in [0,1].
+ * @param {Float32Array|Float64Array} [out]  Output buffer of length 3N.
+ * @param {Float64Array}    [rotation]  4×4 rotation (see rotation4d).
+ * @param {number}          [R=1]   Torus major radius.
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {Float32Array|Float64Array} out
+ */
+export function clifford_morphBatch(tp, p, out, rotation = IDENTITY_4D, R = 1, lattice = HEX_LATTICE) {
+  const sheet = sheetShape(lattice);
+  const n = tp.length >> 1;
+  out = batchOutput(out, n);
+  for (let i = 0; i < n; i++) {
+    clifford_core(tp[2 * i], tp[2 * i + 1], p, rotation, R, sheet, out, 3 * i);
+  }
+  return out;
+}
+
+/**
+ * clifford_morphBatch with analytic derivatives; see F01_morphDerivBatch.
+ * @param {Float32Array|Float64Array} tp   Interleaved toroidal coordinates.
+ * @param {number}          p       Morph parameter in [0,1].
+ * @param {Float32Array|Float64Array} out   Output buffer of length 3N.
+ * @param {Float32Array|Float64Array} dOut  Derivative buffer of length 6N.
+ * @param {Float64Array}    [rotation]  4×4 rotation (see rotation4d).
+ * @param {number}          [R=1]   Torus major radius.
+ * @param {Lattice}         [lattice=HEX_LATTICE]  Tile lattice, unrolled as its sheet.
+ * @returns {Float32Array|Float64Array} out
+ */
+export function clifford_morphDerivBatch(tp, p, out, dOut, rotation = IDENTITY_4D, R = 1, lattice = HEX_LATTICE) {
+  const sheet = sheetShape(lattice);
+  const n = tp.length >> 1;
+  derivOutputs(out, dOut, n);
+  for (let i = 0; i < n; i++) {
+    clifford_core(tp[2 * i], tp[2 * i + 1], p, rotation, R, sheet, out, 3 * i, dOut);
+  }
+  return out;
+}
+
+/**
+ * Unit normals from interleaved partial derivatives (as written by the
+ * *_morphDerivBatch functions): n = ∂/∂t1 × ∂/∂t2, normalised. Degenerate
+ * points get [0,1,0].
+ * @param {Float32Array|Float64Array} derivs   Length 6N.
+ * @param {Float32Array|Float64Array} [out]    Output buffer of length 3N.
+ * @returns {Float32Array|Float64Array} out
+ */
+export function normalsFromDerivatives(derivs, out) {
+  const n = derivs.length / 6;
+  out = batchOutput(out, n);
+  for (let i = 0; i < n; i++) {
+    const k = 6 * i;
+    const ax = derivs[k],     ay = derivs[k + 1], az = derivs[k + 2];
+    const bx = derivs[k + 3], by = derivs[k + 4], bz = derivs[k + 5];
+    const nx = ay * bz - az * by;
+    const ny = az * bx - ax * bz;
+    const nz = ax * by - ay * bx;
+    const len = Math.hypot(nx, ny, nz);
+    if (len > 0) {
+      out[3 * i] = nx / len; out[3 * i + 1] = ny / len; out[3 * i + 2] = nz / len;
+    } else {
+      out[3 * i] = 0; out[3 * i + 1] = 1; out[3 * i + 2] = 0;
+    }
+  }
+  return out;
 }
@@ -0,0 +1,218 @@
+// trajectory.js
+// Arenas and simulated animal trajectories (random walk, or smooth
+// Ornstein–Uhlenbeck velocity with wall avoidance).
+
+import { createRng } from './random.js';
+
+/**
+ * Create an arena. Shapes:
+ *   { shape: 'square',  size }            square of side `size` centred on 0
+ *   { shape: 'circle',  radius }          disc centred on 0
+ *   { shape: 'polygon', vertices }        simple polygon, [[x,y],...]
+ * @param {object} options
+ * @returns {object} Arena with contains(), nearestWall(), bounds and sample().
+ */
+export function createArena(options = {}) {
+  const shape = options.shape || 'square';
+
+  if (shape === 'circle') {
+    const R = options.radius ?? 1;
+    return {
+      shape,
+      radius: R,
+      bounds: [-R, -R, R, R],
+      contains: (x, y) => x * x + y * y <= R * R,
+      nearestWall(x, y) {
+        const r = Math.hypot(x, y);
+        // inward normal points to the centre
+        return r > 0
+          ? { distance: R - r, nx: -x / r, ny: -y / r }
+          : { distance: R, nx: 1, ny: 0 };
+      },
+      sample(rng) {
+        const r = R * Math.sqrt(rng.random());
+        const theta = 2 * Math.PI * rng.random();
+        return [r * Math.cos(theta), r * Math.sin(theta)];
+      }
+    };
+  }
+
+  let vertices;
+  if (shape === 'square') {
+    const h = (options.size ?? 2) / 2;
+    vertices = [[-h, -h], [h, -h], [h, h], [-h, h]];
+  } else if (shape === 'polygon') {
+    vertices = options.vertices;
+    if (!vertices || vertices.length < 3) {
+      throw new Error('Polygon arena needs at least three vertices');
+    }
+  } else {
+    throw new Error(`Unknown arena shape '${shape}'`);
+  }
+  return polygonArena(shape, vertices);
+}
+
+function polygonArena(shape, vertices) {
+  const xs = vertices.map(v => v[0]), ys = vertices.map(v => v[1]);
+  const bounds = [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+  const n = vertices.length;
+
+  // Even–odd ray casting
+  function contains(x, y) {
+    let inside = false;
+    for (let i = 0, j = n - 1; i < n; j = i++) {
+      const [xi, yi] = vertices[i], [xj, yj] = vertices[j];
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  function nearestWall(x, y) {
+    let best = { distance: Infinity, nx: 0, ny: 0 };
+    for (let i = 0, j = n - 1; i < n; j = i++) {
+      const [ax, ay] = vertices[j], [bx, by] = vertices[i];
+      const ex = bx - ax, ey = by - ay;
+      const s = Math.max(0, Math.min(1, ((x - ax) * ex + (y - ay) * ey) / (ex * ex + ey * ey)));
+      const dx = x - (ax + s * ex), dy = y - (ay + s * ey);
+      const d = Math.hypot(dx, dy);
+      if (d < best.distance) {
+        best = d > 0
+          ? { distance: d, nx: dx / d, ny: dy / d }
+          : { distance: 0, nx: -ey / Math.hypot(ex, ey), ny: ex / Math.hypot(ex, ey) };
+      }
+    }
+    // normal from wall to point points inward only when the point is inside
+    if (!contains(x, y)) {
+      best.distance = -best.distance;
+      best.nx = -best.nx;
+      best.ny = -best.ny;
+    }
+    return best;
+  }
+
+  function sample(rng) {
+    // rejection sampling within the bounding box
+    for (;;) {
+      const x = rng.uniform(bounds[0], bounds[2]);
+      const y = rng.uniform(bounds[1], bounds[3]);
+      if (contains(x, y)) return [x, y];
+    }
+  }
+
+  return { shape, vertices, bounds, contains, nearestWall, sample };
+}
+
+/**
+ * Simulate an animal trajectory inside an arena.
+ *
+ * Models:
+ *   'randomWalk'  Gaussian steps of sd speed·√dt, reflected at the walls
+ *   'ou'          Ornstein–Uhlenbeck velocity with time constant `tau` and
+ *                 stationary speed ~`speed`, turned away from walls that are
+ *                 closer than `wallRange`
+ *
+ * @param {object} options
+ * @param {object} options.arena            Arena from createArena().
+ * @param {number} [options.duration=60]    Duration (s).
+ * @param {number} [options.dt=0.02]        Sample interval (s).
+ * @param {string} [options.model='ou']     'randomWalk' | 'ou'.
+ * @param {number} [options.speed=0.2]      Typical speed (arena units/s).
+ * @param {number} [options.tau=0.7]        Velocity time constant (s), 'ou' only.
+ * @param {number} [options.wallRange=0.1]  Wall-avoidance distance, 'ou' only.
+ * @param {number[]} [options.start]        Start position (random if omitted).
+ * @param {number} [options.seed=0]         RNG seed.
+ * @returns {{t: Float64Array, x: Float64Array, y: Float64Array}}
+ */
+export function simulateTrajectory({
+  arena,
+  duration = 60,
+  dt = 0.02,
+  model = 'ou',
+  speed = 0.2,
+  tau = 0.7,
+  wallRange = 0.1,
+  start,
+  seed = 0
+}) {
+  if (model !== 'ou' && model !== 'randomWalk') {
+    throw new Error(`Unknown trajectory model '${model}'`);
+  }
+  const rng = createRng(seed);
+  const n = Math.floor(duration / dt) + 1;
+  const t = new Float64Array(n), x = new Float64Array(n), y = new Float64Array(n);
+  [x[0], y[0]] = start || arena.sample(rng);
+
+  // OU velocity: dv = -v/tau dt + sqrt(2/tau)·σv dW, with σv = speed/√2 per axis
+  const sigmaV = speed / Math.SQRT2;
+  const noise  = sigmaV * Math.sqrt(2 * dt / tau);
+  let vx = rng.normal(0, sigmaV), vy = rng.normal(0, sigmaV);
+
+  for (let i = 1; i < n; i++) {
+    t[i] = i * dt;
+    let dx, dy;
+    if (model === 'randomWalk') {
+      dx = rng.normal(0, speed * Math.sqrt(dt));
+      dy = rng.normal(0, speed * Math.sqrt(dt));
+    } else {
+      vx += -vx / tau * dt + noise * rng.normal();
+      vy += -vy / tau * dt + noise * rng.normal();
+      // wall avoidance: cancel the velocity component heading into a near wall
+      const wall = arena.nearestWall(x[i - 1], y[i - 1]);
+      if (wall.distance < wallRange) {
+        const vn = vx * wall.nx + vy * wall.ny;
+        if (vn < 0) {
+          const k = 1 - Math.max(0, wall.distance) / wallRange;
+          vx -= (1 + k) * vn * wall.nx;
+          vy -= (1 + k) * vn * wall.ny;
+        }
+      }
+      dx = vx * dt;
+      dy = vy * dt;
+    }
+
+    let xn = x[i - 1] + dx, yn = y[i - 1] + dy;
+    if (!arena.contains(xn, yn)) {
+      // reflect the step about the nearest wall
+      const wall = arena.nearestWall(xn, yn);
+      const depth = -wall.distance;
+      xn += 2 * depth * wall.nx;
+      yn += 2 * depth * wall.ny;
+      const vn = vx * wall.nx + vy * wall.ny;
+      if (vn < 0) {
+        vx -= 2 * vn * wall.nx;
+        vy -= 2 * vn * wall.ny;
+      }
+      if (!arena.contains(xn, yn)) {
+        xn = x[i - 1];
+        yn = y[i - 1];
+      }
+    }
+    x[i] = xn;
+    y[i] = yn;
+  }
+
+  return { t, x, y };
+}
+
+/**
+ * Linearly interpolate a trajectory's position at a set of times.
+ * @param {{t: Float64Array, x: Float64Array, y: Float64Array}} traj
+ * @param {ArrayLike<number>} times   Sorted query times.
+ * @returns {{x: Float64Array, y: Float64Array}}
+ */
+export function interpolatePosition(traj, times) {
+  const { t, x, y } = traj;
+  const n = times.length;
+  const xi = new Float64Array(n), yi = new Float64Array(n);
+  let j = 0;
+  for (let k = 0; k < n; k++) {
+    const tq = times[k];
+    while (j < t.length - 2 && t[j + 1] < tq) j++;
+    const s = Math.max(0, Math.min(1, (tq - t[j]) / (t[j + 1] - t[j] || 1)));
+    xi[k] = x[j] + s * (x[j + 1] - x[j]);
+    yi[k] = y[j] + s * (y[j + 1] - y[j]);
+  }
+  return { x: xi, y: yi };
+}
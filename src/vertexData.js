@@ -0,0 +1,214 @@
+// vertexData.js
+// Per-vertex values and colours of the tile data modes, shared by main.js
+// and the command-line tool (cli.js). Everything here is plain arrays in,
+// plain arrays out, so it runs in Node as well as in the browser.
+
+import { generatePopulation, geometricModules } from './gridPopulation.js';
+import { areaDistortion, lengthDistortion, gaussianCurvature, meanCurvature } from './surfaceMetrics.js';
+
+// Data modes computed from the current morphed surface against the flat tile
+export const METRIC_MODES = ['areaDistortion', 'lengthDistortion', 'gaussianCurvature', 'meanCurvature'];
+
+/** All tile data modes ('imported': a recorded rate map, see dataImport.js;
+ *  'phaseMap': a recording folded into the phase tile, see phaseFold.js). */
+export const DATA_MODES = ['torus1', 'torus2', 'torus3', 'gridCells', ...METRIC_MODES, 'imported', 'phaseMap'];
+
+// Convert hue-saturation-value to RGB (all in [0,1])
+export function hsv2rgb(h, s, v) {
+  const i = Math.floor(h * 6);
+  const f = h * 6 - i;
+  const p = v * (1 - s);
+  const q = v * (1 - f * s);
+  const t = v * (1 - (1 - f) * s);
+  const mod = i % 6;
+  switch (mod) {
+    case 0: return [v, t, p];
+    case 1: return [q, v, p];
+    case 2: return [p, v, t];
+    case 3: return [p, q, v];
+    case 4: return [t, p, v];
+    case 5: return [v, p, q];
+  }
+}
+
+// Blue–white–red colour for a value in [-1,1]; gray for NaN
+export function divergingColor(v) {
+  if (Number.isNaN(v)) return [0.5333333333333333, 0.5333333333333333, 0.5333333333333333];
+  const a = Math.min(1, Math.abs(v));
+  return v < 0 ? [1 - a, 1 - a, 1] : [1, 1 - a, 1 - a];
+}
+
+// Black–red–yellow–white colour for a value in [0,1]; gray for NaN
+export function heatColor(v) {
+  if (Number.isNaN(v)) return [0.5333333333333333, 0.5333333333333333, 0.5333333333333333];
+  const a = Math.min(1, Math.max(0, v)) * 3;
+  return [Math.min(1, a), Math.min(1, Math.max(0, a - 1)), Math.max(0, a - 2)];
+}
+
+// Parse a comma-separated list of cell ids, dropping any out of range
+export function parseCellList(str, nCells) {
+  return str.split(',')
+    .map(v => parseInt(v, 10))
+    .filter(i => Number.isInteger(i) && i >= 0 && i < nCells);
+}
+
+/**
+ * Grid-cell population from the settings of the 'Grid cells' and
+ * 'Population' GUI folders (angles in degrees).
+ * @param {object} cellParams        spacing, orientation, ellipseAngle and
+ *   any other GridCellModel option.
+ * @param {object} populationParams  nModules, cellsPerModule, spacingRatio,
+ *   orientationStep, phaseMode, seed.
+ * @returns {object[]} See generatePopulation.
+ */
+export function populationFromSettings(cellParams, populationParams) {
+  const deg = Math.PI / 180;
+  const { spacing, orientation, ellipseAngle, ...cellOptions } = cellParams;
+  return generatePopulation({
+    modules: geometricModules(populationParams.nModules, populationParams.cellsPerModule, {
+      spacing,
+      ratio: populationParams.spacingRatio,
+      orientation: orientation * deg,
+      orientationStep: populationParams.orientationStep * deg
+    }).map(m => ({ ...m, phaseMode: populationParams.phaseMode })),
+    cellOptions: { ...cellOptions, ellipseAngle: ellipseAngle * deg },
+    seed: populationParams.seed
+  });
+}
+
+/**
+ * Rate map of one cell at the given points, normalized to a peak of 1.
+ * @param {object}     cell    Population entry.
+ * @param {number[][]} coords  [x,y] points.
+ * @returns {number[]}
+ */
+export function normalizedRates(cell, coords) {
+  const Z = cell.model.rate(coords);
+  const maxZ = Z.reduce((a, b) => Math.max(a, b), 0) || 1;
+  return Z.map(v => v / maxZ);
+}
+
+/**
+ * Colours of the 'gridCells' data mode: one hue per selected cell (three
+ * cells give the R, G, B channels), or gray for the summed activity.
+ * @param {object[]}   population
+ * @param {number[][]} coords
+ * @param {object}     [options]
+ * @param {string}     [options.display='subset']  'subset' | 'sum'
+ * @param {string}     [options.cells='0,1,2']     Cell ids shown in 'subset'.
+ * @returns {number[][]} [r,g,b] per point.
+ */
+export function populationColors(population, coords, { display = 'subset', cells = '0,1,2' } = {}) {
+  if (display === 'sum') {
+    // Summed population activity, normalized to [0,1]
+    const total = new Float64Array(coords.length);
+    population.forEach(cell => normalizedRates(cell, coords).forEach((v, i) => { total[i] += v; }));
+    const maxT = total.reduce((a, b) => Math.max(a, b), 0) || 1;
+    return Array.from(total, v => [v / maxT, v / maxT, v / maxT]);
+  }
+
+  const selected = parseCellList(cells, population.length);
+  const rgb = coords.map(() => [0, 0, 0]);
+  selected.forEach((id, k) => {
+    const hue = hsv2rgb(k / selected.length, 1, 1);
+    normalizedRates(population[id], coords).forEach((v, i) => {
+      for (let j = 0; j < 3; j++) {
+        rgb[i][j] = Math.min(1, rgb[i][j] + v * hue[j]);
+      }
+    });
+  });
+  return rgb;
+}
+
+/**
+ * Phase of one torus axis (including the computed third axis t3 = −t1 − t2),
+ * wrapped to [0, 2π).
+ * @param {number[][]} torusCoords  [t1,t2] per vertex.
+ * @param {number}     channel      0, 1 or 2.
+ * @returns {Float64Array}
+ */
+export function phaseValues(torusCoords, channel) {
+  return Float64Array.from(torusCoords, ([t1, t2]) => {
+    const raw = [t1, t2, -(t1 + t2)][channel];
+    return ((raw % (2*Math.PI)) + 2*Math.PI) % (2*Math.PI);
+  });
+}
+
+/**
+ * Colours of the 'torus1'..'torus3' data modes: hue from the phase.
+ * @param {number[][]} torusCoords
+ * @param {number}     channel
+ * @returns {number[][]}
+ */
+export function phaseColors(torusCoords, channel) {
+  return Array.from(phaseValues(torusCoords, channel), v => hsv2rgb(v / (2*Math.PI), 1, 1));
+}
+
+/**
+ * Per-vertex values of a metric data mode, with the symmetric range used to
+ * colour them.
+ * @param {string} mode  One of METRIC_MODES.
+ * @param {ArrayLike<number>} positions  Morphed positions [x,y,z,...].
+ * @param {ArrayLike<number>} reference  Flat positions, same layout.
+ * @param {ArrayLike<number>} index
+ * @returns {{values: Float64Array, scale: number}} Distortions are log2
+ *   ratios with scale 1; curvatures use the 95th percentile of |value|,
+ *   at least 1.
+ */
+export function metricValues(mode, positions, reference, index) {
+  if (mode === 'areaDistortion') {
+    return { values: areaDistortion(positions, reference, index).perVertex, scale: 1 };
+  }
+  if (mode === 'lengthDistortion') {
+    return { values: lengthDistortion(positions, reference, index).perVertex, scale: 1 };
+  }
+  if (mode !== 'gaussianCurvature' && mode !== 'meanCurvature') {
+    throw new Error(`Unknown metric mode '${mode}'`);
+  }
+  const values = mode === 'gaussianCurvature'
+    ? gaussianCurvature(positions, index)
+    : meanCurvature(positions, index);
+  const mags = Array.from(values, Math.abs).filter(Number.isFinite).sort((a, b) => a - b);
+  const scale = Math.max(1, mags[Math.floor(0.95 * (mags.length - 1))] || 0);
+  return { values, scale };
+}
+
+/**
+ * Colours of the 'imported' and 'phaseMap' data modes: rates normalized by their peak on a
+ * heat scale, unvisited or unmapped (NaN) vertices gray.
+ * @param {ArrayLike<number>} rates  See dataImport.sampleRateMap.
+ * @returns {number[][]}
+ */
+export function rateColors(rates) {
+  const peak = Array.prototype.reduce.call(rates, (m, v) => (v > m ? v : m), 0) || 1;
+  return Array.from(rates, v => heatColor(v / peak));
+}
+
+/**
+ * Tile-plane points of a set of tiles: the tile on lattice node c covers
+ * c + coords, so vertex i has the same torus phase in every tile.
+ * @param {number[][]} centers  [x,y] per tile (GridTile.center).
+ * @param {number[][]} coords   [x,y] per vertex (GridTile.euclidCoords).
+ * @returns {number[][]} Tile-major, centers.length × coords.length points.
+ */
+export function tilePoints(centers, coords) {
+  return centers.flatMap(([cx, cy]) => coords.map(([x, y]) => [cx + x, cy + y]));
+}
+
+/**
+ * Fold per-tile values onto one tile: the mean over the tiles at each
+ * vertex, leaving out NaN (unmapped) values.
+ * @param {ArrayLike<number>} values  Tile-major (see tilePoints).
+ * @param {number} nVertices
+ * @returns {Float64Array} One value per vertex, NaN where no tile has one.
+ */
+export function foldTiles(values, nVertices) {
+  const sum = new Float64Array(nVertices);
+  const count = new Float64Array(nVertices);
+  for (let k = 0; k < values.length; k++) {
+    if (!Number.isFinite(values[k])) continue;
+    sum[k % nVertices] += values[k];
+    count[k % nVertices]++;
+  }
+  return sum.map((v, i) => (count[i] ? v / count[i] : NaN));
+}
@@ -0,0 +1,150 @@
+// viewState.js
+// Viewer state (data mode, shape, arena view, timeline position, camera
+// pose, lattice, grid-cell, population and Clifford settings) to and from a
+// compact 'key=value&...' string, used for permalink URL hashes and
+// localStorage.
+// Decoding validates every field against VIEW_STATE_FIELDS: missing fields
+// take their defaults, invalid ones fall back to the default and
+// out-of-range numbers are clamped, each with a warning.
+
+import { DATA_MODES } from './vertexData.js';
+import { LOOP_MODES } from './playback.js';
+
+const num = (min, max) => ({ type: 'number', min, max });
+const int = (min, max) => ({ type: 'int', min, max });
+const oneOf = (...values) => ({ type: 'enum', values });
+
+/** Fields of the viewer state by dotted path, with their validation. */
+export const VIEW_STATE_FIELDS = {
+  'data':                       oneOf(...DATA_MODES),
+  'shape':                      oneOf('hexagon', 'rhombus'),
+  'arena':                      { type: 'bool' },
+  'time':                       num(0, Infinity),      // s
+  'playing':                    { type: 'bool' },
+  'speed':                      num(-4, 4),
+  'loop':                       oneOf(...LOOP_MODES),
+  'camera.position':            { type: 'vec3' },
+  'camera.target':              { type: 'vec3' },
+  'camera.fov':                 num(1, 120),
+  'lattice.type':               oneOf('hexagonal', 'square', 'oblique'),
+  'lattice.ratio':              num(0.5, 2),
+  'lattice.angle':              num(30, 150),
+  'gridCells.spacing':          num(0.5, 2),
+  'gridCells.orientation':      num(-30, 30),
+  'gridCells.ellipticity':      num(1, 2),
+  'gridCells.ellipseAngle':     num(0, 180),
+  'gridCells.rateJitter':       num(0, 1),
+  'gridCells.profile':          oneOf('gaussian', 'vonMises', 'cosine'),
+  'gridCells.sigma':            num(0.02, 0.3),
+  'population.nModules':        int(1, 5),
+  'population.cellsPerModule':  int(1, 100),
+  'population.spacingRatio':    num(1, 2),
+  'population.orientationStep': num(-30, 30),
+  'population.phaseMode':       oneOf('uniform', 'jittered'),
+  'population.seed':            int(0, 1000),
+  'population.display':         oneOf('subset', 'sum'),
+  'population.cells':           { type: 'list' },
+  'clifford.enabled':           { type: 'bool' },
+  'clifford.xy':                num(-180, 180),
+  'clifford.xz':                num(-180, 180),
+  'clifford.xw':                num(-180, 180),
+  'clifford.yz':                num(-180, 180),
+  'clifford.yw':                num(-180, 180),
+  'clifford.zw':                num(-180, 180)
+};
+
+function getPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((o, k) => (o[k] ??= {}), obj);
+  parent[last] = value;
+}
+
+const fmt = v => String(+v.toFixed(4));
+
+// Field value → string
+function encodeField(field, value) {
+  switch (field.type) {
+    case 'vec3': return value.map(fmt).join(',');
+    case 'bool': return value ? '1' : '0';
+    case 'number':
+    case 'int': return fmt(value);
+    default: return String(value);
+  }
+}
+
+// String → field value, or undefined if it does not parse
+function decodeField(field, text) {
+  switch (field.type) {
+    case 'enum':
+      return field.values.includes(text) ? text : undefined;
+    case 'bool':
+      return text === '1' || text === 'true' ? true
+        : text === '0' || text === 'false' ? false : undefined;
+    case 'vec3': {
+      const v = text.split(',').map(Number);
+      return v.length === 3 && v.every(Number.isFinite) ? v : undefined;
+    }
+    case 'list':
+      return /^[\d,\s]*$/.test(text) ? text : undefined;
+    case 'int':
+    case 'number': {
+      const v = text.trim() === '' ? NaN : Number(text);
+      if (!Number.isFinite(v)) return undefined;
+      return field.type === 'int' ? Math.round(v) : v;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Encode a viewer state as 'key=value&...' (keys are the dotted paths of
+ * VIEW_STATE_FIELDS; fields missing from state are left out).
+ * @param {object} state
+ * @returns {string}
+ */
+export function encodeViewState(state) {
+  const params = new URLSearchParams();
+  Object.entries(VIEW_STATE_FIELDS).forEach(([path, field]) => {
+    const value = getPath(state, path);
+    if (value !== undefined) params.set(path, encodeField(field, value));
+  });
+  // commas and dots are safe in a URL hash
+  return params.toString().replace(/%2C/g, ',');
+}
+
+/**
+ * Decode and validate a viewer state.
+ * @param {string} text      Output of encodeViewState, with or without a
+ *   leading '#'.
+ * @param {object} defaults  Complete state used for missing or invalid fields.
+ * @returns {{ state: object, warnings: string[] }}
+ */
+export function decodeViewState(text, defaults) {
+  const params = new URLSearchParams(text.replace(/^#/, ''));
+  const state = structuredClone(defaults);
+  const warnings = [];
+  params.forEach((raw, path) => {
+    const field = VIEW_STATE_FIELDS[path];
+    if (!field) {
+      warnings.push(`Unknown view setting '${path}' ignored`);
+      return;
+    }
+    let value = decodeField(field, raw);
+    if (value === undefined) {
+      warnings.push(`Invalid value '${raw}' for '${path}'; using the default`);
+      return;
+    }
+    if (field.min !== undefined && (value < field.min || value > field.max)) {
+      const clamped = Math.min(Math.max(value, field.min), field.max);
+      warnings.push(`'${path}' = ${value} is out of range; using ${clamped}`);
+      value = clamped;
+    }
+    setPath(state, path, value);
+  });
+  return { state, warnings };
+}